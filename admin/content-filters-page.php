@@ -75,7 +75,7 @@ class AANP_ContentFilterAdmin {
         wp_enqueue_script(
             'aanp-content-filters-admin',
             AANP_PLUGIN_URL . 'assets/js/content-filters-admin.js',
-            array('jquery', 'wp-api'),
+            array('jquery', 'wp-api', 'aanp-safe-html'),
             AANP_PLUGIN_VERSION,
             true
         );
@@ -471,6 +471,7 @@ class AANP_ContentFilterAdmin {
             $result = $this->filter_manager->save_user_preset($preset_name, $filters);
             
             if ($result['success']) {
+                do_action('aanp_filter_preset_saved', $preset_name, $filters);
                 wp_send_json_success($result);
             } else {
                 wp_send_json_error($result);
@@ -15,7 +15,7 @@ if (!defined('ABSPATH')) {
 }
 
 // Check user permissions
-if (!current_user_can('manage_options')) {
+if (!CP_Capabilities::user_can('view-metrics')) {
     wp_die(__('You do not have sufficient permissions to access this page.'));
 }
 
@@ -30,14 +30,21 @@ $dashboard_config = get_option('ai_news_dashboard_config', [
 // Prepare data for the dashboard
 $dashboard_data = [
     'ajax_url' => admin_url('admin-ajax.php'),
-    'rest_url' => rest_url('contentpilot/v1/'),
+    'admin_url' => admin_url(),
+    'rest_url' => rest_url('ai-auto-news/v1/'),
+    'rest_nonce' => wp_create_nonce('wp_rest'),
     'nonce' => wp_create_nonce('ai_news_dashboard_nonce'),
+    'queue_nonce' => wp_create_nonce('aanp_queue_nonce'),
     'user' => [
         'id' => get_current_user_id(),
         'name' => wp_get_current_user()->display_name,
-        'capabilities' => array_keys(array_filter(wp_get_current_user()->allcaps))
+        'capabilities' => CP_Capabilities::get_user_capabilities()
     ],
+    'capabilities' => CP_Capabilities::get_labels(),
     'config' => $dashboard_config,
+    'settings' => ai_news_dashboard_get_user_settings(get_current_user_id()),
+    'layout' => ai_news_dashboard_get_user_layout(get_current_user_id()),
+    'commands' => ai_news_dashboard_get_commands(),
     'features' => [
         'real_time_monitoring' => true,
         'api_platform' => true,
@@ -52,7 +59,27 @@ wp_enqueue_style('ai-news-dashboard', plugin_dir_url(__FILE__) . 'assets/css/das
 wp_enqueue_style('ai-news-fonts', 'https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700&display=swap');
 wp_enqueue_script('chart-js', 'https://cdn.jsdelivr.net/npm/chart.js', [], '3.9.1', true);
 wp_enqueue_script('axios', 'https://cdn.jsdelivr.net/npm/axios/dist/axios.min.js', [], '0.27.2', true);
-wp_enqueue_script('ai-news-dashboard', plugin_dir_url(__FILE__) . 'assets/js/dashboard.js', ['jquery', 'chart-js', 'axios'], '2.0.0', true);
+wp_enqueue_script('ai-news-safe-html', plugin_dir_url(__FILE__) . 'assets/js/safe-html.js', [], '2.0.0', true);
+wp_enqueue_script('ai-news-capabilities', plugin_dir_url(__FILE__) . 'assets/js/capabilities.js', [], '2.0.0', true);
+wp_enqueue_script('ai-news-keyboard-shortcuts', plugin_dir_url(__FILE__) . 'assets/js/keyboard-shortcuts.js', ['ai-news-safe-html'], '2.0.0', true);
+wp_enqueue_script('ai-news-router', plugin_dir_url(__FILE__) . 'assets/js/router.js', [], '2.0.0', true);
+wp_enqueue_script('ai-news-content-manager', plugin_dir_url(__FILE__) . 'assets/js/content-manager.js', ['ai-news-safe-html'], '2.0.0', true);
+wp_enqueue_script('ai-news-api-key-manager', plugin_dir_url(__FILE__) . 'assets/js/api-key-manager.js', ['ai-news-safe-html'], '2.0.0', true);
+wp_enqueue_script('ai-news-webhook-manager', plugin_dir_url(__FILE__) . 'assets/js/webhook-manager.js', ['ai-news-safe-html'], '2.0.0', true);
+wp_enqueue_script('ai-news-api-docs', plugin_dir_url(__FILE__) . 'assets/js/api-docs.js', ['ai-news-safe-html'], '2.0.0', true);
+wp_enqueue_script('ai-news-report-generator', plugin_dir_url(__FILE__) . 'assets/js/report-generator.js', ['ai-news-safe-html'], '2.0.0', true);
+wp_enqueue_script('ai-news-realtime-transport', plugin_dir_url(__FILE__) . 'assets/js/realtime-transport.js', [], '2.0.0', true);
+wp_enqueue_script('ai-news-metrics-store', plugin_dir_url(__FILE__) . 'assets/js/metrics-store.js', [], '2.0.0', true);
+wp_enqueue_script('ai-news-period-comparison', plugin_dir_url(__FILE__) . 'assets/js/period-comparison.js', ['ai-news-safe-html'], '2.0.0', true);
+wp_enqueue_script('ai-news-metric-forecast', plugin_dir_url(__FILE__) . 'assets/js/metric-forecast.js', ['ai-news-safe-html'], '2.0.0', true);
+wp_enqueue_script('ai-news-chart-views', plugin_dir_url(__FILE__) . 'assets/js/chart-views.js', ['chart-js', 'ai-news-safe-html', 'ai-news-metrics-store', 'ai-news-period-comparison', 'ai-news-metric-forecast'], '2.0.0', true);
+wp_enqueue_script('ai-news-chart-annotations', plugin_dir_url(__FILE__) . 'assets/js/chart-annotations.js', ['chart-js', 'ai-news-safe-html', 'ai-news-chart-views'], '2.0.0', true);
+wp_enqueue_script('ai-news-queue-panel', plugin_dir_url(__FILE__) . 'assets/js/queue-panel.js', ['chart-js', 'ai-news-safe-html'], '2.0.0', true);
+wp_enqueue_script('ai-news-performance-monitoring', plugin_dir_url(__FILE__) . 'assets/js/performance-monitoring.js', ['ai-news-safe-html', 'ai-news-metrics-store'], '2.0.0', true);
+wp_enqueue_script('ai-news-widget-layout', plugin_dir_url(__FILE__) . 'assets/js/widget-layout.js', ['ai-news-safe-html'], '2.0.0', true);
+wp_enqueue_script('ai-news-notification-center', plugin_dir_url(__FILE__) . 'assets/js/notification-center.js', ['ai-news-safe-html'], '2.0.0', true);
+wp_enqueue_script('ai-news-command-palette', plugin_dir_url(__FILE__) . 'assets/js/command-palette.js', ['ai-news-safe-html', 'ai-news-keyboard-shortcuts'], '2.0.0', true);
+wp_enqueue_script('ai-news-dashboard', plugin_dir_url(__FILE__) . 'assets/js/dashboard.js', ['jquery', 'chart-js', 'axios', 'ai-news-content-manager', 'ai-news-api-key-manager', 'ai-news-webhook-manager', 'ai-news-api-docs', 'ai-news-report-generator', 'ai-news-realtime-transport', 'ai-news-metrics-store', 'ai-news-chart-views', 'ai-news-chart-annotations', 'ai-news-queue-panel', 'ai-news-widget-layout', 'ai-news-notification-center', 'ai-news-command-palette', 'ai-news-keyboard-shortcuts', 'ai-news-router', 'ai-news-safe-html', 'ai-news-capabilities'], '2.0.0', true);
 
 // Localize script with dashboard data
 wp_localize_script('ai-news-dashboard', 'ai_news_dashboard', $dashboard_data);
@@ -650,7 +677,7 @@ function ai_news_dashboard_admin_menu() {
     add_menu_page(
         __('ContentPilot', 'contentpilot'),
         __('ContentPilot', 'contentpilot'),
-        'manage_options',
+        CP_Capabilities::wp_capability('view-metrics'),
         'ai-news-dashboard',
         'ai_news_dashboard_page',
         'data:image/svg+xml;base64,' . base64_encode('<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="currentColor"><path d="M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm-2 15l-5-5 1.41-1.41L10 14.17l7.59-7.59L19 8l-9 9z"/></svg>'),
@@ -662,7 +689,7 @@ function ai_news_dashboard_admin_menu() {
         'contentpilot-dashboard',
         __('Dashboard Overview', 'contentpilot'),
         __('Dashboard', 'contentpilot'),
-        'manage_options',
+        CP_Capabilities::wp_capability('view-metrics'),
         'ai-news-dashboard',
         'ai_news_dashboard_page'
     );
@@ -829,6 +856,10 @@ add_action('admin_head', 'ai_news_dashboard_custom_css');
  * AJAX handler for dashboard data
  */
 function ai_news_dashboard_ajax_handler() {
+    if (!CP_Capabilities::user_can('view-metrics')) {
+        wp_send_json_error('Insufficient permissions');
+    }
+    
     $action = sanitize_text_field($_POST['dashboard_action'] ?? '');
     
     switch ($action) {
@@ -941,4 +972,411 @@ function ai_news_dashboard_get_api_stats() {
         'avg_response_time' => round($avg_response_time, 2)
     ]);
 }
+
+/**
+ * Get dashboard settings for a user, merged with defaults
+ */
+function ai_news_dashboard_get_user_settings($user_id) {
+    $config = get_option('ai_news_dashboard_config', []);
+    
+    $defaults = [
+        'monitoring_interval' => 5,
+        'enable_alerts' => true,
+        'theme' => $config['theme'] ?? 'light',
+        'chart_animations' => true,
+        'shortcuts' => [],
+        'charts' => []
+    ];
+    
+    $saved = get_user_meta($user_id, 'ai_news_dashboard_settings', true);
+    
+    return ai_news_dashboard_sanitize_settings(array_merge($defaults, is_array($saved) ? $saved : []));
+}
+
+/**
+ * Sanitize dashboard settings
+ */
+function ai_news_dashboard_sanitize_settings($settings) {
+    $theme = sanitize_text_field($settings['theme'] ?? 'light');
+    
+    return [
+        'monitoring_interval' => max(1, min(60, absint($settings['monitoring_interval'] ?? 5))),
+        'enable_alerts' => rest_sanitize_boolean($settings['enable_alerts'] ?? true),
+        'theme' => in_array($theme, ['light', 'dark', 'auto'], true) ? $theme : 'light',
+        'chart_animations' => rest_sanitize_boolean($settings['chart_animations'] ?? true),
+        'shortcuts' => ai_news_dashboard_sanitize_shortcuts($settings['shortcuts'] ?? []),
+        'charts' => ai_news_dashboard_sanitize_chart_views($settings['charts'] ?? [])
+    ];
+}
+
+/**
+ * Sanitize chart views
+ *
+ * Maps chart ids to a chart type and the series drawn on the chart,
+ * first series first. Unknown series are dropped by the dashboard.
+ */
+function ai_news_dashboard_sanitize_chart_views($charts) {
+    $sanitized = [];
+    
+    if (!is_array($charts)) {
+        return $sanitized;
+    }
+    
+    foreach (array_slice($charts, 0, 20, true) as $id => $view) {
+        $id = preg_replace('/[^A-Za-z0-9_-]/', '', (string) $id);
+        
+        if ($id === '' || !is_array($view)) {
+            continue;
+        }
+        
+        $type = $view['type'] ?? 'area';
+        $series = array_values(array_filter(array_map(function ($name) {
+            return preg_replace('/[^A-Za-z0-9_-]/', '', (string) $name);
+        }, array_slice((array) ($view['series'] ?? []), 0, 4))));
+        
+        $sanitized[$id] = [
+            'type' => in_array($type, ['line', 'area', 'bar', 'stacked'], true) ? $type : 'area',
+            'series' => $series
+        ];
+    }
+    
+    return $sanitized;
+}
+
+/**
+ * Sanitize keyboard shortcut overrides
+ *
+ * Maps shortcut ids to key bindings such as "mod+shift+t" or "g p". An
+ * empty binding turns the shortcut off.
+ */
+function ai_news_dashboard_sanitize_shortcuts($shortcuts) {
+    $sanitized = [];
+    
+    if (!is_array($shortcuts)) {
+        return $sanitized;
+    }
+    
+    foreach (array_slice($shortcuts, 0, 100, true) as $id => $binding) {
+        $id = preg_replace('/[^a-z0-9._-]/', '', strtolower((string) $id));
+        $binding = strtolower(trim((string) $binding));
+        
+        if ($id === '' || strlen($binding) > 50 || preg_match('/[^a-z0-9+ ,.\/?;\'\[\]\\`=-]/', $binding)) {
+            continue;
+        }
+        
+        $sanitized[$id] = $binding;
+    }
+    
+    return $sanitized;
+}
+
+/**
+ * AJAX handler to load the current user's dashboard settings
+ */
+function ai_news_dashboard_ajax_get_settings() {
+    if (!wp_verify_nonce($_POST['nonce'] ?? '', 'ai_news_dashboard_nonce')) {
+        wp_send_json_error('Security check failed');
+    }
+    
+    wp_send_json_success(ai_news_dashboard_get_user_settings(get_current_user_id()));
+}
+add_action('wp_ajax_ai_news_get_dashboard_settings', 'ai_news_dashboard_ajax_get_settings');
+
+/**
+ * AJAX handler to save the current user's dashboard settings
+ */
+function ai_news_dashboard_ajax_save_settings() {
+    if (!wp_verify_nonce($_POST['nonce'] ?? '', 'ai_news_dashboard_nonce')) {
+        wp_send_json_error('Security check failed');
+    }
+    
+    if (!CP_Capabilities::user_can('view-metrics')) {
+        wp_send_json_error('Insufficient permissions');
+    }
+    
+    $input = json_decode(wp_unslash($_POST['settings'] ?? ''), true);
+    if (!is_array($input)) {
+        wp_send_json_error('Invalid settings');
+    }
+    
+    // Preferences are personal; how often the dashboard polls is not
+    if (!CP_Capabilities::user_can('manage-settings')) {
+        unset($input['monitoring_interval'], $input['enable_alerts']);
+    }
+    
+    $user_id = get_current_user_id();
+    $settings = ai_news_dashboard_sanitize_settings(array_merge(
+        ai_news_dashboard_get_user_settings($user_id),
+        $input
+    ));
+    
+    update_user_meta($user_id, 'ai_news_dashboard_settings', $settings);
+    
+    wp_send_json_success($settings);
+}
+add_action('wp_ajax_ai_news_save_dashboard_settings', 'ai_news_dashboard_ajax_save_settings');
+
+/**
+ * Widget ids that can be placed on the overview
+ */
+function ai_news_dashboard_get_widget_ids() {
+    return [
+        'articles-published',
+        'total-views',
+        'performance-score',
+        'seo-health',
+        'response-time',
+        'memory-usage',
+        'cpu-usage',
+        'cache-hit-rate',
+        'error-rate',
+        'api-requests',
+        'queue-depth',
+        'performance-chart',
+        'activity-chart'
+    ];
+}
+
+/**
+ * Get a user's overview widget layout
+ *
+ * Returns null when the user has not customized the overview, so the
+ * dashboard falls back to its default layout.
+ */
+function ai_news_dashboard_get_user_layout($user_id) {
+    $saved = get_user_meta($user_id, 'ai_news_dashboard_layout', true);
+    
+    return is_array($saved) ? ai_news_dashboard_sanitize_layout($saved) : null;
+}
+
+/**
+ * Sanitize an overview widget layout
+ */
+function ai_news_dashboard_sanitize_layout($layout) {
+    $widget_ids = ai_news_dashboard_get_widget_ids();
+    $sanitized = [];
+    
+    foreach ($layout as $widget) {
+        $id = sanitize_key($widget['id'] ?? '');
+        $size = sanitize_key($widget['size'] ?? 'small');
+        
+        // Each widget appears at most once
+        if (!in_array($id, $widget_ids, true) || isset($sanitized[$id])) {
+            continue;
+        }
+        
+        $sanitized[$id] = [
+            'id' => $id,
+            'size' => in_array($size, ['small', 'medium', 'large'], true) ? $size : 'small'
+        ];
+    }
+    
+    return array_values($sanitized);
+}
+
+/**
+ * AJAX handler to load the current user's overview widget layout
+ */
+function ai_news_dashboard_ajax_get_layout() {
+    if (!wp_verify_nonce($_POST['nonce'] ?? '', 'ai_news_dashboard_nonce')) {
+        wp_send_json_error('Security check failed');
+    }
+    
+    wp_send_json_success(ai_news_dashboard_get_user_layout(get_current_user_id()));
+}
+add_action('wp_ajax_ai_news_get_dashboard_layout', 'ai_news_dashboard_ajax_get_layout');
+
+/**
+ * AJAX handler to save the current user's overview widget layout
+ */
+function ai_news_dashboard_ajax_save_layout() {
+    if (!wp_verify_nonce($_POST['nonce'] ?? '', 'ai_news_dashboard_nonce')) {
+        wp_send_json_error('Security check failed');
+    }
+    
+    $user_id = get_current_user_id();
+    
+    // Resetting forgets the saved layout so later default changes apply
+    if (rest_sanitize_boolean($_POST['reset'] ?? false)) {
+        delete_user_meta($user_id, 'ai_news_dashboard_layout');
+        wp_send_json_success(null);
+    }
+    
+    $input = json_decode(wp_unslash($_POST['layout'] ?? ''), true);
+    if (!is_array($input)) {
+        wp_send_json_error('Invalid layout');
+    }
+    
+    $layout = ai_news_dashboard_sanitize_layout($input);
+    update_user_meta($user_id, 'ai_news_dashboard_layout', $layout);
+    
+    wp_send_json_success($layout);
+}
+add_action('wp_ajax_ai_news_save_dashboard_layout', 'ai_news_dashboard_ajax_save_layout');
+
+/**
+ * Extra command palette entries registered by other plugins
+ *
+ * Each command needs an id, a title and a url; group, icon, keywords and
+ * the ContentPilot capability needed to see it are optional. Commands open
+ * their url when run.
+ */
+function ai_news_dashboard_get_commands() {
+    $commands = [];
+    
+    foreach ((array) apply_filters('ai_news_dashboard_commands', []) as $command) {
+        $id = sanitize_key($command['id'] ?? '');
+        $title = sanitize_text_field($command['title'] ?? '');
+        $url = esc_url_raw($command['url'] ?? '');
+        
+        if (!$id || !$title || !$url) {
+            continue;
+        }
+        
+        if (!empty($command['capability']) && !CP_Capabilities::user_can($command['capability'])) {
+            continue;
+        }
+        
+        $commands[] = [
+            'id' => $id,
+            'title' => $title,
+            'url' => $url,
+            'group' => sanitize_text_field($command['group'] ?? 'Plugins'),
+            'icon' => sanitize_html_class($command['icon'] ?? 'fa-puzzle-piece'),
+            'keywords' => array_map('sanitize_text_field', (array) ($command['keywords'] ?? []))
+        ];
+    }
+    
+    return $commands;
+}
+
+/**
+ * AJAX handler to search feeds, posts and alerts for the command palette
+ */
+function ai_news_dashboard_ajax_search_entities() {
+    if (!wp_verify_nonce($_POST['nonce'] ?? '', 'ai_news_dashboard_nonce')) {
+        wp_send_json_error('Security check failed');
+    }
+    
+    if (!CP_Capabilities::user_can('view-metrics')) {
+        wp_send_json_error('Insufficient permissions');
+    }
+    
+    global $wpdb;
+    
+    $query = sanitize_text_field(wp_unslash($_POST['query'] ?? ''));
+    $limit = 5;
+    $results = [];
+    
+    if (strlen($query) < 2) {
+        wp_send_json_success($results);
+    }
+    
+    $feeds_table = $wpdb->prefix . 'aanp_rss_feeds';
+    if (CP_Capabilities::user_can('manage-feeds') && $wpdb->get_var($wpdb->prepare('SHOW TABLES LIKE %s', $feeds_table)) === $feeds_table) {
+        $like = '%' . $wpdb->esc_like($query) . '%';
+        $feeds = $wpdb->get_results($wpdb->prepare(
+            "SELECT id, name, url, enabled FROM {$feeds_table}
+             WHERE name LIKE %s OR url LIKE %s
+             ORDER BY enabled DESC, reliability_score DESC
+             LIMIT %d",
+            $like,
+            $like,
+            $limit
+        ));
+        
+        foreach ($feeds as $feed) {
+            $results[] = [
+                'type' => 'feed',
+                'id' => (int) $feed->id,
+                'title' => $feed->name,
+                'subtitle' => ($feed->enabled ? 'Enabled' : 'Disabled') . ' · ' . $feed->url,
+                'url' => admin_url('admin.php?page=ai-news-settings')
+            ];
+        }
+    }
+    
+    $posts = get_posts([
+        's' => $query,
+        'post_type' => 'post',
+        'post_status' => ['publish', 'draft', 'pending', 'future', 'private'],
+        'posts_per_page' => $limit,
+        'suppress_filters' => false
+    ]);
+    
+    foreach ($posts as $post) {
+        $results[] = [
+            'type' => 'post',
+            'id' => $post->ID,
+            'title' => get_the_title($post) ?: __('(no title)', 'contentpilot'),
+            'subtitle' => ucfirst($post->post_status) . ' · ' . get_the_date('', $post),
+            'url' => get_edit_post_link($post->ID, 'raw')
+        ];
+    }
+    
+    if (class_exists('AlertsManager')) {
+        $alerts = array_filter(AlertsManager::get_instance()->get_alerts(), function($alert) use ($query) {
+            return stripos($alert['title'] ?? '', $query) !== false
+                || stripos($alert['message'] ?? '', $query) !== false;
+        });
+        
+        foreach (array_slice($alerts, 0, $limit) as $alert) {
+            $results[] = [
+                'type' => 'alert',
+                'id' => $alert['id'],
+                'title' => $alert['title'],
+                'subtitle' => ucfirst($alert['severity'] ?? 'info') . ' · ' . ($alert['message'] ?? ''),
+                'url' => ''
+            ];
+        }
+    }
+    
+    wp_send_json_success($results);
+}
+add_action('wp_ajax_ai_news_search_dashboard_entities', 'ai_news_dashboard_ajax_search_entities');
+
+/**
+ * AJAX handler to start a post generation run in the background
+ */
+function ai_news_dashboard_ajax_generate_posts() {
+    if (!wp_verify_nonce($_POST['nonce'] ?? '', 'ai_news_dashboard_nonce')) {
+        wp_send_json_error('Security check failed');
+    }
+    
+    if (!CP_Capabilities::user_can('generate-content')) {
+        wp_send_json_error('Insufficient permissions');
+    }
+    
+    // Reuse the hourly generation hook so the run goes through the same pipeline
+    if (!wp_next_scheduled('aanp_auto_generate_posts', ['manual' => true])) {
+        wp_schedule_single_event(time(), 'aanp_auto_generate_posts', ['manual' => true]);
+    }
+    spawn_cron();
+    
+    wp_send_json_success(['message' => 'Post generation started']);
+}
+add_action('wp_ajax_ai_news_generate_posts', 'ai_news_dashboard_ajax_generate_posts');
+
+/**
+ * AJAX handler to purge all plugin caches
+ */
+function ai_news_dashboard_ajax_purge_cache() {
+    if (!wp_verify_nonce($_POST['nonce'] ?? '', 'ai_news_dashboard_nonce')) {
+        wp_send_json_error('Security check failed');
+    }
+    
+    if (!CP_Capabilities::user_can('manage-cache')) {
+        wp_send_json_error('Insufficient permissions');
+    }
+    
+    if (!class_exists('CP_Cache_Manager')) {
+        wp_send_json_error('Cache manager is not available');
+    }
+    
+    $cache_manager = new CP_Cache_Manager();
+    $cache_manager->purge_all();
+    
+    wp_send_json_success(['message' => 'Cache purged']);
+}
+add_action('wp_ajax_ai_news_purge_cache', 'ai_news_dashboard_ajax_purge_cache');
 ?>
\ No newline at end of file
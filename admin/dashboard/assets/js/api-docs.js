@@ -0,0 +1,594 @@
+/**
+ * API Documentation for AI Auto News Poster Dashboard
+ *
+ * In-dashboard reference for the ai-auto-news/v1 REST routes, built from
+ * the /info route and the namespace index, with a console for sending
+ * authenticated requests.
+ *
+ * @package AI_Auto_News_Poster
+ * @since 2.0.0
+ */
+
+class AANP_ApiDocs {
+
+    constructor(dashboard) {
+        this.dashboard = dashboard;
+
+        this.info = null;
+        this.endpoints = [];
+        this.current = null;
+        this.modal = null;
+
+        /**
+         * Console credentials, kept in memory for the page lifetime only
+         */
+        this.credentials = {
+            mode: 'session',
+            apiKey: '',
+            token: ''
+        };
+    }
+
+    /**
+     * Open the reference, loading it on first use
+     */
+    async open() {
+        this.modal = this.dashboard.openModal({
+            title: 'API Documentation',
+            body: AANP_Html.html`<div class="api-docs-loading"><i class="fas fa-spinner fa-spin"></i> Loading API reference...</div>`,
+            className: 'modal-wide api-docs-modal'
+        });
+
+        try {
+            if (!this.info) {
+                await this.load();
+            }
+        } catch (error) {
+            console.error('Failed to load API reference:', error);
+            this.setBody(AANP_Html.html`<p class="api-docs-error">${error.message || 'Failed to load API reference'}</p>`);
+            return;
+        }
+
+        this.renderLayout();
+        this.select(this.current || this.endpoints[0]);
+    }
+
+    /**
+     * Load /info and the namespace index and merge them into endpoint entries
+     */
+    async load() {
+        const [info, index] = await Promise.all([
+            this.dashboard.restRequest('/info'),
+            this.dashboard.restRequest('')
+        ]);
+
+        const args = this.collectArgs(index.routes || {}, index.namespace || 'ai-auto-news/v1');
+        const descriptions = {};
+        const groups = {};
+
+        Object.entries(info.endpoints || {}).forEach(([group, paths]) => {
+            Object.entries(paths).forEach(([path, description]) => {
+                descriptions[path] = description;
+                groups[path] = group;
+            });
+        });
+
+        this.info = info;
+        this.endpoints = [];
+
+        Object.entries(info.routes || {}).forEach(([path, methods]) => {
+            Object.entries(methods).forEach(([method, details]) => {
+                this.endpoints.push({
+                    id: `${method} ${path}`,
+                    method,
+                    path,
+                    group: groups[path] || 'other',
+                    description: descriptions[path] || '',
+                    auth: details.auth,
+                    scope: details.scope,
+                    example: details.example,
+                    args: args[`${method} ${path}`] || {}
+                });
+            });
+        });
+
+        const order = Object.keys(info.endpoints || {});
+        this.endpoints.sort((a, b) => {
+            const groupA = order.indexOf(a.group) === -1 ? order.length : order.indexOf(a.group);
+            const groupB = order.indexOf(b.group) === -1 ? order.length : order.indexOf(b.group);
+            return groupA - groupB || a.path.localeCompare(b.path);
+        });
+    }
+
+    /**
+     * Map "METHOD /path" to the argument schema from the namespace index
+     */
+    collectArgs(routes, namespace) {
+        const prefix = `/${namespace}`;
+        const args = {};
+
+        Object.entries(routes).forEach(([route, definition]) => {
+            const path = route.replace(prefix, '').replace(/\(\?P<(\w+)>[^)]+\)/g, '{$1}');
+
+            (definition.endpoints || []).forEach(endpoint => {
+                (endpoint.methods || []).forEach(method => {
+                    args[`${method} ${path}`] = endpoint.args || {};
+                });
+            });
+        });
+
+        return args;
+    }
+
+    /**
+     * Render navigation and empty detail pane
+     */
+    renderLayout() {
+        const groups = {};
+        this.endpoints.forEach(endpoint => {
+            (groups[endpoint.group] = groups[endpoint.group] || []).push(endpoint);
+        });
+
+        const nav = Object.entries(groups).map(([group, endpoints]) => AANP_Html.html`
+            <div class="api-docs-group">
+                <h4>${this.formatGroup(group)}</h4>
+                ${endpoints.map(endpoint => AANP_Html.html`
+                    <button type="button" class="api-docs-link" data-endpoint="${endpoint.id}">
+                        <span class="http-method ${endpoint.method.toLowerCase()}">${endpoint.method}</span>
+                        <span class="api-docs-path">${endpoint.path}</span>
+                    </button>
+                `)}
+            </div>
+        `);
+
+        const rateLimit = this.info.rate_limiting || {};
+
+        this.setBody(AANP_Html.html`
+            <div class="api-docs">
+                <nav class="api-docs-nav" aria-label="API endpoints">
+                    <div class="api-docs-summary">
+                        <strong>${this.info.name || 'REST API'}</strong> ${this.info.version || ''}
+                        <code>${this.info.base_url || ''}</code>
+                        ${rateLimit.requests_per_hour ? AANP_Html.html`<span>${Number(rateLimit.requests_per_hour).toLocaleString()} requests/hour</span>` : ''}
+                    </div>
+                    ${nav}
+                </nav>
+                <div class="api-docs-detail" aria-live="polite"></div>
+            </div>
+        `);
+
+        this.modal.querySelector('.api-docs-nav').addEventListener('click', (e) => {
+            const link = e.target.closest('[data-endpoint]');
+            if (link) {
+                this.select(this.endpoints.find(endpoint => endpoint.id === link.dataset.endpoint));
+            }
+        });
+    }
+
+    /**
+     * Show an endpoint's reference and console
+     */
+    select(endpoint) {
+        if (!endpoint || !this.modal) {
+            return;
+        }
+
+        this.current = endpoint;
+
+        this.modal.querySelectorAll('.api-docs-link').forEach(link => {
+            link.classList.toggle('active', link.dataset.endpoint === endpoint.id);
+        });
+
+        const detail = this.modal.querySelector('.api-docs-detail');
+        AANP_Html.render(detail, AANP_Html.html`
+            <div class="api-docs-endpoint">
+                <h4>
+                    <span class="http-method ${endpoint.method.toLowerCase()}">${endpoint.method}</span>
+                    <code>${endpoint.path}</code>
+                </h4>
+                ${endpoint.description && AANP_Html.html`<p>${endpoint.description}</p>`}
+                <p class="api-docs-auth"><i class="fas fa-lock"></i> ${this.describeAuth(endpoint)}</p>
+            </div>
+            <h5>Parameters</h5>
+            ${this.renderArgs(endpoint)}
+            <h5>Example Response</h5>
+            ${endpoint.example
+                ? AANP_Html.html`<pre class="api-docs-code">${JSON.stringify(endpoint.example, null, 2)}</pre>`
+                : AANP_Html.html`<p class="api-docs-muted">No example available.</p>`}
+            <h5>Try It</h5>
+            ${this.renderConsole(endpoint)}
+        `);
+
+        this.bindConsole(detail, endpoint);
+    }
+
+    /**
+     * Describe who may call an endpoint
+     */
+    describeAuth(endpoint) {
+        if (endpoint.auth === 'none') {
+            return 'Public — no authentication required.';
+        }
+
+        if (endpoint.auth === 'session') {
+            return 'Requires a logged-in WordPress session.';
+        }
+
+        const scopes = (this.info.authentication && this.info.authentication.api_key_scopes) || {};
+        if (!endpoint.scope || !scopes[endpoint.scope]) {
+            return 'Requires a JWT bearer token or dashboard session. API keys are not accepted.';
+        }
+
+        return `Requires a JWT bearer token, or an API key with the "${endpoint.scope}" scope (${scopes[endpoint.scope]}).`;
+    }
+
+    /**
+     * Render the parameter table
+     */
+    renderArgs(endpoint) {
+        const args = Object.entries(endpoint.args);
+        if (args.length === 0) {
+            return AANP_Html.html`<p class="api-docs-muted">No parameters.</p>`;
+        }
+
+        return AANP_Html.html`
+            <div class="content-table-wrapper">
+                <table class="content-table api-docs-params">
+                    <thead>
+                        <tr><th>Name</th><th>Type</th><th>Required</th><th>Details</th></tr>
+                    </thead>
+                    <tbody>
+                        ${args.map(([name, arg]) => AANP_Html.html`
+                            <tr>
+                                <td><code>${name}</code></td>
+                                <td>${this.formatType(arg.type)}</td>
+                                <td>${arg.required ? 'Yes' : 'No'}</td>
+                                <td>${this.describeArg(arg)}</td>
+                            </tr>
+                        `)}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    /**
+     * Render the request console
+     */
+    renderConsole(endpoint) {
+        const pathParams = this.getPathParams(endpoint.path);
+        const bodyLabel = this.sendsBody(endpoint.method) ? 'JSON body' : 'Query parameters (JSON)';
+        const { mode, apiKey, token } = this.credentials;
+
+        return AANP_Html.html`
+            <form class="api-console">
+                <div class="api-console-row">
+                    <div class="form-field">
+                        <label for="api-console-auth">Authenticate with</label>
+                        <select id="api-console-auth">
+                            <option value="session" ${mode === 'session' ? 'selected' : ''}>Dashboard session</option>
+                            <option value="api_key" ${mode === 'api_key' ? 'selected' : ''}>API key</option>
+                            <option value="jwt" ${mode === 'jwt' ? 'selected' : ''}>JWT bearer token</option>
+                            <option value="none" ${mode === 'none' ? 'selected' : ''}>None</option>
+                        </select>
+                    </div>
+                    <div class="form-field" data-auth-field="api_key" ${mode === 'api_key' ? '' : 'hidden'}>
+                        <label for="api-console-key">API key</label>
+                        <input type="text" id="api-console-key" autocomplete="off" spellcheck="false" value="${apiKey}" placeholder="aanp_...">
+                    </div>
+                    <div class="form-field" data-auth-field="jwt" ${mode === 'jwt' ? '' : 'hidden'}>
+                        <label for="api-console-token">Access token</label>
+                        <input type="text" id="api-console-token" autocomplete="off" spellcheck="false" value="${token}">
+                    </div>
+                </div>
+                <details class="api-console-token-request" data-auth-field="jwt" ${mode === 'jwt' ? '' : 'hidden'}>
+                    <summary>Request a token from /auth/token</summary>
+                    <div class="api-console-row">
+                        <div class="form-field">
+                            <label for="api-console-username">Username</label>
+                            <input type="text" id="api-console-username" autocomplete="username">
+                        </div>
+                        <div class="form-field">
+                            <label for="api-console-password">Password</label>
+                            <input type="password" id="api-console-password" autocomplete="current-password">
+                        </div>
+                        <button type="button" class="btn btn-outline" data-request-token>Get Token</button>
+                    </div>
+                </details>
+                ${pathParams.length > 0 && AANP_Html.html`
+                    <div class="api-console-row">
+                        ${pathParams.map(name => AANP_Html.html`
+                            <div class="form-field">
+                                <label for="api-console-param-${name}">${name}</label>
+                                <input type="text" id="api-console-param-${name}" data-path-param="${name}" required>
+                            </div>
+                        `)}
+                    </div>
+                `}
+                <div class="form-field">
+                    <label for="api-console-params">${bodyLabel}</label>
+                    <textarea id="api-console-params" rows="5" spellcheck="false">${this.getParamTemplate(endpoint)}</textarea>
+                </div>
+                <div class="api-console-actions">
+                    <button type="submit" class="btn btn-primary">
+                        <i class="fas fa-paper-plane"></i> Send Request
+                    </button>
+                    <span class="api-console-status" aria-live="polite"></span>
+                </div>
+                <pre class="api-docs-code api-console-response" hidden></pre>
+            </form>
+        `;
+    }
+
+    /**
+     * Wire up console controls
+     */
+    bindConsole(container, endpoint) {
+        const form = container.querySelector('.api-console');
+        const authSelect = form.querySelector('#api-console-auth');
+
+        authSelect.addEventListener('change', () => {
+            this.credentials.mode = authSelect.value;
+            form.querySelectorAll('[data-auth-field]').forEach(field => {
+                field.hidden = field.dataset.authField !== authSelect.value;
+            });
+        });
+
+        form.querySelector('#api-console-key').addEventListener('input', (e) => {
+            this.credentials.apiKey = e.target.value.trim();
+        });
+
+        form.querySelector('#api-console-token').addEventListener('input', (e) => {
+            this.credentials.token = e.target.value.trim();
+        });
+
+        form.querySelector('[data-request-token]').addEventListener('click', () => this.requestToken(form));
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.send(form, endpoint);
+        });
+    }
+
+    /**
+     * Exchange a username and password for a JWT
+     */
+    async requestToken(form) {
+        const status = form.querySelector('.api-console-status');
+        const button = form.querySelector('[data-request-token]');
+        button.disabled = true;
+
+        try {
+            const result = await this.execute('POST', '/auth/token', {
+                grant_type: 'password',
+                username: form.querySelector('#api-console-username').value,
+                password: form.querySelector('#api-console-password').value
+            }, 'none');
+
+            if (!result.ok || !result.data || !result.data.access_token) {
+                throw new Error((result.data && result.data.message) || `Token request failed (${result.status})`);
+            }
+
+            this.credentials.token = result.data.access_token;
+            form.querySelector('#api-console-token').value = result.data.access_token;
+            form.querySelector('#api-console-password').value = '';
+            status.textContent = 'Token received';
+        } catch (error) {
+            status.textContent = error.message;
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    /**
+     * Send the console request and show the raw response
+     */
+    async send(form, endpoint) {
+        const status = form.querySelector('.api-console-status');
+        const output = form.querySelector('.api-console-response');
+        const button = form.querySelector('button[type="submit"]');
+
+        let params;
+        try {
+            const raw = form.querySelector('#api-console-params').value.trim();
+            params = raw ? JSON.parse(raw) : {};
+        } catch (error) {
+            status.textContent = `Invalid JSON: ${error.message}`;
+            return;
+        }
+
+        let path = endpoint.path;
+        form.querySelectorAll('[data-path-param]').forEach(input => {
+            path = path.replace(`{${input.dataset.pathParam}}`, encodeURIComponent(input.value.trim()));
+        });
+
+        button.disabled = true;
+        status.textContent = 'Sending...';
+
+        try {
+            const result = await this.execute(endpoint.method, path, params, this.credentials.mode);
+
+            AANP_Html.render(status, AANP_Html.html`
+                <span class="api-console-code ${result.ok ? 'success' : 'error'}">${result.status} ${result.statusText}</span>
+                ${result.duration} ms &middot; ${this.formatBytes(result.size)}
+            `);
+            output.textContent = result.data !== null ? JSON.stringify(result.data, null, 2) : result.text;
+            output.hidden = false;
+        } catch (error) {
+            status.textContent = `Request failed: ${error.message}`;
+            output.hidden = true;
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    /**
+     * Perform a request with the chosen credentials
+     */
+    async execute(method, path, params, mode) {
+        const config = window.ai_news_dashboard || {};
+        const baseUrl = (config.rest_url || '/wp-json/ai-auto-news/v1/').replace(/\/$/, '');
+        const url = new URL(baseUrl + path, window.location.origin);
+        const headers = { Accept: 'application/json' };
+        const options = { method, headers, credentials: 'omit' };
+
+        if (mode === 'session') {
+            headers['X-WP-Nonce'] = config.rest_nonce || '';
+            options.credentials = 'same-origin';
+        } else if (mode === 'api_key') {
+            headers['X-API-Key'] = this.credentials.apiKey;
+        } else if (mode === 'jwt') {
+            headers.Authorization = `Bearer ${this.credentials.token}`;
+        }
+
+        if (this.sendsBody(method)) {
+            headers['Content-Type'] = 'application/json';
+            options.body = JSON.stringify(params);
+        } else {
+            Object.entries(params).forEach(([key, value]) => {
+                if (Array.isArray(value)) {
+                    value.forEach(item => url.searchParams.append(`${key}[]`, item));
+                } else if (value !== null && value !== undefined) {
+                    url.searchParams.set(key, value);
+                }
+            });
+        }
+
+        const started = performance.now();
+        const response = await fetch(url.toString(), options);
+        const text = await response.text();
+        const duration = Math.round(performance.now() - started);
+
+        let data = null;
+        try {
+            data = text ? JSON.parse(text) : null;
+        } catch (error) {
+            data = null;
+        }
+
+        return {
+            ok: response.ok,
+            status: response.status,
+            statusText: response.statusText,
+            duration,
+            size: new Blob([text]).size,
+            text,
+            data
+        };
+    }
+
+    /**
+     * Build a starting parameter object from required args and defaults
+     */
+    getParamTemplate(endpoint) {
+        const pathParams = this.getPathParams(endpoint.path);
+        const template = {};
+
+        Object.entries(endpoint.args).forEach(([name, arg]) => {
+            if (pathParams.includes(name)) {
+                return;
+            }
+
+            if (arg.default !== undefined) {
+                template[name] = arg.default;
+            } else if (arg.required) {
+                template[name] = arg.enum ? arg.enum[0] : this.getPlaceholder(arg.type);
+            }
+        });
+
+        return Object.keys(template).length ? JSON.stringify(template, null, 2) : '';
+    }
+
+    /**
+     * Placeholder value for a schema type
+     */
+    getPlaceholder(type) {
+        const placeholders = {
+            integer: 0,
+            number: 0,
+            boolean: false,
+            array: [],
+            object: {}
+        };
+
+        const first = Array.isArray(type) ? type[0] : type;
+        return first in placeholders ? placeholders[first] : '';
+    }
+
+    /**
+     * Names of {placeholders} in a path
+     */
+    getPathParams(path) {
+        return Array.from(path.matchAll(/\{(\w+)\}/g), match => match[1]);
+    }
+
+    /**
+     * Whether a method sends its parameters as a JSON body
+     */
+    sendsBody(method) {
+        return !['GET', 'HEAD', 'DELETE'].includes(method);
+    }
+
+    /**
+     * Summarize an argument's constraints
+     */
+    describeArg(arg) {
+        const details = [];
+
+        if (arg.description) details.push(arg.description);
+        if (arg.enum) details.push(`One of: ${arg.enum.join(', ')}`);
+        if (arg.default !== undefined) details.push(`Default: ${JSON.stringify(arg.default)}`);
+        if (arg.minimum !== undefined) details.push(`Min: ${arg.minimum}`);
+        if (arg.maximum !== undefined) details.push(`Max: ${arg.maximum}`);
+        if (arg.format) details.push(`Format: ${arg.format}`);
+
+        return details.join('. ') || '—';
+    }
+
+    /**
+     * Format a schema type
+     */
+    formatType(type) {
+        return Array.isArray(type) ? type.join(' | ') : (type || 'string');
+    }
+
+    /**
+     * Format an endpoint group name
+     */
+    formatGroup(group) {
+        return group.charAt(0).toUpperCase() + group.slice(1);
+    }
+
+    /**
+     * Format a byte count
+     */
+    formatBytes(bytes) {
+        return bytes >= 1024 ? `${(bytes / 1024).toFixed(1)} KB` : `${bytes} B`;
+    }
+
+    /**
+     * Replace the modal body
+     */
+    setBody(template) {
+        if (this.modal) {
+            AANP_Html.render(this.modal.querySelector('.modal-body'), template);
+        }
+    }
+
+    /**
+     * Cleanup
+     */
+    destroy() {
+        if (this.modal && typeof this.modal.close === 'function') {
+            this.modal.close();
+        }
+
+        this.modal = null;
+        this.credentials = { mode: 'session', apiKey: '', token: '' };
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AANP_ApiDocs;
+}
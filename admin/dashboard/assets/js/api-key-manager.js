@@ -0,0 +1,338 @@
+/**
+ * API Key Manager for AI Auto News Poster Dashboard
+ *
+ * Lists, creates, rotates and revokes scoped REST API keys. Plaintext
+ * keys are only available in the response that created them.
+ *
+ * @package AI_Auto_News_Poster
+ * @since 2.0.0
+ */
+
+class AANP_ApiKeyManager {
+
+    constructor(dashboard) {
+        this.dashboard = dashboard;
+
+        this.keys = [];
+        this.scopes = {
+            'content:read': 'Read content',
+            generate: 'Generate',
+            monitoring: 'Monitoring'
+        };
+        this.isLoading = false;
+
+        this.elements = {};
+
+        this.init();
+    }
+
+    /**
+     * Initialize API key manager
+     */
+    init() {
+        this.elements = {
+            form: document.getElementById('api-key-form'),
+            name: document.getElementById('api-key-name'),
+            expiry: document.getElementById('api-key-expiry'),
+            submit: document.getElementById('create-api-key'),
+            list: document.getElementById('api-keys-list')
+        };
+
+        if (!this.elements.list) {
+            return;
+        }
+
+        if (this.elements.expiry) {
+            this.elements.expiry.min = this.getTomorrow();
+        }
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Set up event listeners
+     */
+    setupEventListeners() {
+        if (this.elements.form) {
+            this.elements.form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.createKey();
+            });
+        }
+
+        this.elements.list.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-key-action]');
+            if (!button) {
+                return;
+            }
+
+            const keyId = parseInt(button.dataset.keyId, 10);
+
+            if (button.dataset.keyAction === 'revoke') {
+                this.revokeKey(keyId);
+            } else if (button.dataset.keyAction === 'rotate') {
+                this.rotateKey(keyId);
+            }
+        });
+    }
+
+    /**
+     * Load keys from the server
+     */
+    async loadKeys() {
+        if (this.isLoading) {
+            return;
+        }
+
+        this.isLoading = true;
+        this.elements.list.setAttribute('aria-busy', 'true');
+
+        try {
+            const data = await this.dashboard.ajaxRequest('ai_news_get_api_keys');
+
+            this.keys = data.keys || [];
+            if (data.scopes) {
+                this.scopes = data.scopes;
+            }
+
+            this.render();
+        } catch (error) {
+            console.error('Failed to load API keys:', error);
+            this.renderMessage('Failed to load API keys');
+            throw error;
+        } finally {
+            this.isLoading = false;
+            this.elements.list.removeAttribute('aria-busy');
+        }
+    }
+
+    /**
+     * Reload keys, reporting failures to the user
+     */
+    refresh() {
+        this.loadKeys().catch(() => this.dashboard.showNotification('Failed to load API keys', 'error'));
+    }
+
+    /**
+     * Create a key from the form values
+     */
+    async createKey() {
+        const scopes = Array.from(document.querySelectorAll('input[name="api-key-scope"]:checked'))
+            .map(input => input.value);
+
+        if (scopes.length === 0) {
+            this.dashboard.showNotification('Select at least one scope', 'warning');
+            return;
+        }
+
+        const params = {
+            name: this.elements.name ? this.elements.name.value.trim() : '',
+            scopes,
+            expires_at: this.elements.expiry ? this.elements.expiry.value : ''
+        };
+
+        const buttons = [this.elements.submit, document.getElementById('generate-api-key')].filter(Boolean);
+        buttons.forEach(button => { button.disabled = true; });
+
+        try {
+            const data = await this.dashboard.ajaxRequest('ai_news_generate_api_key', params);
+
+            if (this.elements.form) {
+                this.elements.form.reset();
+            }
+
+            this.showKey(data.api_key, data.key);
+            this.dashboard.showNotification(data.message || 'API key generated successfully', 'success');
+            this.refresh();
+        } catch (error) {
+            console.error('API key generation failed:', error);
+            this.dashboard.showNotification(error.message || 'Failed to generate API key', 'error');
+        } finally {
+            buttons.forEach(button => { button.disabled = false; });
+        }
+    }
+
+    /**
+     * Revoke a key
+     */
+    async revokeKey(keyId) {
+        const key = this.findKey(keyId);
+        if (!key || !window.confirm(`Revoke "${key.name}"? Requests using this key will be rejected immediately.`)) {
+            return;
+        }
+
+        try {
+            await this.dashboard.ajaxRequest('ai_news_revoke_api_key', { key_id: keyId });
+            this.dashboard.showNotification('API key revoked', 'success');
+            this.refresh();
+        } catch (error) {
+            console.error('API key revocation failed:', error);
+            this.dashboard.showNotification(error.message || 'Failed to revoke API key', 'error');
+        }
+    }
+
+    /**
+     * Replace a key with a new one carrying the same settings
+     */
+    async rotateKey(keyId) {
+        const key = this.findKey(keyId);
+        if (!key || !window.confirm(`Rotate "${key.name}"? The current key stops working as soon as the new one is issued.`)) {
+            return;
+        }
+
+        try {
+            const data = await this.dashboard.ajaxRequest('ai_news_rotate_api_key', { key_id: keyId });
+            this.showKey(data.api_key, data.key);
+            this.dashboard.showNotification('API key rotated', 'success');
+            this.refresh();
+        } catch (error) {
+            console.error('API key rotation failed:', error);
+            this.dashboard.showNotification(error.message || 'Failed to rotate API key', 'error');
+        }
+    }
+
+    /**
+     * Show a newly issued key once
+     */
+    showKey(apiKey, key) {
+        const modal = this.dashboard.openModal({
+            title: 'New API Key',
+            body: AANP_Html.html`
+                <p>Copy the key for <strong>${key ? key.name : 'your integration'}</strong> now. It will not be shown again.</p>
+                <div class="api-key-reveal">
+                    <input type="text" readonly value="${apiKey}" aria-label="API key">
+                    <button type="button" class="btn btn-primary" data-copy-key>
+                        <i class="fas fa-copy"></i> Copy
+                    </button>
+                </div>
+                <p>Send it in the <code>X-API-Key</code> header.</p>
+            `,
+            footer: AANP_Html.html`<button type="button" class="btn btn-outline" data-modal-close>Done</button>`
+        });
+
+        const input = modal.querySelector('.api-key-reveal input');
+        input.addEventListener('focus', () => input.select());
+
+        modal.querySelector('[data-copy-key]').addEventListener('click', () => {
+            this.dashboard.copyToClipboard(apiKey);
+        });
+    }
+
+    /**
+     * Render key rows
+     */
+    render() {
+        if (this.keys.length === 0) {
+            this.renderMessage('No API keys yet');
+            return;
+        }
+
+        AANP_Html.render(this.elements.list, this.keys.map(key => this.renderRow(key)));
+    }
+
+    /**
+     * Render a single key row
+     */
+    renderRow(key) {
+        const active = key.status === 'active';
+        const scopes = (key.scopes || []).map(scope => AANP_Html.html`
+            <span class="api-key-scope">${this.scopes[scope] || scope}</span>
+        `);
+
+        return AANP_Html.html`
+            <tr>
+                <td class="content-title">${key.name}</td>
+                <td><code class="api-key-prefix">${key.prefix}&hellip;</code></td>
+                <td>${scopes}</td>
+                <td>${this.formatDate(key.created_at)}</td>
+                <td>${key.last_used_at ? this.dashboard.formatTimeAgo(key.last_used_at * 1000) : 'Never'}</td>
+                <td>${Number(key.request_count || 0).toLocaleString()}</td>
+                <td>${key.expires_at ? this.formatDate(key.expires_at) : 'Never'}</td>
+                <td><span class="content-status ${key.status}">${this.formatStatus(key.status)}</span></td>
+                <td>
+                    ${active && AANP_Html.html`
+                        <div class="api-key-actions">
+                            <button type="button" class="btn btn-outline btn-sm" data-key-action="rotate" data-key-id="${key.id}">Rotate</button>
+                            <button type="button" class="btn btn-danger btn-sm" data-key-action="revoke" data-key-id="${key.id}">Revoke</button>
+                        </div>
+                    `}
+                </td>
+            </tr>
+        `;
+    }
+
+    /**
+     * Render a single message row spanning the table
+     */
+    renderMessage(message) {
+        AANP_Html.render(this.elements.list, AANP_Html.html`
+            <tr><td colspan="9" class="content-empty">${message}</td></tr>
+        `);
+    }
+
+    /**
+     * Find a loaded key by id
+     */
+    findKey(keyId) {
+        return this.keys.find(key => key.id === keyId);
+    }
+
+    /**
+     * Format status label
+     */
+    formatStatus(status) {
+        const labels = {
+            active: 'Active',
+            revoked: 'Revoked',
+            expired: 'Expired'
+        };
+
+        return labels[status] || String(status || '');
+    }
+
+    /**
+     * Format a unix timestamp as a date
+     */
+    formatDate(timestamp) {
+        if (!timestamp) {
+            return '—';
+        }
+
+        return new Date(timestamp * 1000).toLocaleDateString(undefined, {
+            year: 'numeric',
+            month: 'short',
+            day: 'numeric'
+        });
+    }
+
+    /**
+     * Earliest selectable expiry date (YYYY-MM-DD)
+     */
+    getTomorrow() {
+        const date = new Date();
+        date.setDate(date.getDate() + 1);
+
+        return [
+            date.getFullYear(),
+            String(date.getMonth() + 1).padStart(2, '0'),
+            String(date.getDate()).padStart(2, '0')
+        ].join('-');
+    }
+
+    /**
+     * Cleanup
+     */
+    destroy() {
+        document.querySelectorAll('.dashboard-modal').forEach(modal => {
+            if (typeof modal.close === 'function') {
+                modal.close();
+            }
+        });
+        this.keys = [];
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AANP_ApiKeyManager;
+}
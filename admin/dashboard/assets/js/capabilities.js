@@ -0,0 +1,117 @@
+/**
+ * Capabilities for AI Auto News Poster Dashboard
+ *
+ * Reflects the ContentPilot capabilities the server granted the current
+ * user. Controls marked with data-capability="manage-keys" are disabled
+ * with an explanation, or hidden with data-capability-mode="hide", when
+ * the user lacks that capability. This only shapes the UI; every AJAX
+ * handler checks the same capability again.
+ *
+ * @package AI_Auto_News_Poster
+ * @since 2.0.0
+ */
+
+class AANP_Capabilities {
+
+    constructor(dashboard) {
+        this.dashboard = dashboard;
+
+        const data = window.ai_news_dashboard || {};
+        this.labels = data.capabilities || {};
+
+        // The standalone preview has no user data and gets every capability
+        const granted = data.user && data.user.capabilities;
+        this.restricted = Array.isArray(granted);
+        this.granted = new Set(this.restricted ? granted : []);
+
+        this.handleClick = (e) => this.onClick(e);
+        document.addEventListener('click', this.handleClick, true);
+
+        this.apply();
+    }
+
+    /**
+     * Whether the current user holds a capability
+     */
+    can(capability) {
+        return !this.restricted || this.granted.has(capability);
+    }
+
+    /**
+     * Sentence explaining a missing capability
+     */
+    explain(capability) {
+        const label = this.labels[capability] || capability;
+
+        return `You do not have the "${label}" permission. Ask a site administrator for access.`;
+    }
+
+    /**
+     * Return whether the user may proceed, explaining why not otherwise
+     */
+    check(capability) {
+        if (this.can(capability)) {
+            return true;
+        }
+
+        this.dashboard.showNotification(this.explain(capability), 'warning');
+        return false;
+    }
+
+    /**
+     * Hide or disable the controls under root the user cannot use
+     */
+    apply(root = document) {
+        const elements = Array.from(root.querySelectorAll('[data-capability]'));
+        if (root.matches && root.matches('[data-capability]')) {
+            elements.unshift(root);
+        }
+
+        elements.forEach(element => {
+            const capability = element.dataset.capability;
+            if (this.can(capability)) {
+                return;
+            }
+
+            if (element.dataset.capabilityMode === 'hide') {
+                element.hidden = true;
+                return;
+            }
+
+            if (element.matches('input, select, textarea, fieldset')) {
+                element.disabled = true;
+            } else {
+                element.setAttribute('aria-disabled', 'true');
+            }
+
+            element.classList.add('is-restricted');
+            element.title = this.explain(capability);
+        });
+    }
+
+    /**
+     * Stop clicks on restricted controls before their handlers run
+     */
+    onClick(e) {
+        const element = e.target.closest('[data-capability]');
+        if (!element || this.can(element.dataset.capability)) {
+            return;
+        }
+
+        e.preventDefault();
+        e.stopPropagation();
+        this.check(element.dataset.capability);
+    }
+
+    /**
+     * Remove the click guard
+     */
+    destroy() {
+        document.removeEventListener('click', this.handleClick, true);
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AANP_Capabilities;
+}
@@ -0,0 +1,388 @@
+/**
+ * Chart Annotations for AI Auto News Poster Dashboard
+ *
+ * Draws vertical markers on the chart views' time series charts for
+ * deploys, feed changes, alerts and notes users add by hand, so a dip or
+ * spike can be matched to what happened at the time. Clicking a marker
+ * shows its details.
+ *
+ * @package AI_Auto_News_Poster
+ * @since 2.0.0
+ */
+
+class AANP_ChartAnnotations {
+
+    constructor(dashboard) {
+        this.dashboard = dashboard;
+        this.windows = new Map();
+        this.hits = new Map();
+        this.buttons = [];
+        this.listeners = [];
+        this.hitRadius = 6;
+
+        this.categories = {
+            deploy: { label: 'Deploys', icon: 'fa-rocket', color: '#6f42c1' },
+            feeds: { label: 'Feed changes', icon: 'fa-rss', color: '#fd7e14' },
+            incident: { label: 'Incidents', icon: 'fa-exclamation-triangle', color: '#dc3545' },
+            note: { label: 'Notes', icon: 'fa-sticky-note', color: '#007cba' }
+        };
+
+        this.plugin = {
+            id: 'aanpAnnotations',
+            beforeUpdate: (chart) => this.load(chart),
+            afterDatasetsDraw: (chart) => this.draw(chart)
+        };
+
+        if (typeof Chart !== 'undefined') {
+            Chart.register(this.plugin);
+        }
+
+        Object.entries(dashboard.charts).forEach(([key, chart]) => {
+            if (dashboard.chartViews && dashboard.chartViews.manages(key)) {
+                this.attach(key, chart);
+            }
+        });
+    }
+
+    /**
+     * Listen for marker clicks on a chart and add its annotate button
+     */
+    attach(key, chart) {
+        const canvas = chart.canvas;
+
+        const onClick = (e) => {
+            const annotation = this.hitTest(chart, e);
+            if (annotation) {
+                this.openAnnotation(annotation);
+            }
+        };
+
+        const onMove = (e) => {
+            const annotation = this.hitTest(chart, e);
+            canvas.style.cursor = annotation ? 'pointer' : '';
+            canvas.title = annotation ? annotation.title : '';
+        };
+
+        canvas.addEventListener('click', onClick);
+        canvas.addEventListener('mousemove', onMove);
+        this.listeners.push(() => {
+            canvas.removeEventListener('click', onClick);
+            canvas.removeEventListener('mousemove', onMove);
+        });
+
+        const controls = document.querySelector(`.chart-view-controls[data-chart-view="${key}"]`);
+        if (!controls) {
+            return;
+        }
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'chart-btn chart-annotate-btn';
+        button.dataset.capability = 'annotate-charts';
+        AANP_Html.render(button, AANP_Html.html`<i class="fas fa-map-pin"></i> Annotate`);
+        button.addEventListener('click', () => this.openForm());
+        controls.after(button);
+
+        this.buttons.push(button);
+        if (this.dashboard.capabilities) this.dashboard.capabilities.apply(button);
+    }
+
+    /**
+     * Chart view data behind a chart, if it is one of the managed charts
+     */
+    getData(chart) {
+        const chartViews = this.dashboard.chartViews;
+        if (!chartViews) {
+            return null;
+        }
+
+        const key = Object.keys(this.dashboard.charts).find(name => this.dashboard.charts[name] === chart);
+
+        return key && chartViews.manages(key) ? chartViews.data[key] || null : null;
+    }
+
+    /**
+     * Fetch annotations for a chart's window unless already loaded
+     *
+     * Redraws the chart once they arrive.
+     */
+    load(chart) {
+        const data = this.getData(chart);
+        if (!data) {
+            return;
+        }
+
+        const { start, end } = data.window;
+        const key = `${start}:${end}`;
+
+        if (!this.windows.has(key)) {
+            const entry = { annotations: [], charts: new Set() };
+            this.windows.set(key, entry);
+
+            entry.request = this.dashboard.ajaxRequest('ai_news_get_annotations', { start, end })
+                .then(result => {
+                    entry.annotations = result.annotations || [];
+                    entry.charts.forEach(waiting => {
+                        if (waiting.canvas) waiting.update('none');
+                    });
+                })
+                .catch(error => {
+                    console.error('Failed to load annotations:', error);
+                    this.windows.delete(key);
+                });
+        }
+
+        this.windows.get(key).charts.add(chart);
+    }
+
+    /**
+     * Annotations loaded for a chart's current window
+     */
+    getAnnotations(chart) {
+        const data = this.getData(chart);
+        const entry = data && this.windows.get(`${data.window.start}:${data.window.end}`);
+
+        return entry ? entry.annotations : [];
+    }
+
+    /**
+     * Horizontal position of a unix time on a chart, or null outside it
+     *
+     * Labels are bucket or sample times, so the position is interpolated
+     * between the two labels around the time.
+     */
+    position(chart, data, time) {
+        const timestamps = data.timestamps;
+        const at = time * 1000;
+        const last = timestamps.length - 1;
+        if (last < 0 || at < timestamps[0]) {
+            return null;
+        }
+
+        const step = last > 0 ? timestamps[1] - timestamps[0] : data.window.bucket * 1000;
+        if (at >= timestamps[last] + step) {
+            return null;
+        }
+
+        let index = 0;
+        while (index < last && timestamps[index + 1] <= at) {
+            index++;
+        }
+
+        const next = index < last ? timestamps[index + 1] : timestamps[index] + step;
+        const fraction = (at - timestamps[index]) / (next - timestamps[index] || 1);
+        const x = chart.scales.x;
+        const from = x.getPixelForValue(index);
+        const to = index < last ? x.getPixelForValue(index + 1) : from + (last > 0 ? from - x.getPixelForValue(index - 1) : 0);
+
+        return from + (to - from) * fraction;
+    }
+
+    /**
+     * Draw a dashed line and category dot for each annotation
+     */
+    draw(chart) {
+        const data = this.getData(chart);
+        const hits = [];
+        this.hits.set(chart, hits);
+
+        if (!data || !chart.scales.x) {
+            return;
+        }
+
+        const { ctx, chartArea } = chart;
+
+        this.getAnnotations(chart).forEach(annotation => {
+            const x = this.position(chart, data, annotation.time);
+            if (x === null || x < chartArea.left || x > chartArea.right) {
+                return;
+            }
+
+            const category = this.categories[annotation.category] || this.categories.note;
+
+            ctx.save();
+            ctx.strokeStyle = category.color;
+            ctx.fillStyle = category.color;
+            ctx.lineWidth = 1;
+            ctx.setLineDash([4, 3]);
+            ctx.beginPath();
+            ctx.moveTo(x, chartArea.top);
+            ctx.lineTo(x, chartArea.bottom);
+            ctx.stroke();
+            ctx.setLineDash([]);
+            ctx.beginPath();
+            ctx.arc(x, chartArea.top + 4, 4, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.restore();
+
+            hits.push({ x, annotation });
+        });
+    }
+
+    /**
+     * Annotation under a mouse event, if any
+     */
+    hitTest(chart, e) {
+        const hits = this.hits.get(chart) || [];
+        const rect = chart.canvas.getBoundingClientRect();
+        const x = e.clientX - rect.left;
+        const y = e.clientY - rect.top;
+
+        if (y < chart.chartArea.top - this.hitRadius || y > chart.chartArea.bottom) {
+            return null;
+        }
+
+        const hit = hits.find(item => Math.abs(item.x - x) <= this.hitRadius);
+        return hit ? hit.annotation : null;
+    }
+
+    /**
+     * Show an annotation's details
+     */
+    openAnnotation(annotation) {
+        const category = this.categories[annotation.category] || this.categories.note;
+        const time = new Date(annotation.time * 1000);
+        const openAlert = annotation.alert_id && annotation.status !== 'resolved';
+
+        const modal = this.dashboard.openModal({
+            title: annotation.title,
+            className: 'annotation-modal',
+            body: AANP_Html.html`
+                <dl class="alert-detail">
+                    <dt>Type</dt><dd><i class="fas ${category.icon}" style="color: ${category.color}"></i> ${category.label}</dd>
+                    <dt>When</dt><dd>${time.toLocaleString()} (${this.dashboard.formatTimeAgo(time)})</dd>
+                    ${annotation.author && AANP_Html.html`<dt>Added by</dt><dd>${annotation.author}</dd>`}
+                    ${annotation.status && AANP_Html.html`<dt>Status</dt><dd>${annotation.status}</dd>`}
+                    ${annotation.note && AANP_Html.html`<dt>Details</dt><dd class="annotation-note">${annotation.note}</dd>`}
+                    ${annotation.link && AANP_Html.html`<dt>Link</dt><dd><a href="${annotation.link}">${annotation.link}</a></dd>`}
+                </dl>
+            `,
+            footer: AANP_Html.html`
+                ${annotation.can_delete && AANP_Html.html`<button type="button" class="btn btn-danger" data-annotation-action="delete">Delete</button>`}
+                ${openAlert && AANP_Html.html`<button type="button" class="btn btn-primary" data-annotation-action="alert">Open alert</button>`}
+                <button type="button" class="btn btn-outline" data-modal-close>Close</button>
+            `
+        });
+
+        modal.querySelector('[data-annotation-action="alert"]')?.addEventListener('click', () => {
+            modal.close();
+            this.dashboard.openAlert(annotation.alert_id);
+        });
+
+        const deleteButton = modal.querySelector('[data-annotation-action="delete"]');
+        deleteButton?.addEventListener('click', async () => {
+            if (!confirm('Delete this annotation?')) return;
+
+            deleteButton.disabled = true;
+            try {
+                await this.dashboard.ajaxRequest('ai_news_delete_annotation', { annotation_id: annotation.id });
+                this.dashboard.showNotification('Annotation deleted', 'success');
+                modal.close();
+                this.reload();
+            } catch (error) {
+                console.error('Failed to delete annotation:', error);
+                this.dashboard.showNotification(error.message || 'Failed to delete annotation', 'error');
+                deleteButton.disabled = false;
+            }
+        });
+    }
+
+    /**
+     * Ask for a manual annotation and save it
+     */
+    openForm() {
+        if (this.dashboard.capabilities && !this.dashboard.capabilities.check('annotate-charts')) {
+            return;
+        }
+
+        // datetime-local wants local time without a zone
+        const now = new Date();
+        const local = new Date(now.getTime() - now.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+
+        const modal = this.dashboard.openModal({
+            title: 'Add annotation',
+            className: 'annotation-modal',
+            body: AANP_Html.html`
+                <form class="annotation-form" id="annotation-form">
+                    <label>Title
+                        <input type="text" name="title" maxlength="200" required placeholder="e.g. Switched to new theme">
+                    </label>
+                    <label>When
+                        <input type="datetime-local" name="time" value="${local}" max="${local}" required>
+                    </label>
+                    <label>Note
+                        <textarea name="note" rows="3" maxlength="2000" placeholder="What changed and why"></textarea>
+                    </label>
+                </form>
+            `,
+            footer: AANP_Html.html`
+                <button type="button" class="btn btn-outline" data-modal-close>Cancel</button>
+                <button type="submit" class="btn btn-primary" form="annotation-form">Add annotation</button>
+            `
+        });
+
+        const form = modal.querySelector('form');
+        form.elements.title.focus();
+
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+
+            const submit = modal.querySelector('[type="submit"]');
+            const time = new Date(form.elements.time.value);
+            if (Number.isNaN(time.getTime())) {
+                this.dashboard.showNotification('Pick a valid date and time', 'warning');
+                return;
+            }
+
+            submit.disabled = true;
+            try {
+                await this.dashboard.ajaxRequest('ai_news_create_annotation', {
+                    title: form.elements.title.value.trim(),
+                    note: form.elements.note.value.trim(),
+                    time: Math.floor(time.getTime() / 1000)
+                });
+                this.dashboard.showNotification('Annotation added', 'success');
+                modal.close();
+                this.reload();
+            } catch (error) {
+                console.error('Failed to add annotation:', error);
+                this.dashboard.showNotification(error.message || 'Failed to add annotation', 'error');
+                submit.disabled = false;
+            }
+        });
+    }
+
+    /**
+     * Drop loaded annotations and fetch them again for every chart
+     */
+    reload() {
+        const charts = new Set();
+        this.windows.forEach(entry => entry.charts.forEach(chart => charts.add(chart)));
+        this.windows.clear();
+
+        charts.forEach(chart => {
+            if (chart.canvas) chart.update('none');
+        });
+    }
+
+    /**
+     * Cleanup
+     */
+    destroy() {
+        if (typeof Chart !== 'undefined') {
+            Chart.unregister(this.plugin);
+        }
+
+        this.listeners.forEach(remove => remove());
+        this.listeners = [];
+        this.buttons.forEach(button => button.remove());
+        this.buttons = [];
+        this.windows.clear();
+        this.hits.clear();
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AANP_ChartAnnotations;
+}
@@ -0,0 +1,788 @@
+/**
+ * Chart Views for AI Auto News Poster Dashboard
+ *
+ * Lets users switch the dashboard's time series charts between line,
+ * area, bar and stacked views and overlay further metrics on them. A
+ * metric in a different unit than the chart's first series is drawn
+ * against a secondary y-axis, so at most two units share a chart. Views
+ * are saved per user with the dashboard settings. Each chart can also be
+ * compared to an earlier period, and live charts can show a trend
+ * forecast for memory, disk and API requests with the time until the
+ * metric reaches its critical alert level; neither is saved. Projections
+ * that reach the level within a week raise a warning alert.
+ *
+ * @package AI_Auto_News_Poster
+ * @since 2.0.0
+ */
+
+class AANP_ChartViews {
+
+    constructor(dashboard) {
+        this.dashboard = dashboard;
+        this.controls = new Map();
+        this.summaries = new Map();
+        this.data = {};
+        this.comparisons = {};
+        this.comparison = typeof AANP_PeriodComparison !== 'undefined' ? new AANP_PeriodComparison() : null;
+        this.forecastSummaries = new Map();
+        this.forecasts = {};
+        this.fits = {};
+        this.estimates = {};
+        this.forecastAlerts = {};
+        this.forecast = typeof AANP_MetricForecast !== 'undefined' ? new AANP_MetricForecast() : null;
+        this.trend = null;
+        this.trendTimer = null;
+        this.forecastAlertWithin = 604800000; // Warn when a threshold is projected within 7 days
+        this.forecastAlertInterval = 900000; // Report a projection at most every 15 minutes
+        this.saveTimer = null;
+        this.unsubscribeMetrics = null;
+        this.maxSeries = 4;
+        this.liveSamples = 20;
+
+        this.types = {
+            line: 'Line',
+            area: 'Area',
+            bar: 'Bar',
+            stacked: 'Stacked'
+        };
+
+        // Series in the history returned by ai_news_get_metrics_history
+        this.historySeries = {
+            performance_score: { label: 'Performance Score', unit: 'score', max: 100, better: 'higher', color: '#007cba' },
+            total_views: { label: 'Views', unit: 'views', better: 'higher', color: '#6f42c1' },
+            articles_published: { label: 'Articles Published', unit: 'articles', better: 'higher', color: '#28a745' },
+            response_time: { label: 'Response Time (ms)', unit: 'ms', better: 'lower', color: '#17a2b8' },
+            memory_usage: { label: 'Memory Usage (%)', unit: '%', max: 100, better: 'lower', color: '#fd7e14' },
+            query_count: { label: 'Database Queries', unit: 'queries', better: 'lower', color: '#6c757d' }
+        };
+
+        // Metrics kept by the metrics store; history names the series the
+        // server records for comparisons, forecast marks the ones whose
+        // trend is projected
+        this.liveSeries = {
+            responseTime: { label: 'Response Time (ms)', unit: 'ms', better: 'lower', history: 'response_time', color: '#28a745' },
+            memoryUsage: { label: 'Memory Usage (%)', unit: '%', max: 100, better: 'lower', history: 'memory_usage', forecast: true, color: '#fd7e14' },
+            diskUsage: { label: 'Disk Usage (%)', unit: '%', max: 100, better: 'lower', history: 'disk_usage', forecast: true, color: '#e83e8c' },
+            cpuUsage: { label: 'CPU Usage (%)', unit: '%', max: 100, better: 'lower', color: '#17a2b8' },
+            cacheHitRate: { label: 'Cache Hit Rate (%)', unit: '%', max: 100, better: 'higher', color: '#20c997' },
+            errorRate: { label: 'Error Rate (%)', unit: '%', max: 100, better: 'lower', color: '#dc3545' },
+            apiRequests: { label: 'API Requests', unit: 'requests', better: 'higher', history: 'api_requests', forecast: true, color: '#6f42c1' },
+            databaseQueries: { label: 'Database Queries', unit: 'queries', better: 'lower', history: 'query_count', color: '#6c757d' },
+            queueDepth: { label: 'Queue Depth', unit: 'jobs', better: 'lower', color: '#ffc107' }
+        };
+
+        // Dashboard charts, where their data comes from and their first series
+        this.definitions = {
+            performance: { source: 'history', series: 'performance_score', primaryLocked: false },
+            responseTime: { source: 'live', series: 'responseTime', primaryLocked: true },
+            memory: { source: 'live', series: 'memoryUsage', primaryLocked: true },
+            cpu: { source: 'live', series: 'cpuUsage', primaryLocked: true }
+        };
+
+        const saved = dashboard.settings.charts || {};
+        this.views = {};
+
+        Object.entries(this.definitions).forEach(([key, definition]) => {
+            if (!dashboard.charts[key]) {
+                return;
+            }
+
+            const view = saved[key] || {};
+            const series = Array.isArray(view.series) ? view.series : [];
+
+            this.views[key] = {
+                type: this.types[view.type] ? view.type : 'area',
+                series: this.normalizeSeries(key, definition.primaryLocked
+                    ? [definition.series, ...series.filter(name => name !== definition.series)]
+                    : series.concat(definition.series))
+            };
+
+            this.buildControls(key);
+        });
+
+        if (dashboard.metricsStore) {
+            this.unsubscribeMetrics = dashboard.metricsStore.subscribe(
+                () => this.updateLive(),
+                { replay: true }
+            );
+        }
+
+        if (this.forecast) {
+            this.loadTrend();
+            this.trendTimer = setInterval(() => this.loadTrend(), this.forecast.maxAge);
+        }
+    }
+
+    /**
+     * Whether a chart's data is managed here
+     */
+    manages(key) {
+        return Boolean(this.views[key]);
+    }
+
+    /**
+     * Series that can be drawn on a chart
+     */
+    getCatalog(key) {
+        return this.definitions[key].source === 'history' ? this.historySeries : this.liveSeries;
+    }
+
+    /**
+     * Drop unknown and duplicate series and keep at most two units
+     */
+    normalizeSeries(key, series) {
+        const catalog = this.getCatalog(key);
+        const units = [];
+
+        const normalized = series.filter((name, index) => {
+            if (!catalog[name] || series.indexOf(name) !== index) {
+                return false;
+            }
+
+            const unit = catalog[name].unit;
+            if (!units.includes(unit)) {
+                if (units.length === 2) {
+                    return false;
+                }
+                units.push(unit);
+            }
+
+            return true;
+        });
+
+        return normalized.length ? normalized.slice(0, this.maxSeries) : [this.definitions[key].series];
+    }
+
+    /**
+     * Feed history charts with a newly loaded history window
+     */
+    setHistory(history, labels) {
+        Object.keys(this.views).forEach(key => {
+            if (this.definitions[key].source === 'history') {
+                this.data[key] = {
+                    labels,
+                    timestamps: history.labels.map(timestamp => timestamp * 1000),
+                    values: history.series,
+                    window: { start: history.start, end: history.end, bucket: history.bucket_size }
+                };
+                this.render(key);
+                this.loadComparison(key);
+            }
+        });
+    }
+
+    /**
+     * Redraw live charts from the metrics store's latest samples
+     */
+    updateLive() {
+        const samples = this.dashboard.metricsStore.getSamples().slice(-this.liveSamples);
+        if (!samples.length) {
+            return;
+        }
+
+        const labels = samples.map(sample => new Date(sample.timestamp).toLocaleTimeString());
+        const timestamps = samples.map(sample => sample.timestamp);
+        const values = {};
+
+        Object.keys(this.liveSeries).forEach(name => {
+            values[name] = samples.map(sample => sample[name] ?? null);
+        });
+
+        // Compare against whole hours of minute buckets so the window
+        // is only fetched again once samples move past it
+        const start = Math.floor(timestamps[0] / 3600000) * 3600;
+        const end = Math.max(start + 7200, Math.ceil(timestamps[timestamps.length - 1] / 3600000) * 3600);
+        const range = { start, end, bucket: 60 };
+
+        this.updateForecasts();
+
+        Object.keys(this.views).forEach(key => {
+            if (this.definitions[key].source === 'live') {
+                this.data[key] = { labels, timestamps, values, window: range };
+                this.render(key, 'none');
+                this.loadComparison(key);
+            }
+        });
+    }
+
+    /**
+     * Compare a chart to an earlier period, or stop comparing it
+     */
+    setComparison(key, period, date = '') {
+        if (!this.views[key]) {
+            return;
+        }
+
+        if (period) {
+            this.comparisons[key] = { period, date, result: null };
+            this.loadComparison(key);
+        } else {
+            delete this.comparisons[key];
+        }
+
+        this.render(key);
+        this.renderControls(key);
+    }
+
+    /**
+     * Fetch the earlier period for a chart's current window
+     */
+    async loadComparison(key) {
+        const comparison = this.comparisons[key];
+        const data = this.data[key];
+        if (!this.comparison || !comparison || !data || (comparison.period === 'custom' && !comparison.date)) {
+            return;
+        }
+
+        try {
+            const result = await this.comparison.load(data.window, comparison.period, comparison.date);
+
+            // Ignore results for a comparison the user has since changed
+            if (this.comparisons[key] === comparison && comparison.result !== result) {
+                comparison.result = result;
+                this.render(key);
+            }
+        } catch (error) {
+            console.error('Failed to load comparison:', error);
+            if (this.comparisons[key] === comparison) {
+                this.dashboard.showNotification(error.message || 'Failed to load comparison period', 'error');
+                this.setComparison(key, '');
+            }
+        }
+    }
+
+    /**
+     * Project a live chart's forecast metrics over a horizon, or stop
+     */
+    setForecast(key, horizon) {
+        if (!this.views[key]) {
+            return;
+        }
+
+        if (horizon) {
+            this.forecasts[key] = horizon;
+        } else {
+            delete this.forecasts[key];
+        }
+
+        this.render(key);
+        this.renderControls(key);
+    }
+
+    /**
+     * Fetch the hourly history behind the forecasts and redraw live charts
+     */
+    async loadTrend() {
+        try {
+            this.trend = await this.forecast.load();
+        } catch (error) {
+            console.error('Failed to load metric trend:', error);
+            return;
+        }
+
+        this.updateForecasts();
+
+        Object.keys(this.views).forEach(key => {
+            if (this.definitions[key].source === 'live') {
+                this.render(key, 'none');
+            }
+        });
+    }
+
+    /**
+     * Refit each forecast metric to the server history and the samples
+     * the metrics store holds
+     */
+    updateForecasts() {
+        if (!this.trend || !this.dashboard.metricsStore) {
+            return;
+        }
+
+        const samples = this.dashboard.metricsStore.getSamples();
+
+        Object.entries(this.liveSeries).forEach(([name, series]) => {
+            if (!series.forecast) {
+                return;
+            }
+
+            const points = this.forecast.points(this.trend, series.history, samples.map(sample => ({
+                timestamp: sample.timestamp,
+                value: sample[name] ?? null
+            })));
+
+            this.fits[name] = this.forecast.fit(points);
+            this.estimates[name] = this.checkCapacity(name, this.fits[name]);
+        });
+    }
+
+    /**
+     * Estimate when a metric reaches its critical alert level
+     *
+     * Levels come from the monitoring rules, so without them only the
+     * trend is described. An estimate within a week raises a warning
+     * through the monitoring alert pipeline.
+     */
+    checkCapacity(name, fit) {
+        const series = this.liveSeries[name];
+        const monitoring = window.aanpMonitoring;
+        const rule = monitoring && monitoring.thresholds ? monitoring.thresholds[name] : null;
+        const label = rule ? rule.label : series.label;
+
+        if (!fit) {
+            return { text: `${label}: not enough history to forecast yet` };
+        }
+
+        const rate = fit.slope * 24;
+        const trend = `${rate > 0 ? '+' : ''}${this.forecast.format(rate, series.unit)}/day`;
+
+        if (!rule) {
+            return { text: `${label}: ${trend}` };
+        }
+
+        const now = Date.now();
+        const level = this.forecast.format(rule.critical, series.unit);
+        const eta = this.forecast.timeToThreshold(fit, rule.critical, rule.direction, now);
+
+        if (eta === null) {
+            return { text: `${label}: ${trend}, not heading for ${level}` };
+        }
+
+        if (eta === 0) {
+            return { text: `${label} is already past ${level} (${trend})`, tone: 'past' };
+        }
+
+        const estimate = `${label} reaches ${level} in ${this.forecast.describeDuration(eta)}`;
+
+        if (eta > this.forecastAlertWithin) {
+            return { text: `${estimate} (${trend})` };
+        }
+
+        if (now - (this.forecastAlerts[name] || 0) > this.forecastAlertInterval) {
+            this.forecastAlerts[name] = now;
+
+            monitoring.raiseAlert({
+                type: 'capacity_forecast',
+                severity: 'medium',
+                source: 'forecast',
+                title: `${label} projected to reach ${level}`,
+                message: `${estimate} at the current trend of ${trend}`,
+                metric: `${name}_forecast`,
+                value: this.forecast.predict(fit, now).value,
+                threshold: rule.critical,
+                timestamp: now
+            });
+        }
+
+        return { text: `${estimate} (${trend})`, tone: 'near' };
+    }
+
+    /**
+     * Change a chart's type
+     */
+    setType(key, type) {
+        if (!this.views[key] || !this.types[type]) {
+            return;
+        }
+
+        this.views[key].type = type;
+        this.changed(key);
+    }
+
+    /**
+     * Draw a different first series on a chart, keeping compatible overlays
+     */
+    setPrimary(key, series) {
+        const view = this.views[key];
+        if (!view || this.definitions[key].primaryLocked || !this.getCatalog(key)[series]) {
+            return;
+        }
+
+        view.series = this.normalizeSeries(key, [series, ...view.series.slice(1)]);
+        this.changed(key);
+    }
+
+    /**
+     * Add or remove an overlay
+     */
+    toggleOverlay(key, series, enabled) {
+        const view = this.views[key];
+        if (!view) {
+            return;
+        }
+
+        const overlays = view.series.slice(1).filter(name => name !== series);
+        if (enabled) {
+            overlays.push(series);
+        }
+
+        view.series = this.normalizeSeries(key, [view.series[0], ...overlays]);
+        this.changed(key);
+    }
+
+    /**
+     * Redraw a chart and its controls after the user changed its view
+     */
+    changed(key) {
+        this.render(key);
+        this.renderControls(key);
+        this.scheduleSave();
+    }
+
+    /**
+     * Build datasets, axes and legend for a chart's current view
+     */
+    render(key, mode) {
+        const chart = this.dashboard.charts[key];
+        const data = this.data[key];
+        if (!chart || !data) {
+            return;
+        }
+
+        const view = this.views[key];
+        const catalog = this.getCatalog(key);
+        const primary = catalog[view.series[0]];
+        const secondary = view.series.map(name => catalog[name]).find(series => series.unit !== primary.unit);
+        const stacked = view.type === 'stacked';
+
+        chart.data.labels = data.labels;
+        chart.data.datasets = view.series.map(name => {
+            const series = catalog[name];
+
+            return {
+                label: series.label,
+                data: data.values[name] || [],
+                type: view.type === 'bar' || stacked ? 'bar' : 'line',
+                yAxisID: series.unit === primary.unit ? 'y' : 'y1',
+                borderColor: series.color,
+                backgroundColor: this.withAlpha(series.color, view.type === 'area' ? 0.1 : 0.6),
+                borderWidth: view.type === 'bar' || stacked ? 0 : 2,
+                fill: view.type === 'area',
+                tension: 0.4,
+                spanGaps: true
+            };
+        });
+
+        chart.options.scales = {
+            x: { stacked },
+            y: {
+                stacked,
+                beginAtZero: true,
+                max: primary.max,
+                title: { display: Boolean(secondary), text: primary.unit }
+            },
+            y1: {
+                display: Boolean(secondary),
+                position: 'right',
+                stacked,
+                beginAtZero: true,
+                max: secondary ? secondary.max : undefined,
+                title: { display: Boolean(secondary), text: secondary ? secondary.unit : '' },
+                grid: { drawOnChartArea: false }
+            }
+        };
+        chart.options.plugins.legend = {
+            display: view.series.length > 1,
+            position: 'bottom'
+        };
+
+        const compared = this.renderComparison(key, chart);
+        this.renderForecast(key, chart);
+
+        chart.options.plugins.tooltip = {
+            ...chart.options.plugins.tooltip,
+            filter: (item) => !item.dataset.forecastBand,
+            callbacks: {
+                afterLabel: (context) => {
+                    if (context.dataset.forecast) {
+                        const unit = catalog[view.series[context.dataset.forecastOf]].unit;
+                        return this.forecast.afterLabel(context, (value) => this.forecast.format(value, unit));
+                    }
+
+                    return compared ? this.comparison.afterLabel(context, compared) : '';
+                }
+            }
+        };
+
+        chart.update(mode);
+    }
+
+    /**
+     * Add ghost datasets and the summary delta for a comparison
+     *
+     * Returns the compared period's label once its data is drawn.
+     */
+    renderComparison(key, chart) {
+        const comparison = this.comparisons[key];
+        const summary = this.summaries.get(key);
+        const result = comparison && comparison.result;
+
+        if (!result) {
+            AANP_Html.render(summary, !comparison ? ''
+                : (comparison.period === 'custom' && !comparison.date ? 'Pick a date to compare to' : 'Loading comparison…'));
+            return null;
+        }
+
+        const data = this.data[key];
+        const view = this.views[key];
+        const catalog = this.getCatalog(key);
+        const label = this.comparison.describe(comparison.period, comparison.date);
+        const items = [];
+
+        view.series.forEach((name, index) => {
+            const series = catalog[name];
+            const previous = this.comparison.align(result, series.history || name, data.timestamps);
+            if (!previous) {
+                return;
+            }
+
+            chart.data.datasets.push(this.comparison.ghost(chart.data.datasets[index], index, previous, label));
+            items.push({
+                label: series.label,
+                unit: series.unit,
+                better: series.better,
+                ...this.comparison.summarize(data.values[name] || [], previous)
+            });
+        });
+
+        if (items.length) {
+            this.comparison.renderSummary(summary, items, label);
+        } else {
+            AANP_Html.render(summary, `No ${label} history is kept for this metric`);
+        }
+
+        return label;
+    }
+
+    /**
+     * Continue a live chart's forecast metrics over the picked horizon and
+     * show when each reaches its alert level
+     *
+     * Stacked charts keep the estimates but skip the lines, which would
+     * stack onto the bars.
+     */
+    renderForecast(key, chart) {
+        const horizon = this.forecasts[key];
+        const summary = this.forecastSummaries.get(key);
+        const data = this.data[key];
+        const view = this.views[key];
+        const names = view.series.filter(name => this.liveSeries[name] && this.liveSeries[name].forecast);
+
+        if (!horizon || !names.length || this.definitions[key].source !== 'live') {
+            AANP_Html.render(summary, horizon ? 'None of the metrics on this chart are forecast' : '');
+            return;
+        }
+
+        if (!this.trend) {
+            AANP_Html.render(summary, 'Loading forecast…');
+            return;
+        }
+
+        const from = data.timestamps[data.timestamps.length - 1];
+        let labelled = false;
+
+        view.series.forEach((name, index) => {
+            const fit = this.fits[name];
+            if (!fit || !names.includes(name) || view.type === 'stacked') {
+                return;
+            }
+
+            const projection = this.forecast.project(fit, from, horizon, { min: 0, max: this.liveSeries[name].max });
+            const values = chart.data.datasets[index].data;
+
+            // Every projection shares the same times, so label them once
+            if (!labelled) {
+                labelled = true;
+                chart.data.labels = data.labels.concat(projection.map(point => new Date(point.x).toLocaleString(undefined, {
+                    weekday: 'short',
+                    hour: '2-digit',
+                    minute: '2-digit'
+                })));
+            }
+
+            chart.data.datasets.push(...this.forecast.overlay(chart.data.datasets[index], index, chart.data.labels, projection, values[values.length - 1] ?? null));
+        });
+
+        AANP_Html.render(summary, names.map(name => {
+            const estimate = this.estimates[name];
+
+            return AANP_Html.html`<span class="forecast-eta ${estimate.tone ? `is-${estimate.tone}` : ''}">${estimate.text}</span>`;
+        }));
+    }
+
+    /**
+     * Add the type and overlay controls above a chart
+     */
+    buildControls(key) {
+        const canvas = this.dashboard.charts[key].canvas;
+        const header = canvas.closest('.chart-container')?.querySelector('.chart-header')
+            || canvas.closest('.performance-card')?.querySelector('h4');
+        if (!header) {
+            return;
+        }
+
+        const element = document.createElement('div');
+        element.className = 'chart-view-controls';
+        element.dataset.chartView = key;
+
+        if (header.matches('h4')) {
+            header.after(element);
+        } else {
+            header.appendChild(element);
+        }
+
+        element.addEventListener('change', (e) => {
+            if (e.target.matches('.chart-type-select')) {
+                this.setType(key, e.target.value);
+            } else if (e.target.matches('[data-overlay]')) {
+                this.toggleOverlay(key, e.target.dataset.overlay, e.target.checked);
+            } else if (e.target.matches('.comparison-select')) {
+                this.setComparison(key, e.target.value);
+            } else if (e.target.matches('.comparison-date')) {
+                this.setComparison(key, 'custom', e.target.value);
+            } else if (e.target.matches('.forecast-select')) {
+                this.setForecast(key, e.target.value);
+            }
+        });
+
+        const summary = document.createElement('div');
+        summary.className = 'comparison-summary';
+        summary.setAttribute('aria-live', 'polite');
+        (header.matches('h4') ? element : header).after(summary);
+
+        const forecastSummary = document.createElement('div');
+        forecastSummary.className = 'forecast-summary';
+        forecastSummary.setAttribute('aria-live', 'polite');
+        summary.after(forecastSummary);
+
+        this.controls.set(key, element);
+        this.summaries.set(key, summary);
+        this.forecastSummaries.set(key, forecastSummary);
+        this.renderControls(key);
+    }
+
+    /**
+     * Reflect a chart's view in its controls
+     */
+    renderControls(key) {
+        const element = this.controls.get(key);
+        if (!element) {
+            return;
+        }
+
+        const view = this.views[key];
+        const catalog = this.getCatalog(key);
+        const units = [...new Set(view.series.map(name => catalog[name].unit))];
+        const full = view.series.length >= this.maxSeries;
+        const menu = element.querySelector('.chart-overlay-menu');
+        const open = Boolean(menu && menu.open);
+
+        const options = Object.entries(catalog)
+            .filter(([name]) => name !== view.series[0])
+            .map(([name, series]) => {
+                const checked = view.series.includes(name);
+                const fits = units.includes(series.unit) || units.length < 2;
+                const disabled = !checked && (full || !fits);
+                const reason = full ? `At most ${this.maxSeries} series fit on one chart` : 'Only two units fit on one chart';
+
+                return AANP_Html.html`
+                    <label class="chart-overlay-option" title="${disabled ? reason : ''}">
+                        <input type="checkbox" data-overlay="${name}" ${checked ? 'checked' : ''} ${disabled ? 'disabled' : ''}>
+                        <span class="chart-overlay-swatch" style="background: ${series.color}"></span>
+                        ${series.label}
+                    </label>
+                `;
+            });
+
+        AANP_Html.render(element, AANP_Html.html`
+            <select class="chart-type-select" aria-label="Chart type">
+                ${Object.entries(this.types).map(([type, label]) => AANP_Html.html`
+                    <option value="${type}" ${type === view.type ? 'selected' : ''}>${label}</option>
+                `)}
+            </select>
+            <details class="chart-overlay-menu" ${open ? 'open' : ''}>
+                <summary><i class="fas fa-layer-group"></i> Overlay${view.series.length > 1 ? ` (${view.series.length - 1})` : ''}</summary>
+                <div class="chart-overlay-options">${options}</div>
+            </details>
+            ${this.comparison && this.comparison.controls(this.comparisons[key]?.period, this.comparisons[key]?.date)}
+            ${this.forecast && this.definitions[key].source === 'live' && this.forecast.controls(this.forecasts[key])}
+        `);
+
+        // Series buttons in the chart header pick the first series
+        const container = element.closest('.chart-container');
+        if (container) {
+            container.querySelectorAll('.chart-btn[data-series]').forEach(button => {
+                button.classList.toggle('active', button.dataset.series === view.series[0]);
+            });
+        }
+    }
+
+    /**
+     * Turn a hex color into an rgba() string
+     */
+    withAlpha(color, alpha) {
+        const value = parseInt(color.slice(1), 16);
+
+        return `rgba(${(value >> 16) & 255}, ${(value >> 8) & 255}, ${value & 255}, ${alpha})`;
+    }
+
+    /**
+     * Save views shortly after the last change
+     */
+    scheduleSave() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => this.save(), 1000);
+    }
+
+    /**
+     * Send views to the server, which merges them into the stored settings
+     */
+    async save() {
+        this.saveTimer = null;
+
+        try {
+            const saved = await this.dashboard.ajaxRequest('ai_news_save_dashboard_settings', {
+                settings: JSON.stringify({ charts: this.views })
+            });
+
+            this.dashboard.applySettings(saved);
+        } catch (error) {
+            console.error('Failed to save chart views:', error);
+            this.dashboard.showNotification('Failed to save chart settings', 'error');
+        }
+    }
+
+    /**
+     * Save pending changes right away
+     */
+    flushSave() {
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+            this.save();
+        }
+    }
+
+    /**
+     * Cleanup
+     */
+    destroy() {
+        this.flushSave();
+
+        if (this.unsubscribeMetrics) {
+            this.unsubscribeMetrics();
+        }
+
+        clearInterval(this.trendTimer);
+
+        this.controls.forEach(element => element.remove());
+        this.controls.clear();
+        this.summaries.forEach(element => element.remove());
+        this.summaries.clear();
+        this.forecastSummaries.forEach(element => element.remove());
+        this.forecastSummaries.clear();
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AANP_ChartViews;
+}
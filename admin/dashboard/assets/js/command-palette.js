@@ -0,0 +1,672 @@
+/**
+ * Command Palette for AI Auto News Poster Dashboard
+ *
+ * Ctrl/Cmd+K (rebindable) opens a fuzzy finder over dashboard sections,
+ * actions and entities (feeds, posts and alerts). Recently used commands
+ * are listed first. Other scripts can add commands with register(), or by listening
+ * for the `aanp:command-palette-ready` event; PHP plugins can add link
+ * commands through the `ai_news_dashboard_commands` filter.
+ *
+ * @package AI_Auto_News_Poster
+ * @since 2.0.0
+ */
+
+class AANP_CommandPalette {
+
+    constructor(dashboard) {
+        this.dashboard = dashboard;
+        this.commands = new Map();
+        this.entities = [];
+        this.results = [];
+        this.activeIndex = 0;
+        this.isOpen = false;
+        this.searchTimer = null;
+        this.searchRequest = 0;
+        this.entityCache = new Map();
+        this.previousFocus = null;
+        this.storageKey = 'aanp-recent-commands';
+        this.maxRecent = 5;
+        this.maxResults = 50;
+        this.unregisterShortcut = null;
+
+        this.init();
+    }
+
+    /**
+     * Initialize the command palette
+     */
+    init() {
+        this.render();
+        this.registerDefaults();
+
+        (window.ai_news_dashboard?.commands || []).forEach(command => {
+            this.register({
+                ...command,
+                run: () => window.location.assign(command.url)
+            });
+        });
+
+        if (window.aanpShortcuts) {
+            this.unregisterShortcut = window.aanpShortcuts.register({
+                id: 'palette.toggle',
+                keys: 'mod+k',
+                description: 'Open command palette',
+                group: 'General',
+                handler: () => this.toggle()
+            });
+        }
+
+        const trigger = document.getElementById('command-palette-btn');
+        if (trigger) {
+            trigger.addEventListener('click', () => this.open());
+        }
+
+        document.dispatchEvent(new CustomEvent('aanp:command-palette-ready', { detail: this }));
+    }
+
+    /**
+     * Build the palette dialog
+     */
+    render() {
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'command-palette-overlay';
+        this.overlay.hidden = true;
+        AANP_Html.render(this.overlay, AANP_Html.html`
+            <div class="command-palette" role="dialog" aria-modal="true" aria-label="Command palette">
+                <div class="command-palette-search">
+                    <i class="fas fa-search" aria-hidden="true"></i>
+                    <input type="text" class="command-palette-input" placeholder="Search sections, actions, feeds, posts and alerts..."
+                           role="combobox" aria-expanded="true" aria-controls="command-palette-results" aria-autocomplete="list" autocomplete="off" spellcheck="false">
+                    <kbd>Esc</kbd>
+                </div>
+                <ul class="command-palette-results" id="command-palette-results" role="listbox"></ul>
+            </div>
+        `);
+
+        this.input = this.overlay.querySelector('.command-palette-input');
+        this.list = this.overlay.querySelector('.command-palette-results');
+
+        this.overlay.addEventListener('mousedown', (e) => {
+            if (e.target === this.overlay) {
+                this.close();
+            }
+        });
+
+        this.input.addEventListener('input', () => this.search(this.input.value));
+        this.input.addEventListener('keydown', (e) => this.handleInputKeydown(e));
+
+        this.list.addEventListener('mousemove', (e) => {
+            const option = e.target.closest('[data-index]');
+            if (option && Number(option.dataset.index) !== this.activeIndex) {
+                this.setActive(Number(option.dataset.index));
+            }
+        });
+
+        this.list.addEventListener('click', (e) => {
+            const option = e.target.closest('[data-index]');
+            if (option) {
+                // Keep outside-click handlers from closing panels the command opens
+                e.stopPropagation();
+                this.execute(this.results[Number(option.dataset.index)]);
+            }
+        });
+
+        document.body.appendChild(this.overlay);
+    }
+
+    /**
+     * Register the built-in sections and actions
+     */
+    registerDefaults() {
+        const dashboard = this.dashboard;
+
+        document.querySelectorAll('.sidebar-menu a[data-section]').forEach(link => {
+            const section = link.dataset.section;
+            const icon = link.querySelector('i');
+
+            this.register({
+                id: `section:${section}`,
+                title: `Go to ${link.textContent.trim()}`,
+                group: 'Sections',
+                icon: icon ? Array.from(icon.classList).find(name => name.startsWith('fa-') && name !== 'fa-fw') : 'fa-arrow-right',
+                keywords: [section],
+                run: () => dashboard.switchSection(section)
+            });
+        });
+
+        const actions = [
+            {
+                id: 'action:refresh',
+                title: 'Refresh dashboard data',
+                icon: 'fa-sync-alt',
+                keywords: ['reload', 'update'],
+                run: () => dashboard.refreshData()
+            },
+            {
+                id: 'action:seo-audit',
+                title: 'Run SEO audit',
+                capability: 'run-audits',
+                icon: 'fa-search',
+                keywords: ['seo', 'compliance', 'check'],
+                run: () => {
+                    dashboard.switchSection('seo');
+                    return dashboard.runSEOAudit();
+                }
+            },
+            {
+                id: 'action:generate-posts',
+                title: 'Generate posts',
+                capability: 'generate-content',
+                icon: 'fa-magic',
+                keywords: ['create', 'content', 'articles', 'fetch'],
+                run: () => this.runAjaxAction('ai_news_generate_posts', 'Failed to start post generation')
+            },
+            {
+                id: 'action:purge-cache',
+                title: 'Purge cache',
+                capability: 'manage-cache',
+                icon: 'fa-broom',
+                keywords: ['clear', 'flush'],
+                run: () => this.runAjaxAction('ai_news_purge_cache', 'Failed to purge cache')
+            },
+            {
+                id: 'action:generate-api-key',
+                title: 'Generate API key',
+                capability: 'manage-keys',
+                icon: 'fa-key',
+                keywords: ['create', 'token', 'credentials'],
+                run: () => {
+                    dashboard.switchSection('api');
+                    return dashboard.generateAPIKey();
+                }
+            },
+            {
+                id: 'action:api-docs',
+                title: 'View API documentation',
+                icon: 'fa-book',
+                keywords: ['docs', 'rest', 'reference'],
+                run: () => dashboard.showAPIDocs()
+            },
+            {
+                id: 'action:export-report',
+                title: 'Export performance report',
+                icon: 'fa-file-export',
+                keywords: ['download', 'pdf', 'csv'],
+                run: () => dashboard.exportReport()
+            },
+            {
+                id: 'action:toggle-monitoring',
+                title: 'Start or stop monitoring',
+                icon: 'fa-heartbeat',
+                keywords: ['pause', 'resume', 'real-time'],
+                run: () => dashboard.toggleMonitoring()
+            },
+            {
+                id: 'action:toggle-theme',
+                title: 'Toggle dark theme',
+                icon: 'fa-adjust',
+                keywords: ['dark', 'light', 'appearance', 'mode'],
+                run: () => this.toggleTheme()
+            },
+            {
+                id: 'action:notifications',
+                title: 'Open notifications',
+                icon: 'fa-bell',
+                keywords: ['alerts', 'inbox'],
+                run: () => dashboard.notificationCenter?.open()
+            }
+        ];
+
+        actions.forEach(action => this.register({ group: 'Actions', ...action }));
+    }
+
+    /**
+     * Add a command; returns a function that removes it again
+     *
+     * A command needs an id, a title and a run callback. group, icon (a
+     * Font Awesome class) and keywords are optional. Commands naming a
+     * capability the user lacks are left out.
+     */
+    register(command) {
+        if (!command || !command.id || !command.title || typeof command.run !== 'function') {
+            throw new Error('Commands need an id, a title and a run function');
+        }
+
+        if (command.capability && !this.dashboard.can(command.capability)) {
+            return () => {};
+        }
+
+        this.commands.set(command.id, {
+            group: 'Plugins',
+            icon: 'fa-puzzle-piece',
+            keywords: [],
+            ...command
+        });
+
+        if (this.isOpen) {
+            this.search(this.input.value);
+        }
+
+        return () => this.unregister(command.id);
+    }
+
+    /**
+     * Remove a command
+     */
+    unregister(id) {
+        this.commands.delete(id);
+    }
+
+    /**
+     * Open the palette
+     */
+    open() {
+        if (this.isOpen) {
+            this.input.focus();
+            return;
+        }
+
+        this.isOpen = true;
+        this.previousFocus = document.activeElement;
+        this.overlay.hidden = false;
+        this.input.value = '';
+        this.entities = [];
+        this.search('');
+        this.input.focus();
+    }
+
+    /**
+     * Close the palette and restore focus
+     */
+    close() {
+        if (!this.isOpen) {
+            return;
+        }
+
+        this.isOpen = false;
+        this.overlay.hidden = true;
+        clearTimeout(this.searchTimer);
+        this.searchRequest++;
+
+        if (this.previousFocus && typeof this.previousFocus.focus === 'function') {
+            this.previousFocus.focus();
+        }
+    }
+
+    /**
+     * Toggle the palette
+     */
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    /**
+     * Filter commands for a query and look up matching entities
+     */
+    search(query) {
+        query = query.trim();
+
+        clearTimeout(this.searchTimer);
+        this.entities = this.entityCache.get(query.toLowerCase()) || [];
+        this.update(query);
+
+        if (query.length >= 2 && !this.entityCache.has(query.toLowerCase())) {
+            this.searchTimer = setTimeout(() => this.searchEntities(query), 200);
+        }
+    }
+
+    /**
+     * Fetch feeds, posts and alerts matching the query
+     */
+    async searchEntities(query) {
+        const request = ++this.searchRequest;
+
+        try {
+            const entities = await this.dashboard.ajaxRequest('ai_news_search_dashboard_entities', { query });
+            this.entityCache.set(query.toLowerCase(), entities);
+
+            // Ignore responses for queries the user has already typed past
+            if (request !== this.searchRequest || this.input.value.trim() !== query) {
+                return;
+            }
+
+            this.entities = entities;
+            this.update(query);
+        } catch (error) {
+            console.error('Command palette search failed:', error);
+        }
+    }
+
+    /**
+     * Rank commands and entities and redraw the list
+     */
+    update(query) {
+        const recent = this.getRecent();
+        let results;
+
+        if (!query) {
+            const recentCommands = recent
+                .map(id => this.commands.get(id))
+                .filter(Boolean)
+                .map(command => ({ ...command, group: 'Recent', matches: [] }));
+            const others = Array.from(this.commands.values())
+                .filter(command => !recent.includes(command.id))
+                .map(command => ({ ...command, matches: [] }));
+
+            results = recentCommands.concat(others);
+        } else {
+            const commands = [];
+
+            this.commands.forEach(command => {
+                const match = this.match(query, command);
+                if (match) {
+                    // Recently used commands win ties and near-ties
+                    const recentIndex = recent.indexOf(command.id);
+                    const boost = recentIndex === -1 ? 0 : (this.maxRecent - recentIndex) * 2;
+                    commands.push({ ...command, score: match.score + boost, matches: match.matches });
+                }
+            });
+
+            const entities = this.entities.map(entity => this.toEntityCommand(entity, query));
+
+            results = commands
+                .sort((a, b) => b.score - a.score)
+                .concat(entities);
+        }
+
+        this.results = results.slice(0, this.maxResults);
+        this.activeIndex = 0;
+        this.renderResults(query);
+    }
+
+    /**
+     * Fuzzy-match a query against a command title and its keywords
+     *
+     * Every query character must appear in order. Consecutive characters
+     * and characters at the start of a word score higher. Returns null
+     * when there is no match, otherwise the score and the matched title
+     * positions for highlighting.
+     */
+    match(query, command) {
+        const titleMatch = this.fuzzyScore(query, command.title);
+        let best = titleMatch;
+
+        [command.group, ...command.keywords].forEach(keyword => {
+            const keywordMatch = this.fuzzyScore(query, keyword);
+            if (keywordMatch && (!best || keywordMatch.score - 1 > best.score)) {
+                // Keyword hits rank slightly below title hits and highlight nothing
+                best = { score: keywordMatch.score - 1, matches: [] };
+            }
+        });
+
+        return best;
+    }
+
+    /**
+     * Score a subsequence match of query in text
+     */
+    fuzzyScore(query, text) {
+        const needle = query.toLowerCase();
+        const haystack = String(text || '').toLowerCase();
+        const matches = [];
+        let score = 0;
+        let position = 0;
+        let previous = -2;
+
+        for (const char of needle) {
+            if (char === ' ') {
+                continue;
+            }
+
+            const index = haystack.indexOf(char, position);
+            if (index === -1) {
+                return null;
+            }
+
+            score += 1;
+            if (index === previous + 1) {
+                score += 3;
+            }
+            if (index === 0 || /[\s\-_:/]/.test(haystack[index - 1])) {
+                score += 2;
+            }
+
+            matches.push(index);
+            previous = index;
+            position = index + 1;
+        }
+
+        // Prefer shorter titles where the match is a bigger share of the text
+        score -= (haystack.length - matches.length) * 0.05;
+
+        return { score, matches };
+    }
+
+    /**
+     * Turn a search result from the server into a runnable command
+     */
+    toEntityCommand(entity, query) {
+        const groups = { feed: 'Feeds', post: 'Posts', alert: 'Alerts' };
+        const icons = { feed: 'fa-rss', post: 'fa-file-alt', alert: 'fa-exclamation-triangle' };
+        const match = this.fuzzyScore(query, entity.title);
+
+        return {
+            id: `${entity.type}:${entity.id}`,
+            title: entity.title,
+            subtitle: entity.subtitle,
+            group: groups[entity.type] || 'Results',
+            icon: icons[entity.type] || 'fa-circle',
+            matches: match ? match.matches : [],
+            entity: true,
+            run: () => {
+                if (entity.url) {
+                    window.location.assign(entity.url);
+                } else if (entity.type === 'alert') {
+                    this.dashboard.openAlert(entity.id);
+                }
+            }
+        };
+    }
+
+    /**
+     * Draw the grouped result list
+     */
+    renderResults(query) {
+        if (!this.results.length) {
+            AANP_Html.render(this.list, AANP_Html.html`
+                <li class="command-palette-empty" role="presentation">
+                    ${query.length >= 2 ? 'No matching commands' : 'Type to search'}
+                </li>
+            `);
+            this.input.removeAttribute('aria-activedescendant');
+            return;
+        }
+
+        let group = null;
+        const items = [];
+
+        this.results.forEach((command, index) => {
+            if (command.group !== group) {
+                group = command.group;
+                items.push(AANP_Html.html`<li class="command-palette-group" role="presentation">${group}</li>`);
+            }
+
+            items.push(AANP_Html.html`
+                <li class="command-palette-item ${index === this.activeIndex ? 'active' : ''}" id="command-palette-option-${index}"
+                    role="option" aria-selected="${index === this.activeIndex}" data-index="${index}">
+                    <i class="fas ${command.icon}" aria-hidden="true"></i>
+                    <span class="command-palette-text">
+                        <span class="command-palette-title">${this.highlight(command.title, command.matches)}</span>
+                        ${command.subtitle && AANP_Html.html`<span class="command-palette-subtitle">${command.subtitle}</span>`}
+                    </span>
+                </li>
+            `);
+        });
+
+        AANP_Html.render(this.list, items);
+        this.setActive(this.activeIndex);
+    }
+
+    /**
+     * Wrap matched characters in <mark>
+     */
+    highlight(text, matches = []) {
+        if (!matches.length) {
+            return text;
+        }
+
+        const positions = new Set(matches);
+
+        return Array.from(String(text)).map((char, index) => (
+            positions.has(index) ? AANP_Html.html`<mark>${char}</mark>` : char
+        ));
+    }
+
+    /**
+     * Move the selection highlight
+     */
+    setActive(index) {
+        if (!this.results.length) {
+            return;
+        }
+
+        this.activeIndex = (index + this.results.length) % this.results.length;
+
+        this.list.querySelectorAll('.command-palette-item').forEach(item => {
+            const active = Number(item.dataset.index) === this.activeIndex;
+            item.classList.toggle('active', active);
+            item.setAttribute('aria-selected', active);
+            if (active) {
+                item.scrollIntoView({ block: 'nearest' });
+            }
+        });
+
+        this.input.setAttribute('aria-activedescendant', `command-palette-option-${this.activeIndex}`);
+    }
+
+    /**
+     * Keyboard navigation inside the palette
+     */
+    handleInputKeydown(e) {
+        switch (e.key) {
+            case 'ArrowDown':
+                e.preventDefault();
+                this.setActive(this.activeIndex + 1);
+                break;
+            case 'ArrowUp':
+                e.preventDefault();
+                this.setActive(this.activeIndex - 1);
+                break;
+            case 'Enter':
+                e.preventDefault();
+                this.execute(this.results[this.activeIndex]);
+                break;
+            case 'Escape':
+                e.preventDefault();
+                this.close();
+                break;
+            case 'Tab':
+                // Keep focus inside the dialog
+                e.preventDefault();
+                break;
+        }
+    }
+
+    /**
+     * Run a command and remember it
+     */
+    async execute(command) {
+        if (!command) {
+            return;
+        }
+
+        this.close();
+
+        if (!command.entity) {
+            this.addRecent(command.id);
+        }
+
+        try {
+            await command.run(this);
+        } catch (error) {
+            console.error(`Command "${command.id}" failed:`, error);
+            this.dashboard.showNotification(error.message || 'Command failed', 'error');
+        }
+    }
+
+    /**
+     * Call a dashboard AJAX action and report the outcome
+     */
+    async runAjaxAction(action, failureMessage) {
+        try {
+            const result = await this.dashboard.ajaxRequest(action);
+            this.dashboard.showNotification(result.message, 'success');
+        } catch (error) {
+            console.error(`${action} failed:`, error);
+            this.dashboard.showNotification(error.message || failureMessage, 'error');
+        }
+    }
+
+    /**
+     * Switch between the light and dark theme and save the choice
+     */
+    async toggleTheme() {
+        const theme = document.documentElement.getAttribute('data-theme') === 'dark' ? 'light' : 'dark';
+        const settings = { ...this.dashboard.settings, theme };
+
+        this.dashboard.applyTheme(theme);
+
+        const saved = await this.dashboard.ajaxRequest('ai_news_save_dashboard_settings', {
+            settings: JSON.stringify(settings)
+        });
+
+        this.dashboard.applySettings(saved);
+        this.dashboard.populateSettingsForm();
+    }
+
+    /**
+     * Ids of recently used commands, most recent first
+     */
+    getRecent() {
+        try {
+            const recent = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+            return Array.isArray(recent) ? recent : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * Move a command to the front of the recent list
+     */
+    addRecent(id) {
+        const recent = [id, ...this.getRecent().filter(recentId => recentId !== id)].slice(0, this.maxRecent);
+
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(recent));
+        } catch (error) {
+            // Storage can be full or disabled; recents are a convenience only
+        }
+    }
+
+    /**
+     * Cleanup
+     */
+    destroy() {
+        clearTimeout(this.searchTimer);
+        if (this.unregisterShortcut) {
+            this.unregisterShortcut();
+        }
+        this.overlay.remove();
+        this.commands.clear();
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AANP_CommandPalette;
+}
@@ -0,0 +1,583 @@
+/**
+ * Content Manager for AI Auto News Poster Dashboard
+ *
+ * Lists generated posts through the REST API with server-side paging,
+ * sorting and filtering, and applies bulk actions to the selection.
+ *
+ * @package AI_Auto_News_Poster
+ * @since 2.0.0
+ */
+
+class AANP_ContentManager {
+
+    constructor(dashboard) {
+        this.dashboard = dashboard;
+
+        /**
+         * Query state sent with every list request
+         */
+        this.state = {
+            page: 1,
+            perPage: 20,
+            orderby: 'date',
+            order: 'desc',
+            search: '',
+            status: 'any',
+            source: '',
+            generated: true
+        };
+
+        this.selected = new Set();
+        this.items = [];
+        this.pagination = { total_items: 0, total_pages: 0 };
+        this.loadCount = 0; // Only the latest load may render
+        this.searchTimeout = null;
+
+        this.elements = {};
+
+        this.init();
+    }
+
+    /**
+     * Initialize content manager
+     */
+    init() {
+        this.elements = {
+            tableBody: document.getElementById('content-table-body'),
+            selectAll: document.getElementById('content-select-all'),
+            search: document.getElementById('content-search'),
+            status: document.getElementById('content-status-filter'),
+            source: document.getElementById('content-source-filter'),
+            generated: document.getElementById('content-generated-filter'),
+            perPage: document.getElementById('content-per-page'),
+            prevPage: document.getElementById('content-prev-page'),
+            nextPage: document.getElementById('content-next-page'),
+            pageIndicator: document.getElementById('content-page-indicator'),
+            paginationInfo: document.getElementById('content-pagination-info'),
+            bulkActions: document.getElementById('content-bulk-actions'),
+            selectedCount: document.getElementById('content-selected-count'),
+            refresh: document.getElementById('refresh-content')
+        };
+
+        if (!this.elements.tableBody) {
+            return;
+        }
+
+        if (this.elements.perPage) {
+            this.state.perPage = parseInt(this.elements.perPage.value, 10) || this.state.perPage;
+        }
+
+        this.setupEventListeners();
+        this.updateSortIndicators();
+
+        if (this.dashboard.router) {
+            this.dashboard.router.addSource({
+                keys: ['q', 'status', 'source', 'generated', 'sort', 'page'],
+                section: 'content',
+                read: () => this.getRouteParams(),
+                write: (params) => this.restoreRouteParams(params)
+            });
+        }
+    }
+
+    /**
+     * Set up event listeners
+     */
+    setupEventListeners() {
+        const { search, status, source, generated, perPage, prevPage, nextPage, selectAll, refresh } = this.elements;
+
+        if (search) {
+            search.addEventListener('input', () => {
+                clearTimeout(this.searchTimeout);
+                this.searchTimeout = setTimeout(() => {
+                    this.applyFilter('search', search.value.trim());
+                }, 300);
+            });
+        }
+
+        if (status) {
+            status.addEventListener('change', () => this.applyFilter('status', status.value));
+        }
+
+        if (source) {
+            source.addEventListener('change', () => this.applyFilter('source', source.value));
+        }
+
+        if (generated) {
+            generated.addEventListener('change', () => this.applyFilter('generated', generated.checked));
+        }
+
+        if (perPage) {
+            perPage.addEventListener('change', () => {
+                this.state.perPage = parseInt(perPage.value, 10) || 20;
+                this.state.page = 1;
+                this.refresh();
+            });
+        }
+
+        if (prevPage) {
+            prevPage.addEventListener('click', () => this.goToPage(this.state.page - 1));
+        }
+
+        if (nextPage) {
+            nextPage.addEventListener('click', () => this.goToPage(this.state.page + 1));
+        }
+
+        if (selectAll) {
+            selectAll.addEventListener('change', () => this.toggleSelectAll(selectAll.checked));
+        }
+
+        if (refresh) {
+            refresh.addEventListener('click', () => this.refresh());
+        }
+
+        document.querySelectorAll('#content-table th.sortable').forEach(header => {
+            header.addEventListener('click', () => this.sortBy(header.dataset.sort));
+        });
+
+        document.querySelectorAll('#content-bulk-actions [data-bulk-action]').forEach(button => {
+            button.addEventListener('click', () => this.runBulkAction(button.dataset.bulkAction));
+        });
+
+        this.elements.tableBody.addEventListener('change', (e) => {
+            if (e.target.matches('input[data-post-id]')) {
+                this.toggleSelection(parseInt(e.target.dataset.postId, 10), e.target.checked);
+            }
+        });
+    }
+
+    /**
+     * Load current page of content from the server
+     *
+     * A filter, sort or page change during a load starts a new one; the
+     * response to the replaced request is ignored.
+     */
+    async load() {
+        const request = ++this.loadCount;
+        this.elements.tableBody.setAttribute('aria-busy', 'true');
+
+        try {
+            const response = await this.dashboard.restRequest('/content', {
+                query: {
+                    page: this.state.page,
+                    per_page: this.state.perPage,
+                    orderby: this.state.orderby,
+                    order: this.state.order,
+                    search: this.state.search,
+                    status: this.state.status,
+                    source: this.state.source,
+                    generated: this.state.generated ? 'true' : ''
+                }
+            });
+
+            if (request !== this.loadCount) {
+                return;
+            }
+
+            this.items = response.data || [];
+            this.pagination = response.pagination || { total_items: 0, total_pages: 0 };
+
+            // The requested page may no longer exist after a delete
+            if (this.items.length === 0 && this.state.page > 1 && this.pagination.total_pages > 0) {
+                this.state.page = this.pagination.total_pages;
+                return await this.load();
+            }
+
+            this.selected.clear();
+            this.updateSourceOptions(response.filters?.sources || []);
+            this.render();
+        } catch (error) {
+            if (request !== this.loadCount) {
+                return;
+            }
+
+            console.error('Failed to load content:', error);
+            this.renderMessage('Failed to load content');
+            throw error;
+        } finally {
+            if (request === this.loadCount) {
+                this.elements.tableBody.removeAttribute('aria-busy');
+            }
+        }
+    }
+
+    /**
+     * Change a filter and reload from the first page
+     */
+    applyFilter(name, value) {
+        this.state[name] = value;
+        this.state.page = 1;
+        this.refresh();
+    }
+
+    /**
+     * Reload the current page, reporting failures to the user
+     */
+    refresh() {
+        if (this.dashboard.router) {
+            this.dashboard.router.update();
+        }
+
+        this.load().catch(() => this.dashboard.showNotification('Failed to load content', 'error'));
+    }
+
+    /**
+     * Filters that differ from the defaults, for the URL
+     */
+    getRouteParams() {
+        const { search, status, source, generated, orderby, order, page } = this.state;
+
+        return {
+            q: search,
+            status: status !== 'any' ? status : '',
+            source,
+            generated: generated ? '' : '0',
+            sort: orderby !== 'date' || order !== 'desc' ? `${orderby}:${order}` : '',
+            page: page > 1 ? page : ''
+        };
+    }
+
+    /**
+     * Apply filters from the URL, reloading if the list is visible
+     */
+    restoreRouteParams(params) {
+        const statuses = this.elements.status ? Array.from(this.elements.status.options).map(option => option.value) : [];
+        const columns = Array.from(document.querySelectorAll('#content-table th.sortable')).map(header => header.dataset.sort);
+        const [orderby, order] = (params.sort || '').split(':');
+        const page = parseInt(params.page, 10);
+
+        const next = {
+            ...this.state,
+            search: params.q || '',
+            status: statuses.includes(params.status) ? params.status : 'any',
+            source: params.source || '',
+            generated: params.generated !== '0',
+            orderby: columns.includes(orderby) ? orderby : 'date',
+            order: order === 'asc' ? 'asc' : 'desc',
+            page: page > 0 ? page : 1
+        };
+
+        if (['search', 'status', 'source', 'generated', 'orderby', 'order', 'page'].every(key => next[key] === this.state[key])) {
+            return;
+        }
+
+        this.state = next;
+
+        const { search, status, source, generated } = this.elements;
+        if (search) {
+            search.value = next.search;
+        }
+        if (status) {
+            status.value = next.status;
+        }
+        if (generated) {
+            generated.checked = next.generated;
+        }
+        if (source) {
+            const sources = Array.from(source.options).map(option => option.value).filter(Boolean);
+            this.updateSourceOptions(sources);
+        }
+        this.updateSortIndicators();
+
+        if (document.getElementById('content-section')?.classList.contains('active')) {
+            this.refresh();
+        }
+    }
+
+    /**
+     * Sort by column, toggling direction on repeat clicks
+     */
+    sortBy(column) {
+        if (this.state.orderby === column) {
+            this.state.order = this.state.order === 'asc' ? 'desc' : 'asc';
+        } else {
+            this.state.orderby = column;
+            this.state.order = column === 'title' ? 'asc' : 'desc';
+        }
+
+        this.state.page = 1;
+        this.updateSortIndicators();
+        this.refresh();
+    }
+
+    /**
+     * Navigate to page
+     */
+    goToPage(page) {
+        if (page < 1 || page > Math.max(1, this.pagination.total_pages)) {
+            return;
+        }
+
+        this.state.page = page;
+        this.refresh();
+    }
+
+    /**
+     * Render table rows and controls
+     */
+    render() {
+        if (this.items.length === 0) {
+            this.renderMessage('No content found');
+        } else {
+            AANP_Html.render(this.elements.tableBody, this.items.map(item => this.renderRow(item)));
+        }
+
+        this.renderPagination();
+        this.updateSelectionUI();
+    }
+
+    /**
+     * Render a single content row
+     */
+    renderRow(item) {
+        const meta = item.meta || {};
+        const seoScore = meta.seo_score !== null && meta.seo_score !== undefined ? Math.round(meta.seo_score) : null;
+        const seoClass = seoScore === null ? '' : (seoScore >= 80 ? 'good' : (seoScore >= 60 ? 'fair' : 'poor'));
+        const verification = meta.verification_status || 'pending';
+        const checked = this.selected.has(item.id) ? 'checked' : '';
+
+        return AANP_Html.html`
+            <tr class="${checked ? 'selected' : ''}">
+                <td class="column-select">
+                    <input type="checkbox" data-post-id="${item.id}" ${checked} aria-label="Select ${item.title}">
+                </td>
+                <td class="content-title">
+                    <a href="${this.getEditUrl(item.id)}" target="_top">${item.title || '(no title)'}</a>
+                </td>
+                <td><span class="content-status ${item.status}">${this.formatStatus(item.status)}</span></td>
+                <td>${meta.source_domain || '—'}</td>
+                <td>${item.status === 'publish' ? this.formatDate(item.date) : '—'}</td>
+                <td>${seoScore === null ? '—' : AANP_Html.html`<span class="seo-score-badge ${seoClass}">${seoScore}</span>`}</td>
+                <td><span class="verification-status ${verification}">${this.formatStatus(verification)}</span></td>
+            </tr>
+        `;
+    }
+
+    /**
+     * Render a single message row spanning the table
+     */
+    renderMessage(message) {
+        AANP_Html.render(this.elements.tableBody, AANP_Html.html`
+            <tr><td colspan="7" class="content-empty">${message}</td></tr>
+        `);
+    }
+
+    /**
+     * Render pagination controls
+     */
+    renderPagination() {
+        const totalPages = Math.max(1, this.pagination.total_pages || 0);
+        const totalItems = this.pagination.total_items || 0;
+        const first = totalItems === 0 ? 0 : (this.state.page - 1) * this.state.perPage + 1;
+        const last = Math.min(totalItems, this.state.page * this.state.perPage);
+
+        if (this.elements.pageIndicator) {
+            this.elements.pageIndicator.textContent = `${this.state.page} / ${totalPages}`;
+        }
+
+        if (this.elements.paginationInfo) {
+            this.elements.paginationInfo.textContent = `Showing ${first}-${last} of ${totalItems.toLocaleString()}`;
+        }
+
+        if (this.elements.prevPage) {
+            this.elements.prevPage.disabled = this.state.page <= 1;
+        }
+
+        if (this.elements.nextPage) {
+            this.elements.nextPage.disabled = this.state.page >= totalPages;
+        }
+    }
+
+    /**
+     * Refresh the source feed options, keeping the current choice
+     */
+    updateSourceOptions(sources) {
+        const select = this.elements.source;
+        if (!select) {
+            return;
+        }
+
+        const current = this.state.source;
+        const options = current && !sources.includes(current) ? [current, ...sources] : sources;
+
+        AANP_Html.render(select, AANP_Html.html`
+            <option value="">All Sources</option>
+            ${options.map(source => AANP_Html.html`<option value="${source}">${source}</option>`)}
+        `);
+        select.value = current;
+    }
+
+    /**
+     * Update sort header classes
+     */
+    updateSortIndicators() {
+        document.querySelectorAll('#content-table th.sortable').forEach(header => {
+            const active = header.dataset.sort === this.state.orderby;
+            header.classList.toggle('sorted-asc', active && this.state.order === 'asc');
+            header.classList.toggle('sorted-desc', active && this.state.order === 'desc');
+            header.setAttribute('aria-sort', active ? (this.state.order === 'asc' ? 'ascending' : 'descending') : 'none');
+        });
+    }
+
+    /**
+     * Toggle selection of a single post
+     */
+    toggleSelection(postId, selected) {
+        if (selected) {
+            this.selected.add(postId);
+        } else {
+            this.selected.delete(postId);
+        }
+
+        const checkbox = this.elements.tableBody.querySelector(`input[data-post-id="${postId}"]`);
+        if (checkbox) {
+            checkbox.closest('tr').classList.toggle('selected', selected);
+        }
+
+        this.updateSelectionUI();
+    }
+
+    /**
+     * Toggle selection of every post on the current page
+     */
+    toggleSelectAll(selected) {
+        this.items.forEach(item => this.toggleSelection(item.id, selected));
+
+        this.elements.tableBody.querySelectorAll('input[data-post-id]').forEach(checkbox => {
+            checkbox.checked = selected;
+        });
+    }
+
+    /**
+     * Update bulk action bar and select-all state
+     */
+    updateSelectionUI() {
+        const count = this.selected.size;
+
+        if (this.elements.bulkActions) {
+            this.elements.bulkActions.hidden = count === 0;
+        }
+
+        if (this.elements.selectedCount) {
+            this.elements.selectedCount.textContent = count;
+        }
+
+        if (this.elements.selectAll) {
+            this.elements.selectAll.checked = count > 0 && count === this.items.length;
+            this.elements.selectAll.indeterminate = count > 0 && count < this.items.length;
+        }
+    }
+
+    /**
+     * Apply a bulk action to the selected posts
+     */
+    async runBulkAction(action) {
+        const ids = Array.from(this.selected);
+        if (ids.length === 0) {
+            return;
+        }
+
+        if (action === 'delete' && !window.confirm(`Move ${ids.length} post${ids.length > 1 ? 's' : ''} to the trash?`)) {
+            return;
+        }
+
+        const buttons = document.querySelectorAll('#content-bulk-actions [data-bulk-action]');
+        buttons.forEach(button => { button.disabled = true; });
+
+        try {
+            const result = await this.dashboard.restRequest('/content/bulk', {
+                method: 'POST',
+                body: { ids, action }
+            });
+
+            const succeeded = (result.succeeded || []).length;
+            const failed = result.failed || [];
+
+            if (succeeded > 0) {
+                const message = `${this.formatAction(action)} ${succeeded} post${succeeded > 1 ? 's' : ''}`;
+
+                // Re-generation runs in the background queue; link to its tasks
+                this.dashboard.showNotification(result.tasks
+                    ? AANP_Html.html`${message}. <a href="#/queue">View in queue</a>`
+                    : message, 'success');
+            }
+
+            if (failed.length > 0) {
+                console.error('Bulk action failures:', failed);
+                this.dashboard.showNotification(`${failed.length} post${failed.length > 1 ? 's' : ''} could not be updated`, 'error');
+            }
+
+            this.refresh();
+        } catch (error) {
+            console.error('Bulk action failed:', error);
+            this.dashboard.showNotification('Bulk action failed', 'error');
+        } finally {
+            buttons.forEach(button => { button.disabled = false; });
+        }
+    }
+
+    /**
+     * Build the wp-admin edit URL for a post
+     */
+    getEditUrl(postId) {
+        const adminUrl = (window.ai_news_dashboard && window.ai_news_dashboard.admin_url) || '/wp-admin/';
+        return `${adminUrl.replace(/\/$/, '')}/post.php?post=${encodeURIComponent(postId)}&action=edit`;
+    }
+
+    /**
+     * Format status label
+     */
+    formatStatus(status) {
+        const labels = {
+            publish: 'Published',
+            draft: 'Draft',
+            pending: 'Pending',
+            private: 'Private',
+            future: 'Scheduled',
+            verified: 'Verified',
+            warning: 'Warning',
+            error: 'Error'
+        };
+
+        return labels[status] || String(status || '');
+    }
+
+    /**
+     * Format past-tense label for a bulk action
+     */
+    formatAction(action) {
+        const labels = {
+            publish: 'Published',
+            unpublish: 'Unpublished',
+            regenerate: 'Queued re-generation for',
+            delete: 'Deleted'
+        };
+
+        return labels[action] || action;
+    }
+
+    /**
+     * Format post date
+     */
+    formatDate(date) {
+        const parsed = new Date(String(date).replace(' ', 'T'));
+        return isNaN(parsed.getTime()) ? String(date) : parsed.toLocaleDateString(undefined, {
+            year: 'numeric',
+            month: 'short',
+            day: 'numeric'
+        });
+    }
+
+    /**
+     * Cleanup
+     */
+    destroy() {
+        clearTimeout(this.searchTimeout);
+        this.selected.clear();
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AANP_ContentManager;
+}
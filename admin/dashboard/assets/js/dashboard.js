@@ -5,13 +5,25 @@
 
 class AIDashboard {
     constructor() {
-        this.websocket = null;
+        this.realtime = null;
         this.charts = {};
         this.metrics = {};
-        this.notifications = [];
         this.isConnected = false;
-        this.monitoringInterval = null;
-        this.updateInterval = 5000; // 5 seconds
+        this.metricsStore = null;
+        this.timeRange = '7d';
+        this.history = null;
+        this.historicalCharts = new Set();
+        this.historicalMetrics = new Set();
+        this.settings = {
+            monitoring_interval: 5,
+            enable_alerts: true,
+            theme: 'light',
+            chart_animations: true,
+            shortcuts: {}
+        };
+        this.shortcutBindings = [];
+        this.alertModal = null;
+        this.openAlertId = null;
         
         this.init();
     }
@@ -30,11 +42,15 @@ class AIDashboard {
             // Set up event listeners
             this.setupEventListeners();
             
-            // Initialize WebSocket connection
-            await this.initializeWebSocket();
+            // Restore section, time range and panels from the URL
+            this.initializeRouting();
+            
+            // Initialize real-time connection
+            await this.initializeRealtime();
             
             // Load initial data
             await this.loadDashboardData();
+            await this.loadHistory();
             
             // Start real-time monitoring
             this.startRealTimeMonitoring();
@@ -53,6 +69,11 @@ class AIDashboard {
      * Initialize dashboard components
      */
     async initializeComponents() {
+        // Apply the user's capabilities before other modules render controls
+        if (typeof AANP_Capabilities !== 'undefined') {
+            this.capabilities = new AANP_Capabilities(this);
+        }
+        
         // Initialize charts
         this.initializeCharts();
         
@@ -62,8 +83,92 @@ class AIDashboard {
         // Setup theme
         this.setupTheme();
         
+        // Load saved user settings
+        await this.loadSettings();
+        
         // Setup accessibility
         this.setupAccessibility();
+        
+        // Register keyboard shortcuts and apply the user's bindings
+        if (window.aanpShortcuts) {
+            this.shortcuts = window.aanpShortcuts;
+            this.shortcuts.setOverrides(this.settings.shortcuts);
+            this.unsubscribeShortcuts = this.shortcuts.subscribe((overrides) => this.saveShortcuts(overrides));
+            this.registerShortcuts();
+        }
+        
+        // Initialize URL routing before the modules that register state with it
+        if (typeof AANP_Router !== 'undefined') {
+            this.router = new AANP_Router(this);
+        }
+        
+        // Initialize content manager
+        if (typeof AANP_ContentManager !== 'undefined') {
+            this.contentManager = new AANP_ContentManager(this);
+        }
+        
+        // Initialize API key manager
+        if (typeof AANP_ApiKeyManager !== 'undefined') {
+            this.apiKeyManager = new AANP_ApiKeyManager(this);
+        }
+        
+        // Initialize webhook manager
+        if (typeof AANP_WebhookManager !== 'undefined') {
+            this.webhookManager = new AANP_WebhookManager(this);
+        }
+        
+        // Initialize API documentation
+        if (typeof AANP_ApiDocs !== 'undefined') {
+            this.apiDocs = new AANP_ApiDocs(this);
+        }
+        
+        // Initialize report generator
+        if (typeof AANP_ReportGenerator !== 'undefined') {
+            this.reportGenerator = new AANP_ReportGenerator(this);
+        }
+        
+        // Initialize real-time transport
+        if (typeof AANP_RealtimeTransport !== 'undefined') {
+            this.realtime = new AANP_RealtimeTransport(this);
+            this.realtime.subscribe((data) => this.handleWebSocketMessage(data));
+        }
+        
+        // Subscribe to the shared metrics store
+        if (window.aanpMetricsStore) {
+            this.metricsStore = window.aanpMetricsStore;
+            this.metricsStore.setPollingInterval(this.settings.monitoring_interval * 1000);
+            this.unsubscribeMetrics = this.metricsStore.subscribe((sample) => this.handleMetricsSample(sample));
+        }
+        
+        // Initialize chart type and overlay views
+        if (typeof AANP_ChartViews !== 'undefined') {
+            this.chartViews = new AANP_ChartViews(this);
+        }
+        
+        // Initialize background queue panel
+        if (typeof AANP_QueuePanel !== 'undefined') {
+            this.queuePanel = new AANP_QueuePanel(this);
+        }
+        
+        // Initialize chart annotations
+        if (typeof AANP_ChartAnnotations !== 'undefined') {
+            this.chartAnnotations = new AANP_ChartAnnotations(this);
+        }
+        
+        // Initialize notification center
+        if (typeof AANP_NotificationCenter !== 'undefined') {
+            this.notificationCenter = new AANP_NotificationCenter(this);
+        }
+        
+        // Initialize overview widget layout
+        if (typeof AANP_WidgetLayout !== 'undefined') {
+            this.widgetLayout = new AANP_WidgetLayout(this);
+        }
+        
+        // Initialize command palette
+        if (typeof AANP_CommandPalette !== 'undefined') {
+            this.commandPalette = new AANP_CommandPalette(this);
+        }
     }
 
     /**
@@ -277,18 +382,24 @@ class AIDashboard {
         // Time range selector
         const timeRangeSelect = document.getElementById('time-range');
         if (timeRangeSelect) {
+            this.timeRange = timeRangeSelect.value;
             timeRangeSelect.addEventListener('change', () => this.updateTimeRange(timeRangeSelect.value));
         }
 
+        const applyTimeRangeBtn = document.getElementById('apply-time-range');
+        if (applyTimeRangeBtn) {
+            applyTimeRangeBtn.addEventListener('click', () => this.updateTimeRange('custom'));
+        }
+
         // Chart controls
-        document.querySelectorAll('.chart-btn').forEach(btn => {
-            btn.addEventListener('click', () => this.switchChart(btn.dataset.chart));
+        document.querySelectorAll('.chart-btn[data-series]').forEach(btn => {
+            btn.addEventListener('click', () => this.switchChart(btn.dataset.series));
         });
 
-        // Notification button
-        const notificationBtn = document.getElementById('notifications-btn');
-        if (notificationBtn) {
-            notificationBtn.addEventListener('click', () => this.toggleNotifications());
+        // Performance report export
+        const exportReportBtn = document.getElementById('export-report');
+        if (exportReportBtn) {
+            exportReportBtn.addEventListener('click', () => this.exportReport());
         }
 
         // SEO audit button
@@ -303,59 +414,101 @@ class AIDashboard {
             generateApiKeyBtn.addEventListener('click', () => this.generateAPIKey());
         }
 
+        // API documentation
+        const viewDocsBtn = document.getElementById('view-docs');
+        if (viewDocsBtn) {
+            viewDocsBtn.addEventListener('click', () => this.showAPIDocs());
+        }
+
         // Settings
         const saveSettingsBtn = document.getElementById('save-settings');
         if (saveSettingsBtn) {
             saveSettingsBtn.addEventListener('click', () => this.saveSettings());
         }
+    }
 
-        // Keyboard shortcuts
-        document.addEventListener('keydown', (e) => this.handleKeyboardShortcuts(e));
+    /**
+     * Initialize real-time updates over the negotiated transport
+     */
+    async initializeRealtime() {
+        if (!this.realtime) {
+            this.updateConnectionStatus(false);
+            return;
+        }
+        
+        await this.realtime.connect();
     }
 
     /**
-     * Initialize WebSocket connection for real-time updates
+     * Register the dashboard's routed state and apply the URL
      */
-    async initializeWebSocket() {
-        try {
-            const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
-            const wsUrl = `${protocol}//${window.location.host}/wp-admin/admin-ajax.php?action=ai_news_websocket`;
-            
-            this.websocket = new WebSocket(wsUrl);
-            
-            this.websocket.onopen = () => {
-                this.isConnected = true;
-                this.updateConnectionStatus(true);
-                console.log('WebSocket connected');
-            };
-            
-            this.websocket.onmessage = (event) => {
-                try {
-                    const data = JSON.parse(event.data);
-                    this.handleWebSocketMessage(data);
-                } catch (error) {
-                    console.error('WebSocket message parsing error:', error);
+    initializeRouting() {
+        if (!this.router) return;
+        
+        this.router.addSource({
+            keys: ['range', 'from', 'to'],
+            navigational: true,
+            read: () => {
+                const custom = this.timeRange === 'custom';
+                return {
+                    range: this.timeRange,
+                    from: custom ? document.getElementById('time-range-start')?.value : '',
+                    to: custom ? document.getElementById('time-range-end')?.value : ''
+                };
+            },
+            write: (params, { initial }) => this.restoreTimeRange(params, initial)
+        });
+        
+        this.router.addSource({
+            keys: ['alert'],
+            navigational: true,
+            read: () => ({ alert: this.openAlertId }),
+            write: ({ alert }) => {
+                if (alert && alert !== this.openAlertId) {
+                    this.openAlert(alert);
+                } else if (!alert && this.alertModal) {
+                    this.alertModal.close();
                 }
-            };
-            
-            this.websocket.onclose = () => {
-                this.isConnected = false;
-                this.updateConnectionStatus(false);
-                console.log('WebSocket disconnected');
-                // Attempt reconnection after 5 seconds
-                setTimeout(() => this.initializeWebSocket(), 5000);
-            };
-            
-            this.websocket.onerror = (error) => {
-                console.error('WebSocket error:', error);
-                this.isConnected = false;
-                this.updateConnectionStatus(false);
-            };
-            
-        } catch (error) {
-            console.error('WebSocket initialization failed:', error);
-            this.isConnected = false;
-            this.updateConnectionStatus(false);
+            }
+        });
+        
+        this.router.start();
+    }
+
+    /**
+     * Apply a time range from the URL
+     *
+     * The initial restore only sets the controls; init loads the history.
+     */
+    restoreTimeRange({ range, from, to }, initial = false) {
+        const timeRangeSelect = document.getElementById('time-range');
+        const startInput = document.getElementById('time-range-start');
+        const endInput = document.getElementById('time-range-end');
+        const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value);
+        
+        const ranges = timeRangeSelect ? Array.from(timeRangeSelect.options).map(option => option.value) : [];
+        if (!ranges.includes(range) || (range === 'custom' && !(isDate(from) && isDate(to) && from <= to))) {
+            range = timeRangeSelect?.querySelector('option[selected]')?.value || '7d';
+        }
+        
+        const changed = range !== this.timeRange
+            || (range === 'custom' && (startInput?.value !== from || endInput?.value !== to));
+        
+        if (!changed) return;
+        
+        this.timeRange = range;
+        if (timeRangeSelect) timeRangeSelect.value = range;
+        
+        const customRange = document.getElementById('custom-time-range');
+        if (customRange) customRange.hidden = range !== 'custom';
+        
+        if (range === 'custom' && startInput && endInput) {
+            startInput.value = from;
+            endInput.value = to;
+        }
+        
+        if (!initial) {
+            this.loadHistory();
         }
     }
 
@@ -365,7 +518,11 @@ class AIDashboard {
     handleWebSocketMessage(data) {
         switch (data.type) {
             case 'metric_update':
-                this.updateMetrics(data.payload);
+                if (this.metricsStore) {
+                    this.metricsStore.push(data.payload);
+                } else {
+                    this.updateMetrics(data.payload);
+                }
                 break;
             case 'alert':
                 this.handleAlert(data.payload);
@@ -388,6 +545,8 @@ class AIDashboard {
      * Switch between dashboard sections
      */
     switchSection(sectionName) {
+        if (!document.getElementById(`${sectionName}-section`)) return;
+        
         // Update navigation
         document.querySelectorAll('.menu-item').forEach(item => {
             item.classList.remove('active');
@@ -402,6 +561,10 @@ class AIDashboard {
         
         // Load section-specific data
         this.loadSectionData(sectionName);
+        
+        if (this.router) {
+            this.router.update();
+        }
     }
 
     /**
@@ -422,6 +585,9 @@ class AIDashboard {
                 case 'content':
                     await this.loadContentData();
                     break;
+                case 'queue':
+                    if (this.queuePanel) await this.queuePanel.load();
+                    break;
             }
         } catch (error) {
             console.error(`Failed to load ${sectionName} data:`, error);
@@ -461,30 +627,282 @@ class AIDashboard {
         }
     }
 
+    /**
+     * Load API section data
+     */
+    async loadAPIData() {
+        const [stats] = await Promise.all([
+            this.ajaxRequest('ai_news_dashboard_data', { dashboard_action: 'get_api_stats' }),
+            this.apiKeyManager && this.can('manage-keys') ? this.apiKeyManager.loadKeys() : null,
+            this.webhookManager && this.can('manage-keys') ? this.webhookManager.loadWebhooks() : null
+        ]);
+        
+        const totalRequests = document.getElementById('total-requests');
+        if (totalRequests) {
+            totalRequests.textContent = this.formatNumber(stats.requests_today || 0);
+        }
+        
+        const successRate = document.getElementById('success-rate');
+        if (successRate) {
+            successRate.textContent = `${stats.success_rate || 0}%`;
+        }
+    }
+
+    /**
+     * Load content section data
+     */
+    async loadContentData() {
+        if (!this.contentManager) return;
+        
+        await this.contentManager.load();
+    }
+
+    /**
+     * Send a request to a dashboard AJAX action
+     */
+    async ajaxRequest(action, params = {}) {
+        const body = new URLSearchParams({
+            action,
+            nonce: ai_news_dashboard_nonce
+        });
+
+        // Arrays are sent as repeated key[] fields so PHP receives them as arrays;
+        // missing values are left out rather than sent as "null" or "undefined"
+        Object.entries(params).forEach(([key, value]) => {
+            if (value === null || value === undefined) {
+                return;
+            }
+
+            if (Array.isArray(value)) {
+                value.forEach(item => body.append(`${key}[]`, item));
+            } else {
+                body.append(key, value);
+            }
+        });
+
+        const response = await fetch(ajaxurl, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/x-www-form-urlencoded',
+            },
+            body
+        });
+        
+        const data = await response.json();
+        
+        if (!data.success) {
+            throw new Error(data.data || `Request ${action} failed`);
+        }
+        
+        return data.data;
+    }
+
+    /**
+     * Send a request to the plugin REST API
+     */
+    async restRequest(path, { method = 'GET', query = {}, body = null } = {}) {
+        const config = window.ai_news_dashboard || {};
+        const baseUrl = (config.rest_url || '/wp-json/ai-auto-news/v1/').replace(/\/$/, '');
+        const url = new URL(baseUrl + path, window.location.origin);
+        
+        Object.entries(query).forEach(([key, value]) => {
+            if (value !== '' && value !== null && value !== undefined) {
+                url.searchParams.set(key, value);
+            }
+        });
+        
+        const headers = {
+            'X-WP-Nonce': config.rest_nonce || ''
+        };
+        
+        if (body) {
+            headers['Content-Type'] = 'application/json';
+        }
+        
+        const response = await fetch(url.toString(), {
+            method,
+            headers,
+            credentials: 'same-origin',
+            body: body ? JSON.stringify(body) : null
+        });
+        
+        const data = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(data.message || `Request failed with status ${response.status}`);
+        }
+        
+        return data;
+    }
+
     /**
      * Update metrics display
      */
     updateMetrics(metrics) {
         Object.entries(metrics).forEach(([key, value]) => {
-            if (this.metricsCounters[key]) {
+            // Window totals come from the selected time range, not live updates
+            if (this.metricsCounters[key] && !this.historicalMetrics.has(key)) {
                 this.animateCounter(this.metricsCounters[key], value);
             }
         });
+    }
+
+    /**
+     * Update overview time range
+     */
+    async updateTimeRange(range) {
+        const customRange = document.getElementById('custom-time-range');
+        if (customRange) {
+            customRange.hidden = range !== 'custom';
+        }
         
-        // Update percentage changes
-        if (metrics.articles_change) {
-            const changeElement = document.getElementById('articles-change');
-            changeElement.textContent = `${metrics.articles_change > 0 ? '+' : ''}${metrics.articles_change}%`;
-            changeElement.className = `metric-change ${metrics.articles_change >= 0 ? 'positive' : 'negative'}`;
+        if (range === 'custom') {
+            const startInput = document.getElementById('time-range-start');
+            const endInput = document.getElementById('time-range-end');
+            
+            // Prefill with the last 14 days the first time the picker opens
+            if (startInput && endInput && !startInput.value && !endInput.value) {
+                const today = new Date();
+                endInput.value = today.toISOString().slice(0, 10);
+                startInput.value = new Date(today.getTime() - 13 * 86400000).toISOString().slice(0, 10);
+                return;
+            }
+            
+            if (!startInput || !endInput || !startInput.value || !endInput.value) {
+                return;
+            }
+            
+            if (startInput.value > endInput.value) {
+                this.showNotification('Start date must be before end date', 'error');
+                return;
+            }
+        }
+        
+        this.timeRange = range;
+        
+        if (this.router) {
+            this.router.update();
+        }
+        
+        await this.loadHistory();
+    }
+
+    /**
+     * Load aggregated history for the selected time range
+     */
+    async loadHistory() {
+        const params = { time_range: this.timeRange };
+        
+        if (this.timeRange === 'custom') {
+            params.start = document.getElementById('time-range-start')?.value || '';
+            params.end = document.getElementById('time-range-end')?.value || '';
         }
         
-        if (metrics.views_change) {
-            const changeElement = document.getElementById('views-change');
-            changeElement.textContent = `${metrics.views_change > 0 ? '+' : ''}${metrics.views_change}%`;
-            changeElement.className = `metric-change ${metrics.views_change >= 0 ? 'positive' : 'negative'}`;
+        try {
+            const history = await this.ajaxRequest('ai_news_get_metrics_history', params);
+            this.applyHistory(history);
+        } catch (error) {
+            console.error('Failed to load metrics history:', error);
+            this.showNotification('Failed to load metrics history', 'error');
         }
     }
 
+    /**
+     * Redraw overview charts and cards from history data
+     */
+    applyHistory(history) {
+        this.history = history;
+        
+        const labels = history.labels.map(timestamp => this.formatHistoryLabel(timestamp, history.bucket_size));
+        
+        if (this.chartViews) {
+            this.chartViews.setHistory(history, labels);
+            this.historicalCharts.add('performance');
+        } else if (this.charts.performance) {
+            this.charts.performance.data.labels = labels;
+            this.charts.performance.data.datasets[0].data = history.series.performance_score;
+            this.charts.performance.update();
+            this.historicalCharts.add('performance');
+        }
+        
+        if (this.charts.activity && history.activity) {
+            this.charts.activity.data.datasets[0].data = [
+                history.activity.published,
+                history.activity.scheduled,
+                history.activity.draft
+            ];
+            this.charts.activity.update();
+            this.historicalCharts.add('activity');
+        }
+        
+        const totals = history.totals || {};
+        const previous = history.previous_totals || {};
+        
+        const cards = [
+            ['articlesPublished', 'articles_published', 'articles-change'],
+            ['totalViews', 'total_views', 'views-change'],
+            ['performanceScore', 'performance_score', 'score-change']
+        ];
+        
+        cards.forEach(([counterKey, totalKey, changeId]) => {
+            if (this.metricsCounters[counterKey] && totals[totalKey] !== null && totals[totalKey] !== undefined) {
+                this.animateCounter(this.metricsCounters[counterKey], totals[totalKey]);
+            }
+            this.historicalMetrics.add(counterKey);
+            this.renderPeriodChange(changeId, this.calculatePeriodChange(totals[totalKey], previous[totalKey]));
+        });
+    }
+
+    /**
+     * Calculate percentage change between two periods
+     */
+    calculatePeriodChange(current, previous) {
+        if (current === null || current === undefined || previous === null || previous === undefined) {
+            return null;
+        }
+        
+        if (previous === 0) {
+            return current === 0 ? 0 : null;
+        }
+        
+        return Math.round(((current - previous) / Math.abs(previous)) * 1000) / 10;
+    }
+
+    /**
+     * Render a period-over-period change indicator
+     */
+    renderPeriodChange(elementId, change) {
+        const changeElement = document.getElementById(elementId);
+        if (!changeElement) return;
+        
+        if (change === null) {
+            changeElement.textContent = '\u2014';
+            changeElement.className = 'metric-change neutral';
+        } else {
+            changeElement.textContent = `${change > 0 ? '+' : ''}${change}%`;
+            changeElement.className = `metric-change ${change >= 0 ? 'positive' : 'negative'}`;
+        }
+        
+        changeElement.title = 'Compared with the previous period';
+    }
+
+    /**
+     * Format a history bucket timestamp for chart labels
+     */
+    formatHistoryLabel(timestamp, bucketSize) {
+        const date = new Date(timestamp * 1000);
+        
+        if (bucketSize >= 86400) {
+            return date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+        }
+        
+        if (this.timeRange === '1h' || this.timeRange === '24h') {
+            return date.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
+        }
+        
+        return date.toLocaleString(undefined, { month: 'short', day: 'numeric', hour: '2-digit' });
+    }
+
     /**
      * Animate counter from current to target value
      */
@@ -510,7 +928,7 @@ class AIDashboard {
         const activityList = document.getElementById('activity-list');
         if (!activityList) return;
         
-        activityList.innerHTML = activities.map(activity => `
+        AANP_Html.render(activityList, activities.map(activity => AANP_Html.html`
             <div class="activity-item">
                 <div class="activity-icon ${activity.type}">
                     <i class="fas ${activity.icon}"></i>
@@ -521,7 +939,16 @@ class AIDashboard {
                     <div class="activity-time">${this.formatTimeAgo(activity.timestamp)}</div>
                 </div>
             </div>
-        `).join('');
+        `));
+    }
+
+    /**
+     * Show a different series on a chart
+     */
+    switchChart(series, chartKey = 'performance') {
+        if (!this.chartViews) return;
+        
+        this.chartViews.setPrimary(chartKey, series);
     }
 
     /**
@@ -540,46 +967,45 @@ class AIDashboard {
      * Start real-time monitoring
      */
     startRealTimeMonitoring() {
-        this.monitoringInterval = setInterval(() => {
-            this.fetchRealTimeData();
-        }, this.updateInterval);
+        if (this.metricsStore) {
+            this.metricsStore.start();
+        }
     }
 
     /**
-     * Fetch real-time data
+     * Apply a metrics store sample to counters and live charts
      */
-    async fetchRealTimeData() {
-        try {
-            const response = await fetch(ajaxurl, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/x-www-form-urlencoded',
-                },
-                body: new URLSearchParams({
-                    action: 'ai_news_get_realtime_data',
-                    nonce: ai_news_dashboard_nonce
-                })
-            });
-            
-            const data = await response.json();
-            
-            if (data.success) {
-                this.updateMetrics(data.data.metrics);
-                this.updateRealTimeCharts(data.data.charts);
-            }
-        } catch (error) {
-            console.error('Failed to fetch real-time data:', error);
-        }
+    handleMetricsSample(sample) {
+        const metrics = {
+            responseTime: sample.responseTime,
+            memoryUsage: sample.memoryUsage,
+            cpuUsage: sample.cpuUsage
+        };
+        
+        // Skip metrics the server does not report
+        const available = Object.fromEntries(Object.entries(metrics).filter(([, value]) => value !== null));
+        
+        this.updateMetrics(available);
+        this.updateRealTimeCharts({
+            responseTime: sample.responseTime,
+            memory: sample.memoryUsage,
+            cpu: sample.cpuUsage
+        }, sample.timestamp);
     }
 
     /**
      * Update real-time charts
      */
-    updateRealTimeCharts(chartData) {
-        const now = new Date().toLocaleTimeString();
+    updateRealTimeCharts(chartData, timestamp = Date.now()) {
+        const now = new Date(timestamp).toLocaleTimeString();
         
         Object.entries(chartData).forEach(([chartType, value]) => {
-            if (this.charts[chartType]) {
+            if (value === null || value === undefined) return;
+            
+            // Charts bound to a history window are redrawn by loadHistory
+            if (this.chartViews && this.chartViews.manages(chartType)) return;
+            
+            if (this.charts[chartType] && !this.historicalCharts.has(chartType)) {
                 const chart = this.charts[chartType];
                 
                 // Add new data point
@@ -601,13 +1027,31 @@ class AIDashboard {
      * Handle alert
      */
     handleAlert(alert) {
-        this.showNotification(alert.message, alert.severity);
+        // The server files alerts in the notification center as well
+        if (this.notificationCenter) {
+            this.notificationCenter.refresh();
+        }
+        
+        if (!this.settings.enable_alerts) return;
+        
+        this.showToast(alert.message, alert.severity);
         
         if (alert.severity === 'error') {
             this.addAlertToList(alert);
         }
     }
 
+    /**
+     * Handle notification
+     */
+    handleNotification(notification) {
+        if (this.notificationCenter) {
+            this.notificationCenter.refresh({ announce: true });
+        } else {
+            this.showToast(notification.message, notification.type || 'info');
+        }
+    }
+
     /**
      * Add alert to performance alerts list
      */
@@ -617,12 +1061,24 @@ class AIDashboard {
         
         const alertElement = document.createElement('div');
         alertElement.className = `alert-item ${alert.severity}`;
-        alertElement.innerHTML = `
+        if (alert.id) {
+            alertElement.dataset.alertId = alert.id;
+            alertElement.tabIndex = 0;
+            alertElement.setAttribute('role', 'button');
+            alertElement.addEventListener('click', () => this.openAlert(alert.id));
+            alertElement.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    this.openAlert(alert.id);
+                }
+            });
+        }
+        AANP_Html.render(alertElement, AANP_Html.html`
             <div class="alert-content">
                 <div class="alert-title">${alert.title}</div>
                 <div class="alert-message">${alert.message}</div>
             </div>
-        `;
+        `);
         
         alertsList.insertBefore(alertElement, alertsList.firstChild);
         
@@ -632,6 +1088,88 @@ class AIDashboard {
         }
     }
 
+    /**
+     * Show one alert with acknowledge and resolve actions
+     */
+    async openAlert(alertId) {
+        if (this.alertModal) {
+            this.alertModal.close();
+        }
+        
+        this.openAlertId = String(alertId);
+        
+        let alert = null;
+        try {
+            const data = await this.ajaxRequest('ai_news_get_alerts');
+            alert = (data.alerts || []).find(item => String(item.id) === this.openAlertId);
+        } catch (error) {
+            console.error('Failed to load alert:', error);
+        }
+        
+        // Another alert may have been opened while this one loaded
+        if (this.openAlertId !== String(alertId)) return;
+        
+        if (!alert) {
+            this.openAlertId = null;
+            this.showNotification('Alert not found or already resolved', 'warning');
+            if (this.router) this.router.update();
+            return;
+        }
+        
+        const created = alert.created_at ? new Date(alert.created_at * 1000) : null;
+        const active = alert.status === 'active';
+        
+        const modal = this.openModal({
+            title: alert.title || 'Alert',
+            className: 'alert-detail-modal',
+            onClose: () => {
+                if (this.alertModal !== modal) return;
+                
+                this.alertModal = null;
+                this.openAlertId = null;
+                if (this.router) this.router.update();
+            },
+            body: AANP_Html.html`
+                <dl class="alert-detail">
+                    <dt>Severity</dt><dd><span class="alert-item ${alert.severity}">${alert.severity}</span></dd>
+                    <dt>Status</dt><dd>${alert.status}</dd>
+                    <dt>Type</dt><dd>${alert.type}</dd>
+                    ${created && AANP_Html.html`<dt>Raised</dt><dd>${created.toLocaleString()} (${this.formatTimeAgo(created)})</dd>`}
+                    ${alert.acknowledged_at && AANP_Html.html`<dt>Acknowledged</dt><dd>${this.formatTimeAgo(alert.acknowledged_at * 1000)}${alert.acknowledged_by_name ? ` by ${alert.acknowledged_by_name}` : ''}</dd>`}
+                    <dt>Message</dt><dd>${alert.message}</dd>
+                </dl>
+            `,
+            footer: AANP_Html.html`
+                ${active && AANP_Html.html`<button type="button" class="btn btn-outline" data-alert-action="acknowledge" data-capability="manage-alerts">Acknowledge</button>`}
+                ${alert.status !== 'resolved' && AANP_Html.html`<button type="button" class="btn btn-primary" data-alert-action="resolve" data-capability="manage-alerts">Resolve</button>`}
+                <button type="button" class="btn btn-outline" data-modal-close>Close</button>
+            `
+        });
+        
+        if (this.capabilities) this.capabilities.apply(modal);
+        
+        modal.querySelectorAll('[data-alert-action]').forEach(button => {
+            button.addEventListener('click', async () => {
+                const action = button.dataset.alertAction;
+                button.disabled = true;
+                
+                try {
+                    await this.ajaxRequest(`ai_news_${action}_alert`, { alert_id: alert.id });
+                    this.showNotification(action === 'resolve' ? 'Alert resolved' : 'Alert acknowledged', 'success');
+                    modal.close();
+                    if (window.aanpMonitoring) window.aanpMonitoring.loadAlerts();
+                } catch (error) {
+                    console.error(`Failed to ${action} alert:`, error);
+                    this.showNotification(error.message || `Failed to ${action} alert`, 'error');
+                    button.disabled = false;
+                }
+            });
+        });
+        
+        this.alertModal = modal;
+        if (this.router) this.router.update();
+    }
+
     /**
      * Update SEO data
      */
@@ -690,12 +1228,12 @@ class AIDashboard {
         const recommendationsList = document.getElementById('seo-recommendations');
         if (!recommendationsList) return;
         
-        recommendationsList.innerHTML = recommendations.map(rec => `
+        AANP_Html.render(recommendationsList, recommendations.map(rec => AANP_Html.html`
             <div class="recommendation-item">
                 <div class="recommendation-title">${rec.title}</div>
                 <div class="recommendation-description">${rec.description}</div>
             </div>
-        `).join('');
+        `));
     }
 
     /**
@@ -738,45 +1276,38 @@ class AIDashboard {
         }
     }
 
+    /**
+     * Open performance report export
+     */
+    exportReport() {
+        if (!this.reportGenerator) return;
+        
+        this.reportGenerator.open();
+    }
+
+    /**
+     * Whether the current user holds a ContentPilot capability
+     */
+    can(capability) {
+        return this.capabilities ? this.capabilities.can(capability) : true;
+    }
+
     /**
      * Generate API key
      */
     async generateAPIKey() {
-        const button = document.getElementById('generate-api-key');
-        if (!button) return;
+        if (!this.apiKeyManager) return;
         
-        const originalText = button.innerHTML;
-        button.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Generating...';
-        button.disabled = true;
+        await this.apiKeyManager.createKey();
+    }
+
+    /**
+     * Open API documentation
+     */
+    async showAPIDocs() {
+        if (!this.apiDocs) return;
         
-        try {
-            const response = await fetch(ajaxurl, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/x-www-form-urlencoded',
-                },
-                body: new URLSearchParams({
-                    action: 'ai_news_generate_api_key',
-                    nonce: ai_news_dashboard_nonce
-                })
-            });
-            
-            const data = await response.json();
-            
-            if (data.success) {
-                this.showNotification('API key generated successfully', 'success');
-                // You might want to display the key in a modal or copy it to clipboard
-                this.copyToClipboard(data.data.api_key);
-            } else {
-                throw new Error(data.data || 'Failed to generate API key');
-            }
-        } catch (error) {
-            console.error('API key generation failed:', error);
-            this.showNotification('Failed to generate API key', 'error');
-        } finally {
-            button.innerHTML = originalText;
-            button.disabled = false;
-        }
+        await this.apiDocs.open();
     }
 
     /**
@@ -791,12 +1322,68 @@ class AIDashboard {
         }
     }
 
+    /**
+     * Open a dashboard modal
+     *
+     * Returns the modal element; it removes itself on close, Escape or a
+     * click on the backdrop. body and footer must be AANP_Html templates.
+     */
+    openModal({ title, body, footer = '', className = '', onClose = null }) {
+        const previousFocus = document.activeElement;
+        const modal = document.createElement('div');
+        modal.className = `dashboard-modal ${className}`.trim();
+        modal.setAttribute('role', 'dialog');
+        modal.setAttribute('aria-modal', 'true');
+        modal.setAttribute('aria-label', title);
+        AANP_Html.render(modal, AANP_Html.html`
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h3>${title}</h3>
+                    <button type="button" class="modal-close" aria-label="Close">&times;</button>
+                </div>
+                <div class="modal-body">${body}</div>
+                ${footer && AANP_Html.html`<div class="modal-footer">${footer}</div>`}
+            </div>
+        `);
+
+        const close = () => {
+            document.removeEventListener('keydown', onKeydown);
+            modal.remove();
+            if (previousFocus && typeof previousFocus.focus === 'function') {
+                previousFocus.focus();
+            }
+            if (onClose) {
+                onClose();
+            }
+        };
+
+        const onKeydown = (e) => {
+            if (e.key === 'Escape') {
+                close();
+            }
+        };
+
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal || e.target.closest('.modal-close, [data-modal-close]')) {
+                close();
+            }
+        });
+        document.addEventListener('keydown', onKeydown);
+
+        modal.close = close;
+        document.body.appendChild(modal);
+        modal.querySelector('.modal-close').focus();
+
+        return modal;
+    }
+
     /**
      * Refresh data
      */
     async refreshData() {
         this.showLoadingOverlay();
         await this.loadDashboardData();
+        await this.loadHistory();
         this.hideLoadingOverlay();
         this.showNotification('Data refreshed successfully', 'success');
     }
@@ -808,9 +1395,10 @@ class AIDashboard {
         const button = document.getElementById('start-monitoring');
         if (!button) return;
         
-        if (this.monitoringInterval) {
-            clearInterval(this.monitoringInterval);
-            this.monitoringInterval = null;
+        if (!this.metricsStore) return;
+        
+        if (this.metricsStore.isRunning()) {
+            this.metricsStore.stop();
             button.innerHTML = '<i class="fas fa-play"></i> Start Monitoring';
             this.showNotification('Monitoring stopped', 'info');
         } else {
@@ -823,165 +1411,272 @@ class AIDashboard {
     /**
      * Update connection status indicator
      */
-    updateConnectionStatus(connected) {
+    updateConnectionStatus(connected, label = null) {
         const statusIndicator = document.getElementById('connection-status');
         const statusText = document.querySelector('.status-text');
         
+        this.isConnected = connected;
+        
         if (statusIndicator) {
             statusIndicator.className = `status-indicator ${connected ? 'online' : 'offline'}`;
         }
         
         if (statusText) {
-            statusText.textContent = connected ? 'Connected' : 'Disconnected';
+            statusText.textContent = label || (connected ? 'Connected' : 'Disconnected');
         }
     }
 
     /**
      * Show notification
+     *
+     * Warnings and errors are also kept in the notification center.
      */
     showNotification(message, type = 'info') {
+        this.showToast(message, type);
+        
+        if (this.notificationCenter && (type === 'warning' || type === 'error')) {
+            this.notificationCenter.record(message, type);
+        }
+    }
+
+    /**
+     * Show a toast
+     *
+     * Errors stay until closed; other toasts close after 5 seconds unless
+     * hovered.
+     */
+    showToast(message, type = 'info') {
         // Create notification element
         const notification = document.createElement('div');
         notification.className = `notification ${type}`;
-        notification.innerHTML = `
+        notification.setAttribute('role', type === 'error' ? 'alert' : 'status');
+        AANP_Html.render(notification, AANP_Html.html`
             <div class="notification-content">
                 <span>${message}</span>
-                <button class="notification-close">&times;</button>
+                <button class="notification-close" aria-label="Close">&times;</button>
             </div>
-        `;
-        
-        // Add to notifications array for the dropdown
-        this.notifications.unshift({
-            id: Date.now(),
-            message,
-            type,
-            timestamp: new Date(),
-            read: false
-        });
-        
-        // Update notification count
-        this.updateNotificationCount();
+        `);
         
         // Add to page
         document.body.appendChild(notification);
         
-        // Auto remove after 5 seconds
-        setTimeout(() => {
+        const remove = () => {
             if (notification.parentNode) {
                 notification.parentNode.removeChild(notification);
             }
-        }, 5000);
+        };
+        
+        if (type !== 'error') {
+            let timer = setTimeout(remove, 5000);
+            notification.addEventListener('mouseenter', () => clearTimeout(timer));
+            notification.addEventListener('mouseleave', () => {
+                timer = setTimeout(remove, 2000);
+            });
+        }
         
         // Close button functionality
         const closeBtn = notification.querySelector('.notification-close');
-        closeBtn.addEventListener('click', () => {
-            if (notification.parentNode) {
-                notification.parentNode.removeChild(notification);
+        closeBtn.addEventListener('click', remove);
+    }
+
+    /**
+     * Register dashboard shortcuts with the shared registry
+     */
+    registerShortcuts() {
+        const sections = [
+            ['overview', 'Overview', 'o'],
+            ['performance', 'Performance', 'p'],
+            ['content', 'Content', 'c'],
+            ['seo', 'SEO', 's'],
+            ['api', 'API', 'a'],
+            ['settings', 'Settings', ','],
+            ['queue', 'Queue', 'q']
+        ];
+        
+        const shortcuts = [
+            {
+                id: 'dashboard.refresh',
+                keys: 'shift+r',
+                description: 'Refresh dashboard data',
+                group: 'General',
+                handler: () => this.refreshData()
             }
+        ];
+        
+        sections.forEach(([section, label, key], index) => {
+            shortcuts.push({
+                id: `navigation.${section}`,
+                keys: `g ${key}`,
+                description: `Go to ${label}`,
+                group: 'Navigation',
+                handler: () => this.switchSection(section)
+            });
+            shortcuts.push({
+                id: `navigation.${section}.direct`,
+                keys: `mod+${index + 1}`,
+                description: `Go to ${label} (direct)`,
+                group: 'Navigation',
+                handler: () => this.switchSection(section)
+            });
+        });
+        
+        shortcuts.forEach(shortcut => {
+            this.shortcutBindings.push(this.shortcuts.register(shortcut));
         });
     }
 
     /**
-     * Update notification count
+     * Save the user's shortcut bindings
+     *
+     * Only the shortcuts are sent; the server merges them into the stored
+     * settings, so a stale copy of the others cannot overwrite them.
      */
-    updateNotificationCount() {
-        const countElement = document.getElementById('notification-count');
-        const unreadCount = this.notifications.filter(n => !n.read).length;
-        
-        if (countElement) {
-            countElement.textContent = unreadCount;
-            countElement.style.display = unreadCount > 0 ? 'block' : 'none';
+    async saveShortcuts(overrides) {
+        try {
+            const saved = await this.ajaxRequest('ai_news_save_dashboard_settings', {
+                settings: JSON.stringify({ shortcuts: overrides })
+            });
+            
+            this.applySettings(saved);
+        } catch (error) {
+            console.error('Failed to save shortcuts:', error);
+            this.showNotification('Failed to save keyboard shortcuts', 'error');
         }
     }
 
     /**
-     * Toggle notifications dropdown
+     * Setup theme
      */
-    toggleNotifications() {
-        const panel = document.getElementById('notification-panel');
-        if (!panel) return;
+    setupTheme() {
+        const themeSelect = document.getElementById('theme-select');
+        if (themeSelect) {
+            // Load saved theme
+            const savedTheme = localStorage.getItem('dashboard-theme') || 'light';
+            themeSelect.value = savedTheme;
+            this.applyTheme(savedTheme);
+            
+            // Preview only; the choice is persisted by saveSettings
+            themeSelect.addEventListener('change', (e) => {
+                this.applyTheme(e.target.value);
+            });
+        }
+    }
+
+    /**
+     * Load saved user settings
+     */
+    async loadSettings() {
+        let settings = window.ai_news_dashboard?.settings;
         
-        if (panel.classList.contains('show')) {
-            panel.classList.remove('show');
-        } else {
-            this.renderNotificationsDropdown();
-            panel.classList.add('show');
+        if (!settings) {
+            try {
+                settings = await this.ajaxRequest('ai_news_get_dashboard_settings');
+            } catch (error) {
+                console.error('Failed to load dashboard settings:', error);
+                return;
+            }
         }
+        
+        this.applySettings(settings);
+        this.populateSettingsForm();
     }
 
     /**
-     * Render notifications dropdown
+     * Save settings from the settings section
      */
-    renderNotificationsDropdown() {
-        const panel = document.getElementById('notification-panel');
-        if (!panel) return;
+    async saveSettings() {
+        const button = document.getElementById('save-settings');
+        const intervalInput = document.getElementById('monitoring-interval');
+        const interval = parseInt(intervalInput?.value, 10);
         
-        const recentNotifications = this.notifications.slice(0, 10);
+        if (isNaN(interval) || interval < 1 || interval > 60) {
+            this.showNotification('Update interval must be between 1 and 60 seconds', 'error');
+            intervalInput?.focus();
+            return;
+        }
         
-        panel.innerHTML = `
-            <div class="notification-panel-header">
-                <h4>Notifications</h4>
-                <button class="mark-all-read">Mark all read</button>
-            </div>
-            <div class="notification-list">
-                ${recentNotifications.map(notification => `
-                    <div class="notification-item ${notification.read ? 'read' : 'unread'}">
-                        <div class="notification-message">${notification.message}</div>
-                        <div class="notification-time">${this.formatTimeAgo(notification.timestamp)}</div>
-                    </div>
-                `).join('')}
-                ${recentNotifications.length === 0 ? '<div class="no-notifications">No notifications</div>' : ''}
-            </div>
-        `;
-        
-        // Mark all read button
-        const markAllReadBtn = panel.querySelector('.mark-all-read');
-        if (markAllReadBtn) {
-            markAllReadBtn.addEventListener('click', () => {
-                this.notifications.forEach(n => n.read = true);
-                this.updateNotificationCount();
-                this.renderNotificationsDropdown();
+        const settings = {
+            monitoring_interval: interval,
+            enable_alerts: document.getElementById('enable-alerts')?.checked ?? this.settings.enable_alerts,
+            theme: document.getElementById('theme-select')?.value || this.settings.theme,
+            chart_animations: document.getElementById('chart-animations')?.checked ?? this.settings.chart_animations
+        };
+        
+        const originalText = button ? button.innerHTML : '';
+        if (button) {
+            button.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Saving...';
+            button.disabled = true;
+        }
+        
+        try {
+            const saved = await this.ajaxRequest('ai_news_save_dashboard_settings', {
+                settings: JSON.stringify(settings)
             });
+            
+            this.applySettings(saved);
+            this.populateSettingsForm();
+            this.showNotification('Settings saved successfully', 'success');
+        } catch (error) {
+            console.error('Failed to save settings:', error);
+            this.showNotification('Failed to save settings', 'error');
+        } finally {
+            if (button) {
+                button.innerHTML = originalText;
+                button.disabled = false;
+            }
         }
     }
 
     /**
-     * Handle keyboard shortcuts
+     * Apply settings to the running dashboard
      */
-    handleKeyboardShortcuts(e) {
-        // Ctrl/Cmd + R: Refresh data
-        if ((e.ctrlKey || e.metaKey) && e.key === 'r') {
-            e.preventDefault();
-            this.refreshData();
-        }
-        
-        // Ctrl/Cmd + 1-6: Switch sections
-        if ((e.ctrlKey || e.metaKey) && e.key >= '1' && e.key <= '6') {
-            e.preventDefault();
-            const sections = ['overview', 'performance', 'content', 'seo', 'api', 'settings'];
-            const sectionIndex = parseInt(e.key) - 1;
-            if (sections[sectionIndex]) {
-                this.switchSection(sections[sectionIndex]);
-            }
+    applySettings(settings) {
+        const previous = this.settings;
+        this.settings = { ...previous, ...settings };
+        
+        // The store reschedules a running poller with the new interval
+        if (this.metricsStore && previous.monitoring_interval !== this.settings.monitoring_interval) {
+            this.metricsStore.setPollingInterval(this.settings.monitoring_interval * 1000);
         }
+        
+        this.applyTheme(this.settings.theme);
+        localStorage.setItem('dashboard-theme', this.settings.theme);
+        
+        this.applyChartAnimations(this.settings.chart_animations);
     }
 
     /**
-     * Setup theme
+     * Reflect current settings in the settings form
      */
-    setupTheme() {
+    populateSettingsForm() {
+        const intervalInput = document.getElementById('monitoring-interval');
+        if (intervalInput) intervalInput.value = this.settings.monitoring_interval;
+        
+        const alertsToggle = document.getElementById('enable-alerts');
+        if (alertsToggle) alertsToggle.checked = this.settings.enable_alerts;
+        
         const themeSelect = document.getElementById('theme-select');
-        if (themeSelect) {
-            // Load saved theme
-            const savedTheme = localStorage.getItem('dashboard-theme') || 'light';
-            themeSelect.value = savedTheme;
-            this.applyTheme(savedTheme);
-            
-            themeSelect.addEventListener('change', (e) => {
-                this.applyTheme(e.target.value);
-                localStorage.setItem('dashboard-theme', e.target.value);
-            });
+        if (themeSelect) themeSelect.value = this.settings.theme;
+        
+        const animationsToggle = document.getElementById('chart-animations');
+        if (animationsToggle) animationsToggle.checked = this.settings.chart_animations;
+    }
+
+    /**
+     * Enable or disable animations on every Chart.js instance
+     */
+    applyChartAnimations(enabled) {
+        if (typeof Chart === 'undefined') return;
+        
+        // Charts created later by other modules pick up the default
+        if (Chart.defaults.animation) {
+            Chart.defaults.animation.duration = enabled ? 1000 : 0;
         }
+        
+        Object.values(Chart.instances || {}).forEach(chart => {
+            chart.options.animation = enabled ? { duration: 1000 } : false;
+            chart.update('none');
+        });
     }
 
     /**
@@ -1073,14 +1768,15 @@ class AIDashboard {
      * Cleanup method
      */
     destroy() {
-        // Clear intervals
-        if (this.monitoringInterval) {
-            clearInterval(this.monitoringInterval);
+        // Stop polling and detach from the metrics store
+        if (this.metricsStore) {
+            this.metricsStore.stop();
+            this.unsubscribeMetrics();
         }
         
-        // Close WebSocket
-        if (this.websocket) {
-            this.websocket.close();
+        // Close real-time connection
+        if (this.realtime) {
+            this.realtime.destroy();
         }
         
         // Destroy charts
@@ -1089,6 +1785,64 @@ class AIDashboard {
                 chart.destroy();
             }
         });
+        
+        if (this.contentManager) {
+            this.contentManager.destroy();
+        }
+        
+        if (this.apiKeyManager) {
+            this.apiKeyManager.destroy();
+        }
+        
+        if (this.webhookManager) {
+            this.webhookManager.destroy();
+        }
+        
+        if (this.apiDocs) {
+            this.apiDocs.destroy();
+        }
+        
+        if (this.reportGenerator) {
+            this.reportGenerator.destroy();
+        }
+        
+        if (this.widgetLayout) {
+            this.widgetLayout.destroy();
+        }
+        
+        if (this.notificationCenter) {
+            this.notificationCenter.destroy();
+        }
+        
+        if (this.commandPalette) {
+            this.commandPalette.destroy();
+        }
+        
+        if (this.router) {
+            this.router.destroy();
+        }
+        
+        if (this.chartAnnotations) {
+            this.chartAnnotations.destroy();
+        }
+        
+        if (this.queuePanel) {
+            this.queuePanel.destroy();
+        }
+        
+        if (this.chartViews) {
+            this.chartViews.destroy();
+        }
+        
+        if (this.capabilities) {
+            this.capabilities.destroy();
+        }
+        
+        // Shortcut registry is shared; only drop the dashboard's bindings
+        this.shortcutBindings.forEach(unregister => unregister());
+        if (this.unsubscribeShortcuts) {
+            this.unsubscribeShortcuts();
+        }
     }
 }
 
@@ -1097,27 +1851,6 @@ document.addEventListener('DOMContentLoaded', () => {
     window.aiDashboard = new AIDashboard();
 });
 
-// Handle page visibility changes
-document.addEventListener('visibilitychange', () => {
-    if (window.aiDashboard) {
-        if (document.hidden) {
-            // Page is hidden, reduce update frequency
-            if (window.aiDashboard.monitoringInterval) {
-                clearInterval(window.aiDashboard.monitoringInterval);
-                window.aiDashboard.monitoringInterval = setInterval(() => {
-                    window.aiDashboard.fetchRealTimeData();
-                }, 30000); // 30 seconds when hidden
-            }
-        } else {
-            // Page is visible, restore normal update frequency
-            if (window.aiDashboard.monitoringInterval) {
-                clearInterval(window.aiDashboard.monitoringInterval);
-                window.aiDashboard.startRealTimeMonitoring();
-            }
-        }
-    }
-});
-
 // Cleanup on page unload
 window.addEventListener('beforeunload', () => {
     if (window.aiDashboard) {
@@ -0,0 +1,654 @@
+/**
+ * Keyboard Shortcuts for AI Auto News Poster Dashboard
+ *
+ * Central registry for every dashboard shortcut. Modules register a
+ * default binding; users can rebind or turn shortcuts off and the
+ * overrides are handed to subscribers for saving. Bindings are chords
+ * such as "mod+k" ("mod" is Ctrl, or Cmd on a Mac) or sequences of
+ * chords such as "g p". A binding that equals or prefixes one registered
+ * earlier is reported as a conflict and stays inactive. "?" opens an
+ * overlay listing every binding.
+ *
+ * @package AI_Auto_News_Poster
+ * @since 2.0.0
+ */
+
+class AANP_KeyboardShortcuts {
+
+    constructor() {
+        this.shortcuts = new Map();
+        this.overrides = {};
+        this.listeners = new Set();
+        this.pending = [];
+        this.sequenceTimer = null;
+        this.sequenceTimeout = 1000;
+        this.recorder = null;
+        this.helpModal = null;
+        this.order = 0;
+        this.isMac = /Mac|iPhone|iPad/.test(navigator.platform || navigator.userAgent);
+
+        this.handleKeydown = (e) => this.onKeydown(e);
+        document.addEventListener('keydown', this.handleKeydown);
+
+        this.register({
+            id: 'help.shortcuts',
+            keys: '?',
+            description: 'Show keyboard shortcuts',
+            group: 'General',
+            handler: () => this.toggleHelp()
+        });
+    }
+
+    /**
+     * Register a shortcut; returns a function that removes it again
+     *
+     * Options: id, keys (default binding), description, group, handler,
+     * when (optional predicate that must pass for the shortcut to fire)
+     * and allowInInputs (fire while typing in a form field; chords with
+     * mod or alt always do).
+     */
+    register(shortcut) {
+        if (!shortcut || !shortcut.id || typeof shortcut.handler !== 'function') {
+            throw new Error('Shortcuts need an id and a handler');
+        }
+
+        this.shortcuts.set(shortcut.id, {
+            keys: '',
+            description: shortcut.id,
+            group: 'Other',
+            when: null,
+            allowInInputs: false,
+            ...shortcut,
+            order: this.order++
+        });
+
+        const conflict = this.getConflict(shortcut.id);
+        if (conflict) {
+            console.warn(`Shortcut "${this.getBinding(shortcut.id)}" for "${shortcut.id}" conflicts with "${conflict.id}" and is inactive`);
+        }
+
+        this.refreshHelp();
+
+        return () => this.unregister(shortcut.id);
+    }
+
+    /**
+     * Remove a shortcut
+     */
+    unregister(id) {
+        this.shortcuts.delete(id);
+        this.refreshHelp();
+    }
+
+    /**
+     * Subscribe to binding changes; returns an unsubscribe function
+     *
+     * Listeners receive the full override map whenever the user rebinds
+     * or resets a shortcut.
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * Replace the user's overrides, e.g. after loading preferences
+     */
+    setOverrides(overrides) {
+        this.overrides = {};
+
+        Object.entries(overrides || {}).forEach(([id, keys]) => {
+            if (keys === '' || this.parse(keys)) {
+                this.overrides[id] = keys === '' ? '' : this.normalize(keys);
+            }
+        });
+
+        this.refreshHelp();
+    }
+
+    /**
+     * Rebind a shortcut for the current user
+     *
+     * An empty binding turns the shortcut off. Throws when the binding is
+     * invalid or already taken.
+     */
+    setBinding(id, keys) {
+        const shortcut = this.shortcuts.get(id);
+        if (!shortcut) {
+            throw new Error(`Unknown shortcut "${id}"`);
+        }
+
+        const binding = keys === '' ? '' : this.normalize(keys);
+        if (binding === null) {
+            throw new Error(`"${keys}" is not a valid shortcut`);
+        }
+
+        const conflict = binding && this.findConflict(id, binding);
+        if (conflict) {
+            throw new Error(`${this.format(binding, true)} is already used by "${conflict.description}"`);
+        }
+
+        if (binding === this.normalize(shortcut.keys)) {
+            delete this.overrides[id];
+        } else {
+            this.overrides[id] = binding;
+        }
+
+        this.notify();
+    }
+
+    /**
+     * Restore the default binding of one shortcut, or of all of them
+     */
+    reset(id = null) {
+        if (id) {
+            delete this.overrides[id];
+        } else {
+            this.overrides = {};
+        }
+
+        this.notify();
+    }
+
+    /**
+     * Effective binding of a shortcut
+     */
+    getBinding(id) {
+        const shortcut = this.shortcuts.get(id);
+        if (!shortcut) {
+            return '';
+        }
+
+        return id in this.overrides ? this.overrides[id] : (this.normalize(shortcut.keys) || '');
+    }
+
+    /**
+     * The earlier shortcut whose binding clashes with this one, if any
+     */
+    getConflict(id) {
+        const binding = this.getBinding(id);
+        const shortcut = this.shortcuts.get(id);
+
+        return binding ? this.findConflict(id, binding, shortcut.order) : null;
+    }
+
+    /**
+     * Find a shortcut whose binding equals or prefixes the given one
+     *
+     * With an order, only shortcuts registered before it are considered,
+     * so the first registration keeps the binding.
+     */
+    findConflict(id, binding, order = Infinity) {
+        const chords = binding.split(' ');
+
+        for (const shortcut of this.shortcuts.values()) {
+            const other = this.getBinding(shortcut.id);
+            if (shortcut.id === id || !other || shortcut.order > order) {
+                continue;
+            }
+
+            const otherChords = other.split(' ');
+            const length = Math.min(chords.length, otherChords.length);
+            if (chords.slice(0, length).join(' ') === otherChords.slice(0, length).join(' ')) {
+                return shortcut;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Registered shortcuts, grouped, in registration order
+     */
+    getShortcuts() {
+        return Array.from(this.shortcuts.values())
+            .sort((a, b) => a.order - b.order)
+            .map(shortcut => ({
+                ...shortcut,
+                binding: this.getBinding(shortcut.id),
+                conflict: this.getConflict(shortcut.id)
+            }));
+    }
+
+    /**
+     * Match key presses against active bindings
+     */
+    onKeydown(e) {
+        if (this.recorder) {
+            this.recorder(e);
+            return;
+        }
+
+        if (e.defaultPrevented || e.isComposing || ['Shift', 'Control', 'Alt', 'Meta'].includes(e.key)) {
+            return;
+        }
+
+        const chord = this.chordFromEvent(e);
+        const typing = this.isEditable(e.target);
+        const inDialog = e.target.closest && e.target.closest('[role="dialog"]') && !this.helpModal?.contains(e.target);
+        const sequence = this.pending.concat(chord);
+
+        clearTimeout(this.sequenceTimer);
+        this.pending = [];
+
+        const candidates = this.getShortcuts().filter(shortcut => {
+            if (!shortcut.binding || shortcut.conflict) {
+                return false;
+            }
+
+            // Plain keys belong to whatever field or dialog has focus
+            const modified = /(^|\+)(mod|alt)\+/.test(shortcut.binding);
+            if ((typing || inDialog) && !modified && !shortcut.allowInInputs) {
+                return false;
+            }
+
+            return !shortcut.when || shortcut.when();
+        });
+
+        const match = (keys) => {
+            const exact = candidates.find(shortcut => shortcut.binding === keys);
+            const prefix = candidates.some(shortcut => shortcut.binding.startsWith(keys + ' '));
+            return { exact, prefix };
+        };
+
+        let result = match(sequence.join(' '));
+
+        // An unfinished sequence that goes nowhere starts over with this key
+        if (!result.exact && !result.prefix && sequence.length > 1) {
+            result = match(chord);
+            sequence.splice(0, sequence.length, chord);
+        }
+
+        if (result.exact) {
+            e.preventDefault();
+            result.exact.handler(e);
+        } else if (result.prefix) {
+            e.preventDefault();
+            this.pending = sequence;
+            this.sequenceTimer = setTimeout(() => {
+                this.pending = [];
+            }, this.sequenceTimeout);
+        }
+    }
+
+    /**
+     * Canonical chord for a keydown event
+     */
+    chordFromEvent(e) {
+        let key = e.key;
+
+        // Alt changes the character on macOS; fall back to the physical key
+        if (e.altKey && /^Key[A-Z]$/.test(e.code)) {
+            key = e.code.slice(3);
+        }
+
+        key = key === ' ' ? 'space' : key.toLowerCase();
+
+        const modifiers = [];
+        if (e.ctrlKey || e.metaKey) modifiers.push('mod');
+        if (e.altKey) modifiers.push('alt');
+
+        // Shift is implied by symbols such as "?", so only letters and named keys carry it
+        if (e.shiftKey && (key.length > 1 || /[a-z]/.test(key))) modifiers.push('shift');
+
+        return modifiers.concat(key).join('+');
+    }
+
+    /**
+     * Parse a binding into chords; returns null when invalid
+     */
+    parse(keys) {
+        const aliases = { ctrl: 'mod', control: 'mod', cmd: 'mod', meta: 'mod', option: 'alt' };
+        const chords = String(keys || '').trim().toLowerCase().split(/\s+/).filter(Boolean);
+
+        if (!chords.length || chords.length > 3) {
+            return null;
+        }
+
+        const parsed = [];
+
+        for (const chord of chords) {
+            const parts = chord.split('+');
+            const key = parts.pop();
+            const modifiers = new Set(parts.map(part => aliases[part] || part));
+
+            if (!key || Array.from(modifiers).some(modifier => !['mod', 'alt', 'shift'].includes(modifier))) {
+                return null;
+            }
+
+            parsed.push(['mod', 'alt', 'shift'].filter(modifier => modifiers.has(modifier)).concat(key).join('+'));
+        }
+
+        return parsed;
+    }
+
+    /**
+     * Canonical form of a binding, or null when invalid
+     */
+    normalize(keys) {
+        const chords = this.parse(keys);
+        return chords ? chords.join(' ') : null;
+    }
+
+    /**
+     * Readable form of a binding, as <kbd> markup unless plain
+     */
+    format(binding, plain = false) {
+        if (!binding) {
+            return plain ? 'Off' : AANP_Html.html`<span class="shortcut-off">Off</span>`;
+        }
+
+        const names = {
+            mod: this.isMac ? '⌘' : 'Ctrl',
+            alt: this.isMac ? '⌥' : 'Alt',
+            shift: 'Shift',
+            space: 'Space',
+            escape: 'Esc',
+            arrowup: '↑',
+            arrowdown: '↓',
+            arrowleft: '←',
+            arrowright: '→'
+        };
+        const label = (part) => names[part] || (part.length === 1 ? part.toUpperCase() : part.charAt(0).toUpperCase() + part.slice(1));
+
+        const chords = binding.split(' ').map(chord => chord.split('+').map(label));
+
+        if (plain) {
+            return chords.map(parts => parts.join('+')).join(' then ');
+        }
+
+        return chords.map((parts, index) => AANP_Html.html`
+            ${index > 0 && AANP_Html.html`<span class="shortcut-then">then</span>`}
+            ${parts.map((part, partIndex) => AANP_Html.html`${partIndex > 0 && '+'}<kbd>${part}</kbd>`)}
+        `);
+    }
+
+    /**
+     * Whether an element takes text input
+     */
+    isEditable(element) {
+        if (!element || !element.tagName) {
+            return false;
+        }
+
+        return element.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(element.tagName);
+    }
+
+    /**
+     * Notify subscribers about changed overrides
+     */
+    notify() {
+        const overrides = { ...this.overrides };
+
+        this.listeners.forEach(listener => {
+            try {
+                listener(overrides, this);
+            } catch (error) {
+                console.error('Shortcut subscriber error:', error);
+            }
+        });
+
+        this.refreshHelp();
+    }
+
+    /**
+     * Show or hide the shortcut overlay
+     */
+    toggleHelp() {
+        if (this.helpModal) {
+            this.closeHelp();
+        } else {
+            this.openHelp();
+        }
+    }
+
+    /**
+     * Open the overlay listing every binding
+     */
+    openHelp() {
+        if (this.helpModal) {
+            return;
+        }
+
+        this.helpFocus = document.activeElement;
+        this.helpModal = document.createElement('div');
+        this.helpModal.className = 'dashboard-modal modal-wide shortcuts-modal';
+        this.helpModal.setAttribute('role', 'dialog');
+        this.helpModal.setAttribute('aria-modal', 'true');
+        this.helpModal.setAttribute('aria-label', 'Keyboard shortcuts');
+
+        this.helpModal.addEventListener('click', (e) => this.handleHelpClick(e));
+        this.helpModal.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && !this.recorder) {
+                this.closeHelp();
+            }
+        });
+
+        this.renderHelp();
+        document.body.appendChild(this.helpModal);
+        this.helpModal.querySelector('.modal-close').focus();
+    }
+
+    /**
+     * Close the overlay and restore focus
+     */
+    closeHelp() {
+        if (!this.helpModal) {
+            return;
+        }
+
+        this.stopRecording();
+        this.helpModal.remove();
+        this.helpModal = null;
+
+        if (this.helpFocus && typeof this.helpFocus.focus === 'function') {
+            this.helpFocus.focus();
+        }
+    }
+
+    /**
+     * Redraw the overlay if it is open
+     */
+    refreshHelp() {
+        if (this.helpModal && !this.recorder) {
+            this.renderHelp();
+        }
+    }
+
+    /**
+     * Draw the overlay contents
+     */
+    renderHelp() {
+        const groups = new Map();
+
+        this.getShortcuts().forEach(shortcut => {
+            if (!groups.has(shortcut.group)) {
+                groups.set(shortcut.group, []);
+            }
+            groups.get(shortcut.group).push(shortcut);
+        });
+
+        const sections = Array.from(groups.entries()).map(([group, shortcuts]) => AANP_Html.html`
+            <section class="shortcuts-group">
+                <h4>${group}</h4>
+                <table class="shortcuts-table">
+                    <tbody>
+                        ${shortcuts.map(shortcut => this.renderHelpRow(shortcut))}
+                    </tbody>
+                </table>
+            </section>
+        `);
+
+        AANP_Html.render(this.helpModal, AANP_Html.html`
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h3>Keyboard shortcuts</h3>
+                    <button type="button" class="modal-close" aria-label="Close">&times;</button>
+                </div>
+                <div class="modal-body">
+                    <div class="shortcuts-grid">${sections}</div>
+                </div>
+                <div class="modal-footer">
+                    <span class="shortcuts-hint">Sequences such as ${this.format('g p')} are pressed one key after the other.</span>
+                    <button type="button" class="btn btn-outline btn-sm" data-shortcut-reset-all ${Object.keys(this.overrides).length ? '' : 'disabled'}>
+                        Reset all
+                    </button>
+                </div>
+            </div>
+        `);
+    }
+
+    /**
+     * One overlay row with the binding and rebinding controls
+     */
+    renderHelpRow(shortcut) {
+        const customized = shortcut.id in this.overrides;
+        const id = shortcut.id;
+
+        return AANP_Html.html`
+            <tr class="${shortcut.conflict ? 'shortcut-conflict' : ''}" data-shortcut="${id}">
+                <td class="shortcut-description">
+                    ${shortcut.description}
+                    ${shortcut.conflict && AANP_Html.html`<span class="shortcut-warning">Conflicts with "${shortcut.conflict.description}"</span>`}
+                </td>
+                <td class="shortcut-keys">${this.format(shortcut.binding)}</td>
+                <td class="shortcut-actions">
+                    <button type="button" class="btn-link" data-shortcut-record="${id}">Change</button>
+                    ${shortcut.binding && AANP_Html.html`<button type="button" class="btn-link" data-shortcut-clear="${id}">Turn off</button>`}
+                    ${customized && AANP_Html.html`<button type="button" class="btn-link" data-shortcut-reset="${id}">Reset</button>`}
+                </td>
+            </tr>
+        `;
+    }
+
+    /**
+     * Handle clicks in the overlay
+     */
+    handleHelpClick(e) {
+        if (e.target === this.helpModal || e.target.closest('.modal-close')) {
+            this.closeHelp();
+            return;
+        }
+
+        const record = e.target.closest('[data-shortcut-record]');
+        const clear = e.target.closest('[data-shortcut-clear]');
+        const reset = e.target.closest('[data-shortcut-reset]');
+
+        try {
+            if (record) {
+                this.startRecording(record.dataset.shortcutRecord);
+            } else if (clear) {
+                this.setBinding(clear.dataset.shortcutClear, '');
+            } else if (reset) {
+                this.reset(reset.dataset.shortcutReset);
+            } else if (e.target.closest('[data-shortcut-reset-all]')) {
+                this.reset();
+            }
+        } catch (error) {
+            this.showHelpError(error.message);
+        }
+    }
+
+    /**
+     * Capture the next key presses as a new binding
+     *
+     * Keys pressed within a second of each other form a sequence. Escape
+     * cancels.
+     */
+    startRecording(id) {
+        const row = this.helpModal.querySelector(`[data-shortcut="${CSS.escape(id)}"]`);
+        if (!row) {
+            return;
+        }
+
+        this.stopRecording();
+
+        const keysCell = row.querySelector('.shortcut-keys');
+        const chords = [];
+        let timer = null;
+
+        AANP_Html.render(keysCell, AANP_Html.html`<span class="shortcut-recording">Press keys&hellip;</span>`);
+        row.classList.add('recording');
+
+        const finish = () => {
+            this.stopRecording();
+
+            try {
+                this.setBinding(id, chords.join(' '));
+            } catch (error) {
+                this.renderHelp();
+                this.showHelpError(error.message);
+            }
+        };
+
+        this.recorder = (e) => {
+            if (['Shift', 'Control', 'Alt', 'Meta'].includes(e.key)) {
+                return;
+            }
+
+            e.preventDefault();
+            clearTimeout(timer);
+
+            if (e.key === 'Escape' && !e.ctrlKey && !e.metaKey && !e.altKey) {
+                this.stopRecording();
+                this.renderHelp();
+                return;
+            }
+
+            chords.push(this.chordFromEvent(e));
+            AANP_Html.render(keysCell, this.format(chords.join(' ')));
+
+            if (chords.length >= 3) {
+                finish();
+            } else {
+                timer = setTimeout(finish, this.sequenceTimeout);
+            }
+        };
+
+        this.stopRecorder = () => clearTimeout(timer);
+    }
+
+    /**
+     * Stop capturing keys
+     */
+    stopRecording() {
+        if (this.stopRecorder) {
+            this.stopRecorder();
+        }
+
+        this.recorder = null;
+        this.stopRecorder = null;
+    }
+
+    /**
+     * Show a validation message in the overlay footer
+     */
+    showHelpError(message) {
+        const hint = this.helpModal && this.helpModal.querySelector('.shortcuts-hint');
+        if (hint) {
+            hint.textContent = message;
+            hint.classList.add('error');
+        }
+    }
+
+    /**
+     * Cleanup
+     */
+    destroy() {
+        clearTimeout(this.sequenceTimer);
+        this.closeHelp();
+        document.removeEventListener('keydown', this.handleKeydown);
+        this.shortcuts.clear();
+        this.listeners.clear();
+    }
+}
+
+// Shared instance, created before the modules that register shortcuts
+if (typeof window !== 'undefined') {
+    window.aanpShortcuts = new AANP_KeyboardShortcuts();
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AANP_KeyboardShortcuts;
+}
@@ -0,0 +1,327 @@
+/**
+ * Metric Forecast for AI Auto News Poster Dashboard
+ *
+ * Fits a linear trend to a metric's hourly history and projects it over
+ * the next day or week with a 95% prediction band, drawn as a dashed
+ * line and a shaded band after a chart's live data. The same fit gives
+ * the time until the metric reaches an alert threshold, e.g. "disk
+ * reaches 95% in ~6 days". Used by the dashboard's chart views; these
+ * are the analytics charts, so the memory, disk and API request charts
+ * are the ones that forecast.
+ *
+ * @package AI_Auto_News_Poster
+ * @since 2.0.0
+ */
+
+class AANP_MetricForecast {
+
+    constructor() {
+        this.trend = null;
+        this.loadedAt = 0;
+        this.maxAge = 900000; // Server history is cached for 15 minutes
+        this.minPoints = 12; // Hourly points needed before a fit is trusted
+        this.confidence = 1.96; // Two-sided 95% band
+
+        this.horizons = {
+            '24h': { label: 'Next 24 hours', hours: 24, step: 1, unit: 'hour' },
+            '7d': { label: 'Next 7 days', hours: 168, step: 6, unit: 'day' }
+        };
+    }
+
+    /**
+     * Hourly history for the forecast metrics
+     *
+     * The request is shared until the server's copy would have expired,
+     * so callers may ask on every redraw.
+     */
+    load() {
+        if (!this.trend || Date.now() - this.loadedAt > this.maxAge) {
+            this.loadedAt = Date.now();
+            this.trend = this.request().catch(error => {
+                this.trend = null;
+                throw error;
+            });
+        }
+
+        return this.trend;
+    }
+
+    /**
+     * Fetch the hourly history from the server
+     */
+    async request() {
+        const response = await fetch(ajaxurl, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/x-www-form-urlencoded',
+            },
+            body: new URLSearchParams({
+                action: 'ai_news_get_metric_trend',
+                nonce: ai_news_dashboard_nonce
+            })
+        });
+
+        const data = await response.json();
+
+        if (!data.success) {
+            throw new Error(data.data || 'Trend request failed');
+        }
+
+        return data.data;
+    }
+
+    /**
+     * Hourly points for a series: the server's buckets, then live samples
+     * newer than them averaged per hour
+     *
+     * Samples are { timestamp, value } with times in milliseconds; points
+     * are { x, y } at the middle of their hour.
+     */
+    points(trend, series, samples = []) {
+        const size = trend.bucket_size * 1000;
+        const values = trend.series[series] || [];
+        const points = [];
+
+        trend.labels.forEach((label, index) => {
+            if (values[index] !== null && values[index] !== undefined) {
+                points.push({ x: label * 1000 + size / 2, y: Number(values[index]) });
+            }
+        });
+
+        const hours = new Map();
+        samples.forEach(({ timestamp, value }) => {
+            if (value === null || value === undefined || timestamp < trend.end * 1000) {
+                return;
+            }
+
+            const hour = Math.floor(timestamp / size) * size;
+            const bucket = hours.get(hour) || { sum: 0, count: 0 };
+            bucket.sum += value;
+            bucket.count++;
+            hours.set(hour, bucket);
+        });
+
+        hours.forEach((bucket, hour) => points.push({ x: hour + size / 2, y: bucket.sum / bucket.count }));
+
+        return points;
+    }
+
+    /**
+     * Least-squares line through the points, or null with too few
+     *
+     * Works in hours from the first point to keep the sums small.
+     */
+    fit(points) {
+        if (points.length < this.minPoints) {
+            return null;
+        }
+
+        const origin = points[0].x;
+        const xs = points.map(point => (point.x - origin) / 3600000);
+        const ys = points.map(point => point.y);
+        const n = points.length;
+        const xMean = xs.reduce((sum, x) => sum + x, 0) / n;
+        const yMean = ys.reduce((sum, y) => sum + y, 0) / n;
+
+        let sxx = 0;
+        let sxy = 0;
+        xs.forEach((x, i) => {
+            sxx += (x - xMean) ** 2;
+            sxy += (x - xMean) * (ys[i] - yMean);
+        });
+
+        if (!sxx) {
+            return null;
+        }
+
+        const slope = sxy / sxx;
+        const intercept = yMean - slope * xMean;
+        const residuals = xs.reduce((sum, x, i) => sum + (ys[i] - intercept - slope * x) ** 2, 0);
+
+        return {
+            origin,
+            slope, // Change per hour
+            intercept,
+            xMean,
+            sxx,
+            n,
+            error: Math.sqrt(residuals / Math.max(1, n - 2))
+        };
+    }
+
+    /**
+     * Fitted value and prediction band at a time in milliseconds
+     *
+     * Bounds clamp all three, e.g. { min: 0, max: 100 } for percentages.
+     */
+    predict(fit, time, bounds = {}) {
+        const x = (time - fit.origin) / 3600000;
+        const value = fit.intercept + fit.slope * x;
+        const spread = this.confidence * fit.error * Math.sqrt(1 + 1 / fit.n + (x - fit.xMean) ** 2 / fit.sxx);
+        const clamp = (input) => Math.min(bounds.max ?? Infinity, Math.max(bounds.min ?? -Infinity, input));
+
+        return {
+            x: time,
+            value: clamp(value),
+            low: clamp(value - spread),
+            high: clamp(value + spread)
+        };
+    }
+
+    /**
+     * Predictions from a time over a horizon, one per horizon step
+     */
+    project(fit, from, horizon, bounds = {}) {
+        const { hours, step } = this.horizons[horizon];
+        const projection = [];
+
+        for (let hour = step; hour <= hours; hour += step) {
+            projection.push(this.predict(fit, from + hour * 3600000, bounds));
+        }
+
+        return projection;
+    }
+
+    /**
+     * Milliseconds from a time until the trend reaches a level
+     *
+     * Returns 0 when the trend is already past it and null when the
+     * trend is flat or moving away from it. Direction is the threshold
+     * rule's: "above" levels are reached by rising values.
+     */
+    timeToThreshold(fit, level, direction, from) {
+        const current = this.predict(fit, from).value;
+        const rising = direction !== 'below';
+
+        if (rising ? current >= level : current <= level) {
+            return 0;
+        }
+
+        if (rising ? fit.slope <= 0 : fit.slope >= 0) {
+            return null;
+        }
+
+        return ((level - current) / fit.slope) * 3600000;
+    }
+
+    /**
+     * Forecast line and band datasets continuing the dataset at index
+     *
+     * Labels are the chart's, already extended with the projection's
+     * times; the line starts at the last actual value so it joins the
+     * data. The band is an upper edge and a lower edge filled up to it.
+     */
+    overlay(dataset, index, labels, projection, start) {
+        const color = typeof dataset.borderColor === 'string' ? dataset.borderColor : '#6c757d';
+        const offset = labels.length - projection.length;
+        const align = (key) => labels.map((label, position) => {
+            if (position === offset - 1) return start;
+            return position < offset ? null : projection[position - offset][key];
+        });
+
+        const base = {
+            type: 'line',
+            yAxisID: dataset.yAxisID,
+            pointRadius: 0,
+            tension: 0,
+            spanGaps: false,
+            forecast: true,
+            forecastOf: index
+        };
+
+        return [
+            {
+                ...base,
+                label: `${dataset.label} (forecast)`,
+                data: align('value'),
+                borderColor: color,
+                backgroundColor: 'transparent',
+                borderDash: [3, 3],
+                borderWidth: 1.5,
+                fill: false
+            },
+            {
+                ...base,
+                label: `${dataset.label} (forecast high)`,
+                data: align('high'),
+                borderColor: 'transparent',
+                backgroundColor: 'transparent',
+                borderWidth: 0,
+                fill: false,
+                forecastBand: true
+            },
+            {
+                ...base,
+                label: `${dataset.label} (forecast low)`,
+                data: align('low'),
+                borderColor: 'transparent',
+                backgroundColor: /^#[0-9a-f]{6}$/i.test(color) ? `${color}26` : 'rgba(108, 117, 125, 0.15)',
+                borderWidth: 0,
+                fill: '-1',
+                forecastBand: true
+            }
+        ];
+    }
+
+    /**
+     * Tooltip afterLabel callback adding the band to a forecast value
+     */
+    afterLabel(context, format) {
+        if (!context.dataset.forecast || context.dataset.forecastBand) {
+            return '';
+        }
+
+        const band = context.chart.data.datasets.filter(dataset => dataset.forecastBand && dataset.forecastOf === context.dataset.forecastOf);
+        const [high, low] = band.map(dataset => dataset.data[context.dataIndex]);
+
+        return high === null || high === undefined || low === null || low === undefined
+            ? ''
+            : `95% range: ${format(low)} – ${format(high)}`;
+    }
+
+    /**
+     * Format a value with its unit
+     */
+    format(value, unit) {
+        const rounded = Math.round(value * 10) / 10;
+
+        return unit === '%' || unit === 'ms' ? `${rounded}${unit}` : `${rounded.toLocaleString()} ${unit}`;
+    }
+
+    /**
+     * Rough duration for an estimate, e.g. "~6 days" or "~5 hours"
+     */
+    describeDuration(milliseconds) {
+        const hours = milliseconds / 3600000;
+
+        if (hours < 1) {
+            return 'under an hour';
+        }
+
+        if (hours < 48) {
+            const rounded = Math.round(hours);
+            return `~${rounded} hour${rounded === 1 ? '' : 's'}`;
+        }
+
+        return `~${Math.round(hours / 24)} days`;
+    }
+
+    /**
+     * Horizon picker markup
+     */
+    controls(horizon = '') {
+        return AANP_Html.html`
+            <select class="forecast-select" aria-label="Forecast">
+                <option value="">No forecast</option>
+                ${Object.entries(this.horizons).map(([value, { label }]) => AANP_Html.html`
+                    <option value="${value}" ${value === horizon ? 'selected' : ''}>Forecast: ${label.toLowerCase()}</option>
+                `)}
+            </select>
+        `;
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AANP_MetricForecast;
+}
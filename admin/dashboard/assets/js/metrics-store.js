@@ -0,0 +1,262 @@
+/**
+ * Metrics Store for AI Auto News Poster Dashboard
+ *
+ * Single source of live performance metrics. Polls the server once per
+ * interval, accepts samples pushed over the real-time transport, keeps a
+ * shared time series and notifies every subscribed module. Polling pauses
+ * while the tab is hidden.
+ *
+ * @package AI_Auto_News_Poster
+ * @since 2.0.0
+ */
+
+class AANP_MetricsStore {
+
+    constructor(options = {}) {
+        this.options = {
+            interval: 5000,
+            maxSamples: 100,
+            action: 'ai_news_get_realtime_data',
+            ...options
+        };
+
+        this.samples = [];
+        this.listeners = new Set();
+        this.timer = null;
+        this.request = null;
+        this.running = false;
+
+        this.handleVisibilityChange = () => {
+            if (!this.running) {
+                return;
+            }
+
+            if (document.hidden) {
+                clearTimeout(this.timer);
+                this.timer = null;
+            } else {
+                // Catch up straight away instead of waiting a full interval
+                this.poll();
+            }
+        };
+
+        document.addEventListener('visibilitychange', this.handleVisibilityChange);
+    }
+
+    /**
+     * Subscribe to new samples; returns an unsubscribe function
+     *
+     * With replay, the listener immediately receives the latest sample.
+     */
+    subscribe(listener, { replay = false } = {}) {
+        this.listeners.add(listener);
+
+        const latest = this.getLatest();
+        if (replay && latest) {
+            listener(latest, this);
+        }
+
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * Start polling
+     */
+    start() {
+        if (this.running) {
+            return;
+        }
+
+        this.running = true;
+        this.poll();
+    }
+
+    /**
+     * Stop polling; pushed samples are still accepted
+     */
+    stop() {
+        this.running = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Whether polling is active
+     */
+    isRunning() {
+        return this.running;
+    }
+
+    /**
+     * Change the polling cadence
+     */
+    setPollingInterval(interval) {
+        this.options.interval = Math.max(1000, Number(interval) || this.options.interval);
+
+        if (this.running && !document.hidden) {
+            clearTimeout(this.timer);
+            this.timer = null;
+            this.schedule();
+        }
+    }
+
+    /**
+     * Fetch a sample now; concurrent callers share one request
+     */
+    refresh() {
+        if (!this.request) {
+            this.request = this.fetchSample().finally(() => {
+                this.request = null;
+            });
+        }
+
+        return this.request;
+    }
+
+    /**
+     * Poll once and schedule the next poll
+     */
+    async poll() {
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        // Samples pushed over the real-time transport make a poll redundant
+        const latest = this.getLatest();
+        if (!latest || Date.now() - latest.timestamp >= this.options.interval * 0.8) {
+            try {
+                await this.refresh();
+            } catch (error) {
+                console.error('Failed to fetch metrics:', error);
+            }
+        }
+
+        this.schedule();
+    }
+
+    /**
+     * Schedule the next poll unless stopped or hidden
+     */
+    schedule() {
+        if (!this.running || document.hidden || this.timer) {
+            return;
+        }
+
+        this.timer = setTimeout(() => this.poll(), this.options.interval);
+    }
+
+    /**
+     * Request metrics from the server
+     */
+    async fetchSample() {
+        const response = await fetch(ajaxurl, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/x-www-form-urlencoded',
+            },
+            body: new URLSearchParams({
+                action: this.options.action,
+                nonce: ai_news_dashboard_nonce
+            })
+        });
+
+        const data = await response.json();
+
+        if (!data.success) {
+            throw new Error(data.data || 'Metrics request failed');
+        }
+
+        return this.push(data.data.metrics, data.data.timestamp * 1000);
+    }
+
+    /**
+     * Add a raw server metrics payload to the series and notify subscribers
+     */
+    push(metrics, timestamp = Date.now()) {
+        const sample = {
+            timestamp: timestamp || Date.now(),
+            ...this.normalize(metrics || {})
+        };
+
+        this.samples.push(sample);
+        if (this.samples.length > this.options.maxSamples) {
+            this.samples.splice(0, this.samples.length - this.options.maxSamples);
+        }
+
+        this.listeners.forEach(listener => {
+            try {
+                listener(sample, this);
+            } catch (error) {
+                console.error('Metrics subscriber error:', error);
+            }
+        });
+
+        return sample;
+    }
+
+    /**
+     * Map RealTimeMonitor metrics to flat values; unavailable metrics are null
+     */
+    normalize(metrics) {
+        const system = metrics.system || {};
+        const current = (name) => {
+            const metric = metrics[name];
+            return metric && metric.current !== undefined ? Number(metric.current) : null;
+        };
+        const value = (input) => (input === undefined || input === null ? null : Number(input));
+
+        return {
+            responseTime: current('response_time'),
+            memoryUsage: value(system.memory && system.memory.percentage),
+            cpuUsage: value(system.cpu && system.cpu.percentage),
+            databaseQueries: current('query_count') ?? value(system.database && system.database.total_queries),
+            cacheHitRate: current('cache_hit_rate'),
+            apiRequests: value(system.plugin && system.plugin.api_requests),
+            errorRate: value(system.plugin && system.plugin.error_rate),
+            queueDepth: value(system.plugin && system.plugin.queue_size),
+            diskUsage: value(system.disk && system.disk.percentage)
+        };
+    }
+
+    /**
+     * Most recent sample
+     */
+    getLatest() {
+        return this.samples[this.samples.length - 1] || null;
+    }
+
+    /**
+     * All retained samples, oldest first
+     */
+    getSamples() {
+        return this.samples.slice();
+    }
+
+    /**
+     * Time series for one metric
+     */
+    getSeries(metric) {
+        return this.samples.map(sample => ({
+            timestamp: sample.timestamp,
+            value: sample[metric] ?? null
+        }));
+    }
+
+    /**
+     * Cleanup
+     */
+    destroy() {
+        this.stop();
+        document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+        this.listeners.clear();
+    }
+}
+
+// Shared instance, created before the modules that subscribe to it
+if (typeof window !== 'undefined') {
+    window.aanpMetricsStore = new AANP_MetricsStore();
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AANP_MetricsStore;
+}
@@ -120,9 +120,21 @@ class AANP_MobileNavigation {
         // Backdrop click
         this.backdrop.addEventListener('click', this.closeSidebar.bind(this));
         
-        // Keyboard navigation
+        // Keyboard navigation; Escape goes through the shared shortcut registry
         document.addEventListener('keydown', this.handleKeydown.bind(this));
         
+        if (window.aanpShortcuts) {
+            window.aanpShortcuts.register({
+                id: 'navigation.close-sidebar',
+                keys: 'escape',
+                description: 'Close the mobile sidebar',
+                group: 'Navigation',
+                allowInInputs: true,
+                when: () => this.isSidebarOpen,
+                handler: () => this.closeSidebar()
+            });
+        }
+        
         // Focus management
         document.addEventListener('focusin', this.handleFocusIn.bind(this));
         
@@ -305,18 +317,9 @@ class AANP_MobileNavigation {
      * Handle keydown events
      */
     handleKeydown(e) {
-        switch (e.key) {
-            case 'Escape':
-                if (this.isSidebarOpen) {
-                    e.preventDefault();
-                    this.closeSidebar();
-                }
-                break;
-            case 'Tab':
-                if (this.isSidebarOpen) {
-                    this.trapFocus(e);
-                }
-                break;
+        // Keep focus inside the open sidebar
+        if (e.key === 'Tab' && this.isSidebarOpen) {
+            this.trapFocus(e);
         }
     }
     
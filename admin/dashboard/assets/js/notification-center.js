@@ -0,0 +1,596 @@
+/**
+ * Notification Center for AI Auto News Poster Dashboard
+ *
+ * Server-backed notification dropdown with categories, dismiss, snooze and
+ * mute rules. The last list is cached in IndexedDB so the badge shows
+ * immediately, and open tabs keep their unread count in sync.
+ *
+ * @package AI_Auto_News_Poster
+ * @since 2.0.0
+ */
+
+class AANP_NotificationCenter {
+
+    constructor(dashboard) {
+        this.dashboard = dashboard;
+        this.button = document.getElementById('notifications-btn');
+        this.panel = document.getElementById('notification-panel');
+        this.badge = document.getElementById('notification-count');
+
+        this.notifications = [];
+        this.categories = {
+            generation: 'Generation',
+            alerts: 'Alerts',
+            seo: 'SEO',
+            feeds: 'Feeds',
+            system: 'System'
+        };
+        this.unreadCount = 0;
+        this.unreadByCategory = {};
+        this.mutes = [];
+        this.category = '';
+        this.hasMore = false;
+        this.showMutes = false;
+        this.latestId = null;
+        this.syncing = null;
+
+        this.snoozeOptions = [
+            { value: 3600, label: '1 hour' },
+            { value: 14400, label: '4 hours' },
+            { value: 86400, label: '1 day' },
+            { value: 604800, label: '1 week' }
+        ];
+
+        this.icons = {
+            info: 'fa-info-circle',
+            success: 'fa-check-circle',
+            warning: 'fa-exclamation-triangle',
+            error: 'fa-exclamation-circle'
+        };
+
+        this.cacheKey = `notifications_${window.ai_news_dashboard?.user?.id || 0}`;
+        this.database = null;
+
+        // Other tabs re-sync when this one changes something
+        this.channel = typeof BroadcastChannel !== 'undefined'
+            ? new BroadcastChannel('aanp-notifications')
+            : null;
+
+        this.handleDocumentClick = (e) => {
+            if (this.isOpen() && !this.panel.contains(e.target) && !this.button.contains(e.target)) {
+                this.close();
+            }
+        };
+
+        this.handleVisibilityChange = () => {
+            if (!document.hidden) {
+                this.refresh();
+            }
+        };
+
+        this.init();
+    }
+
+    /**
+     * Initialize notification center
+     */
+    async init() {
+        this.setupEventListeners();
+
+        const cached = await this.readCache();
+        if (cached) {
+            this.applyState(cached);
+        }
+
+        await this.refresh();
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        if (this.button) {
+            this.button.setAttribute('aria-haspopup', 'true');
+            this.button.setAttribute('aria-expanded', 'false');
+            this.button.addEventListener('click', () => this.toggle());
+        }
+
+        if (this.panel) {
+            this.panel.addEventListener('click', (e) => this.handlePanelClick(e));
+            this.panel.addEventListener('change', (e) => {
+                const select = e.target.closest('[data-snooze]');
+                if (select && select.value) {
+                    this.snooze(Number(select.dataset.snooze), Number(select.value));
+                }
+            });
+        }
+
+        if (this.channel) {
+            this.channel.onmessage = () => this.refresh();
+        }
+
+        document.addEventListener('click', this.handleDocumentClick);
+        document.addEventListener('visibilitychange', this.handleVisibilityChange);
+
+        if (this.dashboard.router) {
+            this.dashboard.router.addSource({
+                keys: ['panel'],
+                navigational: true,
+                read: () => ({ panel: this.isOpen() ? 'notifications' : '' }),
+                write: ({ panel }) => {
+                    if (panel === 'notifications' && !this.isOpen()) {
+                        this.open();
+                    } else if (panel !== 'notifications' && this.isOpen()) {
+                        this.close();
+                    }
+                }
+            });
+        }
+    }
+
+    /**
+     * Fetch the first page from the server
+     *
+     * With announce, notifications that arrived since the last sync are
+     * shown as toasts.
+     */
+    sync({ announce = false } = {}) {
+        if (!this.syncing) {
+            this.syncing = this.fetchPage(0)
+                .then(data => {
+                    const previousLatest = this.latestId;
+                    this.applyState(data);
+                    this.writeCache(data);
+
+                    if (announce && previousLatest !== null) {
+                        this.notifications
+                            .filter(notification => notification.id > previousLatest && !notification.read)
+                            .reverse()
+                            .forEach(notification => this.dashboard.showToast(
+                                notification.title ? `${notification.title}: ${notification.message}` : notification.message,
+                                notification.type
+                            ));
+                    }
+                })
+                .finally(() => {
+                    this.syncing = null;
+                });
+        }
+
+        return this.syncing;
+    }
+
+    /**
+     * Sync, logging failures instead of rejecting
+     */
+    async refresh(options = {}) {
+        try {
+            await this.sync(options);
+        } catch (error) {
+            console.error('Failed to load notifications:', error);
+        }
+    }
+
+    /**
+     * Request one page of notifications
+     */
+    fetchPage(offset) {
+        return this.dashboard.ajaxRequest('ai_news_get_notifications', {
+            category: this.category,
+            offset
+        });
+    }
+
+    /**
+     * Load the next page into the list
+     */
+    async loadMore() {
+        try {
+            const data = await this.fetchPage(this.notifications.length);
+            this.notifications = this.notifications.concat(data.notifications);
+            this.hasMore = data.has_more;
+            this.render();
+        } catch (error) {
+            console.error('Failed to load notifications:', error);
+            this.dashboard.showToast('Failed to load notifications', 'error');
+        }
+    }
+
+    /**
+     * Apply a server response (or its cached copy)
+     */
+    applyState(data) {
+        this.notifications = data.notifications || [];
+        this.hasMore = Boolean(data.has_more);
+        this.unreadCount = data.unread_count || 0;
+        this.unreadByCategory = data.unread_by_category || {};
+        this.mutes = data.mutes || [];
+
+        if (data.categories) {
+            this.categories = data.categories;
+        }
+
+        const ids = this.notifications.map(notification => notification.id);
+        this.latestId = Math.max(this.latestId ?? 0, ...ids, 0);
+
+        this.updateBadge();
+
+        if (this.isOpen()) {
+            this.render();
+        }
+    }
+
+    /**
+     * Store a dashboard message in the center
+     */
+    async record(message, type = 'info', category = 'system') {
+        try {
+            await this.dashboard.ajaxRequest('ai_news_create_notification', { message, type, category });
+            await this.sync();
+            this.broadcast();
+        } catch (error) {
+            console.error('Failed to store notification:', error);
+        }
+    }
+
+    /**
+     * Mark notifications read; no ids marks the current category read
+     */
+    async markRead(ids = []) {
+        try {
+            await this.dashboard.ajaxRequest('ai_news_read_notifications', {
+                ids,
+                category: ids.length ? '' : this.category
+            });
+            await this.afterChange();
+        } catch (error) {
+            console.error('Failed to mark notifications read:', error);
+        }
+    }
+
+    /**
+     * Remove a notification
+     */
+    async dismiss(id) {
+        try {
+            await this.dashboard.ajaxRequest('ai_news_dismiss_notification', { notification_id: id });
+            await this.afterChange();
+        } catch (error) {
+            this.dashboard.showToast(error.message || 'Failed to dismiss notification', 'error');
+        }
+    }
+
+    /**
+     * Hide a notification for a while
+     */
+    async snooze(id, duration) {
+        try {
+            await this.dashboard.ajaxRequest('ai_news_snooze_notification', { notification_id: id, duration });
+            await this.afterChange();
+            this.dashboard.showToast('Notification snoozed', 'info');
+        } catch (error) {
+            this.dashboard.showToast(error.message || 'Failed to snooze notification', 'error');
+        }
+    }
+
+    /**
+     * Mute notifications like this one
+     */
+    async muteSimilar(id) {
+        try {
+            await this.dashboard.ajaxRequest('ai_news_mute_notifications', { notification_id: id });
+            await this.afterChange();
+            this.dashboard.showToast('Similar notifications muted', 'info');
+        } catch (error) {
+            this.dashboard.showToast(error.message || 'Failed to mute notifications', 'error');
+        }
+    }
+
+    /**
+     * Mute a whole category
+     */
+    async muteCategory(category) {
+        try {
+            await this.dashboard.ajaxRequest('ai_news_mute_notifications', { category });
+            await this.afterChange();
+            this.dashboard.showToast(`${this.categories[category]} notifications muted`, 'info');
+        } catch (error) {
+            this.dashboard.showToast(error.message || 'Failed to mute notifications', 'error');
+        }
+    }
+
+    /**
+     * Remove a mute rule
+     */
+    async unmute(ruleId) {
+        try {
+            await this.dashboard.ajaxRequest('ai_news_unmute_notifications', { rule_id: ruleId });
+            await this.afterChange();
+        } catch (error) {
+            this.dashboard.showToast(error.message || 'Failed to unmute notifications', 'error');
+        }
+    }
+
+    /**
+     * Reload after a change and tell other tabs
+     */
+    async afterChange() {
+        await this.sync();
+        this.broadcast();
+    }
+
+    /**
+     * Tell other open tabs to re-sync
+     */
+    broadcast() {
+        if (this.channel) {
+            this.channel.postMessage({ type: 'changed' });
+        }
+    }
+
+    /**
+     * Update the unread badge
+     */
+    updateBadge() {
+        if (!this.badge) return;
+
+        this.badge.textContent = this.unreadCount > 99 ? '99+' : this.unreadCount;
+        this.badge.style.display = this.unreadCount > 0 ? 'block' : 'none';
+
+        if (this.button) {
+            this.button.setAttribute('aria-label', `Notifications (${this.unreadCount} unread)`);
+        }
+    }
+
+    /**
+     * Whether the dropdown is open
+     */
+    isOpen() {
+        return Boolean(this.panel && this.panel.classList.contains('show'));
+    }
+
+    /**
+     * Toggle the dropdown
+     */
+    toggle() {
+        if (this.isOpen()) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    /**
+     * Open the dropdown
+     */
+    open() {
+        if (!this.panel) return;
+
+        this.render();
+        this.panel.classList.add('show');
+        this.button?.setAttribute('aria-expanded', 'true');
+        this.dashboard.router?.update();
+        this.refresh();
+    }
+
+    /**
+     * Close the dropdown
+     */
+    close() {
+        if (!this.panel) return;
+
+        this.panel.classList.remove('show');
+        this.button?.setAttribute('aria-expanded', 'false');
+        this.showMutes = false;
+        this.dashboard.router?.update();
+    }
+
+    /**
+     * Switch the category filter
+     */
+    async setCategory(category) {
+        this.category = category;
+        this.notifications = [];
+        this.render();
+        await this.refresh();
+    }
+
+    /**
+     * Route clicks inside the dropdown
+     */
+    handlePanelClick(e) {
+        // Snooze menus and links act on their own
+        if (e.target.closest('select, a')) return;
+
+        const target = e.target.closest('[data-action]');
+        if (!target) return;
+
+        const id = Number(target.dataset.id);
+
+        switch (target.dataset.action) {
+            case 'category':
+                this.setCategory(target.dataset.category);
+                break;
+            case 'read':
+                if (target.classList.contains('unread')) {
+                    this.markRead([id]);
+                }
+                break;
+            case 'read-all':
+                this.markRead();
+                break;
+            case 'dismiss':
+                this.dismiss(id);
+                break;
+            case 'mute':
+                this.muteSimilar(id);
+                break;
+            case 'mute-category':
+                this.muteCategory(this.category);
+                break;
+            case 'unmute':
+                this.unmute(target.dataset.rule);
+                break;
+            case 'toggle-mutes':
+                this.showMutes = !this.showMutes;
+                this.render();
+                break;
+            case 'more':
+                this.loadMore();
+                break;
+        }
+    }
+
+    /**
+     * Render the dropdown
+     */
+    render() {
+        if (!this.panel) return;
+
+        const tabs = [['', 'All', this.unreadCount]].concat(
+            Object.entries(this.categories).map(([key, label]) => [key, label, this.unreadByCategory[key] || 0])
+        );
+
+        AANP_Html.render(this.panel, AANP_Html.html`
+            <div class="notification-panel-header">
+                <h4>Notifications</h4>
+                <button type="button" class="mark-all-read" data-action="read-all">Mark all read</button>
+            </div>
+            <div class="notification-tabs" role="tablist">
+                ${tabs.map(([key, label, unread]) => AANP_Html.html`
+                    <button type="button" role="tab" class="notification-tab ${this.category === key ? 'active' : ''}"
+                        aria-selected="${this.category === key}" data-action="category" data-category="${key}">
+                        ${label}${unread > 0 && AANP_Html.html` <span class="notification-tab-count">${unread}</span>`}
+                    </button>
+                `)}
+            </div>
+            <div class="notification-list">
+                ${this.notifications.map(notification => this.renderItem(notification))}
+                ${this.notifications.length === 0 && AANP_Html.html`<div class="no-notifications">No notifications</div>`}
+                ${this.hasMore && AANP_Html.html`<button type="button" class="notification-more" data-action="more">Load more</button>`}
+            </div>
+            <div class="notification-panel-footer">
+                <button type="button" data-action="toggle-mutes" aria-expanded="${this.showMutes}">
+                    <i class="fas fa-bell-slash"></i> Muted (${this.mutes.length})
+                </button>
+                ${this.category && AANP_Html.html`<button type="button" data-action="mute-category">Mute ${this.categories[this.category]}</button>`}
+            </div>
+            ${this.showMutes && this.renderMutes()}
+        `);
+    }
+
+    /**
+     * Render one notification
+     */
+    renderItem(notification) {
+        const id = notification.id;
+
+        return AANP_Html.html`
+            <div class="notification-item ${notification.type} ${notification.read ? 'read' : 'unread'}" data-action="read" data-id="${id}">
+                <i class="fas ${this.icons[notification.type] || this.icons.info} notification-icon" aria-hidden="true"></i>
+                <div class="notification-body">
+                    ${notification.title && AANP_Html.html`<div class="notification-title">${notification.title}</div>`}
+                    <div class="notification-message">${notification.message}</div>
+                    <div class="notification-meta">
+                        <span class="notification-category">${this.categories[notification.category] || notification.category}</span>
+                        <span class="notification-time">${this.dashboard.formatTimeAgo(notification.created_at * 1000)}</span>
+                        ${notification.link && AANP_Html.html`<a href="${notification.link}" target="_top">View</a>`}
+                    </div>
+                    <div class="notification-actions">
+                        <select data-snooze="${id}" aria-label="Snooze notification">
+                            <option value="">Snooze…</option>
+                            ${this.snoozeOptions.map(option => AANP_Html.html`<option value="${option.value}">${option.label}</option>`)}
+                        </select>
+                        <button type="button" data-action="mute" data-id="${id}">Mute similar</button>
+                    </div>
+                </div>
+                <button type="button" class="notification-dismiss" data-action="dismiss" data-id="${id}" aria-label="Dismiss notification">&times;</button>
+            </div>
+        `;
+    }
+
+    /**
+     * Render mute rules
+     */
+    renderMutes() {
+        if (this.mutes.length === 0) {
+            return AANP_Html.html`<div class="notification-mutes"><p>Nothing is muted.</p></div>`;
+        }
+
+        return AANP_Html.html`
+            <div class="notification-mutes">
+                ${this.mutes.map(mute => AANP_Html.html`
+                    <div class="notification-mute">
+                        <span>
+                            ${this.categories[mute.category] || mute.category}
+                            ${mute.source ? AANP_Html.html`&middot; ${mute.source}` : '(all)'}
+                        </span>
+                        <button type="button" class="btn btn-outline btn-sm" data-action="unmute" data-rule="${mute.id}">Unmute</button>
+                    </div>
+                `)}
+            </div>
+        `;
+    }
+
+    /**
+     * Open the IndexedDB cache
+     */
+    openDatabase() {
+        if (!this.database) {
+            this.database = new Promise(resolve => {
+                if (typeof indexedDB === 'undefined') {
+                    resolve(null);
+                    return;
+                }
+
+                const request = indexedDB.open('aanp-dashboard', 1);
+                request.onupgradeneeded = () => request.result.createObjectStore('cache');
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => resolve(null);
+            });
+        }
+
+        return this.database;
+    }
+
+    /**
+     * Read the cached first page
+     */
+    async readCache() {
+        const db = await this.openDatabase();
+        if (!db) return null;
+
+        return new Promise(resolve => {
+            const request = db.transaction('cache', 'readonly').objectStore('cache').get(this.cacheKey);
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => resolve(null);
+        });
+    }
+
+    /**
+     * Cache the first page
+     */
+    async writeCache(data) {
+        const db = await this.openDatabase();
+        if (!db || this.category) return;
+
+        db.transaction('cache', 'readwrite').objectStore('cache').put(data, this.cacheKey);
+    }
+
+    /**
+     * Cleanup
+     */
+    destroy() {
+        document.removeEventListener('click', this.handleDocumentClick);
+        document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+
+        if (this.channel) {
+            this.channel.close();
+        }
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AANP_NotificationCenter;
+}
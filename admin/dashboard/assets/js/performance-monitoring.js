@@ -2,7 +2,13 @@
  * Performance Monitoring and Alerting System for AI Auto News Poster Dashboard
  * 
  * Provides real-time performance monitoring, threshold-based alerting,
- * and comprehensive alert management with automated responses.
+ * and comprehensive alert management with automated responses. Alerts
+ * live on the server: threshold breaches are raised there, the panel
+ * polls the shared list, and acknowledging, snoozing or resolving an
+ * alert updates it for every dashboard. Threshold rules are edited in
+ * the alert settings and shared the same way. A metric can alert on fixed
+ * levels or adaptively, on how far it strays from its usual value for
+ * the weekday and hour.
  *
  * @package AI_Auto_News_Poster
  * @since 2.0.0
@@ -13,101 +19,157 @@ class AANP_PerformanceMonitoring {
     /**
      * Alert configuration
      */
-    private config = {
-        updateInterval: 3000, // 3 seconds
+    config = {
         historyRetention: 1000, // Number of alerts to retain
         alertCooldown: 300000, // 5 minutes between similar alerts
-        checkInterval: 5000, // 5 seconds for threshold checks
-        maxAlertsPerMinute: 10
+        maxAlertsPerMinute: 10,
+        pollInterval: 30000, // Refresh the shared alert list every 30 seconds
+        snoozeDuration: 3600, // Seconds an alert stays snoozed
+        baselineRefresh: 3600000, // Reload server baselines hourly
+        baselineWindow: 500, // Samples a baseline slot weighs before older ones fade
+        minBaselineSamples: 10, // Samples a weekday/hour slot needs to be trusted
+        minRecentSamples: 20, // Live samples needed when no slot is trusted yet
+        anomalyHysteresis: 0.5 // Deviations below a level before it clears
     };
     
     /**
-     * Performance thresholds
+     * Default performance thresholds
+     *
+     * A rule fires when the value is at or past a level in its direction
+     * for `duration` minutes, and stays at that level until the value
+     * passes the level's recovery value, which keeps a metric hovering
+     * around a level from flapping. In adaptive mode the levels are
+     * numbers of standard deviations from the baseline instead. Rules
+     * saved in the rule editor replace these per metric. `history` names
+     * the server series whose recorded samples seed the baseline.
      */
-    private thresholds = {
+    defaultThresholds = {
         responseTime: {
+            label: 'Response time',
+            history: 'response_time',
+            direction: 'above',
             warning: 1000, // 1 second
             critical: 3000, // 3 seconds
             unit: 'ms'
         },
         memoryUsage: {
+            label: 'Memory usage',
+            history: 'memory_usage',
+            direction: 'above',
             warning: 80, // 80%
             critical: 95, // 95%
             unit: '%'
         },
         cpuUsage: {
+            label: 'CPU usage',
+            direction: 'above',
             warning: 70, // 70%
             critical: 90, // 90%
             unit: '%'
         },
         databaseQueries: {
+            label: 'Database queries',
+            history: 'query_count',
+            direction: 'above',
             warning: 50, // 50 queries
             critical: 100, // 100 queries
             unit: 'queries'
         },
         cacheHitRate: {
-            warning: 70, // 70% (low hit rate is bad)
-            critical: 50, // 50% (low hit rate is critical)
+            label: 'Cache hit rate',
+            direction: 'below', // Low hit rate is bad
+            warning: 70, // 70%
+            critical: 50, // 50%
             unit: '%'
         },
         errorRate: {
+            label: 'Error rate',
+            direction: 'above',
             warning: 5, // 5%
             critical: 15, // 15%
             unit: '%'
         },
         apiRequests: {
+            label: 'API requests',
+            direction: 'above',
             warning: 1000, // 1000 requests/minute
             critical: 2000, // 2000 requests/minute
             unit: 'requests/min'
         },
         diskUsage: {
+            label: 'Disk usage',
+            direction: 'above',
             warning: 85, // 85%
             critical: 95, // 95%
             unit: '%'
         },
         loadAverage: {
+            label: 'Load average',
+            direction: 'above',
             warning: 2.0, // Load average
             critical: 4.0, // Load average
             unit: 'load'
         }
     };
     
+    /**
+     * Thresholds in effect: the defaults with saved rules applied
+     */
+    thresholds = this.buildThresholds({});
+    rulesUpdatedAt = null;
+    
     /**
      * Alert states
      */
-    private alertStates = new Map();
-    private activeAlerts = new Map();
-    private alertHistory = [];
-    private suppressedAlerts = new Set();
+    alertStates = new Map();
+    activeAlerts = new Map();
+    alertHistory = [];
+    seenAlerts = new Set();
+    alertsLoaded = false;
     
     /**
      * Monitoring data
      */
-    private currentMetrics = {};
-    private previousMetrics = {};
-    private metricHistory = new Map();
+    currentMetrics = {};
+    previousMetrics = {};
+    metricHistory = new Map();
+    baselines = new Map();
+    unsubscribeStore = null;
     
     /**
-     * WebSocket for real-time alerts
+     * Timers and listeners to remove on destroy
      */
-    private websocket = null;
-    private notificationPermission = null;
+    intervals = [];
+    handleVisibilityChange = null;
+    notificationPermission = null;
     
     /**
      * DOM elements
      */
-    private alertPanel = null;
-    private alertIndicators = new Map();
-    private alertCounter = null;
+    alertPanel = null;
+    alertIndicators = new Map();
+    alertCounter = null;
     
     /**
      * Alert severity levels
      */
-    private severityLevels = {
+    severityLevels = {
         info: { color: '#17a2b8', icon: 'info-circle', priority: 1 },
+        low: { color: '#6c757d', icon: 'info-circle', priority: 1 },
+        medium: { color: '#ffc107', icon: 'exclamation-triangle', priority: 2 },
         warning: { color: '#ffc107', icon: 'exclamation-triangle', priority: 2 },
-        critical: { color: '#dc3545', icon: 'exclamation-circle', priority: 3 },
-        emergency: { color: '#6f42c1', icon: 'bomb', priority: 4 }
+        high: { color: '#fd7e14', icon: 'exclamation-triangle', priority: 3 },
+        critical: { color: '#dc3545', icon: 'exclamation-circle', priority: 4 },
+        emergency: { color: '#6f42c1', icon: 'bomb', priority: 5 }
+    };
+    
+    /**
+     * Server severity for each threshold level
+     */
+    serverSeverities = {
+        warning: 'high',
+        critical: 'critical',
+        emergency: 'critical'
     };
     
     constructor() {
@@ -126,7 +188,8 @@ class AANP_PerformanceMonitoring {
             this.setupMonitoring();
             this.setupAlertPanel();
             this.setupAlertIndicators();
-            this.setupWebSocketConnection();
+            this.startAlertSync();
+            this.startBaselineSync();
             
             // Start monitoring
             this.startMonitoring();
@@ -170,9 +233,6 @@ class AANP_PerformanceMonitoring {
         // Setup real-time data collection
         this.setupDataCollection();
         
-        // Setup threshold checking
-        this.setupThresholdChecking();
-        
         // Setup alert management
         this.setupAlertManagement();
     }
@@ -181,104 +241,54 @@ class AANP_PerformanceMonitoring {
      * Setup data collection
      */
     setupDataCollection() {
-        // Collect initial metrics
-        this.collectMetrics();
+        const store = window.aanpMetricsStore;
+        if (!store) return;
         
-        // Setup periodic collection
-        setInterval(() => {
-            this.collectMetrics();
-        }, this.config.updateInterval);
-    }
-    
-    /**
-     * Collect current performance metrics
-     */
-    async collectMetrics() {
-        try {
-            // Simulate metric collection (in real implementation, this would collect actual metrics)
-            const metrics = await this.getPerformanceMetrics();
-            
-            // Store previous metrics
-            this.previousMetrics = { ...this.currentMetrics };
-            
-            // Update current metrics
-            this.currentMetrics = { ...metrics, timestamp: Date.now() };
-            
-            // Store in history
-            this.updateMetricHistory(metrics);
-            
-            // Check thresholds
-            this.checkThresholds();
-            
-            // Update dashboard indicators
-            this.updateDashboardIndicators();
-            
-        } catch (error) {
-            console.error('Failed to collect metrics:', error);
-            this.handleMetricCollectionError(error);
-        }
+        // Evaluate every sample the shared store receives, starting with the latest
+        this.unsubscribeStore = store.subscribe((sample) => this.collectMetrics(sample), { replay: true });
     }
     
     /**
-     * Get performance metrics (simulated)
+     * Record a metrics store sample and evaluate thresholds
      */
-    async getPerformanceMetrics() {
-        // In a real implementation, this would collect actual performance data
-        // For now, we'll simulate realistic metrics with some variance
+    collectMetrics(sample) {
+        // Skip metrics the server does not report
+        const metrics = {};
+        Object.entries(sample).forEach(([metric, value]) => {
+            if (metric !== 'timestamp' && value !== null) {
+                metrics[metric] = value;
+            }
+        });
         
-        const baseMetrics = {
-            responseTime: Math.random() * 2000 + 100,
-            memoryUsage: Math.random() * 60 + 20,
-            cpuUsage: Math.random() * 50 + 10,
-            databaseQueries: Math.floor(Math.random() * 80) + 5,
-            cacheHitRate: Math.random() * 30 + 70,
-            errorRate: Math.random() * 10,
-            apiRequests: Math.floor(Math.random() * 1500) + 100,
-            diskUsage: Math.random() * 40 + 30,
-            loadAverage: Math.random() * 3 + 0.5
-        };
+        // Store previous metrics
+        this.previousMetrics = { ...this.currentMetrics };
         
-        // Add some realistic spikes occasionally
-        if (Math.random() > 0.9) {
-            baseMetrics.responseTime *= 2;
-            baseMetrics.cpuUsage *= 1.5;
-        }
+        // Update current metrics
+        this.currentMetrics = { ...metrics, timestamp: sample.timestamp };
         
-        if (Math.random() > 0.95) {
-            baseMetrics.errorRate *= 3;
-            baseMetrics.databaseQueries *= 2;
-        }
+        // Store in history
+        this.updateMetricHistory(metrics, sample.timestamp);
         
-        return baseMetrics;
-    }
-    
-    /**
-     * Handle metric collection error
-     */
-    handleMetricCollectionError(error) {
-        // Create alert for metric collection failure
-        this.createAlert({
-            type: 'metric_collection_error',
-            severity: 'critical',
-            title: 'Metric Collection Failed',
-            message: 'Unable to collect performance metrics: ' + error.message,
-            metric: 'system',
-            value: 0,
-            threshold: 'N/A',
-            timestamp: Date.now()
-        });
+        // Check thresholds
+        this.checkThresholds();
+        
+        // Learn from the sample after checking it against the baseline
+        this.learnBaselines(metrics, sample.timestamp);
+        
+        // Update dashboard indicators
+        this.updateDashboardIndicators();
     }
     
     /**
      * Update metric history
      */
-    updateMetricHistory(metrics) {
+    updateMetricHistory(metrics, timestamp = Date.now()) {
         Object.keys(metrics).forEach(metric => {
             const history = this.metricHistory.get(metric);
             if (history) {
                 history.push({
                     value: metrics[metric],
-                    timestamp: Date.now()
+                    timestamp: timestamp
                 });
                 
                 // Limit history size
@@ -290,166 +300,547 @@ class AANP_PerformanceMonitoring {
     }
     
     /**
-     * Setup threshold checking
+     * Merge saved rules over the default thresholds
+     */
+    buildThresholds(rules) {
+        const thresholds = {};
+        
+        Object.entries(this.defaultThresholds).forEach(([metric, defaults]) => {
+            thresholds[metric] = {
+                enabled: true,
+                mode: 'static',
+                duration: 0,
+                recovery: { warning: null, critical: null },
+                deviations: { warning: 3, critical: 5 },
+                ...defaults,
+                ...(rules[metric] || {})
+            };
+        });
+        
+        return thresholds;
+    }
+    
+    /**
+     * Use a new set of saved rules
+     *
+     * Threshold state is dropped so pending hold times restart under the
+     * new levels.
+     */
+    applyRules(rules, updatedAt) {
+        this.thresholds = this.buildThresholds(rules || {});
+        this.rulesUpdatedAt = updatedAt;
+        this.alertStates.clear();
+    }
+    
+    /**
+     * Whether a value is at or past a level in the rule's direction
+     */
+    breaches(rule, value, level) {
+        return rule.direction === 'below' ? value <= level : value >= level;
+    }
+    
+    /**
+     * Whether a value has passed a level's recovery value
+     */
+    hasRecovered(rule, severity, value) {
+        const level = rule.recovery?.[severity] ?? rule[severity];
+        
+        return rule.direction === 'below' ? value > level : value < level;
+    }
+    
+    /**
+     * Severity a value is at, holding a firing level until it recovers
+     */
+    getSeverity(rule, value, firing) {
+        if (this.breaches(rule, value, rule.critical)) {
+            return 'critical';
+        }
+        
+        if (firing === 'critical' && !this.hasRecovered(rule, 'critical', value)) {
+            return 'critical';
+        }
+        
+        if (this.breaches(rule, value, rule.warning)) {
+            return 'warning';
+        }
+        
+        if (firing && !this.hasRecovered(rule, 'warning', value)) {
+            return 'warning';
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Load baselines now and refresh them hourly
+     */
+    startBaselineSync() {
+        this.loadBaselines();
+        
+        this.intervals.push(setInterval(() => this.loadBaselines(), this.config.baselineRefresh));
+    }
+    
+    /**
+     * Seed baseline slots from the samples the server recorded
+     *
+     * Server slots replace the learned ones for the metrics it records;
+     * other metrics keep learning from live samples only.
+     */
+    async loadBaselines() {
+        let result;
+        try {
+            result = await this.request('ai_news_get_metric_baseline');
+        } catch (error) {
+            console.error('Failed to load metric baselines:', error);
+            return;
+        }
+        
+        Object.entries(this.defaultThresholds).forEach(([metric, defaults]) => {
+            const slots = defaults.history && (result.metrics || {})[defaults.history];
+            if (!slots) return;
+            
+            this.baselines.set(metric, new Map(Object.entries(slots).map(([key, slot]) => [key, {
+                mean: slot.mean,
+                variance: slot.deviation * slot.deviation,
+                count: Math.min(slot.samples, this.config.baselineWindow)
+            }])));
+        });
+    }
+    
+    /**
+     * Baseline slot for a time: its UTC weekday and hour, as the server groups them
+     */
+    getSlotKey(timestamp) {
+        const date = new Date(timestamp);
+        
+        return `${date.getUTCDay()}:${date.getUTCHours()}`;
+    }
+    
+    /**
+     * Fold a sample into its metric's baseline slot
+     *
+     * Running mean and variance, weighted as if the slot held at most
+     * baselineWindow samples so older behaviour fades out.
+     */
+    learnBaselines(metrics, timestamp = Date.now()) {
+        const key = this.getSlotKey(timestamp);
+        
+        Object.entries(metrics).forEach(([metric, value]) => {
+            if (!this.thresholds[metric] || !Number.isFinite(value)) return;
+            
+            if (!this.baselines.has(metric)) {
+                this.baselines.set(metric, new Map());
+            }
+            
+            const slots = this.baselines.get(metric);
+            const slot = slots.get(key) || { mean: value, variance: 0, count: 0 };
+            const count = Math.min(slot.count + 1, this.config.baselineWindow);
+            const delta = value - slot.mean;
+            
+            slot.mean += delta / count;
+            slot.variance += (delta * (value - slot.mean) - slot.variance) / count;
+            slot.count = count;
+            slots.set(key, slot);
+        });
+    }
+    
+    /**
+     * Compare a value with its baseline
+     *
+     * Uses the weekday/hour slot once it has enough samples, otherwise
+     * the recent live samples. Returns null until either is available.
      */
-    setupThresholdChecking() {
-        setInterval(() => {
-            this.checkAllThresholds();
-        }, this.config.checkInterval);
+    detectAnomaly(metricName, value, timestamp) {
+        const slot = this.baselines.get(metricName)?.get(this.getSlotKey(timestamp));
+        let mean;
+        let deviation;
+        let seasonal = false;
+        
+        if (slot && slot.count >= this.config.minBaselineSamples) {
+            mean = slot.mean;
+            deviation = Math.sqrt(slot.variance);
+            seasonal = true;
+        } else {
+            // The latest history entry is the value being checked
+            const recent = (this.metricHistory.get(metricName) || []).slice(0, -1).map(entry => entry.value);
+            if (recent.length < this.config.minRecentSamples) {
+                return null;
+            }
+            
+            mean = recent.reduce((sum, item) => sum + item, 0) / recent.length;
+            deviation = Math.sqrt(recent.reduce((sum, item) => sum + (item - mean) ** 2, 0) / recent.length);
+        }
+        
+        // A flat baseline would make any wobble an extreme outlier
+        deviation = Math.max(deviation, Math.abs(mean) * 0.01, 1e-6);
+        
+        return {
+            value,
+            mean,
+            deviation,
+            score: (value - mean) / deviation,
+            seasonal,
+            timestamp
+        };
+    }
+    
+    /**
+     * Severity of an anomaly, holding a firing level until it recovers
+     */
+    getAnomalySeverity(rule, anomaly, firing) {
+        // Positive when the value strays in the rule's bad direction
+        const score = rule.direction === 'below' ? -anomaly.score : anomaly.score;
+        const { warning, critical } = rule.deviations;
+        const hysteresis = this.config.anomalyHysteresis;
+        
+        if (score >= critical || (firing === 'critical' && score >= critical - hysteresis)) {
+            return 'critical';
+        }
+        
+        if (score >= warning || (firing && score >= warning - hysteresis)) {
+            return 'warning';
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Explain an anomaly in words
+     */
+    getAnomalyMessage(metricName, anomaly, threshold) {
+        const label = threshold.label || metricName;
+        const side = anomaly.score >= 0 ? 'above' : 'below';
+        const round = (number) => Number(number.toFixed(2));
+        let usual = 'the recent average';
+        
+        if (anomaly.seasonal) {
+            // Slots are whole UTC hours; name the slot's start in local time
+            const slotStart = new Date(anomaly.timestamp);
+            slotStart.setUTCMinutes(0, 0, 0);
+            const day = slotStart.toLocaleDateString(undefined, { weekday: 'long' });
+            const time = `${String(slotStart.getHours()).padStart(2, '0')}:${String(slotStart.getMinutes()).padStart(2, '0')}`;
+            usual = `the usual for ${day} ${time}`;
+        }
+        
+        return `${label} is ${Math.abs(anomaly.score).toFixed(1)}σ ${side} ${usual} ` +
+            `(${round(anomaly.value)} ${threshold.unit}, usually ${round(anomaly.mean)} ± ${round(anomaly.deviation)} ${threshold.unit})`;
     }
     
     /**
      * Check individual threshold
+     *
+     * A level fires once the metric has stayed at or past it for the
+     * rule's duration; adaptive rules measure levels in deviations from
+     * the baseline. While it keeps firing the alert is raised again after
+     * the cooldown, and escalating to critical raises it at once.
      */
-    checkThreshold(metricName, value) {
+    checkThreshold(metricName, value, timestamp = Date.now()) {
         const threshold = this.thresholds[metricName];
-        if (!threshold) return null;
+        if (!threshold || threshold.enabled === false) return null;
         
         const stateKey = `${metricName}_threshold`;
-        let severity = null;
+        const state = this.alertStates.get(stateKey) || { since: {}, severity: null, timestamp: 0 };
+        const adaptive = threshold.mode === 'adaptive';
+        const anomaly = adaptive ? this.detectAnomaly(metricName, value, timestamp) : null;
+        
+        // Adaptive rules wait until there is a baseline to compare with
+        if (adaptive && !anomaly) return null;
+        
+        const severity = adaptive
+            ? this.getAnomalySeverity(threshold, anomaly, state.severity)
+            : this.getSeverity(threshold, value, state.severity);
+        
+        // Track how long each level has held without a break
+        ['warning', 'critical'].forEach(level => {
+            const reached = severity === 'critical' || severity === level;
+            if (!reached) {
+                delete state.since[level];
+            } else if (state.since[level] === undefined) {
+                state.since[level] = timestamp;
+            }
+        });
         
-        if (value >= threshold.critical) {
-            severity = 'critical';
-        } else if (value >= threshold.warning) {
-            severity = 'warning';
-        }
+        const holdTime = threshold.duration * 60000;
+        const held = ['critical', 'warning'].find(level => state.since[level] !== undefined && timestamp - state.since[level] >= holdTime);
         
-        if (severity) {
-            // Check cooldown period
-            const lastAlert = this.alertStates.get(stateKey);
-            const now = Date.now();
+        if (held) {
+            const escalated = held === 'critical' && state.severity !== 'critical';
             
-            if (!lastAlert || (now - lastAlert.timestamp) > this.config.alertCooldown) {
-                // Create alert
-                this.createAlert({
+            if (!state.severity || escalated || (timestamp - state.timestamp) > this.config.alertCooldown) {
+                // Raise the alert on the server
+                this.raiseAlert({
                     type: 'threshold_exceeded',
-                    severity: severity,
-                    title: this.getAlertTitle(metricName, severity),
-                    message: this.getAlertMessage(metricName, value, threshold, severity),
+                    severity: held,
+                    title: this.getAlertTitle(metricName, held),
+                    message: adaptive
+                        ? this.getAnomalyMessage(metricName, anomaly, threshold)
+                        : this.getAlertMessage(metricName, value, threshold, held),
                     metric: metricName,
                     value: value,
-                    threshold: threshold[severity],
-                    timestamp: now
+                    threshold: adaptive
+                        ? anomaly.mean + (threshold.direction === 'below' ? -1 : 1) * threshold.deviations[held] * anomaly.deviation
+                        : threshold[held],
+                    timestamp: timestamp
                 });
                 
-                // Update state
-                this.alertStates.set(stateKey, {
-                    severity: severity,
-                    timestamp: now,
-                    value: value
-                });
-                
-                return severity;
+                state.timestamp = timestamp;
             }
-        } else {
-            // Check for recovery
-            this.checkRecovery(metricName, value);
+            
+            state.severity = held;
+            state.value = value;
+            this.alertStates.set(stateKey, state);
+            
+            return held;
+        }
+        
+        if (state.severity && !severity) {
+            // Announce the recovery locally
+            this.showRecovery({
+                type: 'threshold_recovered',
+                severity: 'info',
+                title: this.getRecoveryTitle(metricName),
+                message: this.getRecoveryMessage(metricName, value),
+                metric: metricName,
+                value: value,
+                threshold: adaptive ? anomaly.mean : threshold.recovery?.[state.severity] ?? threshold[state.severity],
+                timestamp: timestamp
+            });
+            
+            this.alertStates.delete(stateKey);
+            return null;
         }
         
-        return severity;
+        this.alertStates.set(stateKey, state);
+        
+        return null;
     }
     
     /**
-     * Check all thresholds
+     * Check threshold for single metric
      */
-    checkAllThresholds() {
+    checkThresholds() {
         Object.keys(this.currentMetrics).forEach(metricName => {
             if (metricName !== 'timestamp' && this.thresholds[metricName]) {
-                this.checkThreshold(metricName, this.currentMetrics[metricName]);
+                this.checkThreshold(metricName, this.currentMetrics[metricName], this.currentMetrics.timestamp);
             }
         });
     }
     
     /**
-     * Check threshold for single metric
+     * Setup alert management
      */
-    checkThresholds() {
-        Object.keys(this.currentMetrics).forEach(metricName => {
-            if (metricName !== 'timestamp' && this.thresholds[metricName]) {
-                this.checkThreshold(metricName, this.currentMetrics[metricName]);
-            }
+    setupAlertManagement() {
+        // Check alert rate limiting
+        this.intervals.push(setInterval(() => {
+            this.checkAlertRateLimit();
+        }, 60000)); // Every minute
+    }
+    
+    /**
+     * Send an alert request to the server
+     */
+    async request(action, params = {}) {
+        const body = new URLSearchParams({
+            action,
+            nonce: ai_news_dashboard_nonce
+        });
+        
+        Object.entries(params).forEach(([key, value]) => body.append(key, value));
+        
+        const response = await fetch(ajaxurl, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/x-www-form-urlencoded',
+            },
+            body
         });
+        
+        const data = await response.json();
+        
+        if (!data.success) {
+            throw new Error(data.data || `Request ${action} failed`);
+        }
+        
+        return data.data;
     }
     
     /**
-     * Check for metric recovery
+     * Whether the current user holds a capability
      */
-    checkRecovery(metricName, currentValue) {
-        const stateKey = `${metricName}_threshold`;
-        const state = this.alertStates.get(stateKey);
+    can(capability) {
+        const granted = ((window.ai_news_dashboard || {}).user || {}).capabilities;
         
-        if (state) {
-            const threshold = this.thresholds[metricName];
-            const recoveryValue = state.severity === 'critical' ? threshold.warning : 0;
-            
-            if (currentValue < recoveryValue) {
-                // Create recovery alert
-                this.createAlert({
-                    type: 'threshold_recovered',
-                    severity: 'info',
-                    title: this.getRecoveryTitle(metricName),
-                    message: this.getRecoveryMessage(metricName, currentValue),
-                    metric: metricName,
-                    value: currentValue,
-                    threshold: recoveryValue,
-                    timestamp: Date.now(),
-                    isRecovery: true
-                });
-                
-                // Clear state
-                this.alertStates.delete(stateKey);
+        // The standalone preview has no user data and gets every capability
+        return !Array.isArray(granted) || granted.includes(capability);
+    }
+    
+    /**
+     * Load alerts now and keep polling while the page is visible
+     */
+    startAlertSync() {
+        this.loadAlerts();
+        
+        this.intervals.push(setInterval(() => {
+            if (!document.hidden) {
+                this.loadAlerts();
             }
-        }
+        }, this.config.pollInterval));
+        
+        this.handleVisibilityChange = () => {
+            if (!document.hidden) {
+                this.loadAlerts();
+            }
+        };
+        document.addEventListener('visibilitychange', this.handleVisibilityChange);
     }
     
     /**
-     * Setup alert management
+     * Fetch the shared alert list, including recently resolved alerts
+     *
+     * Alerts that appear after the first load are announced like alerts
+     * raised on this dashboard.
      */
-    setupAlertManagement() {
-        // Clean up old alerts periodically
-        setInterval(() => {
-            this.cleanupAlerts();
-        }, 60000); // Every minute
+    async loadAlerts() {
+        let result;
+        try {
+            result = await this.request('ai_news_get_alerts', { include_resolved: 1 });
+        } catch (error) {
+            console.error('Failed to load alerts:', error);
+            return;
+        }
         
-        // Check alert rate limiting
-        setInterval(() => {
-            this.checkAlertRateLimit();
-        }, 60000); // Every minute
+        // Rules saved on any dashboard apply here on the next poll
+        if (result.rules && result.rules_updated_at !== this.rulesUpdatedAt) {
+            this.applyRules(result.rules, result.rules_updated_at);
+        }
+        
+        this.alertHistory = (result.alerts || []).map(alert => this.normalizeAlert(alert));
+        this.activeAlerts = new Map(this.alertHistory
+            .filter(alert => !alert.resolved)
+            .map(alert => [alert.id, alert]));
+        
+        this.alertHistory.forEach(alert => {
+            if (this.seenAlerts.has(alert.id)) return;
+            
+            this.seenAlerts.add(alert.id);
+            if (this.alertsLoaded && alert.status === 'active') {
+                this.processAlert(alert);
+            }
+        });
+        
+        this.alertsLoaded = true;
+        this.refreshAlertUI();
     }
     
     /**
-     * Create new alert
+     * Convert a server alert into the shape the panel renders
      */
-    createAlert(alertData) {
-        const alert = {
-            id: this.generateAlertId(),
-            ...alertData,
-            acknowledged: false,
-            resolved: false,
-            actions: []
+    normalizeAlert(alert) {
+        const context = alert.context && typeof alert.context === 'object' ? alert.context : {};
+        const toMs = (seconds) => seconds ? seconds * 1000 : null;
+        
+        return {
+            ...alert,
+            metric: context.metric || alert.type,
+            value: context.value,
+            threshold: context.threshold,
+            timestamp: toMs(alert.created_at),
+            acknowledged: Boolean(alert.acknowledged_at),
+            acknowledgedAt: toMs(alert.acknowledged_at),
+            acknowledgedBy: alert.acknowledged_by_name,
+            resolved: alert.status === 'resolved',
+            resolvedAt: toMs(alert.resolved_at),
+            resolvedBy: alert.resolved_by_name,
+            suppressed: alert.status === 'suppressed',
+            suppressedUntil: toMs(alert.suppressed_until)
         };
+    }
+    
+    /**
+     * Merge an alert the server returned into the local lists
+     */
+    storeAlert(serverAlert) {
+        const alert = this.normalizeAlert(serverAlert);
         
-        // Add to active alerts if not recovery
-        if (!alert.isRecovery) {
+        if (alert.resolved) {
+            this.activeAlerts.delete(alert.id);
+        } else {
             this.activeAlerts.set(alert.id, alert);
         }
         
-        // Add to history
-        this.alertHistory.push(alert);
+        const index = this.alertHistory.findIndex(item => item.id === alert.id);
+        if (index === -1) {
+            this.alertHistory.unshift(alert);
+        } else {
+            this.alertHistory[index] = alert;
+        }
         
-        // Trim history if needed
-        if (this.alertHistory.length > this.config.historyRetention) {
-            this.alertHistory.shift();
+        return alert;
+    }
+    
+    /**
+     * Open alerts that are not snoozed
+     */
+    getOpenAlerts() {
+        return Array.from(this.activeAlerts.values()).filter(alert => !alert.suppressed);
+    }
+    
+    /**
+     * Whether any open alert is critical
+     */
+    hasCriticalAlerts() {
+        return this.getOpenAlerts().some(alert => alert.severity === 'critical' || alert.severity === 'emergency');
+    }
+    
+    /**
+     * Raise a threshold alert on the server
+     *
+     * The server returns the alert already open for the same metric and
+     * severity instead of creating another one. Capacity forecasts from
+     * the chart views come through here too, with source "forecast".
+     */
+    async raiseAlert(alertData) {
+        let result;
+        try {
+            result = await this.request('ai_news_raise_alert', {
+                metric: alertData.metric,
+                severity: this.serverSeverities[alertData.severity] || alertData.severity,
+                title: alertData.title,
+                message: alertData.message,
+                value: alertData.value,
+                threshold: alertData.threshold,
+                source: alertData.source || 'dashboard'
+            });
+        } catch (error) {
+            console.error('Failed to raise alert:', error);
+            return null;
         }
         
-        // Process alert
-        this.processAlert(alert);
+        const alert = this.storeAlert(result.alert);
+        
+        if (!this.seenAlerts.has(alert.id)) {
+            this.seenAlerts.add(alert.id);
+            if (alert.status === 'active') {
+                this.processAlert(alert);
+            }
+        }
         
-        console.log('Alert created:', alert);
+        this.refreshAlertUI();
         
         return alert;
     }
     
+    /**
+     * Announce that a metric is back under its threshold
+     */
+    showRecovery(recovery) {
+        this.showAlertNotification({
+            id: this.generateAlertId(),
+            ...recovery,
+            isRecovery: true
+        });
+    }
+    
     /**
      * Process alert
      */
@@ -457,20 +848,11 @@ class AANP_PerformanceMonitoring {
         // Show notification
         this.showAlertNotification(alert);
         
-        // Update UI
-        this.updateAlertUI(alert);
-        
         // Play sound if enabled
         this.playAlertSound(alert);
         
         // Execute automated actions
         this.executeAutomatedActions(alert);
-        
-        // Send to server for logging
-        this.logAlert(alert);
-        
-        // Update badge counter
-        this.updateAlertCounter();
     }
     
     /**
@@ -508,19 +890,13 @@ class AANP_PerformanceMonitoring {
     }
     
     /**
-     * Update alert UI
+     * Redraw everything that reflects the alert lists
      */
-    updateAlertUI(alert) {
-        // Update alert panel
-        this.updateAlertPanel(alert);
-        
-        // Update dashboard indicators
-        this.updateDashboardIndicator(alert.metric, alert);
-        
-        // Update browser title if critical alert
-        if (alert.severity === 'critical' || alert.severity === 'emergency') {
-            this.updateBrowserTitle(true);
-        }
+    refreshAlertUI() {
+        this.renderAlerts();
+        this.updateDashboardIndicators();
+        this.updateAlertCounter();
+        this.updateBrowserTitle(this.hasCriticalAlerts());
     }
     
     /**
@@ -530,7 +906,7 @@ class AANP_PerformanceMonitoring {
         if (alert.severity === 'critical' || alert.severity === 'emergency') {
             // Play critical alert sound
             this.playSound('critical');
-        } else if (alert.severity === 'warning') {
+        } else if (alert.severity === 'warning' || alert.severity === 'high') {
             // Play warning sound
             this.playSound('warning');
         }
@@ -546,6 +922,7 @@ class AANP_PerformanceMonitoring {
                 this.executeCriticalActions(alert);
                 break;
             case 'warning':
+            case 'high':
                 this.executeWarningActions(alert);
                 break;
         }
@@ -600,7 +977,7 @@ class AANP_PerformanceMonitoring {
             <div class="alert-panel-header">
                 <h3><i class="fas fa-bell"></i> Performance Alerts</h3>
                 <div class="alert-panel-actions">
-                    <button class="btn btn-sm btn-outline" id="clear-all-alerts">Clear All</button>
+                    <button class="btn btn-sm btn-outline" id="resolve-all-alerts" data-capability="manage-alerts">Resolve All</button>
                     <button class="btn btn-sm btn-outline" id="alert-settings">Settings</button>
                 </div>
             </div>
@@ -608,18 +985,22 @@ class AANP_PerformanceMonitoring {
                 <div class="alert-filters">
                     <select id="alert-severity-filter">
                         <option value="all">All Severities</option>
-                        <option value="info">Info</option>
-                        <option value="warning">Warning</option>
                         <option value="critical">Critical</option>
-                        <option value="emergency">Emergency</option>
+                        <option value="high">High</option>
+                        <option value="medium">Medium</option>
+                        <option value="low">Low</option>
+                        <option value="info">Info</option>
                     </select>
                     <select id="alert-status-filter">
+                        <option value="open">Open</option>
                         <option value="active">Active</option>
                         <option value="acknowledged">Acknowledged</option>
+                        <option value="suppressed">Snoozed</option>
                         <option value="resolved">Resolved</option>
                         <option value="all">All</option>
                     </select>
                 </div>
+                <div class="alert-panel-message" hidden></div>
                 <div class="alert-list" id="alert-list"></div>
             </div>
         `;
@@ -640,9 +1021,9 @@ class AANP_PerformanceMonitoring {
      * Setup alert panel events
      */
     setupAlertPanelEvents(panel) {
-        // Clear all alerts
-        panel.querySelector('#clear-all-alerts').addEventListener('click', () => {
-            this.clearAllAlerts();
+        // Resolve all open alerts
+        panel.querySelector('#resolve-all-alerts').addEventListener('click', () => {
+            this.resolveAllAlerts();
         });
         
         // Alert settings
@@ -733,11 +1114,27 @@ class AANP_PerformanceMonitoring {
     
     /**
      * Update dashboard indicators
+     *
+     * Each metric shows its most severe open alert.
      */
     updateDashboardIndicators() {
-        this.activeAlerts.forEach(alert => {
-            this.updateDashboardIndicator(alert.metric, alert);
-        });
+        this.alertIndicators.forEach(indicator => this.resetIndicator(indicator));
+        
+        const priority = (alert) => (this.severityLevels[alert.severity] || this.severityLevels.info).priority;
+        this.getOpenAlerts()
+            .sort((a, b) => priority(a) - priority(b))
+            .forEach(alert => this.updateDashboardIndicator(alert.metric, alert));
+    }
+    
+    /**
+     * Return an indicator to its no-alert state
+     */
+    resetIndicator(indicator) {
+        indicator.classList.remove(...Object.keys(this.severityLevels).map(severity => `alert-${severity}`), 'pulse');
+        const icon = indicator.querySelector('i');
+        if (icon) {
+            icon.className = 'fas fa-circle';
+        }
     }
     
     /**
@@ -751,19 +1148,17 @@ class AANP_PerformanceMonitoring {
         if (!icon) return;
         
         // Remove existing severity classes
-        indicator.classList.remove('alert-info', 'alert-warning', 'alert-critical', 'alert-emergency');
+        this.resetIndicator(indicator);
         
         // Add new severity class
         indicator.classList.add(`alert-${alert.severity}`);
         
         // Update icon
-        icon.className = `fas fa-${this.severityLevels[alert.severity].icon}`;
+        icon.className = `fas fa-${(this.severityLevels[alert.severity] || this.severityLevels.info).icon}`;
         
         // Add pulse animation for critical alerts
         if (alert.severity === 'critical' || alert.severity === 'emergency') {
             indicator.classList.add('pulse');
-        } else {
-            indicator.classList.remove('pulse');
         }
     }
     
@@ -773,7 +1168,7 @@ class AANP_PerformanceMonitoring {
     updateAlertCounter() {
         if (!this.alertCounter) return;
         
-        const count = this.activeAlerts.size;
+        const count = this.getOpenAlerts().length;
         const counterElement = this.alertCounter.querySelector('.alert-count');
         
         if (counterElement) {
@@ -782,27 +1177,67 @@ class AANP_PerformanceMonitoring {
         }
         
         // Add visual indication for critical alerts
-        const hasCritical = Array.from(this.activeAlerts.values())
-            .some(alert => alert.severity === 'critical' || alert.severity === 'emergency');
-        
-        this.alertCounter.classList.toggle('has-critical', hasCritical);
+        this.alertCounter.classList.toggle('has-critical', this.hasCriticalAlerts());
     }
     
     /**
-     * Update alert panel
+     * Render the alerts matching the panel filters, newest first
      */
-    updateAlertPanel(alert) {
+    renderAlerts() {
         const alertList = this.alertPanel?.querySelector('#alert-list');
         if (!alertList) return;
         
-        // Create alert item
-        const alertItem = this.createAlertItem(alert);
-        alertList.insertBefore(alertItem, alertList.firstChild);
+        const severityFilter = this.alertPanel.querySelector('#alert-severity-filter')?.value || 'all';
+        const statusFilter = this.alertPanel.querySelector('#alert-status-filter')?.value || 'open';
+        
+        const alerts = this.alertHistory
+            .filter(alert => severityFilter === 'all' || alert.severity === severityFilter)
+            .filter(alert => this.matchesStatus(alert, statusFilter))
+            .sort((a, b) => b.timestamp - a.timestamp)
+            .slice(0, 50);
+        
+        if (!alerts.length) {
+            AANP_Html.render(alertList, AANP_Html.html`<div class="alert-empty">No alerts</div>`);
+            return;
+        }
+        
+        alertList.replaceChildren(...alerts.map(alert => this.createAlertItem(alert)));
+    }
+    
+    /**
+     * Whether an alert passes the status filter
+     */
+    matchesStatus(alert, statusFilter) {
+        if (statusFilter === 'all') {
+            return true;
+        }
+        
+        if (statusFilter === 'open') {
+            return alert.status === 'active' || alert.status === 'acknowledged';
+        }
+        
+        return alert.status === statusFilter;
+    }
+    
+    /**
+     * Who changed an alert's status and when
+     */
+    describeStatus(alert) {
+        const by = (name) => name ? ` by ${name}` : '';
+        
+        if (alert.resolved) {
+            return `Resolved${by(alert.resolvedBy)} ${this.formatTime(alert.resolvedAt)}`;
+        }
+        
+        if (alert.suppressed) {
+            return `Snoozed until ${new Date(alert.suppressedUntil).toLocaleTimeString()}`;
+        }
         
-        // Limit number of displayed alerts
-        while (alertList.children.length > 50) {
-            alertList.removeChild(alertList.lastChild);
+        if (alert.acknowledged) {
+            return `Acknowledged${by(alert.acknowledgedBy)} ${this.formatTime(alert.acknowledgedAt)}`;
         }
+        
+        return 'Active';
     }
     
     /**
@@ -810,13 +1245,15 @@ class AANP_PerformanceMonitoring {
      */
     createAlertItem(alert) {
         const item = document.createElement('div');
-        item.className = `alert-item alert-${alert.severity}`;
+        item.className = `alert-item alert-${alert.severity} alert-status-${alert.status}`;
         item.dataset.alertId = alert.id;
         
-        item.innerHTML = `
+        const manage = !alert.resolved && this.can('manage-alerts');
+        
+        AANP_Html.render(item, AANP_Html.html`
             <div class="alert-item-header">
                 <div class="alert-severity">
-                    <i class="fas fa-${this.severityLevels[alert.severity].icon}"></i>
+                    <i class="fas fa-${(this.severityLevels[alert.severity] || this.severityLevels.info).icon}"></i>
                 </div>
                 <div class="alert-content">
                     <div class="alert-title">${alert.title}</div>
@@ -824,17 +1261,23 @@ class AANP_PerformanceMonitoring {
                     <div class="alert-meta">
                         <span class="alert-time">${this.formatTime(alert.timestamp)}</span>
                         <span class="alert-metric">${alert.metric}</span>
+                        <span class="alert-state">${this.describeStatus(alert)}</span>
                     </div>
                 </div>
                 <div class="alert-actions">
-                    ${!alert.isRecovery ? `
-                        <button class="btn btn-sm btn-outline acknowledge-btn">Acknowledge</button>
-                        <button class="btn btn-sm btn-outline resolve-btn">Resolve</button>
-                    ` : ''}
+                    ${manage && alert.status === 'active' && AANP_Html.html`
+                        <button class="btn btn-sm btn-outline acknowledge-btn" data-capability="manage-alerts">Acknowledge</button>
+                    `}
+                    ${manage && !alert.suppressed && AANP_Html.html`
+                        <button class="btn btn-sm btn-outline snooze-btn" data-capability="manage-alerts">Snooze 1h</button>
+                    `}
+                    ${manage && AANP_Html.html`
+                        <button class="btn btn-sm btn-outline resolve-btn" data-capability="manage-alerts">Resolve</button>
+                    `}
                     <button class="btn btn-sm btn-outline details-btn">Details</button>
                 </div>
             </div>
-        `;
+        `);
         
         // Setup event listeners
         this.setupAlertItemEvents(item, alert);
@@ -850,14 +1293,25 @@ class AANP_PerformanceMonitoring {
         const ackBtn = item.querySelector('.acknowledge-btn');
         if (ackBtn) {
             ackBtn.addEventListener('click', () => {
+                ackBtn.disabled = true;
                 this.acknowledgeAlert(alert.id);
             });
         }
         
+        // Snooze button
+        const snoozeBtn = item.querySelector('.snooze-btn');
+        if (snoozeBtn) {
+            snoozeBtn.addEventListener('click', () => {
+                snoozeBtn.disabled = true;
+                this.snoozeAlert(alert.id);
+            });
+        }
+        
         // Resolve button
         const resolveBtn = item.querySelector('.resolve-btn');
         if (resolveBtn) {
             resolveBtn.addEventListener('click', () => {
+                resolveBtn.disabled = true;
                 this.resolveAlert(alert.id);
             });
         }
@@ -899,113 +1353,91 @@ class AANP_PerformanceMonitoring {
      * Filter alerts
      */
     filterAlerts() {
-        const severityFilter = document.querySelector('#alert-severity-filter')?.value || 'all';
-        const statusFilter = document.querySelector('#alert-status-filter')?.value || 'active';
+        this.renderAlerts();
+    }
+    
+    /**
+     * Show a message above the alert list for a few seconds
+     */
+    showPanelMessage(message, type = 'info') {
+        const element = this.alertPanel?.querySelector('.alert-panel-message');
+        if (!element) return;
         
-        const alertList = this.alertPanel?.querySelector('#alert-list');
-        if (!alertList) return;
+        element.textContent = message;
+        element.className = `alert-panel-message ${type}`;
+        element.hidden = false;
         
-        Array.from(alertList.children).forEach(item => {
-            const alertId = item.dataset.alertId;
-            const alert = this.activeAlerts.get(alertId) || this.alertHistory.find(a => a.id === alertId);
-            
-            if (!alert) return;
-            
-            let show = true;
-            
-            // Filter by severity
-            if (severityFilter !== 'all' && alert.severity !== severityFilter) {
-                show = false;
-            }
-            
-            // Filter by status
-            if (statusFilter !== 'all') {
-                if (statusFilter === 'active' && (alert.acknowledged || alert.resolved)) {
-                    show = false;
-                } else if (statusFilter === 'acknowledged' && !alert.acknowledged) {
-                    show = false;
-                } else if (statusFilter === 'resolved' && !alert.resolved) {
-                    show = false;
-                }
-            }
-            
-            item.style.display = show ? 'block' : 'none';
-        });
+        clearTimeout(this.messageTimer);
+        this.messageTimer = setTimeout(() => {
+            element.hidden = true;
+        }, 5000);
     }
     
     /**
      * Acknowledge alert
      */
     acknowledgeAlert(alertId) {
-        const alert = this.activeAlerts.get(alertId);
-        if (alert) {
-            alert.acknowledged = true;
-            alert.acknowledgedAt = Date.now();
-            
-            // Update UI
-            this.updateAlertItem(alertId);
-            
-            console.log('Alert acknowledged:', alertId);
-        }
+        return this.updateAlertStatus('acknowledge', alertId);
     }
     
     /**
      * Resolve alert
      */
     resolveAlert(alertId) {
-        const alert = this.activeAlerts.get(alertId);
-        if (alert) {
-            alert.resolved = true;
-            alert.resolvedAt = Date.now();
-            
-            // Remove from active alerts
-            this.activeAlerts.delete(alertId);
-            
-            // Update UI
-            const item = document.querySelector(`[data-alert-id="${alertId}"]`);
-            if (item) {
-                item.style.opacity = '0.5';
-                setTimeout(() => {
-                    item.remove();
-                }, 300);
-            }
-            
-            // Update counter
-            this.updateAlertCounter();
-            
-            console.log('Alert resolved:', alertId);
+        return this.updateAlertStatus('resolve', alertId);
+    }
+    
+    /**
+     * Snooze alert
+     */
+    snoozeAlert(alertId) {
+        return this.updateAlertStatus('suppress', alertId, { duration: this.config.snoozeDuration });
+    }
+    
+    /**
+     * Change an alert's status on the server
+     *
+     * On failure the list is reloaded, since another user may have
+     * handled the alert in the meantime.
+     */
+    async updateAlertStatus(action, alertId, params = {}) {
+        try {
+            const result = await this.request(`ai_news_${action}_alert`, { alert_id: alertId, ...params });
+            this.storeAlert(result.alert);
+            this.refreshAlertUI();
+            return true;
+        } catch (error) {
+            console.error(`Failed to ${action} alert:`, error);
+            this.showPanelMessage(error.message, 'error');
+            await this.loadAlerts();
+            return false;
         }
     }
     
     /**
-     * Clear all alerts
+     * Resolve every open alert
      */
-    clearAllAlerts() {
-        this.activeAlerts.clear();
-        this.alertHistory = [];
-        
-        // Clear UI
-        const alertList = this.alertPanel?.querySelector('#alert-list');
-        if (alertList) {
-            alertList.innerHTML = '';
+    async resolveAllAlerts() {
+        const alertIds = Array.from(this.activeAlerts.keys());
+        if (!alertIds.length || !confirm(`Resolve all ${alertIds.length} open alerts?`)) {
+            return;
         }
         
-        // Reset indicators
-        this.alertIndicators.forEach(indicator => {
-            indicator.classList.remove('alert-info', 'alert-warning', 'alert-critical', 'alert-emergency', 'pulse');
-            const icon = indicator.querySelector('i');
-            if (icon) {
-                icon.className = 'fas fa-circle';
+        let failed = 0;
+        for (const alertId of alertIds) {
+            try {
+                await this.request('ai_news_resolve_alert', { alert_id: alertId });
+            } catch (error) {
+                console.error('Failed to resolve alert:', error);
+                failed++;
             }
-        });
-        
-        // Update counter
-        this.updateAlertCounter();
+        }
         
-        // Reset browser title
-        this.updateBrowserTitle(false);
+        if (failed) {
+            this.showPanelMessage(`${failed} of ${alertIds.length} alerts could not be resolved`, 'error');
+        }
         
-        console.log('All alerts cleared');
+        await this.loadAlerts();
     }
     
     /**
@@ -1023,129 +1455,105 @@ class AANP_PerformanceMonitoring {
      * Create alert details modal
      */
     createAlertDetailsModal(alert) {
+        const manage = !alert.resolved && this.can('manage-alerts');
+        const time = (ms) => new Date(ms).toLocaleString();
+        const by = (name) => name ? ` by ${name}` : '';
+        
+        const modal = this.openModal({
+            title: 'Alert Details',
+            className: 'alert-details-modal',
+            body: AANP_Html.html`
+                    <dl class="alert-detail">
+                        <dt>Severity</dt><dd><span class="severity-badge ${alert.severity}">${alert.severity.toUpperCase()}</span></dd>
+                        <dt>Status</dt><dd>${alert.status}</dd>
+                        <dt>Title</dt><dd>${alert.title}</dd>
+                        <dt>Message</dt><dd>${alert.message}</dd>
+                        <dt>Metric</dt><dd>${alert.metric}</dd>
+                        ${alert.value !== undefined && AANP_Html.html`<dt>Value</dt><dd>${alert.value}</dd>`}
+                        ${alert.threshold !== undefined && AANP_Html.html`<dt>Threshold</dt><dd>${alert.threshold}</dd>`}
+                        <dt>Raised</dt><dd>${time(alert.timestamp)}</dd>
+                        ${alert.acknowledged && AANP_Html.html`<dt>Acknowledged</dt><dd>${time(alert.acknowledgedAt)}${by(alert.acknowledgedBy)}</dd>`}
+                        ${alert.suppressed && AANP_Html.html`<dt>Snoozed until</dt><dd>${time(alert.suppressedUntil)}</dd>`}
+                        ${alert.resolved && AANP_Html.html`<dt>Resolved</dt><dd>${time(alert.resolvedAt)}${by(alert.resolvedBy)}</dd>`}
+                        ${alert.resolution_note && AANP_Html.html`<dt>Resolution note</dt><dd>${alert.resolution_note}</dd>`}
+                    </dl>
+            `,
+            footer: AANP_Html.html`
+                    ${manage && alert.status === 'active' && AANP_Html.html`<button type="button" class="btn btn-primary acknowledge-btn" data-capability="manage-alerts">Acknowledge</button>`}
+                    ${manage && !alert.suppressed && AANP_Html.html`<button type="button" class="btn btn-outline snooze-btn" data-capability="manage-alerts">Snooze 1h</button>`}
+                    ${manage && AANP_Html.html`<button type="button" class="btn btn-success resolve-btn" data-capability="manage-alerts">Resolve</button>`}
+                    <button type="button" class="btn btn-outline" data-modal-close>Close</button>
+            `
+        });
+        
+        const actions = {
+            '.acknowledge-btn': (alertId) => this.acknowledgeAlert(alertId),
+            '.snooze-btn': (alertId) => this.snoozeAlert(alertId),
+            '.resolve-btn': (alertId) => this.resolveAlert(alertId)
+        };
+        
+        Object.entries(actions).forEach(([selector, action]) => {
+            const button = modal.querySelector(selector);
+            if (button) {
+                button.addEventListener('click', () => {
+                    action(alert.id);
+                    modal.close();
+                });
+            }
+        });
+    }
+    
+    /**
+     * Open a dashboard-style modal
+     *
+     * Closes on the close button, any [data-modal-close] element, a click
+     * on the backdrop or Escape.
+     */
+    openModal({ title, body, footer = '', className = '' }) {
+        const previousFocus = document.activeElement;
         const modal = document.createElement('div');
-        modal.className = 'alert-details-modal';
-        modal.innerHTML = `
+        modal.className = `dashboard-modal ${className}`.trim();
+        modal.setAttribute('role', 'dialog');
+        modal.setAttribute('aria-modal', 'true');
+        modal.setAttribute('aria-label', title);
+        AANP_Html.render(modal, AANP_Html.html`
             <div class="modal-content">
                 <div class="modal-header">
-                    <h3>Alert Details</h3>
-                    <button class="modal-close">&times;</button>
-                </div>
-                <div class="modal-body">
-                    <div class="alert-detail-item">
-                        <label>Severity:</label>
-                        <span class="severity-badge ${alert.severity}">${alert.severity.toUpperCase()}</span>
-                    </div>
-                    <div class="alert-detail-item">
-                        <label>Title:</label>
-                        <span>${alert.title}</span>
-                    </div>
-                    <div class="alert-detail-item">
-                        <label>Message:</label>
-                        <span>${alert.message}</span>
-                    </div>
-                    <div class="alert-detail-item">
-                        <label>Metric:</label>
-                        <span>${alert.metric}</span>
-                    </div>
-                    <div class="alert-detail-item">
-                        <label>Current Value:</label>
-                        <span>${alert.value}</span>
-                    </div>
-                    <div class="alert-detail-item">
-                        <label>Threshold:</label>
-                        <span>${alert.threshold}</span>
-                    </div>
-                    <div class="alert-detail-item">
-                        <label>Time:</label>
-                        <span>${new Date(alert.timestamp).toLocaleString()}</span>
-                    </div>
-                    ${alert.acknowledged ? `
-                        <div class="alert-detail-item">
-                            <label>Acknowledged:</label>
-                            <span>${new Date(alert.acknowledgedAt).toLocaleString()}</span>
-                        </div>
-                    ` : ''}
-                    ${alert.resolved ? `
-                        <div class="alert-detail-item">
-                            <label>Resolved:</label>
-                            <span>${new Date(alert.resolvedAt).toLocaleString()}</span>
-                        </div>
-                    ` : ''}
-                </div>
-                <div class="modal-footer">
-                    ${!alert.acknowledged ? '<button class="btn btn-primary acknowledge-btn">Acknowledge</button>' : ''}
-                    ${!alert.resolved ? '<button class="btn btn-success resolve-btn">Resolve</button>' : ''}
-                    <button class="btn btn-outline close-btn">Close</button>
+                    <h3>${title}</h3>
+                    <button type="button" class="modal-close" aria-label="Close">&times;</button>
                 </div>
+                <div class="modal-body">${body}</div>
+                ${footer && AANP_Html.html`<div class="modal-footer">${footer}</div>`}
             </div>
-        `;
+        `);
         
-        // Add event listeners
-        modal.querySelector('.modal-close').addEventListener('click', () => {
-            modal.remove();
-        });
+        const onKeydown = (e) => {
+            if (e.key === 'Escape') {
+                modal.close();
+            }
+        };
         
-        modal.querySelector('.close-btn').addEventListener('click', () => {
+        modal.close = () => {
+            document.removeEventListener('keydown', onKeydown);
             modal.remove();
-        });
-        
-        const ackBtn = modal.querySelector('.acknowledge-btn');
-        if (ackBtn) {
-            ackBtn.addEventListener('click', () => {
-                this.acknowledgeAlert(alert.id);
-                modal.remove();
-            });
-        }
+            if (previousFocus && typeof previousFocus.focus === 'function') {
+                previousFocus.focus();
+            }
+        };
         
-        const resolveBtn = modal.querySelector('.resolve-btn');
-        if (resolveBtn) {
-            resolveBtn.addEventListener('click', () => {
-                this.resolveAlert(alert.id);
-                modal.remove();
-            });
-        }
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal || e.target.closest('.modal-close, [data-modal-close]')) {
+                modal.close();
+            }
+        });
+        document.addEventListener('keydown', onKeydown);
         
         document.body.appendChild(modal);
         
         // Auto-focus for accessibility
-        modal.focus();
-    }
-    
-    /**
-     * Setup WebSocket connection for real-time alerts
-     */
-    setupWebSocketConnection() {
-        // In a real implementation, this would connect to a WebSocket server
-        // For now, we'll simulate real-time alert reception
-        console.log('WebSocket setup for real-time alerts (simulated)');
+        modal.querySelector('.modal-close').focus();
         
-        // Simulate receiving alerts
-        setInterval(() => {
-            if (Math.random() > 0.95) { // 5% chance
-                this.simulateIncomingAlert();
-            }
-        }, 10000); // Every 10 seconds
-    }
-    
-    /**
-     * Simulate incoming alert (for testing)
-     */
-    simulateIncomingAlert() {
-        const metrics = Object.keys(this.thresholds);
-        const metric = metrics[Math.floor(Math.random() * metrics.length)];
-        const value = Math.random() * 3000;
-        
-        this.createAlert({
-            type: 'simulated_alert',
-            severity: Math.random() > 0.7 ? 'critical' : 'warning',
-            title: `Simulated ${metric} Alert`,
-            message: `Simulated alert for ${metric}: ${value.toFixed(2)}`,
-            metric: metric,
-            value: value,
-            threshold: this.thresholds[metric].warning,
-            timestamp: Date.now()
-        });
+        return modal;
     }
     
     /**
@@ -1168,9 +1576,9 @@ class AANP_PerformanceMonitoring {
      */
     setupCleanup() {
         // Cleanup old data periodically
-        setInterval(() => {
+        this.intervals.push(setInterval(() => {
             this.performCleanup();
-        }, 300000); // Every 5 minutes
+        }, 300000)); // Every 5 minutes
     }
     
     /**
@@ -1184,32 +1592,9 @@ class AANP_PerformanceMonitoring {
             }
         });
         
-        // Clean up old resolved alerts from UI
-        this.cleanupResolvedAlerts();
-        
         console.log('Performance monitoring cleanup completed');
     }
     
-    /**
-     * Cleanup resolved alerts
-     */
-    cleanupResolvedAlerts() {
-        const alertList = this.alertPanel?.querySelector('#alert-list');
-        if (!alertList) return;
-        
-        Array.from(alertList.children).forEach(item => {
-            const alertId = item.dataset.alertId;
-            const alert = this.alertHistory.find(a => a.id === alertId);
-            
-            if (alert && alert.resolved && alert.resolvedAt) {
-                const age = Date.now() - alert.resolvedAt;
-                if (age > 3600000) { // 1 hour
-                    item.remove();
-                }
-            }
-        });
-    }
-    
     /**
      * Helper methods
      */
@@ -1252,8 +1637,9 @@ class AANP_PerformanceMonitoring {
     getAlertMessage(metricName, value, threshold, severity) {
         const unit = threshold.unit;
         const thresholdValue = threshold[severity];
+        const held = threshold.duration ? ` for ${threshold.duration} min` : '';
         
-        return `${metricName} is ${value.toFixed(2)} ${unit} (${severity} threshold: ${thresholdValue} ${unit})`;
+        return `${threshold.label || metricName} is ${value.toFixed(2)} ${unit}${held} (${severity} threshold: ${threshold.direction} ${thresholdValue} ${unit})`;
     }
     
     getRecoveryTitle(metricName) {
@@ -1297,7 +1683,7 @@ class AANP_PerformanceMonitoring {
     updateBrowserTitle(hasCriticalAlerts) {
         const originalTitle = document.title.replace(/^\(\d+\)\s*/, '');
         if (hasCriticalAlerts) {
-            const criticalCount = Array.from(this.activeAlerts.values())
+            const criticalCount = this.getOpenAlerts()
                 .filter(alert => alert.severity === 'critical' || alert.severity === 'emergency').length;
             document.title = `(${criticalCount}) ${originalTitle}`;
         } else {
@@ -1331,11 +1717,6 @@ class AANP_PerformanceMonitoring {
         // Implementation would increase monitoring frequency
     }
     
-    logAlert(alert) {
-        // Implementation would log alert to server
-        console.log('Logging alert:', alert);
-    }
-    
     checkAlertRateLimit() {
         // Implementation would check and enforce alert rate limits
         const recentAlerts = this.alertHistory.filter(alert => 
@@ -1348,27 +1729,196 @@ class AANP_PerformanceMonitoring {
         }
     }
     
-    cleanupAlerts() {
-        // Remove old alerts from history
-        const cutoff = Date.now() - (24 * 60 * 60 * 1000); // 24 hours
-        this.alertHistory = this.alertHistory.filter(alert => alert.timestamp > cutoff);
+    /**
+     * Open the threshold rule editor
+     */
+    showAlertSettings() {
+        const editable = this.can('manage-settings');
+        const field = (value) => value === null || value === undefined ? '' : value;
+        
+        const modal = this.openModal({
+            title: 'Alert Rules',
+            className: 'modal-wide alert-rules-modal',
+            body: AANP_Html.html`
+                <p class="alert-rules-help">
+                    A rule fires when the metric is at or past a level for the hold time.
+                    It clears once the metric passes the recovery level, which defaults to the level itself.
+                    Adaptive rules instead fire when the metric is the given number of standard deviations (σ)
+                    from its usual value for the weekday and hour, learned from recorded and live samples.
+                </p>
+                <div class="alert-panel-message error" hidden></div>
+                <form id="alert-rules-form">
+                    <fieldset ${editable ? '' : 'disabled'}>
+                        <table class="content-table alert-rules-table">
+                            <thead>
+                                <tr>
+                                    <th>Metric</th>
+                                    <th>On</th>
+                                    <th>Mode</th>
+                                    <th>Alert when</th>
+                                    <th>Warning</th>
+                                    <th>Critical</th>
+                                    <th>Hold (min)</th>
+                                    <th>Warning recovery</th>
+                                    <th>Critical recovery</th>
+                                    <th>Warning σ</th>
+                                    <th>Critical σ</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                ${Object.entries(this.thresholds).map(([metric, rule]) => AANP_Html.html`
+                                    <tr data-metric="${metric}">
+                                        <td>${rule.label || metric} <small>(${rule.unit})</small></td>
+                                        <td><input type="checkbox" name="enabled" ${rule.enabled ? 'checked' : ''} aria-label="Enable ${rule.label || metric}"></td>
+                                        <td>
+                                            <select name="mode">
+                                                <option value="static" ${rule.mode === 'static' ? 'selected' : ''}>Static</option>
+                                                <option value="adaptive" ${rule.mode === 'adaptive' ? 'selected' : ''}>Adaptive</option>
+                                            </select>
+                                        </td>
+                                        <td>
+                                            <select name="direction">
+                                                <option value="above" ${rule.direction === 'above' ? 'selected' : ''}>Above</option>
+                                                <option value="below" ${rule.direction === 'below' ? 'selected' : ''}>Below</option>
+                                            </select>
+                                        </td>
+                                        <td><input type="number" step="any" name="warning" value="${rule.warning}" required></td>
+                                        <td><input type="number" step="any" name="critical" value="${rule.critical}" required></td>
+                                        <td><input type="number" min="0" max="1440" step="1" name="duration" value="${rule.duration}"></td>
+                                        <td><input type="number" step="any" name="recovery-warning" value="${field(rule.recovery?.warning)}" placeholder="${rule.warning}"></td>
+                                        <td><input type="number" step="any" name="recovery-critical" value="${field(rule.recovery?.critical)}" placeholder="${rule.critical}"></td>
+                                        <td><input type="number" min="0.5" max="10" step="0.1" name="deviations-warning" value="${rule.deviations.warning}"></td>
+                                        <td><input type="number" min="0.5" max="10" step="0.1" name="deviations-critical" value="${rule.deviations.critical}"></td>
+                                    </tr>
+                                `)}
+                            </tbody>
+                        </table>
+                    </fieldset>
+                </form>
+                ${!editable && AANP_Html.html`<p class="alert-rules-help">You need the manage settings permission to change alert rules.</p>`}
+            `,
+            footer: AANP_Html.html`
+                ${editable && AANP_Html.html`<button type="button" class="btn btn-outline" data-rules-action="defaults">Reset to defaults</button>`}
+                <button type="button" class="btn btn-outline" data-modal-close>Cancel</button>
+                ${editable && AANP_Html.html`<button type="submit" class="btn btn-primary" form="alert-rules-form" data-capability="manage-settings">Save rules</button>`}
+            `
+        });
+        
+        const form = modal.querySelector('form');
+        const message = modal.querySelector('.alert-panel-message');
+        
+        modal.querySelector('[data-rules-action="defaults"]')?.addEventListener('click', () => {
+            form.querySelectorAll('tr[data-metric]').forEach(row => {
+                const defaults = this.defaultThresholds[row.dataset.metric];
+                row.querySelector('[name="enabled"]').checked = true;
+                row.querySelector('[name="mode"]').value = 'static';
+                row.querySelector('[name="direction"]').value = defaults.direction;
+                row.querySelector('[name="warning"]').value = defaults.warning;
+                row.querySelector('[name="critical"]').value = defaults.critical;
+                row.querySelector('[name="duration"]').value = 0;
+                row.querySelector('[name="recovery-warning"]').value = '';
+                row.querySelector('[name="recovery-critical"]').value = '';
+                row.querySelector('[name="deviations-warning"]').value = 3;
+                row.querySelector('[name="deviations-critical"]').value = 5;
+            });
+        });
+        
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            
+            const rules = this.readRules(form);
+            const error = Object.entries(rules).map(([metric, rule]) => this.validateRule(metric, rule)).find(Boolean);
+            if (error) {
+                message.textContent = error;
+                message.hidden = false;
+                return;
+            }
+            
+            const submit = modal.querySelector('[type="submit"]');
+            submit.disabled = true;
+            message.hidden = true;
+            
+            try {
+                const result = await this.request('ai_news_update_alert_settings', { threshold_rules: JSON.stringify(rules) });
+                this.applyRules(result.rules, result.rules_updated_at);
+                this.showPanelMessage('Alert rules saved', 'info');
+                modal.close();
+            } catch (error) {
+                console.error('Failed to save alert rules:', error);
+                message.textContent = error.message || 'Failed to save alert rules';
+                message.hidden = false;
+                submit.disabled = false;
+            }
+        });
     }
     
-    showAlertSettings() {
-        console.log('Showing alert settings');
-        // Implementation would show alert configuration settings
+    /**
+     * Rules entered in the rule editor, keyed by metric
+     */
+    readRules(form) {
+        const rules = {};
+        const number = (input) => input.value.trim() === '' ? null : Number(input.value);
+        
+        form.querySelectorAll('tr[data-metric]').forEach(row => {
+            const input = (name) => row.querySelector(`[name="${name}"]`);
+            
+            rules[row.dataset.metric] = {
+                enabled: input('enabled').checked,
+                mode: input('mode').value,
+                direction: input('direction').value,
+                warning: number(input('warning')),
+                critical: number(input('critical')),
+                duration: number(input('duration')) || 0,
+                recovery: {
+                    warning: number(input('recovery-warning')),
+                    critical: number(input('recovery-critical'))
+                },
+                deviations: {
+                    warning: number(input('deviations-warning')),
+                    critical: number(input('deviations-critical'))
+                }
+            };
+        });
+        
+        return rules;
     }
     
-    updateAlertItem(alertId) {
-        const item = document.querySelector(`[data-alert-id="${alertId}"]`);
-        if (item) {
-            const ackBtn = item.querySelector('.acknowledge-btn');
-            if (ackBtn) {
-                ackBtn.textContent = 'Acknowledged';
-                ackBtn.disabled = true;
-                ackBtn.classList.add('btn-success');
+    /**
+     * Problem with a rule, or null when it is valid
+     *
+     * Mirrors the server's checks so mistakes show before saving.
+     */
+    validateRule(metric, rule) {
+        const label = this.thresholds[metric]?.label || metric;
+        const worse = rule.direction === 'below' ? 'below' : 'above';
+        const better = rule.direction === 'below' ? 'above' : 'below';
+        const sign = rule.direction === 'below' ? -1 : 1;
+        
+        if (!Number.isFinite(rule.warning) || !Number.isFinite(rule.critical)) {
+            return `${label}: enter warning and critical levels`;
+        }
+        
+        if (sign * (rule.critical - rule.warning) < 0) {
+            return `${label}: the critical level must be at or ${worse} the warning level`;
+        }
+        
+        if (!Number.isInteger(rule.duration) || rule.duration < 0 || rule.duration > 1440) {
+            return `${label}: the hold time must be a whole number of minutes between 0 and 1440`;
+        }
+        
+        for (const level of ['warning', 'critical']) {
+            const recovery = rule.recovery[level];
+            if (recovery !== null && (!Number.isFinite(recovery) || sign * (recovery - rule[level]) > 0)) {
+                return `${label}: the ${level} recovery level must be at or ${better} the ${level} level`;
             }
         }
+        
+        const { warning, critical } = rule.deviations;
+        if (![warning, critical].every(value => Number.isFinite(value) && value >= 0.5 && value <= 10) || critical < warning) {
+            return `${label}: deviations must be between 0.5 and 10σ, with critical at or above warning`;
+        }
+        
+        return null;
     }
     
     /**
@@ -1388,9 +1938,21 @@ class AANP_PerformanceMonitoring {
      * Destroy monitoring
      */
     destroy() {
+        // Detach from the metrics store
+        if (this.unsubscribeStore) {
+            this.unsubscribeStore();
+        }
+        
         // Clear intervals
-        // Close WebSocket
+        this.intervals.forEach(interval => clearInterval(interval));
+        this.intervals = [];
+        clearTimeout(this.messageTimer);
+        
         // Remove event listeners
+        if (this.handleVisibilityChange) {
+            document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+        }
+        document.removeEventListener('click', this.closeAlertPanelOnOutsideClick);
         
         console.log('Performance Monitoring destroyed');
     }
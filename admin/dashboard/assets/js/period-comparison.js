@@ -0,0 +1,240 @@
+/**
+ * Period Comparison for AI Auto News Poster Dashboard
+ *
+ * Loads the same window from an earlier period (the previous day, the
+ * previous week or a chosen date) and turns it into ghost datasets on a
+ * chart's own x-axis, tooltip lines with the percentage difference and a
+ * summary delta per chart. Used by the dashboard's chart views, which
+ * draw every chart the retired performance analytics module once did.
+ *
+ * @package AI_Auto_News_Poster
+ * @since 2.0.0
+ */
+
+class AANP_PeriodComparison {
+
+    constructor() {
+        this.cache = new Map();
+
+        this.periods = {
+            day: 'Previous day',
+            week: 'Previous week',
+            custom: 'Custom date'
+        };
+    }
+
+    /**
+     * Short name of a period for labels, e.g. "previous week" or "Mar 3"
+     */
+    describe(period, date = '') {
+        if (period === 'custom') {
+            return date
+                ? new Date(`${date}T00:00:00Z`).toLocaleDateString(undefined, { month: 'short', day: 'numeric', timeZone: 'UTC' })
+                : 'custom date';
+        }
+
+        return (this.periods[period] || period).toLowerCase();
+    }
+
+    /**
+     * Load the earlier period for a window given in unix seconds
+     *
+     * Requests are cached per window, so callers may ask on every redraw.
+     */
+    load({ start, end, bucket }, period, date = '') {
+        const key = [start, end, bucket, period, date].join(':');
+
+        if (!this.cache.has(key)) {
+            const request = this.request({ start, end, bucket, period, date }).catch(error => {
+                this.cache.delete(key);
+                throw error;
+            });
+
+            this.cache.set(key, request);
+        }
+
+        return this.cache.get(key);
+    }
+
+    /**
+     * Fetch an earlier period from the server
+     */
+    async request(params) {
+        const body = new URLSearchParams({
+            action: 'ai_news_get_metrics_comparison',
+            nonce: ai_news_dashboard_nonce
+        });
+
+        Object.entries(params).forEach(([key, value]) => body.append(key, value));
+
+        const response = await fetch(ajaxurl, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/x-www-form-urlencoded',
+            },
+            body
+        });
+
+        const data = await response.json();
+
+        if (!data.success) {
+            throw new Error(data.data || 'Comparison request failed');
+        }
+
+        return data.data;
+    }
+
+    /**
+     * Values of an earlier-period series at the given times in milliseconds
+     *
+     * Returns null when the server keeps no history for the series.
+     */
+    align(comparison, series, timestamps) {
+        const values = comparison.series[series];
+        if (!values) {
+            return null;
+        }
+
+        return timestamps.map(timestamp => {
+            const index = Math.floor((timestamp / 1000 - comparison.offset - comparison.start) / comparison.bucket_size);
+            return index >= 0 && index < values.length ? values[index] : null;
+        });
+    }
+
+    /**
+     * Dashed, faded copy of the dataset at index for the earlier period
+     */
+    ghost(dataset, index, data, label) {
+        const color = typeof dataset.borderColor === 'string' ? dataset.borderColor : '#6c757d';
+
+        return {
+            label: `${dataset.label} (${label})`,
+            data,
+            type: 'line',
+            yAxisID: dataset.yAxisID,
+            borderColor: /^#[0-9a-f]{6}$/i.test(color) ? `${color}80` : color,
+            backgroundColor: 'transparent',
+            borderDash: [6, 4],
+            borderWidth: 1.5,
+            fill: false,
+            tension: dataset.tension ?? 0.4,
+            pointRadius: 0,
+            spanGaps: true,
+            comparisonOf: index
+        };
+    }
+
+    /**
+     * Percentage change from previous to current, or null
+     */
+    change(current, previous) {
+        if (current === null || current === undefined || !previous) {
+            return null;
+        }
+
+        return ((current - previous) / Math.abs(previous)) * 100;
+    }
+
+    /**
+     * Tooltip afterLabel callback adding the difference to the earlier period
+     */
+    afterLabel(context, label) {
+        if (context.dataset.comparisonOf !== undefined) {
+            return '';
+        }
+
+        const ghost = context.chart.data.datasets.find(dataset => dataset.comparisonOf === context.datasetIndex);
+        const change = ghost ? this.change(context.parsed.y, ghost.data[context.dataIndex]) : null;
+
+        return change === null ? '' : `${this.formatChange(change)} vs ${label}`;
+    }
+
+    /**
+     * Averages of both periods and the change between them
+     */
+    summarize(current, previous) {
+        const average = (values) => {
+            const present = values.filter(value => value !== null && value !== undefined);
+            return present.length ? present.reduce((sum, value) => sum + value, 0) / present.length : null;
+        };
+
+        const summary = { current: average(current), previous: average(previous) };
+        summary.change = this.change(summary.current, summary.previous);
+
+        return summary;
+    }
+
+    /**
+     * Show summary deltas, one per series
+     *
+     * Items carry a label, unit, better ("lower" or "higher") and the
+     * result of summarize().
+     */
+    renderSummary(element, items, label) {
+        if (!element) {
+            return;
+        }
+
+        AANP_Html.render(element, items.map(item => {
+            const rising = item.change > 0;
+            const tone = item.change === null || Math.abs(item.change) < 0.5
+                ? 'neutral'
+                : (rising === (item.better === 'higher') ? 'better' : 'worse');
+
+            return AANP_Html.html`
+                <span class="comparison-delta is-${tone}">
+                    ${item.label}: ${this.format(item.current, item.unit)} vs ${this.format(item.previous, item.unit)} ${label}
+                    ${item.change !== null && AANP_Html.html`<strong>(${this.formatChange(item.change)})</strong>`}
+                </span>
+            `;
+        }));
+    }
+
+    /**
+     * Period picker markup; custom periods add a date input
+     */
+    controls(period = '', date = '') {
+        const today = new Date().toISOString().slice(0, 10);
+
+        return AANP_Html.html`
+            <select class="comparison-select" aria-label="Compare to">
+                <option value="">No comparison</option>
+                ${Object.entries(this.periods).map(([value, label]) => AANP_Html.html`
+                    <option value="${value}" ${value === period ? 'selected' : ''}>Compare: ${label}</option>
+                `)}
+            </select>
+            ${period === 'custom' && AANP_Html.html`
+                <input type="date" class="comparison-date" aria-label="Compare to date" value="${date}" max="${today}">
+            `}
+        `;
+    }
+
+    /**
+     * Format a value with its unit
+     */
+    format(value, unit) {
+        if (value === null || value === undefined) {
+            return 'n/a';
+        }
+
+        const rounded = Math.round(value * 10) / 10;
+
+        if (unit === '%' || unit === 'ms') {
+            return `${rounded}${unit}`;
+        }
+
+        return rounded.toLocaleString();
+    }
+
+    /**
+     * Format a percentage change with its sign
+     */
+    formatChange(change) {
+        return `${change > 0 ? '+' : ''}${change.toFixed(1)}%`;
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AANP_PeriodComparison;
+}
@@ -0,0 +1,552 @@
+/**
+ * Queue Panel for AI Auto News Poster Dashboard
+ *
+ * Lists the background queue's tasks with their payload, attempts and
+ * last error, and lets users retry, cancel, reprioritize and clear them.
+ * Refreshes itself while the queue section is open. Queue depth is
+ * sampled on each refresh; throughput is counted from the finish times
+ * of the tasks the server still keeps, which covers about an hour.
+ *
+ * @package AI_Auto_News_Poster
+ * @since 2.0.0
+ */
+
+class AANP_QueuePanel {
+
+    constructor(dashboard) {
+        this.dashboard = dashboard;
+
+        this.queue = 'content_pipeline';
+        this.queues = [];
+        this.priorities = ['critical', 'high', 'normal', 'low', 'bulk'];
+        this.tasks = [];
+        this.depthSamples = [];
+        this.maxSamples = 60;
+        this.refreshInterval = 5000;
+        this.refreshTimer = null;
+        this.isLoading = false;
+        this.charts = {};
+
+        this.statuses = {
+            pending: 'Pending',
+            processing: 'Running',
+            failed: 'Failed',
+            completed: 'Completed',
+            cancelled: 'Cancelled'
+        };
+
+        this.elements = {};
+
+        this.init();
+    }
+
+    /**
+     * Initialize queue panel
+     */
+    init() {
+        this.elements = {
+            section: document.getElementById('queue-section'),
+            queue: document.getElementById('queue-select'),
+            autoRefresh: document.getElementById('queue-auto-refresh'),
+            refresh: document.getElementById('queue-refresh'),
+            summary: document.getElementById('queue-summary'),
+            status: document.getElementById('queue-status-filter'),
+            clear: document.getElementById('queue-clear'),
+            list: document.getElementById('queue-task-list')
+        };
+
+        if (!this.elements.list) {
+            return;
+        }
+
+        this.initCharts();
+        this.setupEventListeners();
+    }
+
+    /**
+     * Create the depth and throughput charts
+     */
+    initCharts() {
+        const depthCanvas = document.getElementById('queue-depth-chart');
+        const throughputCanvas = document.getElementById('queue-throughput-chart');
+
+        if (typeof Chart === 'undefined') {
+            return;
+        }
+
+        if (depthCanvas) {
+            this.charts.depth = new Chart(depthCanvas, {
+                type: 'line',
+                data: {
+                    labels: [],
+                    datasets: [
+                        { label: 'Pending', data: [], borderColor: '#ffc107', backgroundColor: 'rgba(255, 193, 7, 0.1)', fill: true, tension: 0.3 },
+                        { label: 'Running', data: [], borderColor: '#007cba', backgroundColor: 'rgba(0, 124, 186, 0.1)', fill: true, tension: 0.3 }
+                    ]
+                },
+                options: {
+                    responsive: true,
+                    animation: false,
+                    scales: { y: { beginAtZero: true, ticks: { precision: 0 } } },
+                    plugins: { legend: { position: 'bottom' } }
+                }
+            });
+        }
+
+        if (throughputCanvas) {
+            this.charts.throughput = new Chart(throughputCanvas, {
+                type: 'bar',
+                data: {
+                    labels: [],
+                    datasets: [
+                        { label: 'Completed', data: [], backgroundColor: '#28a745' },
+                        { label: 'Failed', data: [], backgroundColor: '#dc3545' }
+                    ]
+                },
+                options: {
+                    responsive: true,
+                    animation: false,
+                    scales: {
+                        x: { stacked: true },
+                        y: { stacked: true, beginAtZero: true, ticks: { precision: 0 } }
+                    },
+                    plugins: { legend: { position: 'bottom' } }
+                }
+            });
+        }
+    }
+
+    /**
+     * Set up event listeners
+     */
+    setupEventListeners() {
+        if (this.elements.queue) {
+            this.elements.queue.addEventListener('change', () => {
+                this.queue = this.elements.queue.value;
+                this.depthSamples = [];
+                this.refresh();
+            });
+        }
+
+        if (this.elements.refresh) {
+            this.elements.refresh.addEventListener('click', () => this.refresh());
+        }
+
+        if (this.elements.autoRefresh) {
+            this.elements.autoRefresh.addEventListener('change', () => this.scheduleRefresh());
+        }
+
+        if (this.elements.status) {
+            this.elements.status.addEventListener('change', () => {
+                this.render();
+                this.updateClearButton();
+            });
+        }
+
+        if (this.elements.clear) {
+            this.elements.clear.addEventListener('click', () => this.clearTasks());
+        }
+
+        this.elements.list.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-task-action]');
+            if (!button || button.matches('select')) {
+                return;
+            }
+
+            if (button.dataset.taskAction === 'retry') {
+                this.runAction(button, 'aanp_retry_task', {}, 'Task queued for retry');
+            } else if (button.dataset.taskAction === 'cancel') {
+                this.cancelTask(button);
+            }
+        });
+
+        this.elements.list.addEventListener('change', (e) => {
+            if (e.target.matches('[data-task-action="priority"]')) {
+                this.runAction(e.target, 'aanp_set_task_priority', { priority: e.target.value }, 'Priority changed');
+            }
+        });
+    }
+
+    /**
+     * Load the selected queue and keep refreshing while the section is open
+     */
+    async load() {
+        await this.loadTasks();
+        this.scheduleRefresh();
+    }
+
+    /**
+     * Reload tasks, reporting failures to the user
+     */
+    refresh() {
+        this.loadTasks().catch(() => this.dashboard.showNotification('Failed to load queue', 'error'));
+    }
+
+    /**
+     * Refresh again after the interval if the section is still open
+     */
+    scheduleRefresh() {
+        clearTimeout(this.refreshTimer);
+        this.refreshTimer = null;
+
+        if (!this.elements.autoRefresh || !this.elements.autoRefresh.checked) {
+            return;
+        }
+
+        this.refreshTimer = setTimeout(async () => {
+            if (!this.isVisible()) {
+                this.refreshTimer = null;
+                return;
+            }
+
+            try {
+                await this.loadTasks();
+            } catch (error) {
+                // Reported in loadTasks; keep trying on the next tick
+            }
+
+            this.scheduleRefresh();
+        }, this.refreshInterval);
+    }
+
+    /**
+     * Whether the queue section is on screen
+     */
+    isVisible() {
+        return Boolean(this.elements.section && this.elements.section.classList.contains('active')) && !document.hidden;
+    }
+
+    /**
+     * Load queue counts and tasks from the server
+     */
+    async loadTasks() {
+        if (this.isLoading) {
+            return;
+        }
+
+        this.isLoading = true;
+        this.elements.list.setAttribute('aria-busy', 'true');
+
+        try {
+            const data = await this.request('aanp_queue_status', { queue_name: this.queue, limit: 200 });
+            const overview = await this.request('aanp_queue_status');
+
+            this.tasks = data.tasks || [];
+            this.queues = Object.keys(overview.queues || {});
+            if (Array.isArray(data.priorities)) {
+                this.priorities = data.priorities;
+            }
+
+            this.recordDepth(data);
+            this.renderQueues();
+            this.renderSummary(data);
+            this.render();
+            this.updateCharts();
+            this.updateClearButton();
+        } catch (error) {
+            console.error('Failed to load queue:', error);
+            this.renderMessage('Failed to load queue');
+            throw error;
+        } finally {
+            this.isLoading = false;
+            this.elements.list.removeAttribute('aria-busy');
+        }
+    }
+
+    /**
+     * Send a queue request with the queue nonce
+     */
+    async request(action, params = {}) {
+        const body = new URLSearchParams({
+            action,
+            nonce: (window.ai_news_dashboard || {}).queue_nonce || ''
+        });
+
+        Object.entries(params).forEach(([key, value]) => body.append(key, value));
+
+        const response = await fetch(ajaxurl, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/x-www-form-urlencoded',
+            },
+            body
+        });
+
+        const data = await response.json();
+
+        if (!data.success) {
+            throw new Error(data.data || `Request ${action} failed`);
+        }
+
+        return data.data;
+    }
+
+    /**
+     * Remember the queue's depth for the depth chart
+     */
+    recordDepth(stats) {
+        this.depthSamples.push({
+            time: Date.now(),
+            pending: stats.pending_tasks || 0,
+            processing: stats.processing_tasks || 0
+        });
+
+        if (this.depthSamples.length > this.maxSamples) {
+            this.depthSamples.shift();
+        }
+    }
+
+    /**
+     * Fill the queue picker
+     */
+    renderQueues() {
+        if (!this.elements.queue) {
+            return;
+        }
+
+        const queues = this.queues.includes(this.queue) ? this.queues : [this.queue, ...this.queues];
+
+        AANP_Html.render(this.elements.queue, queues.map(queue => AANP_Html.html`
+            <option value="${queue}" ${queue === this.queue ? 'selected' : ''}>${this.formatQueue(queue)}</option>
+        `));
+    }
+
+    /**
+     * Show task counts per status
+     */
+    renderSummary(stats) {
+        if (!this.elements.summary) {
+            return;
+        }
+
+        AANP_Html.render(this.elements.summary, Object.entries(this.statuses).map(([status, label]) => AANP_Html.html`
+            <div class="queue-count ${status}">
+                <span class="queue-count-value">${stats[`${status}_tasks`] || 0}</span>
+                <span class="queue-count-label">${label}</span>
+            </div>
+        `));
+    }
+
+    /**
+     * Render the task table for the selected status
+     */
+    render() {
+        const status = this.elements.status ? this.elements.status.value : '';
+        const tasks = status ? this.tasks.filter(task => task.status === status) : this.tasks;
+
+        if (tasks.length === 0) {
+            this.renderMessage(status ? `No ${this.statuses[status].toLowerCase()} tasks` : 'The queue is empty');
+            return;
+        }
+
+        AANP_Html.render(this.elements.list, tasks.map(task => this.renderTask(task)));
+
+        if (this.dashboard.capabilities) {
+            this.dashboard.capabilities.apply(this.elements.list);
+        }
+    }
+
+    /**
+     * Render a task row
+     */
+    renderTask(task) {
+        const created = task.created_ts ? new Date(task.created_ts * 1000) : null;
+        const maxAttempts = task.options ? task.options.max_attempts : 0;
+        const retryable = task.status === 'failed' || task.status === 'cancelled';
+        const cancellable = task.status === 'pending' || task.status === 'failed';
+
+        // The pipeline's own items may be retried by whoever can generate content
+        const retryCapability = this.queue === 'content_pipeline' && this.dashboard.can('generate-content')
+            ? 'generate-content'
+            : 'manage-queue';
+
+        return AANP_Html.html`
+            <tr data-task-id="${task.id}">
+                <td>
+                    <div class="queue-task-summary">${task.summary || task.id}</div>
+                    <div class="queue-task-id">${task.id}</div>
+                </td>
+                <td><span class="content-status queue-status ${task.status}">${this.statuses[task.status] || task.status}</span></td>
+                <td>
+                    ${task.status === 'pending'
+                        ? AANP_Html.html`
+                            <select data-task-action="priority" data-task-id="${task.id}" data-capability="manage-queue" aria-label="Priority">
+                                ${this.priorities.map(priority => AANP_Html.html`
+                                    <option value="${priority}" ${priority === task.priority_name ? 'selected' : ''}>${priority}</option>
+                                `)}
+                            </select>
+                        `
+                        : task.priority_name}
+                </td>
+                <td>${task.attempts}${maxAttempts ? ` / ${maxAttempts}` : ''}</td>
+                <td>${created ? AANP_Html.html`<time datetime="${created.toISOString()}" title="${created.toLocaleString()}">${this.dashboard.formatTimeAgo(created)}</time>` : '—'}</td>
+                <td class="queue-task-error">${task.last_error || ''}</td>
+                <td class="queue-task-actions">
+                    ${retryable && AANP_Html.html`
+                        <button type="button" class="btn btn-outline btn-sm" data-task-action="retry" data-task-id="${task.id}" data-capability="${retryCapability}">
+                            <i class="fas fa-redo"></i> Retry
+                        </button>
+                    `}
+                    ${cancellable && AANP_Html.html`
+                        <button type="button" class="btn btn-outline btn-sm" data-task-action="cancel" data-task-id="${task.id}" data-capability="manage-queue">
+                            <i class="fas fa-ban"></i> Cancel
+                        </button>
+                    `}
+                </td>
+            </tr>
+        `;
+    }
+
+    /**
+     * Show a message instead of tasks
+     */
+    renderMessage(message) {
+        AANP_Html.render(this.elements.list, AANP_Html.html`
+            <tr><td colspan="7" class="content-empty">${message}</td></tr>
+        `);
+    }
+
+    /**
+     * Redraw the depth and throughput charts
+     */
+    updateCharts() {
+        if (this.charts.depth) {
+            this.charts.depth.data.labels = this.depthSamples.map(sample => new Date(sample.time).toLocaleTimeString());
+            this.charts.depth.data.datasets[0].data = this.depthSamples.map(sample => sample.pending);
+            this.charts.depth.data.datasets[1].data = this.depthSamples.map(sample => sample.processing);
+            this.charts.depth.update('none');
+        }
+
+        if (this.charts.throughput) {
+            const bucket = 5 * 60;
+            const now = Math.floor(Date.now() / 1000);
+            const start = (Math.floor(now / bucket) - 11) * bucket;
+            const completed = new Array(12).fill(0);
+            const failed = new Array(12).fill(0);
+
+            this.tasks.forEach(task => {
+                const index = Math.floor((task.completed_ts - start) / bucket);
+                if (!task.completed_ts || index < 0 || index >= 12) {
+                    return;
+                }
+
+                if (task.status === 'completed') {
+                    completed[index]++;
+                } else if (task.status === 'failed') {
+                    failed[index]++;
+                }
+            });
+
+            this.charts.throughput.data.labels = completed.map((count, index) =>
+                new Date((start + index * bucket) * 1000).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }));
+            this.charts.throughput.data.datasets[0].data = completed;
+            this.charts.throughput.data.datasets[1].data = failed;
+            this.charts.throughput.update('none');
+        }
+    }
+
+    /**
+     * Name the clear button after the status it clears
+     */
+    updateClearButton() {
+        if (!this.elements.clear) {
+            return;
+        }
+
+        const status = this.elements.status ? this.elements.status.value : '';
+        const label = status ? `Clear ${this.statuses[status].toLowerCase()}` : 'Clear all';
+
+        AANP_Html.render(this.elements.clear, AANP_Html.html`<i class="fas fa-trash"></i> ${label}`);
+    }
+
+    /**
+     * Run a task action and reload the queue
+     */
+    async runAction(control, action, params, successMessage) {
+        control.disabled = true;
+
+        try {
+            await this.request(action, {
+                task_id: control.dataset.taskId,
+                queue_name: this.queue,
+                ...params
+            });
+            this.dashboard.showNotification(successMessage, 'success');
+        } catch (error) {
+            console.error(`Failed to run ${action}:`, error);
+            this.dashboard.showNotification(error.message || 'Queue action failed', 'error');
+        } finally {
+            control.disabled = false;
+            this.refresh();
+        }
+    }
+
+    /**
+     * Cancel a task after confirmation
+     */
+    cancelTask(button) {
+        const task = this.tasks.find(item => item.id === button.dataset.taskId);
+        const name = task && task.summary ? `"${task.summary}"` : 'this task';
+
+        if (!confirm(`Cancel ${name}? It will not run unless retried.`)) {
+            return;
+        }
+
+        this.runAction(button, 'aanp_cancel_task', {}, 'Task cancelled');
+    }
+
+    /**
+     * Clear the tasks with the selected status after confirmation
+     */
+    async clearTasks() {
+        const status = this.elements.status ? this.elements.status.value : '';
+        const count = this.tasks.filter(task => task.status !== 'processing' && (!status || task.status === status)).length;
+        const what = status ? `${this.statuses[status].toLowerCase()} tasks` : 'tasks';
+
+        if (count === 0) {
+            this.dashboard.showNotification(`No ${what} to clear`, 'info');
+            return;
+        }
+
+        if (!confirm(`Clear ${count} ${what} from ${this.formatQueue(this.queue)}? This cannot be undone.`)) {
+            return;
+        }
+
+        this.elements.clear.disabled = true;
+
+        try {
+            const data = await this.request('aanp_clear_queue', { queue_name: this.queue, status });
+            this.dashboard.showNotification(data.message || 'Queue cleared', 'success');
+        } catch (error) {
+            console.error('Failed to clear queue:', error);
+            this.dashboard.showNotification(error.message || 'Failed to clear queue', 'error');
+        } finally {
+            this.elements.clear.disabled = false;
+            this.refresh();
+        }
+    }
+
+    /**
+     * Human-readable queue name
+     */
+    formatQueue(queue) {
+        const name = queue.replace(/_/g, ' ');
+        return name.charAt(0).toUpperCase() + name.slice(1);
+    }
+
+    /**
+     * Cleanup
+     */
+    destroy() {
+        clearTimeout(this.refreshTimer);
+        this.refreshTimer = null;
+
+        Object.values(this.charts).forEach(chart => chart.destroy());
+        this.charts = {};
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AANP_QueuePanel;
+}
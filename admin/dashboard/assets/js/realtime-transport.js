@@ -0,0 +1,438 @@
+/**
+ * Real-Time Transport for AI Auto News Poster Dashboard
+ *
+ * Negotiates WebSocket, Server-Sent Events or long-polling with the server,
+ * reconnects with exponential backoff and jitter, detects stalled
+ * connections through heartbeats and resumes from the last event id.
+ *
+ * @package AI_Auto_News_Poster
+ * @since 2.0.0
+ */
+
+class AANP_RealtimeTransport {
+
+    constructor(dashboard, options = {}) {
+        this.dashboard = dashboard;
+
+        this.options = {
+            baseDelay: 1000,
+            maxDelay: 30000,
+            // Consecutive failures without a single message before falling back
+            maxTransportFailures: 2,
+            ...options
+        };
+
+        this.config = null;
+        this.transport = null;
+        this.transportIndex = 0;
+        this.connection = null;
+        this.lastEventId = 0;
+        this.attempts = 0;
+        this.transportFailures = 0;
+        this.receivedMessage = false;
+        this.status = 'disconnected';
+        this.stopped = true;
+
+        this.reconnectTimer = null;
+        this.heartbeatTimer = null;
+        this.pingTimer = null;
+        this.pollController = null;
+
+        this.listeners = new Set();
+
+        this.handleOnline = () => this.reconnectNow();
+        this.handleOffline = () => this.setStatus('offline');
+    }
+
+    /**
+     * Subscribe to messages; returns an unsubscribe function
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * Negotiate with the server and open the preferred transport
+     */
+    async connect() {
+        this.stopped = false;
+        window.addEventListener('online', this.handleOnline);
+        window.addEventListener('offline', this.handleOffline);
+
+        this.setStatus('connecting');
+
+        try {
+            this.config = await this.dashboard.ajaxRequest('ai_news_realtime_negotiate');
+        } catch (error) {
+            console.error('Real-time negotiation failed:', error);
+            this.scheduleReconnect();
+            return;
+        }
+
+        // A fresh page only needs events from now on; a reconnect keeps its position
+        if (!this.lastEventId) {
+            this.lastEventId = Number(this.config.last_event_id) || 0;
+        }
+
+        this.transportIndex = 0;
+        this.open();
+    }
+
+    /**
+     * Close the connection and stop reconnecting
+     */
+    disconnect() {
+        this.stopped = true;
+        window.removeEventListener('online', this.handleOnline);
+        window.removeEventListener('offline', this.handleOffline);
+
+        clearTimeout(this.reconnectTimer);
+        this.close();
+        this.setStatus('disconnected');
+    }
+
+    /**
+     * Open the currently selected transport
+     */
+    open() {
+        if (this.stopped) {
+            return;
+        }
+
+        if (!navigator.onLine) {
+            this.setStatus('offline');
+            return;
+        }
+
+        const transports = (this.config && this.config.transports) || ['longpoll'];
+        this.transport = transports[Math.min(this.transportIndex, transports.length - 1)];
+        this.receivedMessage = false;
+
+        this.setStatus(this.attempts > 0 ? 'reconnecting' : 'connecting');
+
+        switch (this.transport) {
+            case 'websocket':
+                this.openWebSocket();
+                break;
+            case 'sse':
+                this.openEventSource();
+                break;
+            default:
+                this.poll();
+        }
+
+        this.resetHeartbeat();
+    }
+
+    /**
+     * Open a WebSocket connection
+     */
+    openWebSocket() {
+        const url = new URL(this.config.websocket_url, window.location.href);
+        url.searchParams.set('last_event_id', this.lastEventId);
+
+        const socket = new WebSocket(url.toString());
+        this.connection = socket;
+
+        socket.onopen = () => {
+            this.setStatus('connected');
+            this.pingTimer = setInterval(() => {
+                if (socket.readyState === WebSocket.OPEN) {
+                    socket.send(JSON.stringify({ type: 'ping' }));
+                }
+            }, this.getHeartbeatInterval());
+        };
+
+        socket.onmessage = (event) => {
+            try {
+                const data = JSON.parse(event.data);
+                this.receive(data, data.id);
+            } catch (error) {
+                console.error('Real-time message parsing error:', error);
+            }
+        };
+
+        socket.onclose = () => {
+            if (this.connection === socket) {
+                this.handleFailure();
+            }
+        };
+    }
+
+    /**
+     * Open a Server-Sent Events stream
+     */
+    openEventSource() {
+        const url = new URL(this.config.stream_url, window.location.href);
+        url.searchParams.set('nonce', ai_news_dashboard_nonce);
+        url.searchParams.set('last_event_id', this.lastEventId);
+
+        const source = new EventSource(url.toString());
+        this.connection = source;
+
+        source.onopen = () => this.setStatus('connected');
+
+        source.onmessage = (event) => {
+            try {
+                this.receive(JSON.parse(event.data), event.lastEventId);
+            } catch (error) {
+                console.error('Real-time message parsing error:', error);
+            }
+        };
+
+        source.addEventListener('ping', () => this.receive({ type: 'ping' }));
+
+        // The server ends each response after a while and EventSource reconnects
+        // on its own, sending Last-Event-ID. Only a closed source is a failure.
+        source.onerror = () => {
+            if (source.readyState === EventSource.CLOSED && this.connection === source) {
+                this.handleFailure();
+            }
+        };
+    }
+
+    /**
+     * Run one long-poll request and chain the next
+     */
+    async poll() {
+        const controller = new AbortController();
+        this.pollController = controller;
+
+        const timeout = Number(this.config && this.config.poll_timeout) || 20;
+        const abortTimer = setTimeout(() => controller.abort(), (timeout + 10) * 1000);
+
+        try {
+            const response = await fetch(ajaxurl, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/x-www-form-urlencoded',
+                },
+                body: new URLSearchParams({
+                    action: 'ai_news_realtime_poll',
+                    nonce: ai_news_dashboard_nonce,
+                    last_event_id: this.lastEventId,
+                    timeout
+                }),
+                signal: controller.signal
+            });
+
+            const data = await response.json();
+
+            if (!data.success) {
+                throw new Error(data.data || 'Long-poll request failed');
+            }
+
+            this.setStatus('connected');
+            this.receive({ type: 'ping' });
+            (data.data.events || []).forEach(event => this.receive(event, event.id));
+
+            if (this.pollController === controller) {
+                this.poll();
+            }
+        } catch (error) {
+            if (this.pollController === controller && !this.stopped) {
+                console.error('Long-poll failed:', error);
+                this.handleFailure();
+            }
+        } finally {
+            clearTimeout(abortTimer);
+        }
+    }
+
+    /**
+     * Dispatch a message to subscribers, skipping replays
+     */
+    receive(data, eventId = null) {
+        const id = Number(eventId) || 0;
+
+        this.receivedMessage = true;
+        this.attempts = 0;
+        this.transportFailures = 0;
+        this.resetHeartbeat();
+
+        if (id) {
+            if (id <= this.lastEventId) {
+                return;
+            }
+            this.lastEventId = id;
+        }
+
+        if (!data || !data.type || data.type === 'ping' || data.type === 'pong') {
+            return;
+        }
+
+        this.listeners.forEach(listener => {
+            try {
+                listener(data);
+            } catch (error) {
+                console.error('Real-time listener error:', error);
+            }
+        });
+    }
+
+    /**
+     * Restart the stall detector
+     */
+    resetHeartbeat() {
+        clearTimeout(this.heartbeatTimer);
+
+        // Long-poll requests are expected to stay silent for up to their timeout
+        const pollTimeout = this.transport === 'longpoll'
+            ? ((Number(this.config && this.config.poll_timeout) || 20) + 10) * 1000
+            : 0;
+
+        this.heartbeatTimer = setTimeout(() => {
+            console.warn(`Real-time ${this.transport} connection stalled`);
+            this.handleFailure();
+        }, Math.max(this.getHeartbeatInterval() * 2.5, pollTimeout));
+    }
+
+    /**
+     * Close the connection and retry, falling back to the next transport
+     * if this one never delivered anything
+     */
+    handleFailure() {
+        if (this.stopped) {
+            return;
+        }
+
+        if (!this.receivedMessage) {
+            this.transportFailures++;
+
+            const transports = (this.config && this.config.transports) || [];
+            if (this.transportFailures >= this.options.maxTransportFailures && this.transportIndex < transports.length - 1) {
+                this.transportIndex++;
+                this.transportFailures = 0;
+                console.warn(`Falling back to ${transports[this.transportIndex]} transport`);
+            }
+        }
+
+        this.close();
+        this.scheduleReconnect();
+    }
+
+    /**
+     * Schedule a reconnect with exponential backoff and jitter
+     */
+    scheduleReconnect() {
+        if (this.stopped) {
+            return;
+        }
+
+        clearTimeout(this.reconnectTimer);
+
+        const delay = this.getReconnectDelay(this.attempts);
+        this.attempts++;
+        this.setStatus(navigator.onLine ? 'reconnecting' : 'offline');
+
+        this.reconnectTimer = setTimeout(() => {
+            if (this.config) {
+                this.open();
+            } else {
+                this.connect();
+            }
+        }, delay);
+    }
+
+    /**
+     * Reconnect immediately, e.g. when the browser comes back online
+     */
+    reconnectNow() {
+        if (this.stopped) {
+            return;
+        }
+
+        clearTimeout(this.reconnectTimer);
+        this.close();
+        this.attempts = 0;
+
+        if (this.config) {
+            this.open();
+        } else {
+            this.connect();
+        }
+    }
+
+    /**
+     * Backoff delay: exponential, capped, with equal jitter
+     */
+    getReconnectDelay(attempt) {
+        const exponential = Math.min(this.options.maxDelay, this.options.baseDelay * Math.pow(2, attempt));
+        return exponential / 2 + Math.random() * (exponential / 2);
+    }
+
+    /**
+     * Heartbeat interval in milliseconds
+     */
+    getHeartbeatInterval() {
+        return (Number(this.config && this.config.heartbeat_interval) || 15) * 1000;
+    }
+
+    /**
+     * Close the active connection without scheduling a reconnect
+     */
+    close() {
+        clearTimeout(this.heartbeatTimer);
+        clearInterval(this.pingTimer);
+
+        const connection = this.connection;
+        this.connection = null;
+
+        if (connection) {
+            connection.close();
+        }
+
+        if (this.pollController) {
+            const controller = this.pollController;
+            this.pollController = null;
+            controller.abort();
+        }
+    }
+
+    /**
+     * Update status and reflect it in the dashboard
+     */
+    setStatus(status) {
+        if (this.status === status) {
+            return;
+        }
+
+        this.status = status;
+        this.dashboard.updateConnectionStatus(status === 'connected', this.formatStatus(status));
+    }
+
+    /**
+     * Human-readable status
+     */
+    formatStatus(status) {
+        const transports = {
+            websocket: 'WebSocket',
+            sse: 'SSE',
+            longpoll: 'Long-poll'
+        };
+
+        const labels = {
+            connected: `Connected (${transports[this.transport] || this.transport})`,
+            connecting: 'Connecting...',
+            reconnecting: 'Reconnecting...',
+            offline: 'Offline',
+            disconnected: 'Disconnected'
+        };
+
+        return labels[status] || status;
+    }
+
+    /**
+     * Cleanup
+     */
+    destroy() {
+        this.disconnect();
+        this.listeners.clear();
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AANP_RealtimeTransport;
+}
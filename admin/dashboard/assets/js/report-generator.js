@@ -0,0 +1,504 @@
+/**
+ * Report Generator for AI Auto News Poster Dashboard
+ *
+ * Builds performance reports for a chosen time range as a self-contained
+ * HTML file, a printable page for saving as PDF, or CSV of the series.
+ *
+ * @package AI_Auto_News_Poster
+ * @since 2.0.0
+ */
+
+class AANP_ReportGenerator {
+
+    constructor(dashboard) {
+        this.dashboard = dashboard;
+
+        this.modal = null;
+        this.isGenerating = false;
+
+        /**
+         * Series included in reports, in display order
+         */
+        this.seriesConfig = {
+            response_time: { label: 'Response Time', unit: 'ms', color: '#28a745' },
+            memory_usage: { label: 'Memory Usage', unit: '%', color: '#fd7e14' },
+            performance_score: { label: 'Performance Score', unit: '', color: '#007cba' },
+            articles_published: { label: 'Articles Published', unit: '', color: '#6f42c1' },
+            total_views: { label: 'Views', unit: '', color: '#17a2b8' }
+        };
+
+        this.statisticsConfig = {
+            response_time: { label: 'Response Time', unit: 'ms' },
+            memory_usage: { label: 'Memory Usage', unit: '%' },
+            query_count: { label: 'Queries per Request', unit: '' }
+        };
+    }
+
+    /**
+     * Open the export dialog
+     */
+    open() {
+        const range = this.dashboard.timeRange && this.dashboard.timeRange !== '1h' ? this.dashboard.timeRange : '7d';
+
+        this.modal = this.dashboard.openModal({
+            title: 'Export Performance Report',
+            body: AANP_Html.html`
+                <form class="report-export-form" id="report-export-form">
+                    <div class="form-field">
+                        <label for="report-time-range">Time range</label>
+                        <select id="report-time-range">
+                            <option value="24h" ${range === '24h' ? 'selected' : ''}>Last 24 Hours</option>
+                            <option value="7d" ${range === '7d' ? 'selected' : ''}>Last 7 Days</option>
+                            <option value="30d" ${range === '30d' ? 'selected' : ''}>Last 30 Days</option>
+                            <option value="custom" ${range === 'custom' ? 'selected' : ''}>Custom Range</option>
+                        </select>
+                    </div>
+                    <div class="report-custom-range" ${range === 'custom' ? '' : 'hidden'}>
+                        <div class="form-field">
+                            <label for="report-start">From</label>
+                            <input type="date" id="report-start">
+                        </div>
+                        <div class="form-field">
+                            <label for="report-end">To</label>
+                            <input type="date" id="report-end">
+                        </div>
+                    </div>
+                    <fieldset class="form-field report-formats">
+                        <legend>Format</legend>
+                        <label><input type="radio" name="report-format" value="html" checked> HTML report</label>
+                        <label><input type="radio" name="report-format" value="pdf"> PDF (print)</label>
+                        <label><input type="radio" name="report-format" value="csv"> CSV data</label>
+                    </fieldset>
+                    <p class="report-export-status" aria-live="polite"></p>
+                </form>
+            `,
+            footer: AANP_Html.html`
+                <button type="button" class="btn btn-outline" data-modal-close>Cancel</button>
+                <button type="submit" class="btn btn-primary" form="report-export-form">
+                    <i class="fas fa-download"></i> Export
+                </button>
+            `
+        });
+
+        const form = this.modal.querySelector('#report-export-form');
+        const rangeSelect = form.querySelector('#report-time-range');
+        const customRange = form.querySelector('.report-custom-range');
+
+        // Carry over the overview's custom dates when present
+        const overviewStart = document.getElementById('time-range-start');
+        const overviewEnd = document.getElementById('time-range-end');
+        form.querySelector('#report-start').value = overviewStart ? overviewStart.value : '';
+        form.querySelector('#report-end').value = overviewEnd ? overviewEnd.value : '';
+
+        rangeSelect.addEventListener('change', () => {
+            customRange.hidden = rangeSelect.value !== 'custom';
+        });
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.export({
+                timeRange: rangeSelect.value,
+                start: form.querySelector('#report-start').value,
+                end: form.querySelector('#report-end').value,
+                format: form.querySelector('input[name="report-format"]:checked').value
+            });
+        });
+    }
+
+    /**
+     * Generate and deliver a report
+     */
+    async export({ timeRange, start = '', end = '', format = 'html' }) {
+        if (this.isGenerating) {
+            return;
+        }
+
+        const status = this.modal ? this.modal.querySelector('.report-export-status') : null;
+        const setStatus = (text) => {
+            if (status) status.textContent = text;
+        };
+
+        if (timeRange === 'custom' && (!start || !end)) {
+            setStatus('Choose both a start and an end date');
+            return;
+        }
+
+        // The print window must be opened before any await or it will be blocked
+        const printWindow = format === 'pdf' ? window.open('', '_blank') : null;
+        if (format === 'pdf' && !printWindow) {
+            setStatus('Allow pop-ups for this site to print the report');
+            return;
+        }
+
+        this.isGenerating = true;
+        setStatus('Generating report...');
+
+        try {
+            const report = await this.dashboard.ajaxRequest('ai_news_get_performance_report', {
+                time_range: timeRange,
+                start,
+                end
+            });
+
+            const filename = `performance-report-${this.formatFileDate(report.start)}-${this.formatFileDate(report.end)}`;
+
+            if (format === 'csv') {
+                this.download(this.buildCsv(report), `${filename}.csv`, 'text/csv;charset=utf-8');
+            } else if (format === 'pdf') {
+                printWindow.document.open();
+                printWindow.document.write(String(this.buildHtml(report, { print: true })));
+                printWindow.document.close();
+            } else {
+                this.download(String(this.buildHtml(report)), `${filename}.html`, 'text/html;charset=utf-8');
+            }
+
+            if (this.modal) {
+                this.modal.close();
+            }
+            this.dashboard.showNotification('Report exported', 'success');
+        } catch (error) {
+            console.error('Report export failed:', error);
+            if (printWindow) {
+                printWindow.close();
+            }
+            setStatus(error.message || 'Failed to generate report');
+        } finally {
+            this.isGenerating = false;
+        }
+    }
+
+    /**
+     * Build CSV with one row per bucket and one column per series
+     */
+    buildCsv(report) {
+        const keys = Object.keys(this.seriesConfig).filter(key => report.series && report.series[key]);
+        const header = ['timestamp', ...keys.map(key => {
+            const { label, unit } = this.seriesConfig[key];
+            return unit ? `${label} (${unit})` : label;
+        })];
+
+        const rows = (report.labels || []).map((timestamp, index) => [
+            new Date(timestamp * 1000).toISOString(),
+            ...keys.map(key => report.series[key][index])
+        ]);
+
+        return [header, ...rows]
+            .map(row => row.map(value => this.escapeCsv(value)).join(','))
+            .join('\r\n');
+    }
+
+    /**
+     * Build a self-contained HTML report
+     */
+    buildHtml(report, { print = false } = {}) {
+        const site = report.site || {};
+        const period = `${this.formatDateTime(report.start)} – ${this.formatDateTime(report.end)}`;
+        const charts = Object.keys(this.seriesConfig)
+            .filter(key => report.series && report.series[key])
+            .map(key => AANP_Html.html`
+                <figure>
+                    <img src="${this.renderChartImage(report, key)}" alt="${this.seriesConfig[key].label} chart">
+                    <figcaption>${this.seriesConfig[key].label}</figcaption>
+                </figure>
+            `);
+
+        return AANP_Html.html`<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Performance Report – ${site.name || ''}</title>
+<style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #1f2937; margin: 2rem; font-size: 14px; }
+    h1 { font-size: 1.5rem; margin: 0 0 0.25rem; }
+    h2 { font-size: 1.125rem; margin: 2rem 0 0.75rem; border-bottom: 1px solid #e5e7eb; padding-bottom: 0.25rem; }
+    .meta { color: #6b7280; margin: 0; }
+    .cards { display: flex; flex-wrap: wrap; gap: 1rem; }
+    .card { flex: 1; min-width: 140px; border: 1px solid #e5e7eb; border-radius: 8px; padding: 0.75rem 1rem; }
+    .card .value { font-size: 1.5rem; font-weight: 600; }
+    .card .label { color: #6b7280; font-size: 0.75rem; text-transform: uppercase; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { text-align: left; padding: 0.5rem; border-bottom: 1px solid #e5e7eb; }
+    th { background: #f9fafb; font-weight: 600; }
+    td.number, th.number { text-align: right; }
+    .charts { display: grid; grid-template-columns: repeat(auto-fit, minmax(360px, 1fr)); gap: 1rem; }
+    figure { margin: 0; border: 1px solid #e5e7eb; border-radius: 8px; padding: 0.75rem; }
+    figure img { width: 100%; height: auto; }
+    figcaption { text-align: center; color: #6b7280; font-size: 0.75rem; margin-top: 0.25rem; }
+    @media print { body { margin: 0; } figure, table { break-inside: avoid; } }
+</style>
+</head>
+<body>
+    <h1>Performance Report</h1>
+    <p class="meta">${site.name || ''} · ${site.url || ''}</p>
+    <p class="meta">${period} · Generated ${this.formatDateTime(report.generated_at)}</p>
+
+    <h2>Summary</h2>
+    ${this.renderSummaryCards(report)}
+
+    <h2>Performance Statistics</h2>
+    ${this.renderStatisticsTable(report.statistics || {})}
+
+    <h2>Charts</h2>
+    <div class="charts">${charts}</div>
+
+    <h2>Alerts</h2>
+    ${this.renderAlerts(report.alerts || {})}
+
+    <h2>SEO Scores</h2>
+    ${this.renderSeo(report.seo || {})}
+    ${print && AANP_Html.html`<script>window.addEventListener("load", function () { window.focus(); window.print(); });<\/script>`}
+</body>
+</html>`;
+    }
+
+    /**
+     * Render headline totals
+     */
+    renderSummaryCards(report) {
+        const totals = report.totals || {};
+        const alerts = report.alerts || {};
+        const seo = report.seo || {};
+
+        const cards = [
+            ['Articles Published', this.formatNumber(totals.articles_published)],
+            ['Views', this.formatNumber(totals.total_views)],
+            ['Avg Performance Score', this.formatNumber(totals.performance_score)],
+            ['Alerts Raised', this.formatNumber(alerts.total)],
+            ['Avg SEO Score', this.formatNumber(seo.average)]
+        ];
+
+        return AANP_Html.html`<div class="cards">${cards.map(([label, value]) => AANP_Html.html`
+            <div class="card"><div class="value">${value}</div><div class="label">${label}</div></div>
+        `)}</div>`;
+    }
+
+    /**
+     * Render min/avg/p95/max table
+     */
+    renderStatisticsTable(statistics) {
+        const rows = Object.entries(this.statisticsConfig).map(([key, { label, unit }]) => {
+            const stats = statistics[key] || {};
+            const cell = (value) => AANP_Html.html`<td class="number">${this.formatNumber(value, unit)}</td>`;
+
+            return AANP_Html.html`
+                <tr>
+                    <td>${label}</td>
+                    ${cell(stats.min)}${cell(stats.avg)}${cell(stats.p95)}${cell(stats.max)}
+                    <td class="number">${this.formatNumber(stats.samples)}</td>
+                </tr>
+            `;
+        });
+
+        return AANP_Html.html`
+            <table>
+                <thead>
+                    <tr><th>Metric</th><th class="number">Min</th><th class="number">Avg</th><th class="number">P95</th><th class="number">Max</th><th class="number">Samples</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Render alert counts
+     */
+    renderAlerts(alerts) {
+        if (!alerts.total) {
+            return AANP_Html.html`<p>No alerts were raised in this period.</p>`;
+        }
+
+        const levels = Object.entries(alerts.by_level || {}).map(([level, count]) => AANP_Html.html`
+            <tr><td>${this.capitalize(level)}</td><td class="number">${this.formatNumber(count)}</td></tr>
+        `);
+
+        const metrics = Object.entries(alerts.by_metric || {}).map(([metric, count]) => AANP_Html.html`
+            <tr><td>${metric}</td><td class="number">${this.formatNumber(count)}</td></tr>
+        `);
+
+        return AANP_Html.html`
+            <p>${this.formatNumber(alerts.total)} alerts raised, ${this.formatNumber(alerts.resolved)} resolved.</p>
+            <div class="charts">
+                <table><thead><tr><th>Severity</th><th class="number">Count</th></tr></thead><tbody>${levels}</tbody></table>
+                <table><thead><tr><th>Metric</th><th class="number">Count</th></tr></thead><tbody>${metrics}</tbody></table>
+            </div>
+        `;
+    }
+
+    /**
+     * Render SEO score summary
+     */
+    renderSeo(seo) {
+        if (!seo.scored_posts) {
+            return AANP_Html.html`<p>No scored posts were published in this period.</p>`;
+        }
+
+        const distribution = seo.distribution || {};
+        const lowest = (seo.lowest || []).map(post => AANP_Html.html`
+            <tr><td>${post.title}</td><td class="number">${this.formatNumber(post.score)}</td></tr>
+        `);
+
+        return AANP_Html.html`
+            <table>
+                <thead>
+                    <tr><th>Scored Posts</th><th class="number">Min</th><th class="number">Avg</th><th class="number">Max</th><th class="number">Good (80+)</th><th class="number">Fair (60–79)</th><th class="number">Poor (&lt;60)</th></tr>
+                </thead>
+                <tbody>
+                    <tr>
+                        <td>${this.formatNumber(seo.scored_posts)}${seo.unscored_posts ? ` (${this.formatNumber(seo.unscored_posts)} unscored)` : ''}</td>
+                        <td class="number">${this.formatNumber(seo.min)}</td>
+                        <td class="number">${this.formatNumber(seo.average)}</td>
+                        <td class="number">${this.formatNumber(seo.max)}</td>
+                        <td class="number">${this.formatNumber(distribution.good)}</td>
+                        <td class="number">${this.formatNumber(distribution.fair)}</td>
+                        <td class="number">${this.formatNumber(distribution.poor)}</td>
+                    </tr>
+                </tbody>
+            </table>
+            ${lowest.length > 0 && AANP_Html.html`
+                <h3>Lowest Scoring Posts</h3>
+                <table><thead><tr><th>Post</th><th class="number">Score</th></tr></thead><tbody>${lowest}</tbody></table>
+            `}
+        `;
+    }
+
+    /**
+     * Draw a series on an off-screen canvas and return it as a data URL
+     */
+    renderChartImage(report, key) {
+        if (typeof Chart === 'undefined') {
+            return '';
+        }
+
+        const { label, color } = this.seriesConfig[key];
+        const holder = document.createElement('div');
+        holder.style.cssText = 'position:absolute;left:-10000px;top:0;width:800px;height:300px;';
+        const canvas = document.createElement('canvas');
+        canvas.width = 800;
+        canvas.height = 300;
+        holder.appendChild(canvas);
+        document.body.appendChild(holder);
+
+        const chart = new Chart(canvas, {
+            type: key === 'articles_published' || key === 'total_views' ? 'bar' : 'line',
+            data: {
+                labels: (report.labels || []).map(timestamp => this.formatLabel(timestamp, report.bucket_size)),
+                datasets: [{
+                    label,
+                    data: report.series[key],
+                    borderColor: color,
+                    backgroundColor: `${color}33`,
+                    fill: true,
+                    tension: 0.3,
+                    spanGaps: true
+                }]
+            },
+            options: {
+                responsive: false,
+                animation: false,
+                devicePixelRatio: 2,
+                plugins: {
+                    legend: { display: false }
+                },
+                scales: {
+                    y: { beginAtZero: true }
+                }
+            }
+        });
+
+        const image = chart.toBase64Image();
+        chart.destroy();
+        holder.remove();
+
+        return image;
+    }
+
+    /**
+     * Trigger a file download
+     */
+    download(content, filename, type) {
+        const blob = new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Quote a CSV field when needed
+     */
+    escapeCsv(value) {
+        if (value === null || value === undefined) {
+            return '';
+        }
+
+        const text = String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Format a chart label for the report bucket size
+     */
+    formatLabel(timestamp, bucketSize) {
+        const date = new Date(timestamp * 1000);
+
+        if (bucketSize >= 86400) {
+            return date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+        }
+
+        return date.toLocaleString(undefined, { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+    }
+
+    /**
+     * Format a unix timestamp for display
+     */
+    formatDateTime(timestamp) {
+        return timestamp ? new Date(timestamp * 1000).toLocaleString() : '';
+    }
+
+    /**
+     * Format a unix timestamp as YYYY-MM-DD for file names
+     */
+    formatFileDate(timestamp) {
+        return new Date(timestamp * 1000).toISOString().slice(0, 10);
+    }
+
+    /**
+     * Format a possibly missing number
+     */
+    formatNumber(value, unit = '') {
+        if (value === null || value === undefined || value === '') {
+            return '—';
+        }
+
+        const number = Number(value).toLocaleString(undefined, { maximumFractionDigits: 2 });
+        return unit ? `${number} ${unit}` : number;
+    }
+
+    /**
+     * Capitalize the first letter
+     */
+    capitalize(text) {
+        text = String(text || '');
+        return text.charAt(0).toUpperCase() + text.slice(1);
+    }
+
+    /**
+     * Cleanup
+     */
+    destroy() {
+        if (this.modal && typeof this.modal.close === 'function') {
+            this.modal.close();
+        }
+
+        this.modal = null;
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AANP_ReportGenerator;
+}
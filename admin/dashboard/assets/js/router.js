@@ -0,0 +1,218 @@
+/**
+ * Router for AI Auto News Poster Dashboard
+ *
+ * Keeps the dashboard state in the URL hash, e.g.
+ * `#/seo?range=7d&alert=123`, so views can be bookmarked and shared and
+ * the browser back and forward buttons move between them. Modules own
+ * their part of the state through sources registered with addSource().
+ *
+ * @package AI_Auto_News_Poster
+ * @since 2.0.0
+ */
+
+class AANP_Router {
+
+    constructor(dashboard) {
+        this.dashboard = dashboard;
+        this.sources = [];
+        this.applying = false;
+        this.started = false;
+        this.defaultSection = 'overview';
+
+        this.handlePopState = () => this.apply(this.parse(window.location.hash));
+    }
+
+    /**
+     * Register a piece of routed state
+     *
+     * A source lists the query keys it owns, read() returns their current
+     * values (empty values are left out of the URL) and write(params,
+     * { initial }) applies values from the URL. Changes to keys marked
+     * navigational create a history entry; others replace the current one.
+     * A source tied to a section is only read and written while that
+     * section is shown, so leaving it keeps its state.
+     */
+    addSource(source) {
+        this.sources.push({
+            keys: [],
+            navigational: false,
+            section: null,
+            ...source
+        });
+    }
+
+    /**
+     * Apply the URL state and start following navigation
+     *
+     * Called once the dashboard is set up; the initial write lets sources
+     * skip loading data the dashboard is about to load anyway.
+     */
+    start() {
+        if (this.started) {
+            return;
+        }
+
+        this.started = true;
+        window.addEventListener('popstate', this.handlePopState);
+
+        this.apply(this.parse(window.location.hash), { initial: true });
+        this.replace();
+    }
+
+    /**
+     * Record the current state after a change
+     */
+    update() {
+        if (!this.started || this.applying) {
+            return;
+        }
+
+        const current = this.parse(window.location.hash);
+        const next = this.collect();
+
+        if (this.build(next) === this.build(current)) {
+            return;
+        }
+
+        if (this.isNavigation(current, next)) {
+            window.history.pushState(null, '', this.build(next));
+        } else {
+            this.replace();
+        }
+    }
+
+    /**
+     * Overwrite the current history entry with the current state
+     */
+    replace() {
+        window.history.replaceState(null, '', this.build(this.collect()));
+    }
+
+    /**
+     * Whether a state change deserves its own history entry
+     */
+    isNavigation(current, next) {
+        if (current.section !== next.section) {
+            return true;
+        }
+
+        return this.sources.some(source => source.navigational && source.keys.some(key => (
+            (current.params[key] || '') !== (next.params[key] || '')
+        )));
+    }
+
+    /**
+     * Read the current state from the dashboard and every source
+     */
+    collect() {
+        const section = this.getActiveSection();
+        const params = {};
+
+        this.sources.forEach(source => {
+            if (source.section && source.section !== section) {
+                return;
+            }
+
+            Object.entries(source.read() || {}).forEach(([key, value]) => {
+                if (source.keys.includes(key) && value !== '' && value !== null && value !== undefined && value !== false) {
+                    params[key] = String(value);
+                }
+            });
+        });
+
+        return { section, params };
+    }
+
+    /**
+     * Push URL state into every source, then show the section
+     */
+    apply(state, { initial = false } = {}) {
+        this.applying = true;
+
+        try {
+            this.sources.forEach(source => {
+                if (source.section && source.section !== state.section) {
+                    return;
+                }
+
+                const params = {};
+                source.keys.forEach(key => {
+                    params[key] = state.params[key] ?? '';
+                });
+
+                try {
+                    source.write(params, { initial });
+                } catch (error) {
+                    console.error('Failed to restore dashboard state:', error);
+                }
+            });
+
+            if (state.section !== this.getActiveSection()) {
+                this.dashboard.switchSection(state.section);
+            }
+        } finally {
+            this.applying = false;
+        }
+    }
+
+    /**
+     * Parse a location hash; unknown sections fall back to the overview
+     *
+     * Accepts `#/section?key=value` and the sidebar's plain `#section`.
+     * Malformed escapes such as `#/%E0` also fall back to the overview.
+     */
+    parse(hash) {
+        const [path, query = ''] = String(hash || '').replace(/^#\/?/, '').split('?');
+        let section = '';
+
+        try {
+            section = decodeURIComponent(path || '');
+        } catch (error) {
+            section = this.defaultSection;
+        }
+
+        return {
+            section: this.isSection(section) ? section : this.defaultSection,
+            params: Object.fromEntries(new URLSearchParams(query))
+        };
+    }
+
+    /**
+     * Build the hash for a state
+     */
+    build(state) {
+        const query = new URLSearchParams(
+            Object.keys(state.params).sort().map(key => [key, state.params[key]])
+        ).toString();
+
+        return `#/${encodeURIComponent(state.section)}${query ? `?${query}` : ''}`;
+    }
+
+    /**
+     * Whether a dashboard section exists
+     */
+    isSection(name) {
+        return Boolean(name) && /^[a-z0-9-]+$/.test(name) && Boolean(document.getElementById(`${name}-section`));
+    }
+
+    /**
+     * Name of the visible section
+     */
+    getActiveSection() {
+        const active = document.querySelector('.content-section.active');
+        return active ? active.id.replace(/-section$/, '') : this.defaultSection;
+    }
+
+    /**
+     * Cleanup
+     */
+    destroy() {
+        window.removeEventListener('popstate', this.handlePopState);
+        this.sources = [];
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AANP_Router;
+}
@@ -0,0 +1,259 @@
+/**
+ * Safe HTML rendering for AI Auto News Poster Dashboard
+ *
+ * AANP_Html.html is a tagged template that escapes every interpolated
+ * value for the place it appears in: text, quoted or unquoted attribute
+ * values, and URL attributes such as href, whose javascript: and other
+ * unsafe schemes are dropped. Nested templates and arrays of templates
+ * are inserted as-is. Markup from anywhere else only gets through when it
+ * is wrapped in AANP_Html.raw(), so trusting it is always explicit.
+ *
+ *     AANP_Html.render(list, AANP_Html.html`
+ *         <li class="${item.type}"><a href="${item.url}">${item.title}</a></li>
+ *     `);
+ *
+ * @package AI_Auto_News_Poster
+ * @since 2.0.0
+ */
+
+/**
+ * Markup that is known to be safe to insert
+ */
+class AANP_SafeHtml {
+
+    constructor(markup) {
+        this.markup = String(markup);
+    }
+
+    toString() {
+        return this.markup;
+    }
+}
+
+class AANP_Html {
+
+    /**
+     * Tagged template that escapes interpolated values by context
+     */
+    static html(strings, ...values) {
+        const state = { context: 'text', attribute: '', quote: '', valueStart: true };
+        let markup = '';
+
+        strings.forEach((string, index) => {
+            AANP_Html.scan(string, state);
+            markup += string;
+
+            if (index < values.length) {
+                markup += AANP_Html.interpolate(values[index], state);
+            }
+        });
+
+        return new AANP_SafeHtml(markup);
+    }
+
+    /**
+     * Mark trusted markup so templates insert it unescaped
+     */
+    static raw(markup) {
+        return markup instanceof AANP_SafeHtml ? markup : new AANP_SafeHtml(markup ?? '');
+    }
+
+    /**
+     * Escape a value for text or a quoted attribute
+     */
+    static escape(value) {
+        return String(value ?? '').replace(/[&<>"'`]/g, (char) => ({
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;',
+            "'": '&#39;',
+            '`': '&#96;'
+        })[char]);
+    }
+
+    /**
+     * Return a URL only if it is relative or uses a safe scheme
+     *
+     * Raster data: images (such as exported chart canvases) are allowed too.
+     */
+    static url(value) {
+        const url = String(value ?? '').trim();
+        // Browsers ignore tabs and newlines inside a scheme
+        const compact = url.replace(/[\u0000-\u001F\u007F\s]+/g, '');
+        const scheme = compact.match(/^([a-z][a-z0-9+.-]*):/i);
+
+        if (!scheme || ['http', 'https', 'mailto', 'tel'].includes(scheme[1].toLowerCase())) {
+            return url;
+        }
+
+        return /^data:image\/(png|jpeg|gif|webp);base64,[a-z0-9+/=]*$/i.test(compact) ? url : '#';
+    }
+
+    /**
+     * Replace an element's contents with a template or a list of them
+     *
+     * Plain strings are inserted as text.
+     */
+    static render(element, template) {
+        if (!element) {
+            return;
+        }
+
+        if (template instanceof AANP_SafeHtml || Array.isArray(template)) {
+            element.innerHTML = AANP_Html.toMarkup(template);
+        } else {
+            element.textContent = template ?? '';
+        }
+    }
+
+    /**
+     * Convert one interpolated value for the current context
+     */
+    static interpolate(value, state) {
+        if (state.context === 'text') {
+            return AANP_Html.toMarkup(value);
+        }
+
+        const name = state.attribute.toLowerCase();
+
+        if (state.context === 'tag') {
+            // Bare values in a tag may only add boolean attributes such as "disabled"
+            const text = AANP_Html.toText(value);
+            if (!/^[a-z0-9\s_:-]*$/i.test(text)) {
+                throw new TypeError(`Unsafe attribute markup in template: ${text}`);
+            }
+            return text;
+        }
+
+        if (/^on/.test(name)) {
+            throw new TypeError(`Values cannot be interpolated into the ${name} event handler`);
+        }
+
+        let text = AANP_Html.toText(value);
+        if (AANP_Html.URL_ATTRIBUTES.includes(name) && state.valueStart) {
+            text = AANP_Html.url(text);
+        }
+        state.valueStart = false;
+
+        if (state.context === 'unquoted') {
+            // Quote the value so spaces cannot start a new attribute
+            state.context = 'tag';
+            return `"${AANP_Html.escape(text)}"`;
+        }
+
+        return AANP_Html.escape(text);
+    }
+
+    /**
+     * Markup for a value in text context
+     */
+    static toMarkup(value) {
+        if (value === null || value === undefined || value === false) {
+            return '';
+        }
+
+        if (value instanceof AANP_SafeHtml) {
+            return value.markup;
+        }
+
+        if (Array.isArray(value)) {
+            return value.map(item => AANP_Html.toMarkup(item)).join('');
+        }
+
+        return AANP_Html.escape(value);
+    }
+
+    /**
+     * Plain text for a value in attribute context
+     */
+    static toText(value) {
+        if (value === null || value === undefined || value === false) {
+            return '';
+        }
+
+        if (Array.isArray(value)) {
+            return value.map(item => AANP_Html.toText(item)).join(' ');
+        }
+
+        return String(value);
+    }
+
+    /**
+     * Track whether the template is in text, a tag or an attribute value
+     */
+    static scan(string, state) {
+        for (let i = 0; i < string.length; i++) {
+            const char = string[i];
+
+            switch (state.context) {
+                case 'text':
+                    if (char === '<' && /[a-z!/]/i.test(string[i + 1] || '')) {
+                        state.context = 'tag';
+                        state.attribute = '';
+                        state.afterEquals = false;
+                    }
+                    break;
+
+                case 'tag':
+                    if (char === '>') {
+                        state.context = 'text';
+                    } else if (char === '=') {
+                        state.afterEquals = true;
+                    } else if (state.afterEquals && (char === '"' || char === "'")) {
+                        state.context = 'quoted';
+                        state.quote = char;
+                        state.valueStart = true;
+                        state.afterEquals = false;
+                    } else if (state.afterEquals && !/\s/.test(char)) {
+                        // Unquoted value typed into the template itself
+                        state.context = 'unquoted';
+                        state.valueStart = false;
+                        state.afterEquals = false;
+                    } else if (/\s/.test(char)) {
+                        if (!state.afterEquals) {
+                            state.attribute = '';
+                        }
+                    } else if (char !== '/') {
+                        state.attribute += char;
+                    }
+                    break;
+
+                case 'quoted':
+                    if (char === state.quote) {
+                        state.context = 'tag';
+                        state.attribute = '';
+                    } else {
+                        state.valueStart = false;
+                    }
+                    break;
+
+                case 'unquoted':
+                    if (/\s/.test(char)) {
+                        state.context = 'tag';
+                        state.attribute = '';
+                    } else if (char === '>') {
+                        state.context = 'text';
+                    }
+                    break;
+            }
+        }
+
+        // A value right after "=" is an unquoted attribute value
+        if (state.context === 'tag' && state.afterEquals) {
+            state.context = 'unquoted';
+            state.valueStart = true;
+            state.afterEquals = false;
+        }
+    }
+}
+
+/**
+ * Attributes whose values are URLs
+ */
+AANP_Html.URL_ATTRIBUTES = ['href', 'src', 'action', 'formaction', 'xlink:href', 'poster', 'cite'];
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AANP_Html, AANP_SafeHtml };
+}
@@ -595,12 +595,14 @@ class AANP_ThemeManager {
      * Setup keyboard shortcuts
      */
     setupKeyboardShortcuts() {
-        document.addEventListener('keydown', (e) => {
-            // Ctrl/Cmd + Shift + T for theme toggle
-            if ((e.ctrlKey || e.metaKey) && e.shiftKey && e.key === 'T') {
-                e.preventDefault();
-                this.toggleTheme();
-            }
+        if (!window.aanpShortcuts) return;
+        
+        this.unregisterShortcut = window.aanpShortcuts.register({
+            id: 'theme.toggle',
+            keys: 'mod+shift+t',
+            description: 'Toggle dark theme',
+            group: 'General',
+            handler: () => this.toggleTheme()
         });
     }
     
@@ -723,7 +725,9 @@ class AANP_ThemeManager {
      */
     destroy() {
         // Remove event listeners
-        document.removeEventListener('keydown', this.handleKeydown);
+        if (this.unregisterShortcut) {
+            this.unregisterShortcut();
+        }
         
         // Remove toggle button if we created it
         if (this.toggleButton && this.toggleButton.parentNode) {
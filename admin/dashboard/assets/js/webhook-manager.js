@@ -0,0 +1,652 @@
+/**
+ * Webhook Manager for AI Auto News Poster Dashboard
+ *
+ * Lists, creates, edits and deletes webhook endpoints with their event
+ * subscriptions, signing secrets and condition filters. Sends test events
+ * and shows each endpoint's delivery log, where any past delivery can be
+ * inspected and sent again.
+ *
+ * @package AI_Auto_News_Poster
+ * @since 2.0.0
+ */
+
+class AANP_WebhookManager {
+
+    constructor(dashboard) {
+        this.dashboard = dashboard;
+
+        this.webhooks = [];
+        this.eventTypes = {};
+        this.operators = ['equals', 'not_equals', 'contains', 'starts_with', 'ends_with', 'greater_than', 'less_than'];
+        this.isLoading = false;
+
+        // Context fields the built-in events carry, offered when adding conditions
+        this.filterFields = ['post_id', 'post_type', 'author_id', 'user_id', 'severity', 'alert_type', 'error_code'];
+
+        this.triggers = {
+            event: 'Event',
+            retry: 'Retry',
+            test: 'Test',
+            resend: 'Resend'
+        };
+
+        this.elements = {};
+
+        this.init();
+    }
+
+    /**
+     * Initialize webhook manager
+     */
+    init() {
+        this.elements = {
+            add: document.getElementById('add-webhook'),
+            list: document.getElementById('webhooks-list')
+        };
+
+        if (!this.elements.list) {
+            return;
+        }
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Set up event listeners
+     */
+    setupEventListeners() {
+        if (this.elements.add) {
+            this.elements.add.addEventListener('click', () => this.openForm());
+        }
+
+        this.elements.list.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-webhook-action]');
+            if (!button) {
+                return;
+            }
+
+            const webhook = this.findWebhook(button.dataset.webhookId);
+            if (!webhook) {
+                return;
+            }
+
+            switch (button.dataset.webhookAction) {
+                case 'edit':
+                    this.openForm(webhook);
+                    break;
+                case 'test':
+                    this.testWebhook(webhook, button);
+                    break;
+                case 'logs':
+                    this.openLogs(webhook);
+                    break;
+                case 'delete':
+                    this.deleteWebhook(webhook);
+                    break;
+            }
+        });
+    }
+
+    /**
+     * Load webhooks from the server
+     */
+    async loadWebhooks() {
+        if (this.isLoading) {
+            return;
+        }
+
+        this.isLoading = true;
+        this.elements.list.setAttribute('aria-busy', 'true');
+
+        try {
+            const data = await this.dashboard.ajaxRequest('ai_news_get_webhooks');
+
+            this.webhooks = data.webhooks || [];
+            this.eventTypes = data.event_types || {};
+            if (Array.isArray(data.operators)) {
+                this.operators = data.operators;
+            }
+
+            this.render();
+        } catch (error) {
+            console.error('Failed to load webhooks:', error);
+            this.renderMessage('Failed to load webhooks');
+            throw error;
+        } finally {
+            this.isLoading = false;
+            this.elements.list.removeAttribute('aria-busy');
+        }
+    }
+
+    /**
+     * Reload webhooks, reporting failures to the user
+     */
+    refresh() {
+        this.loadWebhooks().catch(() => this.dashboard.showNotification('Failed to load webhooks', 'error'));
+    }
+
+    /**
+     * Render webhook rows
+     */
+    render() {
+        if (this.webhooks.length === 0) {
+            this.renderMessage('No webhooks yet');
+            return;
+        }
+
+        AANP_Html.render(this.elements.list, this.webhooks.map(webhook => this.renderRow(webhook)));
+    }
+
+    /**
+     * Render a single webhook row
+     */
+    renderRow(webhook) {
+        const events = webhook.events.map(event => AANP_Html.html`
+            <span class="api-key-scope" title="${this.describeEvent(event)}">${event}</span>
+        `);
+        const failures = webhook.error_count > 0
+            ? AANP_Html.html` <span class="webhook-failures">(${webhook.error_count} failed)</span>`
+            : '';
+
+        return AANP_Html.html`
+            <tr>
+                <td class="content-title">
+                    ${webhook.name}
+                    ${webhook.filters.length > 0 && AANP_Html.html`
+                        <div class="webhook-meta">${webhook.filters.length} ${webhook.filters.length === 1 ? 'condition' : 'conditions'}</div>
+                    `}
+                </td>
+                <td><code class="webhook-url">${webhook.url}</code></td>
+                <td>${events}</td>
+                <td>${Number(webhook.delivery_count).toLocaleString()}${failures}</td>
+                <td>${webhook.last_triggered ? this.dashboard.formatTimeAgo(webhook.last_triggered * 1000) : 'Never'}</td>
+                <td><span class="content-status ${webhook.status}">${webhook.status === 'active' ? 'Active' : 'Paused'}</span></td>
+                <td>
+                    <div class="api-key-actions">
+                        <button type="button" class="btn btn-outline btn-sm" data-webhook-action="edit" data-webhook-id="${webhook.id}">Edit</button>
+                        <button type="button" class="btn btn-outline btn-sm" data-webhook-action="test" data-webhook-id="${webhook.id}">Test</button>
+                        <button type="button" class="btn btn-outline btn-sm" data-webhook-action="logs" data-webhook-id="${webhook.id}">Logs</button>
+                        <button type="button" class="btn btn-danger btn-sm" data-webhook-action="delete" data-webhook-id="${webhook.id}">Delete</button>
+                    </div>
+                </td>
+            </tr>
+        `;
+    }
+
+    /**
+     * Render a single message row spanning the table
+     */
+    renderMessage(message) {
+        AANP_Html.render(this.elements.list, AANP_Html.html`
+            <tr><td colspan="7" class="content-empty">${message}</td></tr>
+        `);
+    }
+
+    /**
+     * Open the create or edit form
+     */
+    openForm(webhook = null) {
+        const editing = Boolean(webhook);
+        const values = webhook || { name: '', url: '', description: '', events: [], filters: [], secret: '', status: 'active' };
+
+        const categories = {};
+        Object.entries(this.eventTypes).forEach(([type, info]) => {
+            (categories[info.category] = categories[info.category] || []).push(type);
+        });
+
+        const modal = this.dashboard.openModal({
+            title: editing ? `Edit ${webhook.name}` : 'Add Webhook',
+            className: 'webhook-modal',
+            body: AANP_Html.html`
+                <form class="webhook-form" id="webhook-form">
+                    <label>Name
+                        <input type="text" name="name" maxlength="200" required value="${values.name}" placeholder="e.g. Newsroom Slack">
+                    </label>
+                    <label>Endpoint URL
+                        <input type="url" name="url" maxlength="500" required value="${values.url}" placeholder="https://example.com/hooks/contentpilot">
+                    </label>
+                    <label>Description
+                        <textarea name="description" rows="2">${values.description}</textarea>
+                    </label>
+                    <fieldset class="webhook-events">
+                        <legend>Events</legend>
+                        ${Object.entries(categories).map(([category, types]) => AANP_Html.html`
+                            <div class="webhook-event-group">
+                                <strong>${category.charAt(0).toUpperCase() + category.slice(1)}</strong>
+                                ${types.map(type => AANP_Html.html`
+                                    <label title="${this.describeEvent(type)}">
+                                        <input type="checkbox" name="events" value="${type}" ${values.events.includes(type) ? 'checked' : ''}> ${type}
+                                    </label>
+                                `)}
+                            </div>
+                        `)}
+                    </fieldset>
+                    <label>Signing secret
+                        <span class="webhook-secret">
+                            <input type="password" name="secret" maxlength="128" autocomplete="off" value="${values.secret}"
+                                placeholder="${editing ? 'Leave blank to keep the current secret' : 'Leave blank to generate one'}">
+                            <button type="button" class="btn btn-outline btn-sm" data-secret-action="toggle">Show</button>
+                            ${editing && AANP_Html.html`<button type="button" class="btn btn-outline btn-sm" data-secret-action="copy">Copy</button>`}
+                        </span>
+                        <small>Requests are signed with HMAC-SHA256 in the <code>X-Webhook-Signature</code> header.</small>
+                    </label>
+                    ${editing && AANP_Html.html`
+                        <label class="webhook-checkbox">
+                            <input type="checkbox" name="regenerate_secret" value="1"> Generate a new secret
+                        </label>
+                        <label>Status
+                            <select name="status">
+                                <option value="active" ${values.status === 'active' ? 'selected' : ''}>Active</option>
+                                <option value="inactive" ${values.status !== 'active' ? 'selected' : ''}>Paused</option>
+                            </select>
+                        </label>
+                    `}
+                    <fieldset class="webhook-filters">
+                        <legend>Conditions</legend>
+                        <p class="webhook-meta">Only send events whose context matches every condition.</p>
+                        <div class="webhook-filter-list"></div>
+                        <datalist id="webhook-filter-fields">
+                            ${this.filterFields.map(field => AANP_Html.html`<option value="${field}"></option>`)}
+                        </datalist>
+                        <button type="button" class="btn btn-outline btn-sm" data-filter-action="add">
+                            <i class="fas fa-plus"></i> Add condition
+                        </button>
+                    </fieldset>
+                </form>
+            `,
+            footer: AANP_Html.html`
+                <button type="button" class="btn btn-outline" data-modal-close>Cancel</button>
+                <button type="submit" class="btn btn-primary" form="webhook-form">${editing ? 'Save Webhook' : 'Add Webhook'}</button>
+            `
+        });
+
+        const form = modal.querySelector('form');
+        const filterList = form.querySelector('.webhook-filter-list');
+
+        values.filters.forEach(filter => this.addFilterRow(filterList, filter));
+        form.elements.name.focus();
+
+        form.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-secret-action], [data-filter-action]');
+            if (!button) {
+                return;
+            }
+
+            if (button.dataset.secretAction === 'toggle') {
+                const hidden = form.elements.secret.type === 'password';
+                form.elements.secret.type = hidden ? 'text' : 'password';
+                button.textContent = hidden ? 'Hide' : 'Show';
+            } else if (button.dataset.secretAction === 'copy') {
+                this.dashboard.copyToClipboard(webhook.secret);
+            } else if (button.dataset.filterAction === 'add') {
+                this.addFilterRow(filterList);
+            } else if (button.dataset.filterAction === 'remove') {
+                button.closest('.webhook-filter').remove();
+            }
+        });
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveWebhook(form, modal, webhook);
+        });
+    }
+
+    /**
+     * Append a condition row to the form
+     */
+    addFilterRow(container, filter = { field: '', operator: 'equals', value: '' }) {
+        const row = document.createElement('div');
+        row.className = 'webhook-filter';
+
+        AANP_Html.render(row, AANP_Html.html`
+            <input type="text" name="filter_field" list="webhook-filter-fields" value="${filter.field}" placeholder="Field" aria-label="Field">
+            <select name="filter_operator" aria-label="Operator">
+                ${this.operators.map(operator => AANP_Html.html`
+                    <option value="${operator}" ${operator === filter.operator ? 'selected' : ''}>${operator.replace(/_/g, ' ')}</option>
+                `)}
+            </select>
+            <input type="text" name="filter_value" value="${filter.value}" placeholder="Value" aria-label="Value">
+            <button type="button" class="btn btn-outline btn-sm" data-filter-action="remove" aria-label="Remove condition">&times;</button>
+        `);
+
+        container.appendChild(row);
+        row.querySelector('input').focus();
+    }
+
+    /**
+     * Save the form as a new or updated webhook
+     */
+    async saveWebhook(form, modal, webhook) {
+        const events = Array.from(form.querySelectorAll('input[name="events"]:checked')).map(input => input.value);
+        if (events.length === 0) {
+            this.dashboard.showNotification('Select at least one event', 'warning');
+            return;
+        }
+
+        const filters = Array.from(form.querySelectorAll('.webhook-filter'))
+            .map(row => ({
+                field: row.querySelector('[name="filter_field"]').value.trim(),
+                operator: row.querySelector('[name="filter_operator"]').value,
+                value: row.querySelector('[name="filter_value"]').value.trim()
+            }))
+            .filter(filter => filter.field !== '');
+
+        const params = {
+            name: form.elements.name.value.trim(),
+            url: form.elements.url.value.trim(),
+            description: form.elements.description.value.trim(),
+            events,
+            secret: form.elements.secret.value.trim(),
+            filters: JSON.stringify(filters)
+        };
+
+        if (webhook) {
+            params.webhook_id = webhook.id;
+            params.status = form.elements.status.value;
+            if (form.elements.regenerate_secret.checked) {
+                params.regenerate_secret = 1;
+            }
+        }
+
+        const submit = modal.querySelector('[type="submit"]');
+        submit.disabled = true;
+
+        try {
+            await this.dashboard.ajaxRequest(webhook ? 'ai_news_update_webhook' : 'ai_news_register_webhook', params);
+            this.dashboard.showNotification(
+                webhook ? 'Webhook updated' : 'Webhook added. A test event was sent to the endpoint.',
+                'success'
+            );
+            modal.close();
+            this.refresh();
+        } catch (error) {
+            console.error('Failed to save webhook:', error);
+            this.dashboard.showNotification(error.message || 'Failed to save webhook', 'error');
+            submit.disabled = false;
+        }
+    }
+
+    /**
+     * Send a test event to a webhook
+     */
+    async testWebhook(webhook, button) {
+        button.disabled = true;
+
+        try {
+            const data = await this.dashboard.ajaxRequest('ai_news_test_webhook', { webhook_id: webhook.id });
+            const result = data.result || {};
+
+            this.dashboard.showNotification(
+                result.success
+                    ? `Test event delivered (HTTP ${result.response_code}, ${result.duration_ms} ms)`
+                    : data.message,
+                result.success ? 'success' : 'error'
+            );
+            this.refresh();
+        } catch (error) {
+            console.error('Webhook test failed:', error);
+            this.dashboard.showNotification(error.message || 'Failed to send test event', 'error');
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    /**
+     * Delete a webhook
+     */
+    async deleteWebhook(webhook) {
+        if (!window.confirm(`Delete "${webhook.name}"? Its endpoint will stop receiving events.`)) {
+            return;
+        }
+
+        try {
+            await this.dashboard.ajaxRequest('ai_news_delete_webhook', { webhook_id: webhook.id });
+            this.dashboard.showNotification('Webhook deleted', 'success');
+            this.refresh();
+        } catch (error) {
+            console.error('Webhook deletion failed:', error);
+            this.dashboard.showNotification(error.message || 'Failed to delete webhook', 'error');
+        }
+    }
+
+    /**
+     * Show a webhook's delivery log
+     */
+    openLogs(webhook) {
+        const modal = this.dashboard.openModal({
+            title: `Deliveries: ${webhook.name}`,
+            className: 'webhook-modal webhook-logs-modal',
+            body: AANP_Html.html`
+                <div class="content-filters">
+                    <select name="status" aria-label="Filter deliveries by status">
+                        <option value="">All deliveries</option>
+                        <option value="success">Delivered</option>
+                        <option value="failed">Failed</option>
+                    </select>
+                    <button type="button" class="btn btn-outline btn-sm" data-log-action="refresh">
+                        <i class="fas fa-sync-alt"></i> Refresh
+                    </button>
+                </div>
+                <div class="content-table-wrapper">
+                    <table class="content-table webhook-logs-table">
+                        <thead>
+                            <tr>
+                                <th>Time</th>
+                                <th>Event</th>
+                                <th>Trigger</th>
+                                <th>Attempt</th>
+                                <th>Response</th>
+                                <th>Duration</th>
+                                <th><span class="screen-reader-text">Actions</span></th>
+                            </tr>
+                        </thead>
+                        <tbody class="webhook-log-list"></tbody>
+                    </table>
+                </div>
+                <div class="webhook-log-detail" hidden></div>
+            `,
+            footer: AANP_Html.html`<button type="button" class="btn btn-outline" data-modal-close>Close</button>`
+        });
+
+        const status = modal.querySelector('select[name="status"]');
+        const list = modal.querySelector('.webhook-log-list');
+        const detail = modal.querySelector('.webhook-log-detail');
+
+        const load = async () => {
+            list.setAttribute('aria-busy', 'true');
+
+            try {
+                const data = await this.dashboard.ajaxRequest('ai_news_get_webhook_logs', {
+                    webhook_id: webhook.id,
+                    status: status.value,
+                    limit: 100
+                });
+                this.renderLogs(list, data.logs || []);
+            } catch (error) {
+                console.error('Failed to load webhook logs:', error);
+                AANP_Html.render(list, AANP_Html.html`
+                    <tr><td colspan="7" class="content-empty">${error.message || 'Failed to load deliveries'}</td></tr>
+                `);
+            } finally {
+                list.removeAttribute('aria-busy');
+            }
+        };
+
+        status.addEventListener('change', load);
+
+        modal.addEventListener('click', async (e) => {
+            const button = e.target.closest('[data-log-action]');
+            if (!button) {
+                return;
+            }
+
+            if (button.dataset.logAction === 'refresh') {
+                load();
+            } else if (button.dataset.logAction === 'view') {
+                this.showLogDetail(detail, parseInt(button.dataset.logId, 10));
+            } else if (button.dataset.logAction === 'resend') {
+                if (await this.resendDelivery(webhook, parseInt(button.dataset.logId, 10), button)) {
+                    load();
+                }
+            }
+        });
+
+        load();
+    }
+
+    /**
+     * Render delivery log rows
+     */
+    renderLogs(list, logs) {
+        if (logs.length === 0) {
+            AANP_Html.render(list, AANP_Html.html`
+                <tr><td colspan="7" class="content-empty">No deliveries yet</td></tr>
+            `);
+            return;
+        }
+
+        AANP_Html.render(list, logs.map(log => {
+            const time = new Date(log.timestamp * 1000);
+            const delivered = log.delivery_status === 'success';
+
+            return AANP_Html.html`
+                <tr>
+                    <td><time datetime="${time.toISOString()}" title="${time.toLocaleString()}">${this.dashboard.formatTimeAgo(time)}</time></td>
+                    <td><code>${log.event_type}</code></td>
+                    <td>${this.triggers[log.trigger_type] || log.trigger_type}</td>
+                    <td>${log.attempt}</td>
+                    <td>
+                        <span class="content-status ${delivered ? 'publish' : 'webhook-failed'}" title="${log.error_message || ''}">
+                            ${log.response_code || (delivered ? 'OK' : 'Error')}
+                        </span>
+                    </td>
+                    <td>${log.duration_ms} ms</td>
+                    <td>
+                        <div class="api-key-actions">
+                            <button type="button" class="btn btn-outline btn-sm" data-log-action="view" data-log-id="${log.id}">View</button>
+                            <button type="button" class="btn btn-outline btn-sm" data-log-action="resend" data-log-id="${log.id}">Resend</button>
+                        </div>
+                    </td>
+                </tr>
+            `;
+        }));
+    }
+
+    /**
+     * Show a delivery's request and response
+     */
+    async showLogDetail(container, logId) {
+        container.hidden = false;
+        AANP_Html.render(container, AANP_Html.html`<p class="webhook-meta">Loading delivery&hellip;</p>`);
+
+        try {
+            const { log } = await this.dashboard.ajaxRequest('ai_news_get_webhook_logs', { log_id: logId });
+            const time = new Date(log.timestamp * 1000);
+
+            AANP_Html.render(container, AANP_Html.html`
+                <h4>${log.event_type} &middot; attempt ${log.attempt}</h4>
+                <dl class="alert-detail">
+                    <dt>Sent</dt><dd>${time.toLocaleString()}</dd>
+                    <dt>Event ID</dt><dd><code>${log.event_id}</code></dd>
+                    ${log.delivery_id && AANP_Html.html`<dt>Delivery ID</dt><dd><code>${log.delivery_id}</code></dd>`}
+                    <dt>Status</dt><dd>${log.response_code ? `HTTP ${log.response_code}` : 'No response'} in ${log.duration_ms} ms</dd>
+                    ${log.error_message && AANP_Html.html`<dt>Error</dt><dd>${log.error_message}</dd>`}
+                </dl>
+                <h5>Request</h5>
+                <p><code>POST ${log.request_url}</code></p>
+                <pre class="webhook-code">${this.formatHeaders(log.request_headers)}</pre>
+                <pre class="webhook-code">${this.formatBody(log.request_body)}</pre>
+                <h5>Response</h5>
+                <pre class="webhook-code">${this.formatHeaders(log.response_headers) || 'No headers'}</pre>
+                <pre class="webhook-code">${this.formatBody(log.response_body) || 'Empty body'}</pre>
+            `);
+        } catch (error) {
+            console.error('Failed to load delivery:', error);
+            AANP_Html.render(container, AANP_Html.html`<p class="webhook-meta">${error.message || 'Failed to load delivery'}</p>`);
+        }
+    }
+
+    /**
+     * Send a logged delivery again
+     *
+     * Returns true once the request was made, whatever the endpoint answered.
+     */
+    async resendDelivery(webhook, logId, button) {
+        if (!window.confirm(`Resend this delivery to ${webhook.url}?`)) {
+            return false;
+        }
+
+        button.disabled = true;
+
+        try {
+            const data = await this.dashboard.ajaxRequest('ai_news_resend_webhook', { log_id: logId });
+            const result = data.result || {};
+
+            this.dashboard.showNotification(data.message, result.success ? 'success' : 'error');
+            this.refresh();
+
+            return true;
+        } catch (error) {
+            console.error('Webhook resend failed:', error);
+            this.dashboard.showNotification(error.message || 'Failed to resend delivery', 'error');
+            button.disabled = false;
+
+            return false;
+        }
+    }
+
+    /**
+     * Headers as "Name: value" lines
+     */
+    formatHeaders(headers) {
+        return Object.entries(headers || {})
+            .map(([name, value]) => `${name}: ${Array.isArray(value) ? value.join(', ') : value}`)
+            .join('\n');
+    }
+
+    /**
+     * Pretty-print JSON bodies, leave anything else as sent
+     */
+    formatBody(body) {
+        if (!body) {
+            return '';
+        }
+
+        try {
+            return JSON.stringify(JSON.parse(body), null, 2);
+        } catch (error) {
+            return body;
+        }
+    }
+
+    /**
+     * Event type description
+     */
+    describeEvent(type) {
+        return this.eventTypes[type] ? this.eventTypes[type].description : type;
+    }
+
+    /**
+     * Find a loaded webhook by id
+     */
+    findWebhook(webhookId) {
+        return this.webhooks.find(webhook => webhook.id === webhookId);
+    }
+
+    /**
+     * Cleanup
+     */
+    destroy() {
+        document.querySelectorAll('.webhook-modal').forEach(modal => {
+            if (typeof modal.close === 'function') {
+                modal.close();
+            }
+        });
+        this.webhooks = [];
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AANP_WebhookManager;
+}
@@ -0,0 +1,502 @@
+/**
+ * Widget Layout for AI Auto News Poster Dashboard
+ *
+ * Lets each user add, remove, resize and reorder the overview's metric
+ * cards and charts. Layouts are saved per user on the server.
+ *
+ * @package AI_Auto_News_Poster
+ * @since 2.0.0
+ */
+
+class AANP_WidgetLayout {
+
+    constructor(dashboard) {
+        this.dashboard = dashboard;
+        this.grid = document.getElementById('overview-widgets');
+        this.toggleButton = document.getElementById('customize-overview');
+        this.editor = null;
+        this.widgets = new Map();
+        this.editing = false;
+        this.dragged = null;
+        this.saveTimer = null;
+        this.unsubscribeMetrics = null;
+
+        this.sizes = ['small', 'medium', 'large'];
+        this.sizeLabels = { small: 'S', medium: 'M', large: 'L' };
+
+        // Widgets already in the markup keep their element and ids; the rest
+        // are built from here and fed by the metrics store
+        this.catalog = {
+            'articles-published': { title: 'Articles Published', icon: 'fa-newspaper', size: 'small' },
+            'total-views': { title: 'Total Views', icon: 'fa-eye', size: 'small' },
+            'performance-score': { title: 'Performance Score', icon: 'fa-chart-line', size: 'small' },
+            'seo-health': { title: 'SEO Health', icon: 'fa-shield-alt', size: 'small' },
+            'response-time': { title: 'Response Time', icon: 'fa-tachometer-alt', size: 'small', metric: 'responseTime', unit: 'ms' },
+            'memory-usage': { title: 'Memory Usage', icon: 'fa-memory', size: 'small', metric: 'memoryUsage', unit: '%' },
+            'cpu-usage': { title: 'CPU Usage', icon: 'fa-microchip', size: 'small', metric: 'cpuUsage', unit: '%' },
+            'cache-hit-rate': { title: 'Cache Hit Rate', icon: 'fa-bolt', size: 'small', metric: 'cacheHitRate', unit: '%' },
+            'error-rate': { title: 'Error Rate', icon: 'fa-exclamation-triangle', size: 'small', metric: 'errorRate', unit: '%' },
+            'api-requests': { title: 'API Requests', icon: 'fa-exchange-alt', size: 'small', metric: 'apiRequests' },
+            'queue-depth': { title: 'Queue Depth', icon: 'fa-layer-group', size: 'small', metric: 'queueDepth' },
+            'performance-chart': { title: 'Content Performance Trends', icon: 'fa-chart-area', size: 'medium', chart: 'performance' },
+            'activity-chart': { title: 'Real-time Activity', icon: 'fa-chart-bar', size: 'medium', chart: 'activity' }
+        };
+
+        if (!this.grid) {
+            return;
+        }
+
+        this.defaultLayout = Array.from(this.grid.querySelectorAll('[data-widget]')).map(element => ({
+            id: element.dataset.widget,
+            size: element.dataset.size || 'small'
+        }));
+
+        this.collectWidgets();
+        this.buildEditor();
+        this.setupEventListeners();
+        this.load();
+
+        if (dashboard.metricsStore) {
+            this.unsubscribeMetrics = dashboard.metricsStore.subscribe(
+                (sample) => this.updateMetricWidgets(sample),
+                { replay: true }
+            );
+        }
+    }
+
+    /**
+     * Restore the user's saved layout
+     */
+    async load() {
+        let layout = window.ai_news_dashboard?.layout;
+
+        if (layout === undefined) {
+            try {
+                layout = await this.dashboard.ajaxRequest('ai_news_get_dashboard_layout');
+            } catch (error) {
+                console.error('Failed to load layout:', error);
+            }
+        }
+
+        this.applyLayout(layout || this.defaultLayout);
+    }
+
+    /**
+     * Register every catalog widget, building the ones not in the markup
+     */
+    collectWidgets() {
+        Object.keys(this.catalog).forEach(id => {
+            const element = this.grid.querySelector(`[data-widget="${id}"]`) || this.createWidget(id);
+            element.classList.add('widget');
+            element.insertAdjacentHTML('afterbegin', String(this.renderToolbar(id)));
+            this.widgets.set(id, element);
+        });
+    }
+
+    /**
+     * Build a live metric card
+     */
+    createWidget(id) {
+        const widget = this.catalog[id];
+        const element = document.createElement('div');
+
+        element.className = 'metric-card widget';
+        element.dataset.widget = id;
+        AANP_Html.render(element, AANP_Html.html`
+            <div class="metric-icon">
+                <i class="fas ${widget.icon}"></i>
+            </div>
+            <div class="metric-content">
+                <h3>${widget.title}</h3>
+                <div class="metric-value" data-widget-value>&mdash;</div>
+                <div class="metric-status">Live</div>
+            </div>
+        `);
+
+        return element;
+    }
+
+    /**
+     * Edit controls shown on each widget while customizing
+     */
+    renderToolbar(id) {
+        const title = this.catalog[id].title;
+
+        return AANP_Html.html`
+            <div class="widget-toolbar">
+                <button type="button" class="widget-handle" data-widget-action="move" aria-label="Move ${title} (arrow keys)">
+                    <i class="fas fa-grip-vertical"></i>
+                </button>
+                <button type="button" class="widget-resize" data-widget-action="resize" aria-label="Resize ${title}"></button>
+                <button type="button" class="widget-remove" data-widget-action="remove" aria-label="Remove ${title}">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+        `;
+    }
+
+    /**
+     * Build the add/reset/done bar shown above the grid while customizing
+     */
+    buildEditor() {
+        this.editor = document.createElement('div');
+        this.editor.className = 'widget-editor';
+        this.editor.hidden = true;
+        AANP_Html.render(this.editor, AANP_Html.html`
+            <label for="widget-add-select">Add widget</label>
+            <select id="widget-add-select"></select>
+            <button type="button" class="btn btn-outline btn-sm" data-editor-action="add">
+                <i class="fas fa-plus"></i> Add
+            </button>
+            <button type="button" class="btn btn-outline btn-sm" data-editor-action="reset">Reset to default</button>
+            <button type="button" class="btn btn-primary btn-sm" data-editor-action="done">Done</button>
+        `);
+
+        this.grid.parentNode.insertBefore(this.editor, this.grid);
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        if (this.toggleButton) {
+            this.toggleButton.addEventListener('click', () => this.setEditing(!this.editing));
+        }
+
+        this.editor.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-editor-action]');
+            if (!button) return;
+
+            switch (button.dataset.editorAction) {
+                case 'add':
+                    this.addWidget(this.editor.querySelector('select').value);
+                    break;
+                case 'reset':
+                    this.reset();
+                    break;
+                case 'done':
+                    this.setEditing(false);
+                    break;
+            }
+        });
+
+        this.grid.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-widget-action]');
+            if (!button || !this.editing) return;
+
+            const id = button.closest('[data-widget]').dataset.widget;
+
+            if (button.dataset.widgetAction === 'resize') {
+                this.resizeWidget(id);
+            } else if (button.dataset.widgetAction === 'remove') {
+                this.removeWidget(id);
+            }
+        });
+
+        this.grid.addEventListener('keydown', (e) => {
+            const handle = e.target.closest('.widget-handle');
+            if (!handle || !this.editing) return;
+
+            const offsets = { ArrowLeft: -1, ArrowUp: -1, ArrowRight: 1, ArrowDown: 1 };
+            if (offsets[e.key] === undefined) return;
+
+            e.preventDefault();
+            this.moveWidget(handle.closest('[data-widget]').dataset.widget, offsets[e.key]);
+            handle.focus();
+        });
+
+        this.grid.addEventListener('dragstart', (e) => {
+            const widget = e.target.closest('[data-widget]');
+            if (!widget || !this.editing) return;
+
+            this.dragged = widget;
+            widget.classList.add('dragging');
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', widget.dataset.widget);
+        });
+
+        this.grid.addEventListener('dragover', (e) => {
+            if (!this.dragged) return;
+            e.preventDefault();
+
+            const target = e.target.closest('[data-widget]');
+            if (!target || target === this.dragged) return;
+
+            // Drop before the target when the pointer is in its first half
+            const rect = target.getBoundingClientRect();
+            const before = e.clientX < rect.left + rect.width / 2;
+            this.grid.insertBefore(this.dragged, before ? target : target.nextSibling);
+        });
+
+        this.grid.addEventListener('drop', (e) => e.preventDefault());
+
+        this.grid.addEventListener('dragend', () => {
+            if (!this.dragged) return;
+
+            this.dragged.classList.remove('dragging');
+            this.dragged = null;
+            this.save();
+        });
+    }
+
+    /**
+     * Enter or leave customize mode
+     */
+    setEditing(editing) {
+        this.editing = editing;
+        this.grid.classList.toggle('editing', editing);
+        this.editor.hidden = !editing;
+
+        this.widgets.forEach(element => {
+            element.draggable = editing;
+        });
+
+        if (this.toggleButton) {
+            this.toggleButton.setAttribute('aria-pressed', String(editing));
+        }
+
+        if (editing) {
+            this.updateEditor();
+        } else {
+            this.flushSave();
+        }
+    }
+
+    /**
+     * Render a layout: place listed widgets in order and detach the rest
+     */
+    applyLayout(layout) {
+        const placed = new Set();
+
+        layout.forEach(({ id, size }) => {
+            const element = this.widgets.get(id);
+            if (!element || placed.has(id)) return;
+
+            this.setSize(element, size || this.catalog[id].size);
+            this.grid.appendChild(element);
+            placed.add(id);
+        });
+
+        // Detached widgets keep their element, so charts survive being re-added
+        this.widgets.forEach((element, id) => {
+            if (!placed.has(id)) {
+                element.remove();
+            }
+        });
+
+        this.resizeCharts();
+        this.updateEditor();
+    }
+
+    /**
+     * Current layout in display order
+     */
+    getLayout() {
+        return Array.from(this.grid.querySelectorAll(':scope > [data-widget]')).map(element => ({
+            id: element.dataset.widget,
+            size: element.dataset.size
+        }));
+    }
+
+    /**
+     * Place a hidden widget at the end of the grid
+     */
+    addWidget(id) {
+        const element = this.widgets.get(id);
+        if (!element || element.isConnected) return;
+
+        this.setSize(element, this.catalog[id].size);
+        element.draggable = this.editing;
+        this.grid.appendChild(element);
+
+        this.resizeCharts();
+        this.updateEditor();
+        this.save();
+    }
+
+    /**
+     * Take a widget off the grid
+     */
+    removeWidget(id) {
+        const element = this.widgets.get(id);
+        if (!element) return;
+
+        element.remove();
+        this.updateEditor();
+        this.save();
+    }
+
+    /**
+     * Cycle a widget through the available sizes
+     */
+    resizeWidget(id) {
+        const element = this.widgets.get(id);
+        if (!element) return;
+
+        const next = this.sizes[(this.sizes.indexOf(element.dataset.size) + 1) % this.sizes.length];
+        this.setSize(element, next);
+        this.resizeCharts();
+        this.save();
+    }
+
+    /**
+     * Move a widget earlier or later in the grid
+     */
+    moveWidget(id, offset) {
+        const element = this.widgets.get(id);
+        if (!element) return;
+
+        const sibling = offset < 0 ? element.previousElementSibling : element.nextElementSibling;
+        if (!sibling) return;
+
+        this.grid.insertBefore(element, offset < 0 ? sibling : sibling.nextSibling);
+        this.save();
+    }
+
+    /**
+     * Apply a size to a widget element
+     */
+    setSize(element, size) {
+        const resolved = this.sizes.includes(size) ? size : 'small';
+        const resize = element.querySelector('.widget-resize');
+
+        element.dataset.size = resolved;
+
+        if (resize) {
+            resize.textContent = this.sizeLabels[resolved];
+            resize.title = `Size: ${resolved}`;
+        }
+    }
+
+    /**
+     * Restore the default layout and forget the saved one
+     */
+    async reset() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        this.applyLayout(this.defaultLayout);
+        this.widgets.forEach(element => {
+            element.draggable = this.editing;
+        });
+
+        try {
+            await this.dashboard.ajaxRequest('ai_news_save_dashboard_layout', { reset: 1 });
+            this.dashboard.showNotification('Overview reset to the default layout', 'success');
+        } catch (error) {
+            console.error('Failed to reset layout:', error);
+            this.dashboard.showNotification('Failed to reset layout', 'error');
+        }
+    }
+
+    /**
+     * Save the layout shortly after the last change
+     */
+    save() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => this.persist(), 800);
+    }
+
+    /**
+     * Save a pending change immediately
+     */
+    flushSave() {
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+            this.persist();
+        }
+    }
+
+    /**
+     * Send the layout to the server
+     */
+    async persist() {
+        this.saveTimer = null;
+
+        try {
+            await this.dashboard.ajaxRequest('ai_news_save_dashboard_layout', {
+                layout: JSON.stringify(this.getLayout())
+            });
+        } catch (error) {
+            console.error('Failed to save layout:', error);
+            this.dashboard.showNotification('Failed to save layout', 'error');
+        }
+    }
+
+    /**
+     * Refresh the add-widget list with widgets not on the grid
+     */
+    updateEditor() {
+        if (!this.editor) return;
+
+        const select = this.editor.querySelector('select');
+        const addButton = this.editor.querySelector('[data-editor-action="add"]');
+        const hidden = Array.from(this.widgets.entries()).filter(([, element]) => !element.isConnected);
+
+        AANP_Html.render(select, hidden.length
+            ? hidden.map(([id]) => AANP_Html.html`<option value="${id}">${this.catalog[id].title}</option>`)
+            : AANP_Html.html`<option value="">All widgets are shown</option>`);
+
+        select.disabled = hidden.length === 0;
+        addButton.disabled = hidden.length === 0;
+    }
+
+    /**
+     * Show the latest metrics store sample on live metric widgets
+     */
+    updateMetricWidgets(sample) {
+        this.widgets.forEach((element, id) => {
+            const widget = this.catalog[id];
+            const valueElement = element.querySelector('[data-widget-value]');
+
+            if (widget.metric && valueElement) {
+                valueElement.textContent = this.formatValue(sample[widget.metric], widget.unit);
+            }
+        });
+    }
+
+    /**
+     * Format a metric value for a card
+     */
+    formatValue(value, unit) {
+        if (value === null || value === undefined) {
+            return '—';
+        }
+
+        switch (unit) {
+            case 'ms':
+                return `${Math.round(value).toLocaleString()}ms`;
+            case '%':
+                return `${value.toFixed(1)}%`;
+            default:
+                return Math.round(value).toLocaleString();
+        }
+    }
+
+    /**
+     * Let Chart.js pick up new widget sizes
+     */
+    resizeCharts() {
+        this.widgets.forEach((element, id) => {
+            const chart = this.dashboard.charts[this.catalog[id].chart];
+            if (chart && element.isConnected) {
+                chart.resize();
+            }
+        });
+    }
+
+    /**
+     * Cleanup
+     */
+    destroy() {
+        this.flushSave();
+
+        if (this.unsubscribeMetrics) {
+            this.unsubscribeMetrics();
+        }
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AANP_WidgetLayout;
+}
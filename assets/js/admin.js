@@ -33,127 +33,292 @@ jQuery(document).ready(function($) {
         progressBar.css('width', '0%');
         statusText.text(aanp_ajax.generating_text);
         
-        // Simulate progress
-        var progress = 0;
-        var progressInterval = setInterval(function() {
-            progress += Math.random() * 15;
-            if (progress > 90) progress = 90;
-            progressBar.css('width', progress + '%');
-        }, 500);
-        
-        // Make AJAX request
+        // Queue the batch; its progress is then read from the queue
         $.ajax({
             url: aanp_ajax.ajax_url,
             type: 'POST',
             data: {
                 action: 'aanp_generate_posts',
-                nonce: aanp_ajax.nonce
+                nonce: aanp_ajax.queue_nonce
             },
             success: function(response) {
-                clearInterval(progressInterval);
-                progressBar.css('width', '100%');
+                if (response && typeof response === 'object' && response.success === true &&
+                    response.data && typeof response.data.batch_id === 'string') {
+                    pipeline.stages = response.data.stages || {};
+                    pipeline.batchId = response.data.batch_id;
+                    pollPipeline();
+                    return;
+                }
                 
-                // Validate response structure
-                if (response && typeof response === 'object' && response.success === true) {
-                    // Safely extract and validate message
-                    var message = response.data && typeof response.data.message === 'string' ?
-                                 escapeHtml(response.data.message) : 'Posts generated successfully';
-                    
-                    statusText.html('<span style="color: #00a32a;">✓ ' + message + '</span>');
-                    
-                    // Display generated posts with security validation
-                    if (response.data && response.data.posts && Array.isArray(response.data.posts) && response.data.posts.length > 0) {
-                        var postsHtml = '<ul>';
-                        $.each(response.data.posts, function(index, post) {
-                            // Validate post object structure
-                            if (post && typeof post === 'object' &&
-                                typeof post.title === 'string' &&
-                                typeof post.edit_link === 'string') {
-                                
-                                postsHtml += '<li>';
-                                // Escape title for HTML context
-                                postsHtml += '<strong>' + escapeHtml(post.title) + '</strong> ';
-                                
-                                // Validate and safely escape URL for href context
-                                if (isValidUrl(post.edit_link) && isSafeUrl(post.edit_link)) {
-                                    var safeUrl = escapeUrl(post.edit_link);
-                                    postsHtml += '<a href="' + safeUrl + '" class="button button-small" target="_blank" rel="noopener noreferrer">Edit Post</a>';
-                                } else {
-                                    postsHtml += '<span class="button button-small disabled" style="opacity: 0.6; cursor: not-allowed;">Invalid URL</span>';
-                                }
-                                postsHtml += '</li>';
-                            }
-                        });
-                        postsHtml += '</ul>';
-                        resultsList.html(postsHtml);
-                        resultsDiv.show();
-                    }
-                    
-                    // Show admin notice with sanitized message
-                    showAdminNotice(message, 'success');
-                    
+                // Handle error response with sanitized message
+                var errorMsg = 'Operation failed';
+                if (response && response.data && typeof response.data === 'string') {
+                    errorMsg = response.data;
+                } else if (typeof response === 'string') {
+                    errorMsg = response;
+                }
+                
+                finishGeneration(errorMsg, 'error');
+            },
+            error: function(xhr) {
+                finishGeneration(requestErrorMessage(xhr), 'error');
+            }
+        });
+    });
+    
+    // Content pipeline view state
+    var pipeline = {
+        batchId: null,
+        stages: {},
+        timer: null,
+        pollInterval: 2000
+    };
+    
+    var stageIcons = {
+        pending: 'dashicons-clock',
+        running: 'dashicons-update spin',
+        completed: 'dashicons-yes-alt',
+        skipped: 'dashicons-minus',
+        rejected: 'dashicons-filter',
+        failed: 'dashicons-dismiss'
+    };
+    
+    // Read the batch's tasks from the pipeline queue until every item is done
+    function pollPipeline() {
+        clearTimeout(pipeline.timer);
+        pipeline.timer = null;
+        
+        $.ajax({
+            url: aanp_ajax.ajax_url,
+            type: 'POST',
+            data: {
+                action: 'aanp_queue_status',
+                queue_name: 'content_pipeline',
+                nonce: aanp_ajax.queue_nonce
+            },
+            success: function(response) {
+                if (!response || response.success !== true || !response.data || !Array.isArray(response.data.tasks)) {
+                    finishGeneration(response && typeof response.data === 'string' ? response.data : 'Could not read the pipeline queue', 'error');
+                    return;
+                }
+                
+                var tasks = response.data.tasks.filter(function(task) {
+                    return task && task.data && task.data.batch_id === pipeline.batchId;
+                }).reverse();
+                
+                var summary = renderPipeline(tasks);
+                $('.aanp-progress-bar').css('width', summary.progress + '%');
+                
+                if (summary.running) {
+                    $('#aanp-status-text').text(summary.text);
+                    pipeline.timer = setTimeout(pollPipeline, pipeline.pollInterval);
                 } else {
-                    // Handle error response with sanitized message
-                    var errorMsg = 'Operation failed';
-                    if (response && response.data && typeof response.data === 'string') {
-                        errorMsg = response.data;
-                    } else if (typeof response === 'string') {
-                        errorMsg = response;
-                    }
-                    
-                    statusText.html('<span style="color: #d63638;">✗ ' + escapeHtml(errorMsg) + '</span>');
-                    showAdminNotice(errorMsg, 'error');
+                    showPipelineResults(tasks);
+                    finishGeneration(summary.text, summary.failed ? 'error' : 'success');
                 }
             },
-            error: function(xhr, status, error) {
-                clearInterval(progressInterval);
-                progressBar.css('width', '100%');
+            error: function(xhr) {
+                finishGeneration(requestErrorMessage(xhr), 'error');
+            }
+        });
+    }
+    
+    // Draw one row per item with a cell per stage; returns the batch summary
+    function renderPipeline(tasks) {
+        var container = $('#aanp-pipeline');
+        if (!container.length) {
+            container = $('<div id="aanp-pipeline" class="aanp-pipeline" aria-live="polite"></div>');
+            $('#aanp-generation-status').after(container);
+        }
+        
+        var stageKeys = Object.keys(pipeline.stages);
+        var fetchTask = tasks.filter(function(task) { return task.data.type === 'fetch'; })[0];
+        var items = tasks.filter(function(task) { return task.data.type === 'item'; });
+        
+        // The fetch task has its own row until it has queued the items
+        var rows = items.length ? items : (fetchTask ? [fetchTask] : []);
+        var finishedStages = 0;
+        var counts = { created: 0, filtered: 0, failed: 0, active: 0 };
+        
+        var rowsHtml = rows.map(function(task) {
+            var progress = task.progress || {};
+            var title = task.data.type === 'fetch' ? 'Fetching feeds' : (task.data.article && task.data.article.title) || task.id;
+            var error = '';
+            
+            stageKeys.forEach(function(stage) {
+                if (progress[stage] && progress[stage].status === 'failed' && progress[stage].error) {
+                    error = pipeline.stages[stage] + ': ' + progress[stage].error;
+                }
+            });
+            if (!error && task.status === 'failed' && task.error_message) {
+                error = task.error_message;
+            }
+            
+            var cells = stageKeys.map(function(stage) {
+                var entry = progress[stage] || { status: 'pending' };
+                var status = stageIcons[entry.status] ? entry.status : 'pending';
+                var detail = entry.error || entry.detail || status;
                 
-                // Secure error handling - don't expose sensitive information
-                var errorMsg = 'Request failed. Please try again.';
-                if (xhr.status === 403) {
-                    errorMsg = 'Access denied. Please refresh the page and try again.';
-                } else if (xhr.status === 500) {
-                    errorMsg = 'Server error occurred. Please contact the administrator.';
-                } else if (xhr.status === 0) {
-                    errorMsg = 'Network error. Please check your connection.';
+                if (status !== 'pending' && status !== 'running') {
+                    finishedStages++;
                 }
-                // Don't log the actual error message to avoid information disclosure
                 
-                statusText.html('<span style="color: #d63638;">✗ ' + escapeHtml(errorMsg) + '</span>');
-                showAdminNotice(errorMsg, 'error');
+                return AANP_Html.html`<td class="aanp-stage is-${status}" title="${detail}">
+                    <span class="dashicons ${stageIcons[status]}" aria-hidden="true"></span>
+                    <span class="screen-reader-text">${status}</span>
+                    ${entry.duration_ms !== undefined && AANP_Html.html`<small>${formatDuration(entry.duration_ms)}</small>`}
+                </td>`;
+            });
+            
+            if (task.status === 'failed') {
+                counts.failed++;
+            } else if (task.status === 'pending' || task.status === 'processing') {
+                counts.active++;
+            } else if (progress.filter && progress.filter.status === 'rejected') {
+                counts.filtered++;
+            } else if (task.data.type === 'item') {
+                counts.created++;
+            }
+            
+            return AANP_Html.html`<tr class="aanp-pipeline-item is-${task.status}">
+                <td>
+                    <strong>${title}</strong>
+                    ${error && AANP_Html.html`<div class="aanp-pipeline-error">${error}</div>`}
+                </td>
+                ${cells}
+                <td>
+                    ${task.status === 'failed' && AANP_Html.html`<button type="button" class="button button-small aanp-pipeline-retry" data-task-id="${task.id}">Retry</button>`}
+                </td>
+            </tr>`;
+        });
+        
+        container.html(String(AANP_Html.html`
+            <table class="widefat striped aanp-pipeline-table">
+                <thead>
+                    <tr>
+                        <th>Item</th>
+                        ${stageKeys.map(function(stage) { return AANP_Html.html`<th>${pipeline.stages[stage]}</th>`; })}
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>${rowsHtml}</tbody>
+            </table>
+        `));
+        
+        var total = rows.length * stageKeys.length;
+        var running = !fetchTask || counts.active > 0;
+        var text;
+        
+        if (!items.length) {
+            text = !fetchTask || running ? 'Fetching RSS feeds...' :
+                (fetchTask.status === 'failed' ? 'Fetching feeds failed' : 'No new articles found');
+        } else {
+            text = counts.created + ' created, ' + counts.filtered + ' filtered out, ' + counts.failed + ' failed' +
+                (counts.active ? ', ' + counts.active + ' in progress' : '');
+        }
+        
+        return {
+            running: running,
+            failed: counts.failed > 0 || (fetchTask && fetchTask.status === 'failed'),
+            progress: total ? Math.round(finishedStages / total * 100) : 0,
+            text: text
+        };
+    }
+    
+    // List the posts a finished batch created
+    function showPipelineResults(tasks) {
+        var resultsDiv = $('#aanp-generation-results');
+        var resultsList = $('#aanp-results-list');
+        var posts = tasks.map(function(task) {
+            return task.progress && task.progress.publish;
+        }).filter(function(publish) {
+            return publish && publish.status === 'completed' && typeof publish.title === 'string';
+        });
+        
+        if (posts.length) {
+            resultsList.html(String(AANP_Html.html`<ul>
+                ${posts.map(function(publish) {
+                    // Only valid, safe edit links get a button
+                    var editable = typeof publish.edit_link === 'string' && isValidUrl(publish.edit_link) && isSafeUrl(publish.edit_link);
+                    
+                    return AANP_Html.html`<li>
+                        <strong>${publish.title}</strong>
+                        ${editable && AANP_Html.html`<a href="${publish.edit_link}" class="button button-small" target="_blank" rel="noopener noreferrer">Edit Post</a>`}
+                    </li>`;
+                })}
+            </ul>`));
+            resultsDiv.show();
+        }
+    }
+    
+    // Retry a failed item from the stage it failed at
+    $(document).on('click', '.aanp-pipeline-retry', function() {
+        var button = $(this);
+        button.prop('disabled', true).text('Retrying...');
+        
+        $.ajax({
+            url: aanp_ajax.ajax_url,
+            type: 'POST',
+            data: {
+                action: 'aanp_retry_task',
+                task_id: button.data('task-id'),
+                queue_name: 'content_pipeline',
+                nonce: aanp_ajax.queue_nonce
             },
-            complete: function() {
-                // Re-enable button
-                button.prop('disabled', false);
-                button.find('.dashicons').removeClass('spin');
-                
-                // Hide progress after delay
-                setTimeout(function() {
-                    statusDiv.fadeOut();
-                }, 3000);
+            success: function(response) {
+                if (response && response.success === true) {
+                    $('#aanp-generate-posts').prop('disabled', true).find('.dashicons').addClass('spin');
+                    $('#aanp-generation-status').stop(true).show();
+                    pollPipeline();
+                } else {
+                    button.prop('disabled', false).text('Retry');
+                    showAdminNotice(response && typeof response.data === 'string' ? response.data : 'Failed to retry item', 'error');
+                }
+            },
+            error: function(xhr) {
+                button.prop('disabled', false).text('Retry');
+                showAdminNotice(requestErrorMessage(xhr), 'error');
             }
         });
     });
     
-    // Helper function to escape HTML
-    function escapeHtml(text) {
-        var map = {
-            '&': '&amp;',
-            '<': '&lt;',
-            '>': '&gt;',
-            '"': '&quot;',
-            "'": '&#039;'
-        };
-        return text.replace(/[&<>"']/g, function(m) { return map[m]; });
+    // Stop polling and report the outcome
+    function finishGeneration(message, type) {
+        var button = $('#aanp-generate-posts');
+        var statusDiv = $('#aanp-generation-status');
+        var color = type === 'success' ? '#00a32a' : '#d63638';
+        
+        clearTimeout(pipeline.timer);
+        pipeline.timer = null;
+        
+        $('.aanp-progress-bar').css('width', '100%');
+        $('#aanp-status-text').html('<span style="color: ' + color + ';">' + (type === 'success' ? '✓ ' : '✗ ') + AANP_Html.escape(message) + '</span>');
+        showAdminNotice(message, type);
+        
+        // Re-enable button
+        button.prop('disabled', false);
+        button.find('.dashicons').removeClass('spin');
+        
+        // Hide progress after delay; the pipeline table stays for retries
+        setTimeout(function() {
+            statusDiv.fadeOut();
+        }, 3000);
+    }
     
-    // URL escaping function for href attributes
-    function escapeUrl(url) {
-        if (typeof url !== 'string') {
-            return '#';
+    // Secure error handling - don't expose sensitive information
+    function requestErrorMessage(xhr) {
+        if (xhr.status === 403) {
+            return 'Access denied. Please refresh the page and try again.';
+        } else if (xhr.status === 500) {
+            return 'Server error occurred. Please contact the administrator.';
+        } else if (xhr.status === 0) {
+            return 'Network error. Please check your connection.';
         }
-        // Encode special characters in URLs for safe href usage
-        return encodeURIComponent(url);
+        return 'Request failed. Please try again.';
+    }
+    
+    function formatDuration(ms) {
+        return ms < 1000 ? Math.round(ms) + 'ms' : (ms / 1000).toFixed(1) + 's';
     }
     
     // Additional security check for URLs
@@ -176,12 +341,11 @@ jQuery(document).ready(function($) {
             return pattern.test(url);
         });
     }
-    }
     
     // Helper function to show admin notices
     function showAdminNotice(message, type) {
         var noticeClass = type === 'success' ? 'notice-success' : 'notice-error';
-        var notice = $('<div class="notice ' + noticeClass + ' is-dismissible"><p>' + escapeHtml(message) + '</p></div>');
+        var notice = $('<div class="notice ' + noticeClass + ' is-dismissible"><p>' + AANP_Html.escape(message) + '</p></div>');
         
         // Insert after the page title
         $('.wrap h1').after(notice);
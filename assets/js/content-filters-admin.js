@@ -145,9 +145,9 @@
                 if (response.success) {
                     const bundle = response.data.bundle;
                     $('#bundle-description').text(bundle.description);
-                    $('#bundle-feeds-count').html(`<strong>${response.data.enabled_feeds}</strong> feeds`);
-                    $('#bundle-keywords').html(`<strong>${(bundle.positive_keywords || '').split(',').length}</strong> keywords`);
-                    $('#bundle-categories').html(`<strong>${(bundle.categories || []).length}</strong> categories`);
+                    $('#bundle-feeds-count').html(String(AANP_Html.html`<strong>${response.data.enabled_feeds}</strong> feeds`));
+                    $('#bundle-keywords').html(String(AANP_Html.html`<strong>${(bundle.positive_keywords || '').split(',').length}</strong> keywords`));
+                    $('#bundle-categories').html(String(AANP_Html.html`<strong>${(bundle.categories || []).length}</strong> categories`));
                 }
             }
         });
@@ -248,9 +248,8 @@
             { name: 'Business Only', positive: 'business, economy, finance, market', negative: '-politics, -sports' }
         ];
         
-        let html = '';
-        examplePresets.forEach(function(preset) {
-            html += `
+        const presets = examplePresets.map(function(preset) {
+            return AANP_Html.html`
                 <div class="aanp-preset-item">
                     <span class="aanp-preset-name">${preset.name}</span>
                     <button type="button" class="button button-small load-preset" data-name="${preset.name}">
@@ -260,8 +259,8 @@
             `;
         });
         
-        if (html) {
-            $container.html(html);
+        if (presets.length > 0) {
+            $container.html(AANP_Html.toMarkup(presets));
         } else {
             $container.html('<div class="aanp-no-presets">No saved presets found</div>');
         }
@@ -427,40 +426,21 @@
         const $container = $('#preview-results');
         
         if (!data.preview_items || data.preview_items.length === 0) {
-            $container.html(`
+            $container.html(String(AANP_Html.html`
                 <div class="aanp-preview-empty">
                     <span class="dashicons dashicons-info"></span>
                     <p>${aanpFilterAjax.strings.no_results}</p>
                 </div>
-            `);
+            `));
             return;
         }
         
-        let html = `
-            <div class="aanp-preview-stats">
-                <div class="aanp-stat accepted">
-                    <span class="count">${data.statistics.accepted_items}</span>
-                    <span class="label">Accepted</span>
-                </div>
-                <div class="aanp-stat rejected">
-                    <span class="count">${data.statistics.rejected_items}</span>
-                    <span class="label">Rejected</span>
-                </div>
-                <div class="aanp-stat rate">
-                    <span class="count">${data.statistics.acceptance_rate}%</span>
-                    <span class="label">Acceptance Rate</span>
-                </div>
-            </div>
-            
-            <div class="aanp-preview-items">
-        `;
-        
-        data.preview_items.forEach(function(item, index) {
+        const items = data.preview_items.map(function(item) {
             const statusClass = item.accepted ? 'accepted' : 'rejected';
             const statusIcon = item.accepted ? 'yes-alt' : 'dismiss';
             const statusText = item.accepted ? 'ACCEPTED' : 'REJECTED';
             
-            html += `
+            return AANP_Html.html`
                 <div class="aanp-preview-item ${statusClass}">
                     <div class="aanp-item-header">
                         <span class="aanp-item-status">
@@ -470,29 +450,45 @@
                         <span class="aanp-item-date">${formatDate(item.pub_date)}</span>
                     </div>
                     <div class="aanp-item-content">
-                        <h4 class="aanp-item-title">${escapeHtml(item.title)}</h4>
-                        <p class="aanp-item-description">${escapeHtml(item.description)}</p>
+                        <h4 class="aanp-item-title">${item.title}</h4>
+                        <p class="aanp-item-description">${item.description}</p>
                         <div class="aanp-item-meta">
-                            <span class="aanp-item-source">${escapeHtml(item.source)}</span>
-                            ${item.filter_result.matched_keywords.length > 0 ? 
-                                `<span class="aanp-matched-keywords">Matches: ${item.filter_result.matched_keywords.join(', ')}</span>` : ''
+                            <span class="aanp-item-source">${item.source}</span>
+                            ${item.filter_result.matched_keywords.length > 0 &&
+                                AANP_Html.html`<span class="aanp-matched-keywords">Matches: ${item.filter_result.matched_keywords.join(', ')}</span>`
                             }
                         </div>
                     </div>
-                    ${item.filter_result.rejection_reasons.length > 0 ?
-                        `<div class="aanp-rejection-reasons">
+                    ${item.filter_result.rejection_reasons.length > 0 &&
+                        AANP_Html.html`<div class="aanp-rejection-reasons">
                             <strong>Reasons:</strong>
                             <ul>
-                                ${item.filter_result.rejection_reasons.map(reason => `<li>${escapeHtml(reason)}</li>`).join('')}
+                                ${item.filter_result.rejection_reasons.map(reason => AANP_Html.html`<li>${reason}</li>`)}
                             </ul>
-                        </div>` : ''
+                        </div>`
                     }
                 </div>
             `;
         });
         
-        html += '</div>';
-        $container.html(html);
+        $container.html(String(AANP_Html.html`
+            <div class="aanp-preview-stats">
+                <div class="aanp-stat accepted">
+                    <span class="count">${data.statistics.accepted_items}</span>
+                    <span class="label">Accepted</span>
+                </div>
+                <div class="aanp-stat rejected">
+                    <span class="count">${data.statistics.rejected_items}</span>
+                    <span class="label">Rejected</span>
+                </div>
+                <div class="aanp-stat rate">
+                    <span class="count">${data.statistics.acceptance_rate}%</span>
+                    <span class="label">Acceptance Rate</span>
+                </div>
+            </div>
+            
+            <div class="aanp-preview-items">${items}</div>
+        `));
         
         updatePreviewStats(data.statistics);
     }
@@ -501,12 +497,12 @@
      * Show preview error
      */
     function showPreviewError(message) {
-        $('#preview-results').html(`
+        $('#preview-results').html(String(AANP_Html.html`
             <div class="aanp-preview-error">
                 <span class="dashicons dashicons-warning"></span>
-                <p>${escapeHtml(message)}</p>
+                <p>${message}</p>
             </div>
-        `);
+        `));
     }
 
     /**
@@ -514,10 +510,10 @@
      */
     function updatePreviewStats(stats) {
         if (stats) {
-            $('#preview-stats').html(` 
-                Showing ${stats.accepted_items} accepted / ${stats.total_items} total items 
-                (${stats.acceptance_rate}% acceptance rate)
-            `);
+            $('#preview-stats').text(
+                `Showing ${stats.accepted_items} accepted / ${stats.total_items} total items ` +
+                `(${stats.acceptance_rate}% acceptance rate)`
+            );
         } else {
             $('#preview-stats').text('Ready to preview filtering results');
         }
@@ -637,12 +633,12 @@
      * Show notification
      */
     function showNotification(message, type) {
-        const $notification = $(`
+        const $notification = $(String(AANP_Html.html`
             <div class="aanp-notification aanp-notification-${type}">
                 <span class="dashicons dashicons-${type === 'success' ? 'yes-alt' : 'warning'}"></span>
-                <span>${escapeHtml(message)}</span>
+                <span>${message}</span>
             </div>
-        `);
+        `));
         
         $('body').append($notification);
         
@@ -671,17 +667,6 @@
         };
     }
 
-    function escapeHtml(text) {
-        const map = {
-            '&': '&',
-            '<': '<',
-            '>': '>',
-            '"': '"',
-            "'": '&#039;'
-        };
-        return text.replace(/[&<>"']/g, m => map[m]);
-    }
-
     function formatDate(dateString) {
         const date = new Date(dateString);
         const now = new Date();
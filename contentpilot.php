@@ -40,12 +40,16 @@ require_once CP_PLUGIN_DIR . 'includes/class-error-handler.php';
 require_once CP_PLUGIN_DIR . 'includes/class-rate-limiter.php';
 require_once CP_PLUGIN_DIR . 'includes/class-cache-manager.php';
 require_once CP_PLUGIN_DIR . 'includes/class-logger.php';
+require_once CP_PLUGIN_DIR . 'includes/class-capabilities.php';
 
 // Initialize plugin
 function cp_initialize_plugin() {
     // Initialize admin settings
     $admin_settings = new CP_Admin_Settings();
 
+    // Map dashboard capabilities onto WordPress roles
+    CP_Capabilities::init();
+
     // Initialize services
     $news_fetch = new CP_News_Fetch();
     $ai_generator = new CP_AI_Generator();
@@ -77,6 +81,9 @@ function cp_activate_plugin() {
     $admin_settings = new CP_Admin_Settings();
     $admin_settings->setup_default_settings();
 
+    // Grant dashboard capabilities to the default roles
+    CP_Capabilities::install_roles();
+
     // Log activation
     $logger = CP_Logger::getInstance();
     $logger->info('ContentPilot plugin activated', array('version' => CP_VERSION));
@@ -98,6 +105,7 @@ function cp_uninstall_plugin() {
     // Clean up database tables, options, etc.
     $admin_settings = new CP_Admin_Settings();
     $admin_settings->cleanup_plugin_data();
+    CP_Capabilities::remove_roles();
 
     // Log uninstall
     $logger = CP_Logger::getInstance();
@@ -114,6 +122,12 @@ function cp_load_textdomain() {
 }
 add_action('plugins_loaded', 'cp_load_textdomain');
 
+// Register scripts shared by several admin pages; pages list them as dependencies
+function cp_register_admin_scripts() {
+    wp_register_script('aanp-safe-html', CP_PLUGIN_URL . 'admin/dashboard/assets/js/safe-html.js', array(), CP_VERSION, true);
+}
+add_action('admin_enqueue_scripts', 'cp_register_admin_scripts', 5);
+
 // Add plugin action links
 function cp_add_plugin_action_links($links) {
     $settings_link = '<a href="' . admin_url('admin.php?page=contentpilot-settings') . '">' . __('Settings', 'contentpilot') . '</a>';
@@ -0,0 +1,401 @@
+<?php
+/**
+ * API Key Manager
+ *
+ * Issues, lists, rotates and revokes scoped API keys for the REST API.
+ * Keys are stored hashed; only a short prefix is kept for display.
+ *
+ * @package AI_Auto_News_Poster
+ * @subpackage Includes/API
+ * @since 2.0.0
+ */
+
+if (!defined('ABSPATH')) {
+    exit; // Exit if accessed directly
+}
+
+class ApiKeyManager {
+
+    /**
+     * Database schema version
+     */
+    const DB_VERSION = '1.0';
+
+    /**
+     * Prefix prepended to every generated key
+     */
+    const KEY_PREFIX = 'aanp_';
+
+    /**
+     * Number of key characters shown in listings
+     */
+    const DISPLAY_PREFIX_LENGTH = 12;
+
+    /**
+     * Grantable scopes
+     */
+    const SCOPES = [
+        'content:read' => 'Read content',
+        'generate' => 'Generate and edit content',
+        'monitoring' => 'Monitoring and analytics'
+    ];
+
+    /**
+     * API key manager instance (singleton)
+     */
+    private static $instance = null;
+
+    /**
+     * Get singleton instance
+     */
+    public static function get_instance() {
+        if (self::$instance === null) {
+            self::$instance = new self();
+        }
+        return self::$instance;
+    }
+
+    /**
+     * Constructor
+     */
+    private function __construct() {
+        $this->init();
+    }
+
+    /**
+     * Initialize API key manager
+     */
+    private function init() {
+        if (get_option('ai_news_api_keys_db_version') !== self::DB_VERSION) {
+            self::create_database_tables();
+        }
+
+        $this->setup_hooks();
+    }
+
+    /**
+     * Set up WordPress hooks
+     */
+    private function setup_hooks() {
+        add_action('wp_ajax_ai_news_generate_api_key', [$this, 'ajax_generate_api_key']);
+        add_action('wp_ajax_ai_news_get_api_keys', [$this, 'ajax_get_api_keys']);
+        add_action('wp_ajax_ai_news_revoke_api_key', [$this, 'ajax_revoke_api_key']);
+        add_action('wp_ajax_ai_news_rotate_api_key', [$this, 'ajax_rotate_api_key']);
+    }
+
+    /**
+     * Create a new API key
+     *
+     * Returns the plaintext key once; it cannot be recovered afterwards.
+     */
+    public function create_key($user_id, $name, $scopes, $expires_at = null) {
+        global $wpdb;
+
+        $scopes = $this->sanitize_scopes($scopes);
+        if (empty($scopes)) {
+            return new WP_Error('invalid_scopes', 'At least one scope is required');
+        }
+
+        $api_key = self::KEY_PREFIX . wp_generate_password(40, false);
+
+        $result = $wpdb->insert(
+            $this->get_table_name(),
+            [
+                'name' => $name,
+                'api_key' => self::hash_key($api_key),
+                'key_prefix' => substr($api_key, 0, self::DISPLAY_PREFIX_LENGTH),
+                'user_id' => $user_id,
+                'scopes' => implode(',', $scopes),
+                'status' => 'active',
+                'created_at' => current_time('mysql', true),
+                'expires_at' => $expires_at
+            ],
+            ['%s', '%s', '%s', '%d', '%s', '%s', '%s', '%s']
+        );
+
+        if ($result === false) {
+            return new WP_Error('api_key_creation_failed', 'Failed to store API key');
+        }
+
+        return [
+            'id' => (int) $wpdb->insert_id,
+            'api_key' => $api_key
+        ];
+    }
+
+    /**
+     * Get all keys, newest first
+     */
+    public function get_keys() {
+        global $wpdb;
+
+        $table_name = $this->get_table_name();
+        $rows = $wpdb->get_results(
+            "SELECT id, name, key_prefix, user_id, scopes, status, created_at, expires_at, last_used_at, request_count, revoked_at
+             FROM {$table_name}
+             ORDER BY created_at DESC"
+        );
+
+        return array_map([$this, 'format_key'], $rows ?: []);
+    }
+
+    /**
+     * Get a single key row
+     */
+    public function get_key($key_id) {
+        global $wpdb;
+
+        $table_name = $this->get_table_name();
+        return $wpdb->get_row($wpdb->prepare(
+            "SELECT * FROM {$table_name} WHERE id = %d",
+            $key_id
+        ));
+    }
+
+    /**
+     * Revoke a key
+     */
+    public function revoke_key($key_id) {
+        global $wpdb;
+
+        $result = $wpdb->update(
+            $this->get_table_name(),
+            [
+                'status' => 'revoked',
+                'revoked_at' => current_time('mysql', true)
+            ],
+            ['id' => $key_id, 'status' => 'active'],
+            ['%s', '%s'],
+            ['%d', '%s']
+        );
+
+        return $result > 0;
+    }
+
+    /**
+     * Replace a key with a new one carrying the same name, scopes and expiry
+     */
+    public function rotate_key($key_id) {
+        $key = $this->get_key($key_id);
+
+        if (!$key || $key->status !== 'active') {
+            return new WP_Error('api_key_not_found', 'Active API key not found');
+        }
+
+        $new_key = $this->create_key(
+            (int) $key->user_id,
+            $key->name,
+            explode(',', $key->scopes),
+            $key->expires_at
+        );
+
+        if (is_wp_error($new_key)) {
+            return $new_key;
+        }
+
+        $this->revoke_key($key_id);
+
+        return $new_key;
+    }
+
+    /**
+     * Look up an active, unexpired key by its plaintext value
+     */
+    public function find_active_key($api_key) {
+        global $wpdb;
+
+        $table_name = $this->get_table_name();
+        return $wpdb->get_row($wpdb->prepare(
+            "SELECT id, user_id, scopes FROM {$table_name}
+             WHERE api_key = %s AND status = 'active' AND (expires_at IS NULL OR expires_at > %s)",
+            self::hash_key($api_key),
+            current_time('mysql', true)
+        )) ?: false;
+    }
+
+    /**
+     * Record a request made with a key
+     */
+    public function record_usage($key_id) {
+        global $wpdb;
+
+        $table_name = $this->get_table_name();
+        $wpdb->query($wpdb->prepare(
+            "UPDATE {$table_name} SET request_count = request_count + 1, last_used_at = %s WHERE id = %d",
+            current_time('mysql', true),
+            $key_id
+        ));
+    }
+
+    /**
+     * Hash a plaintext key for storage and lookup
+     */
+    public static function hash_key($api_key) {
+        return hash_hmac('sha256', $api_key, wp_salt('auth'));
+    }
+
+    // AJAX handlers
+
+    public function ajax_generate_api_key() {
+        $this->verify_ajax_request('api_key_generate');
+
+        $name = sanitize_text_field($_POST['name'] ?? '');
+        $scopes = array_map('sanitize_text_field', (array) ($_POST['scopes'] ?? array_keys(self::SCOPES)));
+        $expires_at = $this->parse_expiry(sanitize_text_field($_POST['expires_at'] ?? ''));
+
+        if (is_wp_error($expires_at)) {
+            wp_send_json_error($expires_at->get_error_message());
+        }
+
+        $result = $this->create_key(
+            get_current_user_id(),
+            $name ?: 'API key ' . current_time('Y-m-d'),
+            $scopes,
+            $expires_at
+        );
+
+        if (is_wp_error($result)) {
+            wp_send_json_error($result->get_error_message());
+        }
+
+        wp_send_json_success([
+            'api_key' => $result['api_key'],
+            'key' => $this->format_key($this->get_key($result['id'])),
+            'message' => 'API key generated successfully'
+        ]);
+    }
+
+    public function ajax_get_api_keys() {
+        $this->verify_ajax_request('api_key_list');
+
+        wp_send_json_success([
+            'keys' => $this->get_keys(),
+            'scopes' => self::SCOPES
+        ]);
+    }
+
+    public function ajax_revoke_api_key() {
+        $this->verify_ajax_request('api_key_revoke');
+
+        $key_id = absint($_POST['key_id'] ?? 0);
+
+        if (!$this->revoke_key($key_id)) {
+            wp_send_json_error('Active API key not found');
+        }
+
+        wp_send_json_success(['message' => 'API key revoked']);
+    }
+
+    public function ajax_rotate_api_key() {
+        $this->verify_ajax_request('api_key_rotate');
+
+        $result = $this->rotate_key(absint($_POST['key_id'] ?? 0));
+
+        if (is_wp_error($result)) {
+            wp_send_json_error($result->get_error_message());
+        }
+
+        wp_send_json_success([
+            'api_key' => $result['api_key'],
+            'key' => $this->format_key($this->get_key($result['id'])),
+            'message' => 'API key rotated'
+        ]);
+    }
+
+    // Utility methods
+
+    private function verify_ajax_request($endpoint) {
+        if (AANP_Rate_Limiter::getInstance()->is_rate_limited($endpoint)) {
+            AANP_Error_Handler::getInstance()->handle_error(
+                'Rate limit exceeded for API key management',
+                ['endpoint' => $endpoint],
+                'rate_limiting'
+            );
+            wp_send_json_error('Rate limit exceeded. Please try again later');
+        }
+
+        if (!wp_verify_nonce($_POST['nonce'] ?? '', 'ai_news_dashboard_nonce')) {
+            wp_send_json_error('Security check failed');
+        }
+
+        if (!CP_Capabilities::user_can('manage-keys')) {
+            wp_send_json_error('Insufficient permissions');
+        }
+    }
+
+    private function parse_expiry($date) {
+        if ($date === '') {
+            return null;
+        }
+
+        $timestamp = strtotime($date . ' 23:59:59 UTC');
+        if (!$timestamp || $timestamp <= time()) {
+            return new WP_Error('invalid_expiry', 'Expiry date must be in the future');
+        }
+
+        return gmdate('Y-m-d H:i:s', $timestamp);
+    }
+
+    private function sanitize_scopes($scopes) {
+        return array_values(array_intersect(array_keys(self::SCOPES), (array) $scopes));
+    }
+
+    private function format_key($row) {
+        $expired = $row->expires_at && strtotime($row->expires_at . ' UTC') <= time();
+
+        return [
+            'id' => (int) $row->id,
+            'name' => $row->name,
+            'prefix' => $row->key_prefix,
+            'user' => get_the_author_meta('display_name', $row->user_id),
+            'scopes' => $row->scopes ? explode(',', $row->scopes) : [],
+            'status' => $row->status === 'active' && $expired ? 'expired' : $row->status,
+            'created_at' => $row->created_at ? strtotime($row->created_at . ' UTC') : null,
+            'expires_at' => $row->expires_at ? strtotime($row->expires_at . ' UTC') : null,
+            'last_used_at' => $row->last_used_at ? strtotime($row->last_used_at . ' UTC') : null,
+            'request_count' => (int) $row->request_count
+        ];
+    }
+
+    private function get_table_name() {
+        global $wpdb;
+        return $wpdb->prefix . 'ai_news_api_keys';
+    }
+
+    /**
+     * Create database tables
+     */
+    public static function create_database_tables() {
+        global $wpdb;
+
+        $charset_collate = $wpdb->get_charset_collate();
+        $table_name = $wpdb->prefix . 'ai_news_api_keys';
+
+        $sql = "CREATE TABLE {$table_name} (
+            id bigint(20) NOT NULL AUTO_INCREMENT,
+            name varchar(100) NOT NULL,
+            api_key char(64) NOT NULL,
+            key_prefix varchar(20) NOT NULL,
+            user_id bigint(20) NOT NULL,
+            scopes varchar(255) NOT NULL DEFAULT '',
+            status varchar(20) NOT NULL DEFAULT 'active',
+            created_at datetime NOT NULL,
+            expires_at datetime DEFAULT NULL,
+            last_used_at datetime DEFAULT NULL,
+            request_count bigint(20) NOT NULL DEFAULT 0,
+            revoked_at datetime DEFAULT NULL,
+            PRIMARY KEY  (id),
+            UNIQUE KEY api_key (api_key),
+            KEY user_id (user_id),
+            KEY status (status)
+        ) {$charset_collate};";
+
+        require_once(ABSPATH . 'wp-admin/includes/upgrade.php');
+        dbDelta($sql);
+
+        update_option('ai_news_api_keys_db_version', self::DB_VERSION);
+    }
+}
+
+// Initialize the API key manager
+ApiKeyManager::get_instance();
@@ -1452,15 +1452,14 @@ class GraphQLEndpoint {
             return false;
         }
         
-        global $wpdb;
+        if (!class_exists('ApiKeyManager')) {
+            return false;
+        }
         
-        $result = $wpdb->get_row($wpdb->prepare(
-            "SELECT user_id FROM {$wpdb->prefix}ai_news_api_keys 
-             WHERE api_key = %s AND status = 'active' AND expires_at > NOW()",
-            $api_key
-        ));
+        $result = ApiKeyManager::get_instance()->find_active_key($api_key);
         
         if ($result) {
+            ApiKeyManager::get_instance()->record_usage($result->id);
             wp_set_current_user($result->user_id);
             return true;
         }
@@ -26,6 +26,11 @@ class RestAPI {
      */
     const API_NAMESPACE = 'ai-auto-news';
     
+    /**
+     * Routes that do not require authentication
+     */
+    const PUBLIC_ROUTES = ['/auth/token', '/auth/oauth2/token', '/health', '/info'];
+    
     /**
      * JWT secret key
      */
@@ -46,6 +51,11 @@ class RestAPI {
      */
     private $api_stats = [];
     
+    /**
+     * API key record for the current request
+     */
+    private $api_key_record = null;
+    
     /**
      * Get singleton instance
      */
@@ -228,7 +238,7 @@ class RestAPI {
                 'status' => [
                     'required' => false,
                     'type' => 'string',
-                    'enum' => ['publish', 'draft', 'pending', 'private']
+                    'enum' => ['publish', 'draft', 'pending', 'private', 'any']
                 ],
                 'type' => [
                     'required' => false,
@@ -237,10 +247,55 @@ class RestAPI {
                 'search' => [
                     'required' => false,
                     'type' => 'string'
+                ],
+                'orderby' => [
+                    'required' => false,
+                    'type' => 'string',
+                    'enum' => ['date', 'modified', 'title', 'status', 'seo_score'],
+                    'default' => 'date'
+                ],
+                'order' => [
+                    'required' => false,
+                    'type' => 'string',
+                    'enum' => ['asc', 'desc'],
+                    'default' => 'desc'
+                ],
+                'source' => [
+                    'required' => false,
+                    'type' => 'string'
+                ],
+                'generated' => [
+                    'required' => false,
+                    'type' => 'boolean'
                 ]
             ]
         ]);
-        
+
+        register_rest_route(self::API_NAMESPACE . '/' . self::API_VERSION, '/content/bulk', [
+            'methods' => 'POST',
+            'callback' => [$this, 'bulk_update_content'],
+            'permission_callback' => [$this, 'check_api_authentication'],
+            'args' => [
+                'ids' => [
+                    'required' => true,
+                    'type' => 'array',
+                    'items' => ['type' => 'integer'],
+                    'minItems' => 1,
+                    'maxItems' => 100
+                ],
+                'action' => [
+                    'required' => true,
+                    'type' => 'string',
+                    'enum' => ['publish', 'unpublish', 'regenerate', 'delete']
+                ],
+                'force' => [
+                    'required' => false,
+                    'type' => 'boolean',
+                    'default' => false
+                ]
+            ]
+        ]);
+
         register_rest_route(self::API_NAMESPACE . '/' . self::API_VERSION, '/content/(?P<id>\d+)', [
             'methods' => 'GET',
             'callback' => [$this, 'get_content_item'],
@@ -645,6 +700,10 @@ class RestAPI {
      * Check if user is authenticated
      */
     private function is_authenticated() {
+        if ($this->is_cookie_authenticated() || $this->get_api_key_record()) {
+            return true;
+        }
+        
         $token = $this->get_bearer_token();
         if (!$token) {
             return false;
@@ -653,6 +712,18 @@ class RestAPI {
         return $this->validate_jwt_token($token) !== false;
     }
     
+    /**
+     * Check for a logged-in dashboard session with a valid REST nonce
+     */
+    private function is_cookie_authenticated() {
+        $nonce = $_SERVER['HTTP_X_WP_NONCE'] ?? '';
+        if (!$nonce || !is_user_logged_in()) {
+            return false;
+        }
+        
+        return wp_verify_nonce($nonce, 'wp_rest') && current_user_can('edit_posts');
+    }
+    
     /**
      * Authenticate API request
      */
@@ -669,7 +740,27 @@ class RestAPI {
         // Authenticate user
         $user_id = $this->authenticate_jwt_request();
         if (!$user_id) {
-            $user_id = $this->authenticate_api_key_request();
+            $api_key = $this->get_api_key_record();
+            
+            if ($api_key) {
+                $required_scope = $this->get_required_scope($request);
+                $scopes = $api_key->scopes ? explode(',', $api_key->scopes) : [];
+                
+                if (!in_array($required_scope, $scopes, true)) {
+                    return new WP_Error(
+                        'rest_forbidden_scope',
+                        sprintf('This API key does not have the "%s" scope required for this endpoint.', $required_scope),
+                        ['status' => 403]
+                    );
+                }
+                
+                ApiKeyManager::get_instance()->record_usage($api_key->id);
+                $user_id = (int) $api_key->user_id;
+            }
+        }
+        
+        if (!$user_id && $this->is_cookie_authenticated()) {
+            $user_id = get_current_user_id();
         }
         
         if (!$user_id) {
@@ -704,12 +795,43 @@ class RestAPI {
      * Authenticate API key request
      */
     private function authenticate_api_key_request() {
-        $api_key = $this->get_api_key_from_request();
-        if (!$api_key) {
-            return false;
+        $api_key = $this->get_api_key_record();
+        
+        return $api_key ? (int) $api_key->user_id : false;
+    }
+    
+    /**
+     * Get the validated API key record for the current request
+     */
+    private function get_api_key_record() {
+        if ($this->api_key_record === null) {
+            $api_key = $this->get_api_key_from_request();
+            $this->api_key_record = $api_key ? $this->validate_api_key($api_key) : false;
         }
         
-        return $this->validate_api_key($api_key);
+        return $this->api_key_record;
+    }
+    
+    /**
+     * Get the API key scope required by a request
+     */
+    private function get_required_scope($request) {
+        $route = preg_replace('#^/' . preg_quote(self::API_NAMESPACE . '/' . self::API_VERSION, '#') . '#', '', $request->get_route());
+        
+        if (strpos($route, '/content') === 0) {
+            return $request->get_method() === 'GET' ? 'content:read' : 'generate';
+        }
+        
+        if (strpos($route, '/generate') === 0) {
+            return 'generate';
+        }
+        
+        if (strpos($route, '/monitoring') === 0 || strpos($route, '/analytics') === 0) {
+            return 'monitoring';
+        }
+        
+        // Settings and anything unlisted are not available to API keys
+        return 'admin';
     }
     
     /**
@@ -945,23 +1067,84 @@ class RestAPI {
         $status = $request->get_param('status');
         $type = $request->get_param('type');
         $search = $request->get_param('search');
+        $orderby = $request->get_param('orderby') ?: 'date';
+        $order = strtoupper($request->get_param('order') ?: 'desc');
+        $source = $request->get_param('source');
+        $generated = $request->get_param('generated');
 
         $args = [
             'post_type' => $type ?: 'post',
-            'post_status' => $status ?: 'publish',
+            'post_status' => $status === 'any' ? ['publish', 'draft', 'pending', 'private', 'future'] : ($status ?: 'publish'),
             'posts_per_page' => $per_page,
-            'paged' => $page
+            'paged' => $page,
+            'order' => $order
         ];
 
         if ($search) {
             $args['s'] = $search;
         }
 
+        $meta_query = [];
+
+        if ($source) {
+            $meta_query[] = [
+                'key' => '_cp_source_domain',
+                'value' => $source
+            ];
+        }
+
+        if ($generated) {
+            $meta_query[] = [
+                'relation' => 'OR',
+                ['key' => '_cp_generated_at', 'compare' => 'EXISTS'],
+                ['key' => '_ai_news_generated', 'value' => '1'],
+                ['key' => '_aanp_generated', 'value' => '1']
+            ];
+        }
+
+        $status_orderby = null;
+
+        if ($orderby === 'seo_score') {
+            // Named clause so posts without a score are still listed
+            $meta_query['seo_score_clause'] = [
+                'relation' => 'OR',
+                'seo_score' => ['key' => '_ai_news_seo_score', 'type' => 'NUMERIC', 'compare' => 'EXISTS'],
+                ['key' => '_ai_news_seo_score', 'compare' => 'NOT EXISTS']
+            ];
+            $args['orderby'] = ['seo_score' => $order, 'date' => 'DESC'];
+        } elseif ($orderby === 'status') {
+            // WP_Query ignores post_status as an orderby key, so this query sets the clause itself
+            global $wpdb;
+            $status_orderby = function() use ($wpdb, $order) {
+                return "{$wpdb->posts}.post_status {$order}, {$wpdb->posts}.post_date DESC";
+            };
+            $args['orderby'] = 'date';
+        } else {
+            $args['orderby'] = $orderby;
+        }
+
+        if (!empty($meta_query)) {
+            $args['meta_query'] = array_merge(['relation' => 'AND'], $meta_query);
+        }
+
+        if ($status_orderby) {
+            add_filter('posts_orderby', $status_orderby);
+        }
+
         $query = new WP_Query($args);
+
+        if ($status_orderby) {
+            remove_filter('posts_orderby', $status_orderby);
+        }
+        
+        $filters = [
+            'sources' => $this->get_content_sources()
+        ];
         
         if (!$query->have_posts()) {
             return [
                 'data' => [],
+                'filters' => $filters,
                 'pagination' => [
                     'current_page' => $page,
                     'per_page' => $per_page,
@@ -976,9 +1159,11 @@ class RestAPI {
             $query->the_post();
             $posts[] = $this->format_post_for_api();
         }
+        wp_reset_postdata();
         
         return [
             'data' => $posts,
+            'filters' => $filters,
             'pagination' => [
                 'current_page' => $page,
                 'per_page' => $per_page,
@@ -988,6 +1173,127 @@ class RestAPI {
         ];
     }
     
+    /**
+     * Apply a bulk action to several content items
+     */
+    public function bulk_update_content($request) {
+        // Check rate limiting
+        if (AANP_Rate_Limiter::getInstance()->is_rate_limited('rest_bulk_content')) {
+            AANP_Error_Handler::getInstance()->handle_error(
+                'Rate limit exceeded for bulk content endpoint',
+                ['endpoint' => 'rest_bulk_content', 'ip' => $this->get_client_ip()],
+                'rate_limiting'
+            );
+            return new WP_Error(
+                'rate_limit_exceeded',
+                'Rate limit exceeded. Please try again later.',
+                ['status' => 429]
+            );
+        }
+
+        $ids = array_unique(array_map('absint', (array) $request->get_param('ids')));
+        $action = $request->get_param('action');
+        $force = (bool) $request->get_param('force');
+
+        if ($action === 'regenerate' && !CP_Capabilities::user_can('generate-content')) {
+            return new WP_Error(
+                'rest_forbidden',
+                'You are not allowed to regenerate content.',
+                ['status' => 403]
+            );
+        }
+
+        if ($action === 'regenerate' && !class_exists('AANP_ContentPipeline')) {
+            return new WP_Error(
+                'pipeline_unavailable',
+                'The content pipeline is not available.',
+                ['status' => 503]
+            );
+        }
+
+        $succeeded = [];
+        $failed = [];
+        $regenerate = [];
+
+        foreach ($ids as $id) {
+            $post = get_post($id);
+            if (!$post) {
+                $failed[] = ['id' => $id, 'error' => 'Content item not found.'];
+                continue;
+            }
+
+            $capability = $action === 'delete' ? 'delete_post' : 'edit_post';
+            if (!current_user_can($capability, $id)) {
+                $failed[] = ['id' => $id, 'error' => 'Insufficient permissions.'];
+                continue;
+            }
+
+            // Contributors may edit their drafts but not publish them
+            $post_type = get_post_type_object($post->post_type);
+            if ($action === 'publish' && (!$post_type || !current_user_can($post_type->cap->publish_posts))) {
+                $failed[] = ['id' => $id, 'error' => 'You are not allowed to publish this content.'];
+                continue;
+            }
+
+            switch ($action) {
+                case 'publish':
+                case 'unpublish':
+                    $result = wp_update_post([
+                        'ID' => $id,
+                        'post_status' => $action === 'publish' ? 'publish' : 'draft'
+                    ], true);
+                    break;
+
+                case 'regenerate':
+                    // Queued as one pipeline batch after every post is checked
+                    $regenerate[] = $id;
+                    continue 2;
+
+                case 'delete':
+                    $result = wp_delete_post($id, $force);
+                    break;
+
+                default:
+                    $result = false;
+            }
+
+            if (!$result || is_wp_error($result)) {
+                $failed[] = [
+                    'id' => $id,
+                    'error' => is_wp_error($result) ? $result->get_error_message() : 'Action failed.'
+                ];
+                continue;
+            }
+
+            $succeeded[] = $id;
+        }
+
+        $response = [
+            'action' => $action,
+            'succeeded' => $succeeded,
+            'failed' => $failed
+        ];
+
+        if ($regenerate) {
+            $queued = AANP_ContentPipeline::get_instance()->queue_regeneration($regenerate);
+
+            foreach ($regenerate as $id) {
+                if (isset($queued['tasks'][$id])) {
+                    $response['succeeded'][] = $id;
+                } else {
+                    $response['failed'][] = ['id' => $id, 'error' => 'Could not queue re-generation.'];
+                }
+            }
+
+            // Pipeline task per post, for linking to the queue
+            $response['queue'] = AANP_ContentPipeline::QUEUE;
+            $response['batch_id'] = $queued['batch_id'];
+            $response['tasks'] = (object) $queued['tasks'];
+        }
+
+        return ['success' => empty($response['failed'])] + $response;
+    }
+    
     /**
      * Get single content item
      */
@@ -1531,9 +1837,13 @@ class RestAPI {
             'description' => 'Comprehensive REST API for ContentPilot plugin',
             'base_url' => get_site_url() . '/wp-json/' . self::API_NAMESPACE . '/' . self::API_VERSION,
             'endpoints' => $this->get_api_endpoints_documentation(),
+            'routes' => $this->get_api_route_reference(),
             'authentication' => [
                 'type' => 'Bearer JWT',
-                'oauth2' => true
+                'oauth2' => true,
+                'token_endpoint' => '/auth/token',
+                'api_key_header' => 'X-API-Key',
+                'api_key_scopes' => class_exists('ApiKeyManager') ? ApiKeyManager::SCOPES : []
             ],
             'rate_limiting' => [
                 'requests_per_hour' => $this->config['rate_limit']['requests_per_hour'] ?? 1000,
@@ -1553,19 +1863,15 @@ class RestAPI {
     }
     
     private function get_api_key_from_request() {
-        return $_GET['api_key'] ?? $_POST['api_key'] ?? false;
+        return $_SERVER['HTTP_X_API_KEY'] ?? $_GET['api_key'] ?? $_POST['api_key'] ?? false;
     }
     
     private function validate_api_key($api_key) {
-        global $wpdb;
-        
-        $table_name = $wpdb->prefix . 'ai_news_api_keys';
-        $result = $wpdb->get_row($wpdb->prepare(
-            "SELECT user_id FROM {$table_name} WHERE api_key = %s AND status = 'active' AND expires_at > NOW()",
-            $api_key
-        ));
+        if (!class_exists('ApiKeyManager')) {
+            return false;
+        }
         
-        return $result ? $result->user_id : false;
+        return ApiKeyManager::get_instance()->find_active_key(sanitize_text_field($api_key));
     }
     
     private function format_post_for_api($post = null) {
@@ -1588,13 +1894,47 @@ class RestAPI {
             'modified' => $post->post_modified,
             'permalink' => get_permalink($post->ID),
             'meta' => [
-                'ai_generated' => get_post_meta($post->ID, '_ai_news_generated', true) ?: false,
-                'seo_score' => get_post_meta($post->ID, '_ai_news_seo_score', true) ?: null,
-                'content_quality_score' => get_post_meta($post->ID, '_ai_news_content_quality_score', true) ?: null
+                'ai_generated' => get_post_meta($post->ID, '_ai_news_generated', true)
+                    ?: (bool) get_post_meta($post->ID, '_cp_generated_at', true),
+                'seo_score' => get_post_meta($post->ID, '_ai_news_seo_score', true)
+                    ?: (get_post_meta($post->ID, '_aanp_seo_score', true) ?: null),
+                'content_quality_score' => get_post_meta($post->ID, '_ai_news_content_quality_score', true) ?: null,
+                'source_url' => get_post_meta($post->ID, '_cp_source_url', true) ?: null,
+                'source_domain' => get_post_meta($post->ID, '_cp_source_domain', true) ?: null,
+                'verification_status' => $this->get_verification_status($post->ID)
             ]
         ];
     }
     
+    private function get_verification_status($post_id) {
+        global $wpdb;
+        
+        static $table_exists = null;
+        
+        $table_name = $wpdb->prefix . 'aanp_content_verification';
+        if ($table_exists === null) {
+            $table_exists = $wpdb->get_var($wpdb->prepare('SHOW TABLES LIKE %s', $table_name)) === $table_name;
+        }
+        
+        if (!$table_exists) {
+            return null;
+        }
+        
+        return $wpdb->get_var($wpdb->prepare(
+            "SELECT verification_status FROM {$table_name} WHERE post_id = %d ORDER BY verification_date DESC LIMIT 1",
+            $post_id
+        ));
+    }
+    
+    private function get_content_sources() {
+        global $wpdb;
+        
+        return $wpdb->get_col($wpdb->prepare(
+            "SELECT DISTINCT meta_value FROM {$wpdb->postmeta} WHERE meta_key = %s AND meta_value != '' ORDER BY meta_value ASC LIMIT 200",
+            '_cp_source_domain'
+        ));
+    }
+    
     private function calculate_seo_score($content, $keywords = []) {
         $score = 0;
         
@@ -1682,6 +2022,7 @@ class RestAPI {
             'content' => [
                 '/content' => 'Get content list',
                 '/content/{id}' => 'Get, update, or delete specific content',
+                '/content/bulk' => 'Publish, unpublish, regenerate, or delete several content items',
                 '/generate' => 'Generate content using AI'
             ],
             'monitoring' => [
@@ -1692,6 +2033,118 @@ class RestAPI {
             'analytics' => [
                 '/analytics/content' => 'Get content analytics',
                 '/analytics/seo' => 'Get SEO analytics'
+            ],
+            'system' => [
+                '/settings' => 'Get or update plugin settings',
+                '/health' => 'Check service health',
+                '/info' => 'Get API information and route reference'
+            ]
+        ];
+    }
+    
+    /**
+     * Describe auth requirements and example responses for each registered route
+     */
+    private function get_api_route_reference() {
+        $prefix = '/' . self::API_NAMESPACE . '/' . self::API_VERSION;
+        $examples = $this->get_api_response_examples();
+        $reference = [];
+        
+        foreach (rest_get_server()->get_routes(self::API_NAMESPACE . '/' . self::API_VERSION) as $route => $handlers) {
+            // Turn "/content/(?P<id>\d+)" into "/content/{id}" to match the endpoint docs
+            $path = preg_replace('#\(\?P<(\w+)>[^)]+\)#', '{$1}', substr($route, strlen($prefix)));
+            if ($path === '' || $path === false) {
+                continue;
+            }
+            
+            $public = in_array($path, self::PUBLIC_ROUTES, true);
+            $methods = [];
+            
+            foreach ($handlers as $handler) {
+                foreach (array_keys($handler['methods']) as $method) {
+                    $methods[$method] = [
+                        'auth' => $public ? 'none' : ($path === '/auth/oauth2/authorize' ? 'session' : 'required'),
+                        'scope' => $public ? null : $this->get_required_scope(new WP_REST_Request($method, $route)),
+                        'example' => $examples[$method . ' ' . $path] ?? null
+                    ];
+                }
+            }
+            
+            $reference[$path] = $methods;
+        }
+        
+        return $reference;
+    }
+    
+    /**
+     * Example responses shown in the API reference
+     */
+    private function get_api_response_examples() {
+        $post = [
+            'id' => 123,
+            'title' => 'Example headline',
+            'content' => '<p>Generated article body</p>',
+            'excerpt' => 'Short summary',
+            'status' => 'publish',
+            'type' => 'post',
+            'author' => ['id' => 1, 'name' => 'Editor'],
+            'date' => '2024-01-15 09:30:00',
+            'modified' => '2024-01-15 10:00:00',
+            'permalink' => home_url('/example-headline/'),
+            'meta' => [
+                'ai_generated' => true,
+                'seo_score' => 82,
+                'content_quality_score' => 88,
+                'source_url' => 'https://example.com/story',
+                'source_domain' => 'example.com',
+                'verification_status' => 'verified'
+            ]
+        ];
+        
+        return [
+            'POST /auth/token' => [
+                'access_token' => 'eyJ0eXAiOiJKV1QiLCJhbGciOiJIUzI1NiJ9...',
+                'token_type' => 'Bearer',
+                'expires_in' => $this->config['jwt']['expiration'] ?? 3600,
+                'refresh_token' => 'f3b1c2...'
+            ],
+            'GET /content' => [
+                'data' => [$post],
+                'filters' => ['sources' => ['example.com']],
+                'pagination' => ['current_page' => 1, 'per_page' => 20, 'total_items' => 1, 'total_pages' => 1]
+            ],
+            'GET /content/{id}' => $post,
+            'POST /content/bulk' => [
+                'success' => true,
+                'action' => 'publish',
+                'succeeded' => [123, 124],
+                'failed' => []
+            ],
+            'POST /generate' => [
+                'generated_content' => '<p>Generated article body</p>',
+                'metadata' => [
+                    'prompt' => 'Summarize today\'s tech news',
+                    'type' => 'article',
+                    'length' => 'medium',
+                    'tone' => 'professional',
+                    'keywords' => ['technology'],
+                    'language' => 'en',
+                    'generation_time' => 4.2,
+                    'word_count' => 650,
+                    'seo_score' => 78
+                ]
+            ],
+            'GET /monitoring/alerts' => [
+                'alerts' => [
+                    ['id' => 'alert_123', 'severity' => 'warning', 'status' => 'active', 'message' => 'Response time above threshold']
+                ],
+                'total_count' => 1
+            ],
+            'GET /health' => [
+                'status' => 'healthy',
+                'timestamp' => 1705311000,
+                'version' => self::API_VERSION,
+                'services' => ['database' => 'healthy', 'ai_service' => 'healthy', 'cache' => 'healthy', 'monitoring' => 'healthy']
             ]
         ];
     }
@@ -16,6 +16,16 @@ if (!defined('ABSPATH')) {
 
 class WebhookManager {
     
+    /**
+     * Database schema version
+     */
+    const DB_VERSION = '1.0';
+    
+    /**
+     * Longest response body kept in a delivery log
+     */
+    const MAX_LOGGED_BODY = 65535;
+    
     /**
      * Webhook manager instance (singleton)
      */
@@ -72,6 +82,10 @@ class WebhookManager {
      * Initialize webhook manager
      */
     private function init() {
+        if (get_option('ai_news_webhooks_db_version') !== self::DB_VERSION) {
+            self::create_database_tables();
+        }
+        
         $this->load_configuration();
         $this->register_event_types();
         $this->load_registrations();
@@ -215,6 +229,7 @@ class WebhookManager {
         add_action('ai_news_settings_updated', [$this, 'trigger_settings_update_event'], 10, 2);
         
         // AJAX handlers
+        add_action('wp_ajax_ai_news_get_webhooks', [$this, 'ajax_get_webhooks']);
         add_action('wp_ajax_ai_news_register_webhook', [$this, 'ajax_register_webhook']);
         add_action('wp_ajax_ai_news_update_webhook', [$this, 'ajax_update_webhook']);
         add_action('wp_ajax_ai_news_delete_webhook', [$this, 'ajax_delete_webhook']);
@@ -271,6 +286,7 @@ class WebhookManager {
             'filters' => $filters,
             'status' => 'active',
             'created_at' => time(),
+            'updated_at' => time(),
             'last_triggered' => null,
             'delivery_count' => 0,
             'success_count' => 0,
@@ -298,19 +314,26 @@ class WebhookManager {
         
         $webhook = $this->webhooks[$webhook_id];
         
-        // Apply updates
-        foreach ($updates as $key => $value) {
-            if ($key === 'url' && !filter_var($value, FILTER_VALIDATE_URL)) {
-                continue;
-            }
-            if ($key === 'events') {
-                foreach ($value as $event) {
-                    if (!isset($this->event_types[$event])) {
-                        continue;
-                    }
+        // Validate before applying anything
+        if (isset($updates['url']) && !filter_var($updates['url'], FILTER_VALIDATE_URL)) {
+            return new WP_Error('invalid_url', 'Invalid webhook URL provided.');
+        }
+        
+        if (isset($updates['events'])) {
+            foreach ($updates['events'] as $event) {
+                if (!isset($this->event_types[$event])) {
+                    return new WP_Error('invalid_event', "Invalid event type: {$event}");
                 }
             }
-            
+        }
+        
+        if (isset($updates['status']) && !in_array($updates['status'], ['active', 'inactive'], true)) {
+            return new WP_Error('invalid_status', 'Invalid webhook status.');
+        }
+        
+        // Apply updates
+        $editable = ['name', 'url', 'events', 'secret', 'description', 'filters', 'status'];
+        foreach (array_intersect_key($updates, array_flip($editable)) as $key => $value) {
             $webhook[$key] = $value;
         }
         
@@ -526,7 +549,7 @@ class WebhookManager {
              WHERE status = 'pending' AND scheduled_at <= %s
              ORDER BY scheduled_at ASC
              LIMIT 50",
-            current_time('mysql')
+            date('Y-m-d H:i:s')
         ));
         
         foreach ($deliveries as $delivery_row) {
@@ -542,22 +565,27 @@ class WebhookManager {
         $webhook = $this->webhooks[$delivery['webhook_id']] ?? null;
         
         if (!$webhook) {
-            $this->mark_delivery_failed($delivery['id'], 'Webhook not found');
+            $this->mark_delivery_failed($delivery, 'Webhook not found');
             return;
         }
         
         // Get event data
         $event = $this->get_event_by_id($delivery['event_id']);
         if (!$event) {
-            $this->mark_delivery_failed($delivery['id'], 'Event not found');
+            $this->mark_delivery_failed($delivery, 'Event not found');
             return;
         }
         
         // Attempt delivery
-        $result = $this->send_webhook_request($webhook, $event);
+        $delivery['attempts']++;
+        $result = $this->send_webhook_request($webhook, $event, [
+            'delivery_id' => $delivery['id'],
+            'attempt' => $delivery['attempts'],
+            'trigger_type' => $delivery['attempts'] > 1 ? 'retry' : 'event'
+        ]);
         
         if ($result['success']) {
-            $this->mark_delivery_success($delivery['id'], $result['response_code']);
+            $this->mark_delivery_success($delivery, $result['response_code']);
         } else {
             $this->handle_delivery_failure($delivery, $result);
         }
@@ -565,8 +593,12 @@ class WebhookManager {
     
     /**
      * Send webhook request
+     *
+     * Every attempt is written to the delivery log with its request,
+     * response and timing. $log carries the delivery ID, attempt number
+     * and what triggered the attempt (event, retry, test or resend).
      */
-    private function send_webhook_request($webhook, $event) {
+    private function send_webhook_request($webhook, $event, $log = []) {
         $payload = json_encode($event, JSON_UNESCAPED_SLASHES);
         $signature = hash_hmac('sha256', $payload, $webhook['secret']);
         
@@ -601,22 +633,44 @@ class WebhookManager {
         
         if (is_wp_error($response)) {
             $result['error_message'] = $response->get_error_message();
-            return $result;
-        }
-        
-        $result['response_code'] = wp_remote_retrieve_response_code($response);
-        $result['response_body'] = wp_remote_retrieve_body($response);
-        
-        // Consider 2xx responses as success
-        if ($result['response_code'] >= 200 && $result['response_code'] < 300) {
-            $result['success'] = true;
         } else {
-            $result['error_message'] = "HTTP {$result['response_code']}: {$result['response_body']}";
+            $result['response_code'] = wp_remote_retrieve_response_code($response);
+            $result['response_body'] = wp_remote_retrieve_body($response);
+            
+            // Consider 2xx responses as success
+            if ($result['response_code'] >= 200 && $result['response_code'] < 300) {
+                $result['success'] = true;
+            } else {
+                $result['error_message'] = "HTTP {$result['response_code']}: " . wp_trim_words($result['response_body'], 30);
+            }
         }
         
         // Update webhook statistics
         $this->update_webhook_stats($webhook['id'], $result);
         
+        $response_headers = is_wp_error($response) ? [] : wp_remote_retrieve_headers($response);
+        if (is_object($response_headers) && method_exists($response_headers, 'getAll')) {
+            $response_headers = $response_headers->getAll();
+        }
+        
+        $result['log_id'] = $this->log_webhook_activity([
+            'webhook_id' => $webhook['id'],
+            'delivery_id' => $log['delivery_id'] ?? '',
+            'event_id' => $event['id'],
+            'event_type' => $event['type'],
+            'trigger_type' => $log['trigger_type'] ?? 'event',
+            'attempt' => $log['attempt'] ?? 1,
+            'delivery_status' => $result['success'] ? 'success' : 'failed',
+            'response_code' => $result['response_code'],
+            'duration_ms' => (int) round($response_time * 1000),
+            'request_url' => $webhook['url'],
+            'request_headers' => $headers,
+            'request_body' => $payload,
+            'response_headers' => (array) $response_headers,
+            'response_body' => $result['response_body'],
+            'error_message' => $result['error_message']
+        ]);
+        
         return $result;
     }
     
@@ -624,7 +678,6 @@ class WebhookManager {
      * Handle delivery failure
      */
     private function handle_delivery_failure($delivery, $result) {
-        $delivery['attempts']++;
         $delivery['last_attempt_at'] = time();
         $delivery['error_message'] = $result['error_message'];
         
@@ -659,33 +712,34 @@ class WebhookManager {
     /**
      * Mark delivery as successful
      */
-    private function mark_delivery_success($delivery_id, $response_code) {
-        $delivery = $this->delivery_status[$delivery_id];
+    private function mark_delivery_success($delivery, $response_code) {
         $delivery['status'] = 'success';
         $delivery['scheduled_at'] = 0;
         $delivery['last_attempt_at'] = time();
         $delivery['response_code'] = $response_code;
+        $delivery['error_message'] = null;
         
-        $this->delivery_status[$delivery_id] = $delivery;
+        $this->delivery_status[$delivery['id']] = $delivery;
         $this->update_delivery($delivery);
     }
     
     /**
      * Mark delivery as failed
      */
-    private function mark_delivery_failed($delivery_id, $error_message) {
-        $delivery = $this->delivery_status[$delivery_id];
+    private function mark_delivery_failed($delivery, $error_message) {
         $delivery['status'] = 'failed';
         $delivery['scheduled_at'] = 0;
         $delivery['last_attempt_at'] = time();
         $delivery['error_message'] = $error_message;
         
-        $this->delivery_status[$delivery_id] = $delivery;
+        $this->delivery_status[$delivery['id']] = $delivery;
         $this->update_delivery($delivery);
     }
     
     /**
      * Send test event
+     *
+     * @return array Request result
      */
     private function send_test_event($webhook) {
         $test_event = [
@@ -702,16 +756,7 @@ class WebhookManager {
             'version' => '2.0.0'
         ];
         
-        $result = $this->send_webhook_request($webhook, $test_event);
-        
-        // Log test delivery
-        $this->log_webhook_activity([
-            'webhook_id' => $webhook['id'],
-            'event_type' => 'test',
-            'delivery_status' => $result['success'] ? 'success' : 'failed',
-            'response_code' => $result['response_code'],
-            'error_message' => $result['error_message'] ?? null
-        ]);
+        return $this->send_webhook_request($webhook, $test_event, ['trigger_type' => 'test']);
     }
     
     /**
@@ -736,6 +781,46 @@ class WebhookManager {
         $this->store_webhook($webhook);
     }
     
+    /**
+     * Send a logged delivery again
+     *
+     * Posts the logged payload unchanged, so the receiver sees the same
+     * event ID and can tell it apart from a new event. A successful resend
+     * also marks its queued delivery as delivered.
+     *
+     * @return array|WP_Error Request result
+     */
+    public function resend_delivery($log_id) {
+        $log = $this->get_webhook_log($log_id);
+        if (!$log) {
+            return new WP_Error('log_not_found', 'Delivery log not found.');
+        }
+        
+        $webhook = $this->get_webhook($log['webhook_id']);
+        if (!$webhook) {
+            return new WP_Error('webhook_not_found', 'Webhook not found.');
+        }
+        
+        // Decode to objects so empty objects in the payload stay objects
+        $event = (array) json_decode($log['request_body']);
+        if (empty($event['id']) || empty($event['type'])) {
+            return new WP_Error('invalid_payload', 'The logged payload cannot be resent.');
+        }
+        
+        $result = $this->send_webhook_request($webhook, $event, [
+            'delivery_id' => $log['delivery_id'],
+            'attempt' => $this->get_last_attempt($log['webhook_id'], $log['event_id']) + 1,
+            'trigger_type' => 'resend'
+        ]);
+        
+        $delivery = $log['delivery_id'] ? $this->get_delivery($log['delivery_id']) : null;
+        if ($delivery && $result['success'] && $delivery['status'] !== 'success') {
+            $this->mark_delivery_success($delivery, $result['response_code']);
+        }
+        
+        return $result;
+    }
+    
     // Event trigger methods
     
     public function trigger_content_event($post_id, $post) {
@@ -863,35 +948,35 @@ class WebhookManager {
     
     // AJAX handlers
     
+    public function ajax_get_webhooks() {
+        $this->verify_ajax_request('webhook_list', 60, 300);
+        
+        wp_send_json_success([
+            'webhooks' => array_map([$this, 'format_webhook'], $this->get_all_webhooks()),
+            'event_types' => $this->event_types,
+            'operators' => ['equals', 'not_equals', 'contains', 'starts_with', 'ends_with', 'greater_than', 'less_than']
+        ]);
+    }
+    
     public function ajax_register_webhook() {
-        // Check rate limiting
-        if (AANP_Rate_Limiter::getInstance()->is_rate_limited('webhook_register')) {
-            AANP_Error_Handler::getInstance()->handle_error(
-                'Rate limit exceeded for webhook registration',
-                ['endpoint' => 'webhook_register', 'ip' => $this->get_client_ip()],
-                'rate_limiting'
-            );
-            wp_send_json_error('Rate limit exceeded. Please try again later');
-        }
-
-        if (!wp_verify_nonce($_POST['nonce'] ?? '', 'ai_news_dashboard_nonce')) {
-            wp_send_json_error('Security check failed');
-        }
-
-        if (!current_user_can('manage_options')) {
-            wp_send_json_error('Insufficient permissions');
-        }
+        $this->verify_ajax_request('webhook_register');
 
         $name = sanitize_text_field($_POST['name'] ?? '');
         $url = esc_url_raw($_POST['url'] ?? '');
         $events = array_map('sanitize_text_field', $_POST['events'] ?? []);
         $description = sanitize_textarea_field($_POST['description'] ?? '');
+        $secret = sanitize_text_field($_POST['secret'] ?? '');
+        $filters = $this->parse_filters($_POST['filters'] ?? '');
 
         if (empty($name) || empty($url) || empty($events)) {
             wp_send_json_error('All required fields must be filled');
         }
 
-        $result = $this->register_webhook($name, $url, $events, null, $description);
+        if (is_wp_error($filters)) {
+            wp_send_json_error($filters->get_error_message());
+        }
+
+        $result = $this->register_webhook($name, $url, $events, $secret ?: null, $description, $filters);
 
         if (is_wp_error($result)) {
             wp_send_json_error($result->get_error_message());
@@ -899,25 +984,69 @@ class WebhookManager {
 
         wp_send_json_success([
             'webhook_id' => $result,
+            'webhook' => $this->format_webhook($this->get_webhook($result)),
             'message' => 'Webhook registered successfully'
         ]);
     }
     
-    public function ajax_test_webhook() {
-        // Check rate limiting
-        if (AANP_Rate_Limiter::getInstance()->is_rate_limited('webhook_test')) {
-            AANP_Error_Handler::getInstance()->handle_error(
-                'Rate limit exceeded for webhook test',
-                ['endpoint' => 'webhook_test', 'ip' => $this->get_client_ip()],
-                'rate_limiting'
-            );
-            wp_send_json_error('Rate limit exceeded. Please try again later');
+    public function ajax_update_webhook() {
+        $this->verify_ajax_request('webhook_update', 30, 300);
+
+        $webhook_id = sanitize_text_field($_POST['webhook_id'] ?? '');
+        $filters = $this->parse_filters($_POST['filters'] ?? '');
+
+        if (is_wp_error($filters)) {
+            wp_send_json_error($filters->get_error_message());
         }
 
-        if (!wp_verify_nonce($_POST['nonce'] ?? '', 'ai_news_dashboard_nonce')) {
-            wp_send_json_error('Security check failed');
+        $updates = [
+            'name' => sanitize_text_field($_POST['name'] ?? ''),
+            'url' => esc_url_raw($_POST['url'] ?? ''),
+            'events' => array_map('sanitize_text_field', $_POST['events'] ?? []),
+            'description' => sanitize_textarea_field($_POST['description'] ?? ''),
+            'filters' => $filters,
+            'status' => sanitize_key($_POST['status'] ?? 'active')
+        ];
+
+        if (empty($updates['name']) || empty($updates['url']) || empty($updates['events'])) {
+            wp_send_json_error('All required fields must be filled');
+        }
+
+        // A blank secret keeps the current one
+        $secret = sanitize_text_field($_POST['secret'] ?? '');
+        if (!empty($_POST['regenerate_secret'])) {
+            $updates['secret'] = $this->generate_secret();
+        } elseif ($secret !== '') {
+            $updates['secret'] = $secret;
+        }
+
+        $result = $this->update_webhook($webhook_id, $updates);
+
+        if (is_wp_error($result)) {
+            wp_send_json_error($result->get_error_message());
+        }
+
+        wp_send_json_success([
+            'webhook' => $this->format_webhook($this->get_webhook($webhook_id)),
+            'message' => 'Webhook updated'
+        ]);
+    }
+    
+    public function ajax_delete_webhook() {
+        $this->verify_ajax_request('webhook_delete', 30, 300);
+
+        $webhook_id = sanitize_text_field($_POST['webhook_id'] ?? '');
+
+        if (!$this->delete_webhook($webhook_id)) {
+            wp_send_json_error('Webhook not found');
         }
 
+        wp_send_json_success(['message' => 'Webhook deleted']);
+    }
+    
+    public function ajax_test_webhook() {
+        $this->verify_ajax_request('webhook_test', 10, 300);
+
         $webhook_id = sanitize_text_field($_POST['webhook_id'] ?? '');
         $webhook = $this->get_webhook($webhook_id);
 
@@ -926,40 +1055,64 @@ class WebhookManager {
         }
 
         // Send test event
-        $this->send_test_event($webhook);
+        $result = $this->send_test_event($webhook);
 
-        wp_send_json_success(['message' => 'Test event sent successfully']);
+        wp_send_json_success([
+            'message' => $result['success']
+                ? 'Test event delivered'
+                : 'Test event failed: ' . $result['error_message'],
+            'result' => $this->format_result($result)
+        ]);
     }
     
     public function ajax_get_webhook_logs() {
-        // Check rate limiting
-        if (AANP_Rate_Limiter::getInstance()->is_rate_limited('webhook_get_logs')) {
-            AANP_Error_Handler::getInstance()->handle_error(
-                'Rate limit exceeded for webhook logs endpoint',
-                ['endpoint' => 'webhook_get_logs', 'ip' => $this->get_client_ip()],
-                'rate_limiting'
-            );
-            wp_send_json_error('Rate limit exceeded. Please try again later');
-        }
+        $this->verify_ajax_request('webhook_get_logs', 120, 300);
 
-        if (!wp_verify_nonce($_POST['nonce'] ?? '', 'ai_news_dashboard_nonce')) {
-            wp_send_json_error('Security check failed');
+        // A single entry comes with its request and response
+        $log_id = intval($_POST['log_id'] ?? 0);
+        if ($log_id) {
+            $log = $this->get_webhook_log($log_id);
+
+            if (!$log) {
+                wp_send_json_error('Delivery log not found');
+            }
+
+            wp_send_json_success(['log' => $log]);
         }
 
         $webhook_id = sanitize_text_field($_POST['webhook_id'] ?? '');
-        $limit = intval($_POST['limit'] ?? 50);
+        $status = sanitize_key($_POST['status'] ?? '');
+        $limit = max(1, min(200, intval($_POST['limit'] ?? 50)));
 
-        $logs = $this->get_webhook_logs($webhook_id, $limit);
+        $logs = $this->get_webhook_logs($webhook_id, $limit, $status);
 
         wp_send_json_success(['logs' => $logs]);
     }
     
     public function ajax_resend_webhook() {
-        // Check rate limiting
-        if (AANP_Rate_Limiter::getInstance()->is_rate_limited('webhook_resend')) {
+        $this->verify_ajax_request('webhook_resend', 20, 300);
+
+        $result = $this->resend_delivery(intval($_POST['log_id'] ?? 0));
+
+        if (is_wp_error($result)) {
+            wp_send_json_error($result->get_error_message());
+        }
+
+        wp_send_json_success([
+            'message' => $result['success']
+                ? 'Delivery resent'
+                : 'Resend failed: ' . $result['error_message'],
+            'result' => $this->format_result($result)
+        ]);
+    }
+    
+    // Utility methods
+    
+    private function verify_ajax_request($endpoint, $limit = 5, $window = 3600) {
+        if (AANP_Rate_Limiter::getInstance()->is_rate_limited($endpoint, $limit, $window)) {
             AANP_Error_Handler::getInstance()->handle_error(
-                'Rate limit exceeded for webhook resend endpoint',
-                ['endpoint' => 'webhook_resend', 'ip' => $this->get_client_ip()],
+                'Rate limit exceeded for webhook management',
+                ['endpoint' => $endpoint, 'ip' => $this->get_client_ip()],
                 'rate_limiting'
             );
             wp_send_json_error('Rate limit exceeded. Please try again later');
@@ -969,13 +1122,79 @@ class WebhookManager {
             wp_send_json_error('Security check failed');
         }
 
-        $delivery_id = sanitize_text_field($_POST['delivery_id'] ?? '');
-
-        // This would implement webhook resending logic
-        wp_send_json_success(['message' => 'Webhook delivery rescheduled']);
+        if (!CP_Capabilities::user_can('manage-keys')) {
+            wp_send_json_error('Insufficient permissions');
+        }
     }
     
-    // Utility methods
+    /**
+     * Parse condition filters posted as JSON
+     *
+     * @return array|WP_Error List of field/operator/value conditions
+     */
+    private function parse_filters($json) {
+        if ($json === '') {
+            return [];
+        }
+        
+        $input = json_decode(wp_unslash($json), true);
+        if (!is_array($input)) {
+            return new WP_Error('invalid_filters', 'Invalid filter conditions');
+        }
+        
+        $operators = ['equals', 'not_equals', 'contains', 'starts_with', 'ends_with', 'greater_than', 'less_than'];
+        $filters = [];
+        
+        foreach ($input as $filter) {
+            $field = sanitize_key($filter['field'] ?? '');
+            $operator = $filter['operator'] ?? 'equals';
+            
+            if ($field === '') {
+                continue;
+            }
+            
+            if (!in_array($operator, $operators, true)) {
+                return new WP_Error('invalid_filters', "Invalid filter operator: {$operator}");
+            }
+            
+            $filters[] = [
+                'field' => $field,
+                'operator' => $operator,
+                'value' => sanitize_text_field((string) ($filter['value'] ?? ''))
+            ];
+        }
+        
+        return $filters;
+    }
+    
+    private function format_webhook($webhook) {
+        return [
+            'id' => $webhook['id'],
+            'name' => $webhook['name'],
+            'url' => $webhook['url'],
+            'events' => array_values((array) $webhook['events']),
+            'secret' => $webhook['secret'],
+            'description' => $webhook['description'],
+            'filters' => array_values((array) $webhook['filters']),
+            'status' => $webhook['status'],
+            'created_at' => (int) $webhook['created_at'],
+            'updated_at' => (int) ($webhook['updated_at'] ?? 0),
+            'last_triggered' => $webhook['last_triggered'] ? (int) $webhook['last_triggered'] : null,
+            'delivery_count' => (int) $webhook['delivery_count'],
+            'success_count' => (int) $webhook['success_count'],
+            'error_count' => (int) $webhook['error_count']
+        ];
+    }
+    
+    private function format_result($result) {
+        return [
+            'success' => $result['success'],
+            'response_code' => (int) $result['response_code'],
+            'duration_ms' => (int) round($result['response_time'] * 1000),
+            'error_message' => $result['error_message'],
+            'log_id' => (int) ($result['log_id'] ?? 0)
+        ];
+    }
     
     private function load_registrations() {
         global $wpdb;
@@ -1029,7 +1248,7 @@ class WebhookManager {
             'metadata' => maybe_serialize($webhook['metadata'])
         ];
         
-        $formats = ['%s', '%s', '%s', '%s', '%s', '%s', '%s', '%s', '%s', '%s', '%d', '%d', '%d', '%s'];
+        $formats = ['%s', '%s', '%s', '%s', '%s', '%s', '%s', '%s', '%s', '%s', '%s', '%d', '%d', '%d', '%s'];
         
         $result = $wpdb->replace($table_name, $data, $formats);
         
@@ -1109,12 +1328,24 @@ class WebhookManager {
         
         $wpdb->insert($table_name, [
             'webhook_id' => $activity['webhook_id'],
+            'delivery_id' => $activity['delivery_id'],
+            'event_id' => $activity['event_id'],
             'event_type' => $activity['event_type'],
+            'trigger_type' => $activity['trigger_type'],
+            'attempt' => $activity['attempt'],
             'delivery_status' => $activity['delivery_status'],
             'response_code' => $activity['response_code'],
+            'duration_ms' => $activity['duration_ms'],
+            'request_url' => $activity['request_url'],
+            'request_headers' => wp_json_encode($activity['request_headers']),
+            'request_body' => $activity['request_body'],
+            'response_headers' => wp_json_encode($activity['response_headers']),
+            'response_body' => substr((string) $activity['response_body'], 0, self::MAX_LOGGED_BODY),
             'error_message' => $activity['error_message'],
-            'timestamp' => current_time('mysql')
-        ], ['%s', '%s', '%s', '%d', '%s', '%s']);
+            'timestamp' => date('Y-m-d H:i:s')
+        ], ['%s', '%s', '%s', '%s', '%s', '%d', '%s', '%d', '%d', '%s', '%s', '%s', '%s', '%s', '%s', '%s']);
+        
+        return (int) $wpdb->insert_id;
     }
     
     private function get_event_by_id($event_id) {
@@ -1140,18 +1371,83 @@ class WebhookManager {
         ];
     }
     
-    private function get_webhook_logs($webhook_id, $limit = 50) {
+    private function get_webhook_logs($webhook_id, $limit = 50, $status = '') {
         global $wpdb;
         
         $table_name = $wpdb->prefix . 'ai_news_webhook_logs';
+        $where = 'webhook_id = %s';
+        $args = [$webhook_id];
         
-        return $wpdb->get_results($wpdb->prepare(
-            "SELECT * FROM {$table_name} 
-             WHERE webhook_id = %s 
-             ORDER BY timestamp DESC 
+        if ($status !== '') {
+            $where .= ' AND delivery_status = %s';
+            $args[] = $status;
+        }
+        
+        $args[] = $limit;
+        
+        // Bodies are left out of the list; get_webhook_log() has them
+        $rows = $wpdb->get_results($wpdb->prepare(
+            "SELECT id, webhook_id, delivery_id, event_id, event_type, trigger_type, attempt,
+                    delivery_status, response_code, duration_ms, error_message, timestamp
+             FROM {$table_name} 
+             WHERE {$where}
+             ORDER BY id DESC 
              LIMIT %d",
+            $args
+        ), ARRAY_A);
+        
+        return array_map([$this, 'format_log'], $rows ?: []);
+    }
+    
+    private function get_webhook_log($log_id) {
+        global $wpdb;
+        
+        $table_name = $wpdb->prefix . 'ai_news_webhook_logs';
+        
+        $row = $wpdb->get_row($wpdb->prepare(
+            "SELECT * FROM {$table_name} WHERE id = %d",
+            $log_id
+        ), ARRAY_A);
+        
+        return $row ? $this->format_log($row) : null;
+    }
+    
+    private function format_log($row) {
+        foreach (['id', 'attempt', 'response_code', 'duration_ms'] as $field) {
+            $row[$field] = (int) $row[$field];
+        }
+        
+        foreach (['request_headers', 'response_headers'] as $field) {
+            if (isset($row[$field])) {
+                $row[$field] = json_decode($row[$field], true) ?: [];
+            }
+        }
+        
+        $row['timestamp'] = strtotime($row['timestamp']);
+        
+        return $row;
+    }
+    
+    private function get_last_attempt($webhook_id, $event_id) {
+        global $wpdb;
+        
+        $table_name = $wpdb->prefix . 'ai_news_webhook_logs';
+        
+        return (int) $wpdb->get_var($wpdb->prepare(
+            "SELECT MAX(attempt) FROM {$table_name} WHERE webhook_id = %s AND event_id = %s",
             $webhook_id,
-            $limit
+            $event_id
+        ));
+    }
+    
+    private function get_delivery($delivery_id) {
+        global $wpdb;
+        
+        $table_name = $wpdb->prefix . 'ai_news_webhook_deliveries';
+        
+        return $wpdb->get_row($wpdb->prepare(
+            "SELECT * FROM {$table_name} WHERE id = %s",
+            $delivery_id
         ), ARRAY_A);
     }
     
@@ -1233,6 +1529,87 @@ class WebhookManager {
             $cutoff_date
         ));
     }
+    
+    /**
+     * Create database tables
+     */
+    public static function create_database_tables() {
+        global $wpdb;
+        
+        $charset_collate = $wpdb->get_charset_collate();
+        $prefix = $wpdb->prefix . 'ai_news_webhook';
+        
+        $sql = "CREATE TABLE {$prefix}s (
+            id varchar(32) NOT NULL,
+            name varchar(200) NOT NULL,
+            url varchar(500) NOT NULL,
+            events text NOT NULL,
+            secret varchar(128) NOT NULL,
+            description text NOT NULL,
+            filters text NOT NULL,
+            status varchar(20) NOT NULL DEFAULT 'active',
+            created_at datetime NOT NULL,
+            updated_at datetime NOT NULL,
+            last_triggered datetime DEFAULT NULL,
+            delivery_count int(11) NOT NULL DEFAULT 0,
+            success_count int(11) NOT NULL DEFAULT 0,
+            error_count int(11) NOT NULL DEFAULT 0,
+            metadata text NOT NULL,
+            PRIMARY KEY  (id)
+        ) {$charset_collate};
+        CREATE TABLE {$prefix}_deliveries (
+            id varchar(32) NOT NULL,
+            event_id varchar(32) NOT NULL,
+            webhook_id varchar(32) NOT NULL,
+            status varchar(20) NOT NULL,
+            attempts int(11) NOT NULL DEFAULT 0,
+            scheduled_at datetime NOT NULL,
+            last_attempt_at datetime DEFAULT NULL,
+            error_message text,
+            response_code int(11) DEFAULT NULL,
+            PRIMARY KEY  (id),
+            KEY status_scheduled (status, scheduled_at),
+            KEY webhook_id (webhook_id)
+        ) {$charset_collate};
+        CREATE TABLE {$prefix}_events (
+            id bigint(20) NOT NULL AUTO_INCREMENT,
+            event_id varchar(32) NOT NULL,
+            event_type varchar(100) NOT NULL,
+            timestamp datetime NOT NULL,
+            data longtext,
+            context longtext,
+            PRIMARY KEY  (id),
+            UNIQUE KEY event_id (event_id),
+            KEY timestamp (timestamp)
+        ) {$charset_collate};
+        CREATE TABLE {$prefix}_logs (
+            id bigint(20) NOT NULL AUTO_INCREMENT,
+            webhook_id varchar(32) NOT NULL,
+            delivery_id varchar(32) NOT NULL DEFAULT '',
+            event_id varchar(32) NOT NULL DEFAULT '',
+            event_type varchar(100) NOT NULL,
+            trigger_type varchar(20) NOT NULL DEFAULT 'event',
+            attempt int(11) NOT NULL DEFAULT 1,
+            delivery_status varchar(20) NOT NULL,
+            response_code int(11) NOT NULL DEFAULT 0,
+            duration_ms int(11) NOT NULL DEFAULT 0,
+            request_url varchar(500) NOT NULL DEFAULT '',
+            request_headers text,
+            request_body longtext,
+            response_headers text,
+            response_body longtext,
+            error_message text,
+            timestamp datetime NOT NULL,
+            PRIMARY KEY  (id),
+            KEY webhook_timestamp (webhook_id, timestamp),
+            KEY event_id (event_id)
+        ) {$charset_collate};";
+        
+        require_once(ABSPATH . 'wp-admin/includes/upgrade.php');
+        dbDelta($sql);
+        
+        update_option('ai_news_webhooks_db_version', self::DB_VERSION);
+    }
 }
 
 // Initialize the webhook manager
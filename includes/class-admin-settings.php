@@ -85,6 +85,28 @@ class CP_Admin_Settings {
         }
     }
 
+    /**
+     * Enqueue the settings page script and styles
+     *
+     * @param string $hook Current admin page hook
+     */
+    public function enqueue_admin_scripts($hook) {
+        if (strpos($hook, 'contentpilot-settings') === false) {
+            return;
+        }
+
+        wp_enqueue_script('aanp-admin-js', CP_PLUGIN_URL . 'assets/js/admin.js', array('jquery', 'aanp-safe-html'), CP_VERSION, true);
+        wp_enqueue_style('aanp-admin-css', CP_PLUGIN_URL . 'assets/css/admin.css', array(), CP_VERSION);
+
+        wp_localize_script('aanp-admin-js', 'aanp_ajax', array(
+            'ajax_url' => admin_url('admin-ajax.php'),
+            'nonce' => wp_create_nonce('aanp_nonce'),
+            'settings_nonce' => wp_create_nonce('aanp_settings_nonce'),
+            'queue_nonce' => wp_create_nonce('aanp_queue_nonce'),
+            'generating_text' => __('Generating posts...', 'contentpilot')
+        ));
+    }
+
     /**
      * LLM Provider callback
      */
@@ -0,0 +1,193 @@
+<?php
+/**
+ * Capabilities Class
+ *
+ * Maps ContentPilot capabilities such as "view-metrics" or "manage-keys"
+ * onto WordPress capabilities granted through roles, so site owners can
+ * decide with any role editor who may do what on the dashboard.
+ *
+ * @package ContentPilot
+ * @since 2.0.0
+ */
+
+// Prevent direct access
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+class CP_Capabilities {
+
+    /**
+     * Bump when the default role grants change
+     */
+    const VERSION = '2';
+
+    /**
+     * ContentPilot capabilities with their labels and default roles
+     *
+     * Administrators always hold every capability.
+     */
+    private static $capabilities = array(
+        'view-metrics' => array(
+            'label' => 'View metrics and monitoring',
+            'roles' => array('editor')
+        ),
+        'manage-alerts' => array(
+            'label' => 'Acknowledge and resolve alerts',
+            'roles' => array('editor')
+        ),
+        'run-audits' => array(
+            'label' => 'Run SEO audits',
+            'roles' => array('editor')
+        ),
+        'generate-content' => array(
+            'label' => 'Generate content',
+            'roles' => array('editor')
+        ),
+        'manage-feeds' => array(
+            'label' => 'Manage RSS feeds',
+            'roles' => array()
+        ),
+        'manage-keys' => array(
+            'label' => 'Manage API keys and webhooks',
+            'roles' => array()
+        ),
+        'manage-queue' => array(
+            'label' => 'Manage background queue',
+            'roles' => array()
+        ),
+        'manage-cache' => array(
+            'label' => 'Purge caches',
+            'roles' => array()
+        ),
+        'annotate-charts' => array(
+            'label' => 'Add chart annotations',
+            'roles' => array('editor')
+        ),
+        'manage-settings' => array(
+            'label' => 'Change monitoring settings',
+            'roles' => array()
+        )
+    );
+
+    /**
+     * Register hooks
+     */
+    public static function init() {
+        add_filter('user_has_cap', array(__CLASS__, 'grant_administrators'), 10, 1);
+        add_action('admin_init', array(__CLASS__, 'maybe_install_roles'));
+    }
+
+    /**
+     * Capability definitions, filterable so add-ons can add their own
+     */
+    public static function get_capabilities() {
+        return apply_filters('cp_capabilities', self::$capabilities);
+    }
+
+    /**
+     * Capability labels keyed by ContentPilot capability
+     */
+    public static function get_labels() {
+        return array_map(function ($capability) {
+            return $capability['label'];
+        }, self::get_capabilities());
+    }
+
+    /**
+     * WordPress capability behind a ContentPilot capability
+     *
+     * "manage-keys" becomes "contentpilot_manage_keys".
+     */
+    public static function wp_capability($capability) {
+        return 'contentpilot_' . str_replace('-', '_', $capability);
+    }
+
+    /**
+     * Whether a user holds a ContentPilot capability
+     *
+     * @param string   $capability ContentPilot capability, e.g. "manage-keys"
+     * @param int|null $user_id    Defaults to the current user
+     * @return bool
+     */
+    public static function user_can($capability, $user_id = null) {
+        $capabilities = self::get_capabilities();
+        $user_id = $user_id === null ? get_current_user_id() : (int) $user_id;
+
+        $allowed = isset($capabilities[$capability]) && $user_id > 0
+            && user_can($user_id, self::wp_capability($capability));
+
+        return (bool) apply_filters('cp_user_can', $allowed, $capability, $user_id);
+    }
+
+    /**
+     * ContentPilot capabilities a user holds
+     *
+     * @param int|null $user_id Defaults to the current user
+     * @return string[]
+     */
+    public static function get_user_capabilities($user_id = null) {
+        return array_values(array_filter(array_keys(self::get_capabilities()), function ($capability) use ($user_id) {
+            return self::user_can($capability, $user_id);
+        }));
+    }
+
+    /**
+     * Give site administrators every ContentPilot capability
+     *
+     * Keeps administrators working before the role grants are installed
+     * and after a role editor strips them by mistake.
+     */
+    public static function grant_administrators($allcaps) {
+        if (!empty($allcaps['manage_options'])) {
+            foreach (array_keys(self::get_capabilities()) as $capability) {
+                $allcaps[self::wp_capability($capability)] = true;
+            }
+        }
+
+        return $allcaps;
+    }
+
+    /**
+     * Install the default role grants once per VERSION
+     */
+    public static function maybe_install_roles() {
+        if (get_option('cp_capabilities_version') !== self::VERSION) {
+            self::install_roles();
+        }
+    }
+
+    /**
+     * Add each capability to its default roles
+     *
+     * Only adds grants, so roles customized with a role editor keep their
+     * other changes.
+     */
+    public static function install_roles() {
+        foreach (self::get_capabilities() as $capability => $definition) {
+            $roles = array_merge(array('administrator'), $definition['roles'] ?? array());
+
+            foreach ($roles as $role_name) {
+                $role = get_role($role_name);
+                if ($role) {
+                    $role->add_cap(self::wp_capability($capability));
+                }
+            }
+        }
+
+        update_option('cp_capabilities_version', self::VERSION);
+    }
+
+    /**
+     * Remove every ContentPilot capability from every role
+     */
+    public static function remove_roles() {
+        foreach (wp_roles()->role_objects as $role) {
+            foreach (array_keys(self::get_capabilities()) as $capability) {
+                $role->remove_cap(self::wp_capability($capability));
+            }
+        }
+
+        delete_option('cp_capabilities_version');
+    }
+}
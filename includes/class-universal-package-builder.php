@@ -53,6 +53,7 @@ class AANP_UniversalPackageBuilder {
         'includes/class-exceptions.php',
         'includes/class-rate-limiter.php',
         'includes/class-admin-settings.php',
+        'includes/class-capabilities.php',
         
         // Content verification system
         'includes/class-content-verifier.php',
@@ -72,6 +73,7 @@ class AANP_UniversalPackageBuilder {
         'includes/performance/AdvancedCacheManager.php',
         'includes/performance/ConnectionPoolManager.php',
         'includes/performance/QueueManager.php',
+        'includes/performance/ContentPipeline.php',
         'includes/seo/ContentAnalyzer.php',
         'includes/seo/EEATOptimizer.php',
         'includes/services/NewsFetchService.php',
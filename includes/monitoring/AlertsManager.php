@@ -43,6 +43,21 @@ class AlertsManager {
     const CHANNEL_SMS = 'sms';
     const CHANNEL_PUSH = 'push';
     
+    /**
+     * Database schema version
+     */
+    const DB_VERSION = '1.0';
+    
+    /**
+     * How long resolved alerts stay in the dashboard list
+     */
+    const RESOLVED_RETENTION = DAY_IN_SECONDS;
+    
+    /**
+     * Longest time a dashboard threshold must hold before firing, in minutes
+     */
+    const MAX_RULE_DURATION = 1440;
+    
     /**
      * Alert manager instance (singleton)
      */
@@ -99,6 +114,10 @@ class AlertsManager {
      * Initialize alerts manager
      */
     private function init() {
+        if (get_option('ai_news_alerts_db_version') !== self::DB_VERSION) {
+            self::create_database_tables();
+        }
+        
         $this->load_configuration();
         $this->setup_hooks();
         $this->load_active_alerts();
@@ -149,6 +168,7 @@ class AlertsManager {
         
         // AJAX handlers
         add_action('wp_ajax_ai_news_get_alerts', [$this, 'ajax_get_alerts']);
+        add_action('wp_ajax_ai_news_raise_alert', [$this, 'ajax_raise_alert']);
         add_action('wp_ajax_ai_news_acknowledge_alert', [$this, 'ajax_acknowledge_alert']);
         add_action('wp_ajax_ai_news_resolve_alert', [$this, 'ajax_resolve_alert']);
         add_action('wp_ajax_ai_news_suppress_alert', [$this, 'ajax_suppress_alert']);
@@ -568,6 +588,7 @@ class AlertsManager {
         $alert['updated_at'] = time();
         
         $this->update_alert($alert);
+        $this->active_alerts[$alert_id] = $alert;
         $this->log_alert_event('acknowledged', $alert);
         
         return true;
@@ -613,6 +634,7 @@ class AlertsManager {
         $alert['updated_at'] = time();
         
         $this->update_alert($alert);
+        $this->active_alerts[$alert_id] = $alert;
         $this->log_alert_event('suppressed', $alert);
         
         return true;
@@ -644,6 +666,22 @@ class AlertsManager {
         return $alerts;
     }
     
+    /**
+     * Get a single alert, open or resolved
+     */
+    public function get_alert($alert_id) {
+        global $wpdb;
+        
+        if (isset($this->active_alerts[$alert_id])) {
+            return $this->active_alerts[$alert_id];
+        }
+        
+        $table_name = $this->get_table_name();
+        $row = $wpdb->get_row($wpdb->prepare("SELECT * FROM {$table_name} WHERE id = %s", $alert_id));
+        
+        return $row ? $this->row_to_alert($row) : null;
+    }
+    
     /**
      * Get alert statistics
      */
@@ -697,6 +735,10 @@ class AlertsManager {
             wp_send_json_error('Security check failed');
         }
         
+        if (!CP_Capabilities::user_can('view-metrics')) {
+            wp_send_json_error('Insufficient permissions');
+        }
+        
         $filters = [
             'status' => $_POST['status'] ?? null,
             'severity' => $_POST['severity'] ?? null,
@@ -707,14 +749,83 @@ class AlertsManager {
         $filters = array_filter($filters);
         
         $alerts = $this->get_alerts($filters);
+        
+        // Recently resolved alerts stay visible so everyone sees who closed them
+        if (!empty($_POST['include_resolved']) && ($filters['status'] ?? self::STATUS_RESOLVED) === self::STATUS_RESOLVED) {
+            $resolved = array_filter($this->get_recently_resolved_alerts(time() - self::RESOLVED_RETENTION), function($alert) use ($filters) {
+                foreach ($filters as $filter => $value) {
+                    if ($alert[$filter] !== $value) {
+                        return false;
+                    }
+                }
+                return true;
+            });
+            $alerts = array_merge($alerts, $resolved);
+        }
+        
         $stats = $this->get_alert_statistics($_POST['time_range'] ?? '24h');
         
         wp_send_json_success([
-            'alerts' => $alerts,
-            'statistics' => $stats
+            'alerts' => array_map([$this, 'format_alert'], array_values($alerts)),
+            'statistics' => $stats,
+            'rules' => (object) $this->get_threshold_rules(),
+            'rules_updated_at' => $this->get_threshold_rules_updated_at(),
+            'server_time' => time()
         ]);
     }
     
+    /**
+     * AJAX handler for threshold breaches a dashboard detected
+     *
+     * Repeated reports of the same metric and severity return the alert
+     * that is already open, so every dashboard shares one alert. Capacity
+     * forecasts report under "<metric>_forecast" with source "forecast".
+     */
+    public function ajax_raise_alert() {
+        if (!wp_verify_nonce($_POST['nonce'] ?? '', 'ai_news_dashboard_nonce')) {
+            wp_send_json_error('Security check failed');
+        }
+        
+        if (!CP_Capabilities::user_can('view-metrics')) {
+            wp_send_json_error('Insufficient permissions');
+        }
+        
+        $metric = sanitize_key($_POST['metric'] ?? '');
+        $severity = sanitize_key($_POST['severity'] ?? '');
+        
+        if (empty($metric)) {
+            wp_send_json_error('Metric is required');
+        }
+        
+        if (!in_array($severity, [self::SEVERITY_CRITICAL, self::SEVERITY_HIGH, self::SEVERITY_MEDIUM, self::SEVERITY_LOW, self::SEVERITY_INFO], true)) {
+            wp_send_json_error('Invalid severity');
+        }
+        
+        $existing = $this->find_open_metric_alert($metric, $severity);
+        if ($existing) {
+            wp_send_json_success(['alert' => $this->format_alert($existing), 'created' => false]);
+        }
+        
+        $alert_id = $this->create_alert(
+            'performance',
+            $severity,
+            sanitize_text_field(wp_unslash($_POST['title'] ?? '')) ?: "Performance alert: {$metric}",
+            sanitize_text_field(wp_unslash($_POST['message'] ?? '')),
+            [
+                'metric' => $metric,
+                'value' => floatval($_POST['value'] ?? 0),
+                'threshold' => floatval($_POST['threshold'] ?? 0),
+                'source' => ($_POST['source'] ?? '') === 'forecast' ? 'forecast' : 'dashboard'
+            ]
+        );
+        
+        if (!$alert_id) {
+            wp_send_json_error('Alert was suppressed');
+        }
+        
+        wp_send_json_success(['alert' => $this->format_alert($this->active_alerts[$alert_id]), 'created' => true]);
+    }
+    
     /**
      * AJAX handler for acknowledging alert
      */
@@ -723,6 +834,10 @@ class AlertsManager {
             wp_send_json_error('Security check failed');
         }
         
+        if (!CP_Capabilities::user_can('manage-alerts')) {
+            wp_send_json_error('Insufficient permissions');
+        }
+        
         $alert_id = $_POST['alert_id'] ?? '';
         if (empty($alert_id)) {
             wp_send_json_error('Alert ID is required');
@@ -731,9 +846,12 @@ class AlertsManager {
         $success = $this->acknowledge_alert($alert_id);
         
         if ($success) {
-            wp_send_json_success(['message' => 'Alert acknowledged successfully']);
+            wp_send_json_success([
+                'message' => 'Alert acknowledged successfully',
+                'alert' => $this->format_alert($this->get_alert($alert_id))
+            ]);
         } else {
-            wp_send_json_error('Failed to acknowledge alert');
+            wp_send_json_error($this->get_alert_error($alert_id, 'Failed to acknowledge alert'));
         }
     }
     
@@ -745,8 +863,12 @@ class AlertsManager {
             wp_send_json_error('Security check failed');
         }
         
-        $alert_id = $_POST['alert_id'] ?? '';
-        $resolution_note = $_POST['resolution_note'] ?? '';
+        if (!CP_Capabilities::user_can('manage-alerts')) {
+            wp_send_json_error('Insufficient permissions');
+        }
+        
+        $alert_id = sanitize_text_field($_POST['alert_id'] ?? '');
+        $resolution_note = sanitize_textarea_field(wp_unslash($_POST['resolution_note'] ?? ''));
         
         if (empty($alert_id)) {
             wp_send_json_error('Alert ID is required');
@@ -755,9 +877,12 @@ class AlertsManager {
         $success = $this->resolve_alert($alert_id, null, $resolution_note);
         
         if ($success) {
-            wp_send_json_success(['message' => 'Alert resolved successfully']);
+            wp_send_json_success([
+                'message' => 'Alert resolved successfully',
+                'alert' => $this->format_alert($this->get_alert($alert_id))
+            ]);
         } else {
-            wp_send_json_error('Failed to resolve alert');
+            wp_send_json_error($this->get_alert_error($alert_id, 'Failed to resolve alert'));
         }
     }
     
@@ -769,6 +894,10 @@ class AlertsManager {
             wp_send_json_error('Security check failed');
         }
         
+        if (!CP_Capabilities::user_can('manage-alerts')) {
+            wp_send_json_error('Insufficient permissions');
+        }
+        
         $alert_id = $_POST['alert_id'] ?? '';
         $duration = intval($_POST['duration'] ?? 3600);
         $reason = $_POST['reason'] ?? '';
@@ -780,12 +909,29 @@ class AlertsManager {
         $success = $this->suppress_alert($alert_id, $duration, $reason);
         
         if ($success) {
-            wp_send_json_success(['message' => 'Alert suppressed successfully']);
+            wp_send_json_success([
+                'message' => 'Alert suppressed successfully',
+                'alert' => $this->format_alert($this->get_alert($alert_id))
+            ]);
         } else {
-            wp_send_json_error('Failed to suppress alert');
+            wp_send_json_error($this->get_alert_error($alert_id, 'Failed to suppress alert'));
         }
     }
     
+    /**
+     * Error for an action on an alert that is no longer open
+     */
+    private function get_alert_error($alert_id, $default) {
+        $alert = $this->get_alert($alert_id);
+        
+        if ($alert && $alert['status'] === self::STATUS_RESOLVED) {
+            $user = $alert['resolved_by'] ? get_userdata($alert['resolved_by']) : false;
+            return $user ? sprintf('Alert was already resolved by %s', $user->display_name) : 'Alert was already resolved';
+        }
+        
+        return $alert ? $default : 'Alert not found';
+    }
+    
     /**
      * AJAX handler for updating alert settings
      */
@@ -794,15 +940,148 @@ class AlertsManager {
             wp_send_json_error('Security check failed');
         }
         
-        $settings = [
-            'alert_rules' => $_POST['alert_rules'] ?? [],
-            'notification_channels' => $_POST['notification_channels'] ?? [],
-            'escalation_schedule' => $_POST['escalation_schedule'] ?? []
-        ];
+        if (!CP_Capabilities::user_can('manage-settings')) {
+            wp_send_json_error('Insufficient permissions');
+        }
+        
+        // Only replace the settings that were sent
+        $settings = get_option('ai_news_alert_settings', []);
+        foreach (['alert_rules', 'notification_channels', 'escalation_schedule'] as $key) {
+            if (isset($_POST[$key])) {
+                $settings[$key] = $_POST[$key];
+            }
+        }
+        
+        if (isset($_POST['threshold_rules'])) {
+            $rules = $this->sanitize_threshold_rules(json_decode(wp_unslash($_POST['threshold_rules']), true));
+            if (is_wp_error($rules)) {
+                wp_send_json_error($rules->get_error_message());
+            }
+            
+            $settings['threshold_rules'] = $rules;
+            $settings['threshold_rules_updated_at'] = time();
+        }
         
         update_option('ai_news_alert_settings', $settings);
         
-        wp_send_json_success(['message' => 'Alert settings updated successfully']);
+        wp_send_json_success([
+            'message' => 'Alert settings updated successfully',
+            'rules' => (object) $this->get_threshold_rules(),
+            'rules_updated_at' => $this->get_threshold_rules_updated_at()
+        ]);
+    }
+    
+    /**
+     * Dashboard threshold rules, keyed by metric
+     *
+     * Metrics without a saved rule use the dashboard's defaults.
+     */
+    public function get_threshold_rules() {
+        $settings = get_option('ai_news_alert_settings', []);
+        return $settings['threshold_rules'] ?? [];
+    }
+    
+    /**
+     * When the threshold rules last changed
+     */
+    private function get_threshold_rules_updated_at() {
+        $settings = get_option('ai_news_alert_settings', []);
+        return intval($settings['threshold_rules_updated_at'] ?? 0);
+    }
+    
+    /**
+     * Validate threshold rules sent by the rule editor
+     *
+     * Levels are compared in the rule's direction: for "above" the
+     * critical level must not be lower than the warning level and each
+     * recovery level must not be higher than the level it recovers from;
+     * "below" reverses both.
+     */
+    private function sanitize_threshold_rules($rules) {
+        if (!is_array($rules) || count($rules) > 50) {
+            return new WP_Error('invalid_rules', 'Invalid threshold rules');
+        }
+        
+        $clean = [];
+        
+        foreach ($rules as $metric => $rule) {
+            if (!is_string($metric) || !preg_match('/^[A-Za-z][A-Za-z0-9_]{0,49}$/', $metric) || !is_array($rule)) {
+                return new WP_Error('invalid_rules', 'Invalid threshold rule');
+            }
+            
+            $mode = $rule['mode'] ?? 'static';
+            if (!in_array($mode, ['static', 'adaptive'], true)) {
+                return new WP_Error('invalid_rules', sprintf('%s: mode must be "static" or "adaptive"', $metric));
+            }
+            
+            $direction = $rule['direction'] ?? 'above';
+            if (!in_array($direction, ['above', 'below'], true)) {
+                return new WP_Error('invalid_rules', sprintf('%s: direction must be "above" or "below"', $metric));
+            }
+            
+            $levels = [];
+            foreach (['warning', 'critical'] as $level) {
+                if (!isset($rule[$level]) || !is_numeric($rule[$level])) {
+                    return new WP_Error('invalid_rules', sprintf('%s: the %s level must be a number', $metric, $level));
+                }
+                $levels[$level] = (float) $rule[$level];
+            }
+            
+            // Positive when a value is further into the alert range
+            $sign = $direction === 'below' ? -1 : 1;
+            $worse = $direction === 'below' ? 'below' : 'above';
+            $better = $direction === 'below' ? 'above' : 'below';
+            
+            if ($sign * ($levels['critical'] - $levels['warning']) < 0) {
+                return new WP_Error('invalid_rules', sprintf('%s: the critical level must be at or %s the warning level', $metric, $worse));
+            }
+            
+            $duration = $rule['duration'] ?? 0;
+            if (!is_numeric($duration) || $duration < 0 || $duration > self::MAX_RULE_DURATION) {
+                return new WP_Error('invalid_rules', sprintf('%s: the hold time must be between 0 and %d minutes', $metric, self::MAX_RULE_DURATION));
+            }
+            
+            $recovery = [];
+            foreach (['warning', 'critical'] as $level) {
+                $value = $rule['recovery'][$level] ?? null;
+                if ($value === null || $value === '') {
+                    $recovery[$level] = null;
+                    continue;
+                }
+                
+                if (!is_numeric($value) || $sign * ((float) $value - $levels[$level]) > 0) {
+                    return new WP_Error('invalid_rules', sprintf('%s: the %s recovery level must be a number at or %s the %s level', $metric, $level, $better, $level));
+                }
+                $recovery[$level] = (float) $value;
+            }
+            
+            // Adaptive levels, in standard deviations from the baseline
+            $deviations = [];
+            foreach (['warning' => 3, 'critical' => 5] as $level => $default) {
+                $value = $rule['deviations'][$level] ?? $default;
+                if (!is_numeric($value) || $value < 0.5 || $value > 10) {
+                    return new WP_Error('invalid_rules', sprintf('%s: %s deviations must be between 0.5 and 10', $metric, $level));
+                }
+                $deviations[$level] = (float) $value;
+            }
+            
+            if ($deviations['critical'] < $deviations['warning']) {
+                return new WP_Error('invalid_rules', sprintf('%s: critical deviations must be at or above warning deviations', $metric));
+            }
+            
+            $clean[$metric] = [
+                'enabled' => !isset($rule['enabled']) || !empty($rule['enabled']),
+                'mode' => $mode,
+                'direction' => $direction,
+                'warning' => $levels['warning'],
+                'critical' => $levels['critical'],
+                'duration' => (int) $duration,
+                'recovery' => $recovery,
+                'deviations' => $deviations
+            ];
+        }
+        
+        return $clean;
     }
     
     // Utility methods
@@ -810,36 +1089,108 @@ class AlertsManager {
     private function load_active_alerts() {
         global $wpdb;
         
-        $table_name = $wpdb->prefix . 'ai_news_monitoring_alerts';
+        $table_name = $this->get_table_name();
         
         $results = $wpdb->get_results(
             "SELECT * FROM {$table_name} 
-             WHERE status IN ('active', 'acknowledged') 
+             WHERE status IN ('active', 'acknowledged', 'suppressed') 
              ORDER BY created_at DESC"
         );
         
-        foreach ($results as $row) {
-            $alert = [
-                'id' => $row->id,
-                'type' => $row->type,
-                'severity' => $row->severity,
-                'title' => $row->title,
-                'message' => $row->message,
-                'status' => $row->status,
-                'created_at' => strtotime($row->created_at),
-                'acknowledged_at' => $row->acknowledged_at ? strtotime($row->acknowledged_at) : null,
-                'resolved_at' => $row->resolved_at ? strtotime($row->resolved_at) : null,
-                'context' => maybe_unserialize($row->context)
-            ];
+        foreach ((array) $results as $row) {
+            $alert = $this->row_to_alert($row);
+            
+            // Suppression is over, so the alert needs attention again
+            if ($alert['status'] === self::STATUS_SUPPRESSED && $alert['suppressed_until'] && $alert['suppressed_until'] <= time()) {
+                $alert['status'] = $alert['acknowledged_at'] ? self::STATUS_ACKNOWLEDGED : self::STATUS_ACTIVE;
+                $alert['suppressed_until'] = null;
+                $alert['updated_at'] = time();
+                $this->update_alert($alert);
+            }
             
             $this->active_alerts[$row->id] = $alert;
         }
     }
     
+    /**
+     * Alerts resolved since a given time, newest first
+     */
+    public function get_recently_resolved_alerts($since) {
+        global $wpdb;
+        
+        $table_name = $this->get_table_name();
+        
+        $results = $wpdb->get_results($wpdb->prepare(
+            "SELECT * FROM {$table_name} 
+             WHERE status = %s AND resolved_at >= %s 
+             ORDER BY resolved_at DESC 
+             LIMIT 100",
+            self::STATUS_RESOLVED,
+            date('Y-m-d H:i:s', $since)
+        ));
+        
+        return array_map([$this, 'row_to_alert'], (array) $results);
+    }
+    
+    private function row_to_alert($row) {
+        return [
+            'id' => $row->id,
+            'type' => $row->type,
+            'severity' => $row->severity,
+            'title' => $row->title,
+            'message' => $row->message,
+            'status' => $row->status,
+            'created_at' => strtotime($row->created_at),
+            'updated_at' => $row->updated_at ? strtotime($row->updated_at) : strtotime($row->created_at),
+            'acknowledged_by' => $row->acknowledged_by ? (int) $row->acknowledged_by : null,
+            'acknowledged_at' => $row->acknowledged_at ? strtotime($row->acknowledged_at) : null,
+            'resolved_by' => $row->resolved_by ? (int) $row->resolved_by : null,
+            'resolved_at' => $row->resolved_at ? strtotime($row->resolved_at) : null,
+            'resolution_note' => $row->resolution_note,
+            'suppressed_until' => $row->suppressed_until ? strtotime($row->suppressed_until) : null,
+            'context' => maybe_unserialize($row->context)
+        ];
+    }
+    
+    /**
+     * Alert as sent to the dashboard, with the names of who handled it
+     */
+    private function format_alert($alert) {
+        $names = [];
+        foreach (['acknowledged_by', 'resolved_by'] as $field) {
+            $user = !empty($alert[$field]) ? get_userdata($alert[$field]) : false;
+            $names[$field . '_name'] = $user ? $user->display_name : null;
+        }
+        
+        return array_merge([
+            'acknowledged_by' => null,
+            'acknowledged_at' => null,
+            'resolved_by' => null,
+            'resolved_at' => null,
+            'resolution_note' => '',
+            'suppressed_until' => null
+        ], $alert, $names);
+    }
+    
+    /**
+     * Open alert raised from a dashboard for a metric and severity
+     */
+    private function find_open_metric_alert($metric, $severity) {
+        foreach ($this->active_alerts as $alert) {
+            if ($alert['type'] === 'performance' &&
+                $alert['severity'] === $severity &&
+                ($alert['context']['metric'] ?? null) === $metric) {
+                return $alert;
+            }
+        }
+        
+        return null;
+    }
+    
     private function store_alert($alert) {
         global $wpdb;
         
-        $table_name = $wpdb->prefix . 'ai_news_monitoring_alerts';
+        $table_name = $this->get_table_name();
         
         $wpdb->insert(
             $table_name,
@@ -852,33 +1203,45 @@ class AlertsManager {
                 'status' => $alert['status'],
                 'context' => maybe_serialize($alert['context']),
                 'created_at' => date('Y-m-d H:i:s', $alert['created_at']),
+                'updated_at' => date('Y-m-d H:i:s', $alert['updated_at']),
+                'acknowledged_by' => $alert['acknowledged_by'],
                 'acknowledged_at' => $alert['acknowledged_at'] ? date('Y-m-d H:i:s', $alert['acknowledged_at']) : null,
+                'resolved_by' => $alert['resolved_by'],
                 'resolved_at' => $alert['resolved_at'] ? date('Y-m-d H:i:s', $alert['resolved_at']) : null
             ],
-            ['%s', '%s', '%s', '%s', '%s', '%s', '%s', '%s', '%s', '%s']
+            ['%s', '%s', '%s', '%s', '%s', '%s', '%s', '%s', '%s', '%d', '%s', '%d', '%s']
         );
     }
     
     private function update_alert($alert) {
         global $wpdb;
         
-        $table_name = $wpdb->prefix . 'ai_news_monitoring_alerts';
+        $table_name = $this->get_table_name();
         
         $wpdb->update(
             $table_name,
             [
                 'status' => $alert['status'],
                 'context' => maybe_serialize($alert['context']),
-                'acknowledged_at' => $alert['acknowledged_at'] ? date('Y-m-d H:i:s', $alert['acknowledged_at']) : null,
-                'resolved_at' => $alert['resolved_at'] ? date('Y-m-d H:i:s', $alert['resolved_at']) : null,
+                'acknowledged_by' => $alert['acknowledged_by'] ?? null,
+                'acknowledged_at' => !empty($alert['acknowledged_at']) ? date('Y-m-d H:i:s', $alert['acknowledged_at']) : null,
+                'resolved_by' => $alert['resolved_by'] ?? null,
+                'resolved_at' => !empty($alert['resolved_at']) ? date('Y-m-d H:i:s', $alert['resolved_at']) : null,
+                'resolution_note' => $alert['resolution_note'] ?? '',
+                'suppressed_until' => !empty($alert['suppressed_until']) ? date('Y-m-d H:i:s', $alert['suppressed_until']) : null,
                 'updated_at' => date('Y-m-d H:i:s', $alert['updated_at'])
             ],
             ['id' => $alert['id']],
-            ['%s', '%s', '%s', '%s', '%s'],
+            ['%s', '%s', '%d', '%s', '%d', '%s', '%s', '%s', '%s'],
             ['%s']
         );
     }
     
+    private function get_table_name() {
+        global $wpdb;
+        return $wpdb->prefix . 'ai_news_alerts';
+    }
+    
     private function generate_alert_id($type, $severity) {
         return uniqid("alert_{$type}_{$severity}_", true);
     }
@@ -1168,6 +1531,43 @@ class AlertsManager {
         set_transient($log_key, $logs, 86400);
     }
     
+    /**
+     * Create the alerts table
+     */
+    public static function create_database_tables() {
+        global $wpdb;
+        
+        $charset_collate = $wpdb->get_charset_collate();
+        $table_name = $wpdb->prefix . 'ai_news_alerts';
+        
+        $sql = "CREATE TABLE {$table_name} (
+            id varchar(100) NOT NULL,
+            type varchar(50) NOT NULL,
+            severity varchar(20) NOT NULL,
+            title varchar(255) NOT NULL,
+            message text NOT NULL,
+            status varchar(20) NOT NULL DEFAULT 'active',
+            context longtext,
+            created_at datetime NOT NULL,
+            updated_at datetime NOT NULL,
+            acknowledged_by bigint(20) unsigned DEFAULT NULL,
+            acknowledged_at datetime DEFAULT NULL,
+            resolved_by bigint(20) unsigned DEFAULT NULL,
+            resolved_at datetime DEFAULT NULL,
+            resolution_note text,
+            suppressed_until datetime DEFAULT NULL,
+            PRIMARY KEY  (id),
+            KEY status (status),
+            KEY created_at (created_at),
+            KEY resolved_at (resolved_at)
+        ) {$charset_collate};";
+        
+        require_once ABSPATH . 'wp-admin/includes/upgrade.php';
+        dbDelta($sql);
+        
+        update_option('ai_news_alerts_db_version', self::DB_VERSION);
+    }
+    
     private function schedule_maintenance() {
         // Schedule periodic maintenance tasks
         if (!wp_next_scheduled('ai_news_process_alert_escalations')) {
@@ -1189,7 +1589,7 @@ class AlertsManager {
         $retention_days = 30;
         $cutoff_date = date('Y-m-d H:i:s', strtotime("-{$retention_days} days"));
         
-        $table_name = $wpdb->prefix . 'ai_news_monitoring_alerts';
+        $table_name = $this->get_table_name();
         
         $wpdb->query($wpdb->prepare(
             "DELETE FROM {$table_name} 
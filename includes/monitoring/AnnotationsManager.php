@@ -0,0 +1,445 @@
+<?php
+/**
+ * Annotations Manager
+ *
+ * Keeps a timeline of events that explain changes in the dashboard
+ * charts: plugin and theme updates, content bundle and filter preset
+ * changes, and notes added by users. Alerts are read from the alert
+ * history rather than copied, so charts can mark incidents too. The
+ * same timeline feeds the dashboard's recent activity list.
+ *
+ * @package ContentPilot
+ * @subpackage Includes/Monitoring
+ * @since 2.0.0
+ */
+
+if (!defined('ABSPATH')) {
+    exit; // Exit if accessed directly
+}
+
+class AnnotationsManager {
+
+    /**
+     * Database schema version
+     */
+    const DB_VERSION = '1.0';
+
+    /**
+     * Annotation categories
+     */
+    const CATEGORIES = [
+        'deploy' => 'Deploys',
+        'feeds' => 'Feed changes',
+        'incident' => 'Incidents',
+        'note' => 'Notes'
+    ];
+
+    /**
+     * Most annotations returned for one window
+     */
+    const MAX_RESULTS = 500;
+
+    /**
+     * Days annotations are kept
+     */
+    const RETENTION_DAYS = 365;
+
+    /**
+     * Annotations manager instance (singleton)
+     */
+    private static $instance = null;
+
+    /**
+     * Get singleton instance
+     */
+    public static function get_instance() {
+        if (self::$instance === null) {
+            self::$instance = new self();
+        }
+        return self::$instance;
+    }
+
+    /**
+     * Constructor
+     */
+    private function __construct() {
+        $this->init();
+    }
+
+    /**
+     * Initialize annotations manager
+     */
+    private function init() {
+        if (get_option('ai_news_annotations_db_version') !== self::DB_VERSION) {
+            self::create_database_tables();
+        }
+
+        $this->setup_hooks();
+    }
+
+    /**
+     * Set up WordPress hooks
+     */
+    private function setup_hooks() {
+        // AJAX endpoints
+        add_action('wp_ajax_ai_news_get_annotations', [$this, 'ajax_get_annotations']);
+        add_action('wp_ajax_ai_news_create_annotation', [$this, 'ajax_create_annotation']);
+        add_action('wp_ajax_ai_news_delete_annotation', [$this, 'ajax_delete_annotation']);
+
+        // Event sources
+        add_action('ai_news_annotate', [$this, 'annotate'], 10, 3);
+        add_action('admin_init', [$this, 'annotate_version_change']);
+        add_action('upgrader_process_complete', [$this, 'annotate_upgrade'], 10, 2);
+        add_action('aanp_content_bundle_changed', [$this, 'annotate_bundle_change'], 10, 3);
+        add_action('aanp_filter_preset_saved', [$this, 'annotate_preset_saved']);
+
+        // Cleanup
+        add_action('wp_scheduled_delete', [$this, 'cleanup_old_annotations']);
+    }
+
+    /**
+     * Record an annotation
+     *
+     * Args: note, source, link, user_id (defaults to the current user) and
+     * time (unix timestamp, defaults to now).
+     *
+     * Returns the annotation ID, or false on failure.
+     */
+    public function annotate($category, $title, $args = []) {
+        global $wpdb;
+
+        $time = isset($args['time']) ? absint($args['time']) : time();
+
+        $result = $wpdb->insert(
+            $this->get_table_name(),
+            [
+                'category' => isset(self::CATEGORIES[$category]) ? $category : 'note',
+                'title' => substr(sanitize_text_field($title), 0, 200),
+                'note' => substr(sanitize_textarea_field($args['note'] ?? ''), 0, 2000),
+                'source' => substr(sanitize_text_field($args['source'] ?? $category), 0, 100),
+                'link' => esc_url_raw($args['link'] ?? ''),
+                'user_id' => absint($args['user_id'] ?? get_current_user_id()),
+                'occurred_at' => gmdate('Y-m-d H:i:s', $time),
+                'created_at' => current_time('mysql', true)
+            ],
+            ['%s', '%s', '%s', '%s', '%s', '%d', '%s', '%s']
+        );
+
+        return $result ? (int) $wpdb->insert_id : false;
+    }
+
+    /**
+     * Annotations and alerts between two unix timestamps, oldest first
+     */
+    public function get_annotations($start, $end, $user_id = 0) {
+        global $wpdb;
+
+        $table_name = $this->get_table_name();
+        $rows = $wpdb->get_results($wpdb->prepare(
+            "SELECT * FROM {$table_name}
+             WHERE occurred_at >= %s AND occurred_at < %s
+             ORDER BY occurred_at ASC
+             LIMIT %d",
+            gmdate('Y-m-d H:i:s', $start),
+            gmdate('Y-m-d H:i:s', $end),
+            self::MAX_RESULTS
+        ));
+
+        $annotations = array_map(function ($row) use ($user_id) {
+            return $this->format_annotation($row, $user_id);
+        }, $rows ?: []);
+
+        $annotations = array_merge($annotations, $this->get_alert_annotations($start, $end));
+
+        usort($annotations, function ($a, $b) {
+            return $a['time'] - $b['time'];
+        });
+
+        return array_slice($annotations, 0, self::MAX_RESULTS);
+    }
+
+    /**
+     * Most recent annotations, newest first
+     */
+    public function get_recent($limit = 10) {
+        global $wpdb;
+
+        $table_name = $this->get_table_name();
+        $rows = $wpdb->get_results($wpdb->prepare(
+            "SELECT * FROM {$table_name} ORDER BY occurred_at DESC LIMIT %d",
+            $limit
+        ));
+
+        return array_map(function ($row) {
+            return $this->format_annotation($row);
+        }, $rows ?: []);
+    }
+
+    /**
+     * AJAX handlers
+     */
+    public function ajax_get_annotations() {
+        $this->verify_ajax_request();
+
+        $start = absint($_POST['start'] ?? 0);
+        $end = absint($_POST['end'] ?? 0);
+
+        if (!$start || $end <= $start || $end - $start > YEAR_IN_SECONDS) {
+            wp_send_json_error('Invalid annotation window');
+        }
+
+        wp_send_json_success([
+            'annotations' => $this->get_annotations($start, $end, get_current_user_id()),
+            'categories' => self::CATEGORIES,
+            'can_annotate' => CP_Capabilities::user_can('annotate-charts')
+        ]);
+    }
+
+    public function ajax_create_annotation() {
+        $this->verify_ajax_request();
+
+        if (!CP_Capabilities::user_can('annotate-charts')) {
+            wp_send_json_error('Insufficient permissions');
+        }
+
+        $title = sanitize_text_field(wp_unslash($_POST['title'] ?? ''));
+        if ($title === '') {
+            wp_send_json_error('Title is required');
+        }
+
+        $time = absint($_POST['time'] ?? time());
+        if ($time > time() + HOUR_IN_SECONDS) {
+            wp_send_json_error('Annotations cannot be placed in the future');
+        }
+
+        $annotation_id = $this->annotate('note', $title, [
+            'note' => wp_unslash($_POST['note'] ?? ''),
+            'source' => 'dashboard',
+            'time' => $time
+        ]);
+
+        if (!$annotation_id) {
+            wp_send_json_error('Failed to save annotation');
+        }
+
+        wp_send_json_success($this->format_annotation($this->get_annotation($annotation_id), get_current_user_id()));
+    }
+
+    public function ajax_delete_annotation() {
+        $this->verify_ajax_request();
+
+        $annotation = $this->get_annotation(absint($_POST['annotation_id'] ?? 0));
+        if (!$annotation) {
+            wp_send_json_error('Annotation not found');
+        }
+
+        if (!$this->can_delete($annotation, get_current_user_id())) {
+            wp_send_json_error('Insufficient permissions');
+        }
+
+        global $wpdb;
+        $wpdb->delete($this->get_table_name(), ['id' => $annotation->id], ['%d']);
+
+        wp_send_json_success(['message' => 'Annotation deleted']);
+    }
+
+    /**
+     * Event sources
+     */
+    public function annotate_version_change() {
+        $previous = get_option('ai_news_annotated_version', '');
+
+        if ($previous === CP_VERSION) {
+            return;
+        }
+
+        update_option('ai_news_annotated_version', CP_VERSION);
+
+        $this->annotate('deploy', $previous
+            ? sprintf('ContentPilot updated from %s to %s', $previous, CP_VERSION)
+            : sprintf('ContentPilot %s installed', CP_VERSION), [
+            'source' => 'contentpilot',
+            'user_id' => 0
+        ]);
+    }
+
+    public function annotate_upgrade($upgrader, $options) {
+        if (($options['action'] ?? '') !== 'update') {
+            return;
+        }
+
+        $type = $options['type'] ?? '';
+
+        if ($type === 'core') {
+            $this->annotate('deploy', 'WordPress core updated', ['source' => 'core']);
+            return;
+        }
+
+        if ($type === 'plugin') {
+            // ContentPilot's own updates are recorded with their version numbers
+            $names = array_map(function ($plugin) {
+                $data = get_plugin_data(WP_PLUGIN_DIR . '/' . $plugin, false, false);
+                return $data['Name'] ?: $plugin;
+            }, array_diff((array) ($options['plugins'] ?? []), [CP_PLUGIN_BASENAME]));
+        } elseif ($type === 'theme') {
+            $names = array_map(function ($theme) {
+                return wp_get_theme($theme)->get('Name') ?: $theme;
+            }, (array) ($options['themes'] ?? []));
+        } else {
+            return;
+        }
+
+        if (!empty($names)) {
+            $this->annotate('deploy', sprintf('Updated %s: %s', $type === 'plugin' ? 'plugins' : 'themes', implode(', ', $names)), [
+                'source' => $type
+            ]);
+        }
+    }
+
+    public function annotate_bundle_change($change, $bundle_name, $bundle_id) {
+        $this->annotate('feeds', sprintf('Content bundle %s: %s', $change, $bundle_name), [
+            'source' => 'bundle:' . absint($bundle_id),
+            'link' => admin_url('admin.php?page=aanp-content-filters')
+        ]);
+    }
+
+    public function annotate_preset_saved($preset_name) {
+        $this->annotate('feeds', sprintf('Filter preset saved: %s', $preset_name), [
+            'source' => 'preset',
+            'link' => admin_url('admin.php?page=aanp-content-filters')
+        ]);
+    }
+
+    public function cleanup_old_annotations() {
+        global $wpdb;
+
+        $table_name = $this->get_table_name();
+        $wpdb->query($wpdb->prepare(
+            "DELETE FROM {$table_name} WHERE occurred_at < %s",
+            gmdate('Y-m-d H:i:s', time() - self::RETENTION_DAYS * DAY_IN_SECONDS)
+        ));
+    }
+
+    /**
+     * Utility methods
+     */
+    private function verify_ajax_request() {
+        if (!wp_verify_nonce($_POST['nonce'] ?? '', 'ai_news_dashboard_nonce')) {
+            wp_send_json_error('Security check failed');
+        }
+
+        if (!CP_Capabilities::user_can('view-metrics')) {
+            wp_send_json_error('Insufficient permissions');
+        }
+    }
+
+    private function get_annotation($annotation_id) {
+        global $wpdb;
+
+        $table_name = $this->get_table_name();
+        return $wpdb->get_row($wpdb->prepare(
+            "SELECT * FROM {$table_name} WHERE id = %d",
+            $annotation_id
+        ));
+    }
+
+    /**
+     * Notes can be deleted by their author and by settings managers
+     */
+    private function can_delete($annotation, $user_id) {
+        if ($annotation->category !== 'note' || !$user_id) {
+            return false;
+        }
+
+        return (int) $annotation->user_id === (int) $user_id || CP_Capabilities::user_can('manage-settings', $user_id);
+    }
+
+    private function format_annotation($row, $user_id = 0) {
+        $author = $row->user_id ? get_userdata($row->user_id) : null;
+
+        return [
+            'id' => (int) $row->id,
+            'category' => $row->category,
+            'title' => $row->title,
+            'note' => $row->note,
+            'source' => $row->source,
+            'link' => $row->link,
+            'author' => $author ? $author->display_name : '',
+            'time' => strtotime($row->occurred_at . ' UTC'),
+            'can_delete' => $user_id ? $this->can_delete($row, $user_id) : false
+        ];
+    }
+
+    /**
+     * Alerts raised in a window, as incident annotations
+     */
+    private function get_alert_annotations($start, $end) {
+        global $wpdb;
+
+        $table_name = $wpdb->prefix . 'ai_news_alerts';
+        $alerts = $wpdb->get_results($wpdb->prepare(
+            "SELECT id, severity, title, message, status, created_at, resolved_at
+             FROM {$table_name}
+             WHERE created_at >= %s AND created_at < %s
+             ORDER BY created_at ASC
+             LIMIT %d",
+            gmdate('Y-m-d H:i:s', $start),
+            gmdate('Y-m-d H:i:s', $end),
+            self::MAX_RESULTS
+        ));
+
+        return array_map(function ($alert) {
+            return [
+                'id' => 'alert:' . $alert->id,
+                'category' => 'incident',
+                'title' => $alert->title,
+                'note' => $alert->message,
+                'source' => 'alert:' . $alert->severity,
+                'link' => '',
+                'alert_id' => $alert->id,
+                'status' => $alert->status,
+                'author' => '',
+                'time' => strtotime($alert->created_at . ' UTC'),
+                'can_delete' => false
+            ];
+        }, $alerts ?: []);
+    }
+
+    private function get_table_name() {
+        global $wpdb;
+        return $wpdb->prefix . 'ai_news_annotations';
+    }
+
+    /**
+     * Create database tables
+     */
+    public static function create_database_tables() {
+        global $wpdb;
+
+        $charset_collate = $wpdb->get_charset_collate();
+        $table_name = $wpdb->prefix . 'ai_news_annotations';
+
+        $sql = "CREATE TABLE {$table_name} (
+            id bigint(20) NOT NULL AUTO_INCREMENT,
+            category varchar(20) NOT NULL,
+            title varchar(200) NOT NULL,
+            note text NOT NULL,
+            source varchar(100) NOT NULL DEFAULT '',
+            link varchar(500) NOT NULL DEFAULT '',
+            user_id bigint(20) NOT NULL DEFAULT 0,
+            occurred_at datetime NOT NULL,
+            created_at datetime NOT NULL,
+            PRIMARY KEY  (id),
+            KEY occurred_at (occurred_at),
+            KEY category (category)
+        ) {$charset_collate};";
+
+        require_once(ABSPATH . 'wp-admin/includes/upgrade.php');
+        dbDelta($sql);
+
+        update_option('ai_news_annotations_db_version', self::DB_VERSION);
+    }
+}
+
+// Initialize the annotations manager
+AnnotationsManager::get_instance();
@@ -26,6 +26,16 @@ class MetricsCollector {
      */
     const CACHE_EXPIRY = 300; // 5 minutes
     
+    /**
+     * Weeks of recorded samples behind the seasonal baselines
+     */
+    const BASELINE_WEEKS = 4;
+    
+    /**
+     * Days of hourly history behind the dashboard's trend forecasts
+     */
+    const TREND_DAYS = 14;
+    
     /**
      * Metric categories
      */
@@ -112,6 +122,11 @@ class MetricsCollector {
         // AJAX handlers
         add_action('wp_ajax_ai_news_get_metrics', [$this, 'ajax_get_metrics']);
         add_action('wp_ajax_ai_news_get_dashboard_data', [$this, 'ajax_get_dashboard_data']);
+        add_action('wp_ajax_ai_news_get_metrics_history', [$this, 'ajax_get_metrics_history']);
+        add_action('wp_ajax_ai_news_get_metrics_comparison', [$this, 'ajax_get_metrics_comparison']);
+        add_action('wp_ajax_ai_news_get_metric_baseline', [$this, 'ajax_get_metric_baseline']);
+        add_action('wp_ajax_ai_news_get_metric_trend', [$this, 'ajax_get_metric_trend']);
+        add_action('wp_ajax_ai_news_get_performance_report', [$this, 'ajax_get_performance_report']);
         add_action('wp_ajax_ai_news_run_metrics_collection', [$this, 'ajax_run_collection']);
         
         // Scheduled collection
@@ -237,8 +252,9 @@ class MetricsCollector {
             ];
         }
         
-        // Disk usage
+        // Disk usage, recorded so its trend can be forecast
         $metrics['disk'] = $this->get_disk_usage();
+        $this->record_metric('disk_percentage', $metrics['disk']['percentage']);
         
         // Database performance
         $metrics['database'] = $this->get_database_metrics();
@@ -461,6 +477,8 @@ class MetricsCollector {
             if ($api_stats) {
                 $stats = $api_stats[0];
                 
+                $this->record_metric('api_requests', (int) $stats->total_requests);
+                
                 $metrics['rest_api'] = [
                     'requests_per_hour' => $stats->total_requests,
                     'success_rate' => $stats->total_requests > 0 ? 
@@ -647,6 +665,10 @@ class MetricsCollector {
             wp_send_json_error('Security check failed');
         }
         
+        if (!CP_Capabilities::user_can('view-metrics')) {
+            wp_send_json_error('Insufficient permissions');
+        }
+        
         $category = $_POST['category'] ?? 'all';
         $time_range = $_POST['time_range'] ?? '1h';
         
@@ -666,6 +688,10 @@ class MetricsCollector {
             wp_send_json_error('Security check failed');
         }
         
+        if (!CP_Capabilities::user_can('view-metrics')) {
+            wp_send_json_error('Insufficient permissions');
+        }
+        
         $dashboard_data = [
             'metrics' => $this->get_cached_metrics(),
             'activities' => $this->get_recent_activities(),
@@ -676,6 +702,654 @@ class MetricsCollector {
         wp_send_json_success($dashboard_data);
     }
     
+    /**
+     * AJAX handler for aggregated metrics history
+     */
+    public function ajax_get_metrics_history() {
+        if (!wp_verify_nonce($_POST['nonce'] ?? '', 'ai_news_dashboard_nonce')) {
+            wp_send_json_error('Security check failed');
+        }
+        
+        if (!CP_Capabilities::user_can('view-metrics')) {
+            wp_send_json_error('Insufficient permissions');
+        }
+        
+        $time_range = sanitize_text_field($_POST['time_range'] ?? '7d');
+        $window = $this->resolve_history_window(
+            $time_range,
+            sanitize_text_field($_POST['start'] ?? ''),
+            sanitize_text_field($_POST['end'] ?? '')
+        );
+        
+        if (is_wp_error($window)) {
+            wp_send_json_error($window->get_error_message());
+        }
+        
+        // Previous window of equal length, used for period-over-period deltas
+        $length = $window['end'] - $window['start'];
+        $current = $this->get_history_series($window['start'], $window['end'], $window['bucket']);
+        $previous = $this->get_history_series($window['start'] - $length, $window['start'], $window['bucket']);
+        
+        wp_send_json_success([
+            'time_range' => $time_range,
+            'start' => $window['start'],
+            'end' => $window['end'],
+            'bucket_size' => $window['bucket'],
+            'labels' => $current['labels'],
+            'series' => $current['series'],
+            'totals' => $current['totals'],
+            'previous_totals' => $previous['totals'],
+            'activity' => $this->get_activity_breakdown($window['start'], $window['end']),
+            'timestamp' => time()
+        ]);
+    }
+    
+    /**
+     * AJAX handler for the same window in an earlier period
+     *
+     * Returns history for the window moved back by a day, a week or to a
+     * chosen date, bucketed like the caller's window so charts can line
+     * the two periods up bucket by bucket.
+     */
+    public function ajax_get_metrics_comparison() {
+        if (!wp_verify_nonce($_POST['nonce'] ?? '', 'ai_news_dashboard_nonce')) {
+            wp_send_json_error('Security check failed');
+        }
+        
+        if (!CP_Capabilities::user_can('view-metrics')) {
+            wp_send_json_error('Insufficient permissions');
+        }
+        
+        $start = absint($_POST['start'] ?? 0);
+        $end = absint($_POST['end'] ?? 0);
+        $period = sanitize_text_field($_POST['period'] ?? 'week');
+        
+        if (!$start || $end <= $start || $end - $start > YEAR_IN_SECONDS) {
+            wp_send_json_error('Invalid comparison window');
+        }
+        
+        $offset = $this->resolve_comparison_offset($start, $period, sanitize_text_field($_POST['date'] ?? ''));
+        
+        if (is_wp_error($offset)) {
+            wp_send_json_error($offset->get_error_message());
+        }
+        
+        // Keep the bucket count bounded whatever the caller asks for
+        $bucket = max(MINUTE_IN_SECONDS, absint($_POST['bucket'] ?? HOUR_IN_SECONDS), (int) ceil(($end - $start) / 500));
+        $previous = $this->get_history_series($start - $offset, $end - $offset, $bucket);
+        
+        wp_send_json_success([
+            'period' => $period,
+            'offset' => $offset,
+            'start' => $start - $offset,
+            'end' => $end - $offset,
+            'bucket_size' => $bucket,
+            'labels' => $previous['labels'],
+            'series' => $previous['series'],
+            'totals' => $previous['totals'],
+            'timestamp' => time()
+        ]);
+    }
+    
+    /**
+     * AJAX handler for seasonal metric baselines
+     *
+     * Returns the mean, standard deviation and sample count of each
+     * recorded metric per UTC weekday (0 = Sunday) and hour over the last
+     * few weeks, for the dashboard's adaptive alerting.
+     */
+    public function ajax_get_metric_baseline() {
+        if (!wp_verify_nonce($_POST['nonce'] ?? '', 'ai_news_dashboard_nonce')) {
+            wp_send_json_error('Security check failed');
+        }
+        
+        if (!CP_Capabilities::user_can('view-metrics')) {
+            wp_send_json_error('Insufficient permissions');
+        }
+        
+        $baseline = get_transient('ai_news_metric_baseline');
+        
+        if (!$baseline) {
+            $baseline = [
+                'weeks' => self::BASELINE_WEEKS,
+                'metrics' => $this->get_metric_baseline(time() - self::BASELINE_WEEKS * WEEK_IN_SECONDS, time()),
+                'generated_at' => time()
+            ];
+            set_transient('ai_news_metric_baseline', $baseline, HOUR_IN_SECONDS);
+        }
+        
+        wp_send_json_success($baseline);
+    }
+    
+    /**
+     * Per weekday and hour statistics for the recorded monitoring metrics
+     *
+     * Keyed by history series name, then by "weekday:hour".
+     */
+    private function get_metric_baseline($start, $end) {
+        global $wpdb;
+        
+        $rows = $wpdb->get_results($wpdb->prepare(
+            "SELECT metric_name,
+                    DAYOFWEEK(timestamp) - 1 AS weekday,
+                    HOUR(timestamp) AS hour,
+                    COUNT(*) AS samples,
+                    AVG(CAST(metric_value AS DECIMAL(20,4))) AS mean,
+                    STDDEV_POP(CAST(metric_value AS DECIMAL(20,4))) AS deviation
+             FROM {$wpdb->prefix}ai_news_monitoring_metrics
+             WHERE metric_name IN ('response_time', 'memory_percentage', 'query_count')
+             AND timestamp >= %s
+             AND timestamp < %s
+             GROUP BY metric_name, weekday, hour",
+            gmdate('Y-m-d H:i:s', $start),
+            gmdate('Y-m-d H:i:s', $end)
+        ));
+        
+        // Same series names as the history endpoint
+        $keys = [
+            'response_time' => 'response_time',
+            'memory_percentage' => 'memory_usage',
+            'query_count' => 'query_count'
+        ];
+        
+        $baseline = [];
+        
+        foreach ($rows ?: [] as $row) {
+            $baseline[$keys[$row->metric_name]][(int) $row->weekday . ':' . (int) $row->hour] = [
+                'mean' => round((float) $row->mean, 4),
+                'deviation' => round((float) $row->deviation, 4),
+                'samples' => (int) $row->samples
+            ];
+        }
+        
+        return $baseline;
+    }
+    
+    /**
+     * AJAX handler for the hourly history behind trend forecasts
+     *
+     * Returns the last two weeks of memory, disk and API request samples
+     * in hourly buckets; the dashboard fits its forecasts to them.
+     */
+    public function ajax_get_metric_trend() {
+        if (!wp_verify_nonce($_POST['nonce'] ?? '', 'ai_news_dashboard_nonce')) {
+            wp_send_json_error('Security check failed');
+        }
+        
+        if (!CP_Capabilities::user_can('view-metrics')) {
+            wp_send_json_error('Insufficient permissions');
+        }
+        
+        $trend = get_transient('ai_news_metric_trend');
+        
+        if (!$trend) {
+            // Whole hours, so the last bucket is not a partial one
+            $end = (int) floor(time() / HOUR_IN_SECONDS) * HOUR_IN_SECONDS;
+            $start = $end - self::TREND_DAYS * DAY_IN_SECONDS;
+            $history = $this->get_history_series($start, $end, HOUR_IN_SECONDS);
+            
+            $trend = [
+                'start' => $start,
+                'end' => $end,
+                'bucket_size' => HOUR_IN_SECONDS,
+                'labels' => $history['labels'],
+                'series' => array_intersect_key($history['series'], array_flip(['memory_usage', 'disk_usage', 'api_requests'])),
+                'generated_at' => time()
+            ];
+            set_transient('ai_news_metric_trend', $trend, 15 * MINUTE_IN_SECONDS);
+        }
+        
+        wp_send_json_success($trend);
+    }
+    
+    /**
+     * AJAX handler for exportable performance reports
+     */
+    public function ajax_get_performance_report() {
+        if (!wp_verify_nonce($_POST['nonce'] ?? '', 'ai_news_dashboard_nonce')) {
+            wp_send_json_error('Security check failed');
+        }
+        
+        if (!CP_Capabilities::user_can('view-metrics')) {
+            wp_send_json_error('Insufficient permissions');
+        }
+        
+        $time_range = sanitize_text_field($_POST['time_range'] ?? '7d');
+        $window = $this->resolve_history_window(
+            $time_range,
+            sanitize_text_field($_POST['start'] ?? ''),
+            sanitize_text_field($_POST['end'] ?? '')
+        );
+        
+        if (is_wp_error($window)) {
+            wp_send_json_error($window->get_error_message());
+        }
+        
+        $history = $this->get_history_series($window['start'], $window['end'], $window['bucket']);
+        
+        wp_send_json_success([
+            'time_range' => $time_range,
+            'start' => $window['start'],
+            'end' => $window['end'],
+            'bucket_size' => $window['bucket'],
+            'labels' => $history['labels'],
+            'series' => $history['series'],
+            'totals' => $history['totals'],
+            'statistics' => [
+                'response_time' => $this->get_metric_statistics('response_time', $window['start'], $window['end']),
+                'memory_usage' => $this->get_metric_statistics('memory_percentage', $window['start'], $window['end']),
+                'query_count' => $this->get_metric_statistics('query_count', $window['start'], $window['end'])
+            ],
+            'alerts' => $this->get_alert_counts($window['start'], $window['end']),
+            'seo' => $this->get_seo_report($window['start'], $window['end']),
+            'site' => [
+                'name' => get_bloginfo('name'),
+                'url' => home_url()
+            ],
+            'generated_at' => time()
+        ]);
+    }
+    
+    /**
+     * Resolve a time range into start/end timestamps and bucket size
+     */
+    private function resolve_history_window($time_range, $start = '', $end = '') {
+        $ranges = [
+            '1h' => [HOUR_IN_SECONDS, 5 * MINUTE_IN_SECONDS],
+            '24h' => [DAY_IN_SECONDS, HOUR_IN_SECONDS],
+            '7d' => [WEEK_IN_SECONDS, 6 * HOUR_IN_SECONDS],
+            '30d' => [30 * DAY_IN_SECONDS, DAY_IN_SECONDS]
+        ];
+        
+        if (isset($ranges[$time_range])) {
+            list($length, $bucket) = $ranges[$time_range];
+            $end_time = time();
+            
+            return [
+                'start' => $end_time - $length,
+                'end' => $end_time,
+                'bucket' => $bucket
+            ];
+        }
+        
+        if ($time_range !== 'custom') {
+            return new WP_Error('invalid_time_range', 'Invalid time range');
+        }
+        
+        $start_time = strtotime($start . ' 00:00:00 UTC');
+        $end_time = strtotime($end . ' 00:00:00 UTC');
+        
+        if (!$start_time || !$end_time || $start_time > $end_time) {
+            return new WP_Error('invalid_time_range', 'Invalid custom date range');
+        }
+        
+        // End date is inclusive
+        $end_time = min($end_time + DAY_IN_SECONDS, time());
+        $length = $end_time - $start_time;
+        
+        if ($length <= 0 || $length > YEAR_IN_SECONDS) {
+            return new WP_Error('invalid_time_range', 'Custom range must be between one day and one year');
+        }
+        
+        if ($length <= 2 * DAY_IN_SECONDS) {
+            $bucket = HOUR_IN_SECONDS;
+        } elseif ($length <= 14 * DAY_IN_SECONDS) {
+            $bucket = 6 * HOUR_IN_SECONDS;
+        } else {
+            $bucket = DAY_IN_SECONDS;
+        }
+        
+        return [
+            'start' => $start_time,
+            'end' => $end_time,
+            'bucket' => $bucket
+        ];
+    }
+    
+    /**
+     * Seconds between a window and the period it is compared to
+     *
+     * A custom date keeps the window's time of day.
+     */
+    private function resolve_comparison_offset($start, $period, $date = '') {
+        if ($period === 'day') {
+            return DAY_IN_SECONDS;
+        }
+        
+        if ($period === 'week') {
+            return WEEK_IN_SECONDS;
+        }
+        
+        if ($period !== 'custom') {
+            return new WP_Error('invalid_comparison', 'Invalid comparison period');
+        }
+        
+        $date_time = strtotime($date . ' 00:00:00 UTC');
+        
+        if (!$date_time) {
+            return new WP_Error('invalid_comparison', 'Invalid comparison date');
+        }
+        
+        $offset = (int) (floor($start / DAY_IN_SECONDS) * DAY_IN_SECONDS) - $date_time;
+        
+        if ($offset <= 0) {
+            return new WP_Error('invalid_comparison', 'Comparison date must be before the compared period');
+        }
+        
+        return $offset;
+    }
+    
+    /**
+     * Build bucketed history series for a window
+     */
+    private function get_history_series($start, $end, $bucket) {
+        global $wpdb;
+        
+        $count = max(1, (int) ceil(($end - $start) / $bucket));
+        $start_date = gmdate('Y-m-d H:i:s', $start);
+        $end_date = gmdate('Y-m-d H:i:s', $end);
+        
+        $labels = [];
+        for ($i = 0; $i < $count; $i++) {
+            $labels[] = $start + ($i * $bucket);
+        }
+        
+        $series = [
+            'articles_published' => array_fill(0, $count, 0),
+            'total_views' => array_fill(0, $count, 0),
+            'response_time' => array_fill(0, $count, null),
+            'memory_usage' => array_fill(0, $count, null),
+            'query_count' => array_fill(0, $count, null),
+            'disk_usage' => array_fill(0, $count, null),
+            'api_requests' => array_fill(0, $count, null),
+            'performance_score' => array_fill(0, $count, null)
+        ];
+        
+        // Published articles and the views they received
+        $posts = $wpdb->get_results($wpdb->prepare(
+            "SELECT FLOOR(TIMESTAMPDIFF(SECOND, %s, p.post_date_gmt) / %d) AS bucket,
+                    COUNT(*) AS articles,
+                    SUM(CAST(COALESCE(pm.meta_value, 0) AS UNSIGNED)) AS views
+             FROM {$wpdb->posts} p
+             LEFT JOIN {$wpdb->postmeta} pm ON pm.post_id = p.ID AND pm.meta_key = 'post_views_count'
+             WHERE p.post_type = 'post'
+             AND p.post_status = 'publish'
+             AND p.post_date_gmt >= %s
+             AND p.post_date_gmt < %s
+             GROUP BY bucket",
+            $start_date,
+            $bucket,
+            $start_date,
+            $end_date
+        ));
+        
+        foreach ($posts ?: [] as $row) {
+            $index = (int) $row->bucket;
+            if ($index >= 0 && $index < $count) {
+                $series['articles_published'][$index] = (int) $row->articles;
+                $series['total_views'][$index] = (int) $row->views;
+            }
+        }
+        
+        // Averaged performance samples recorded by RealTimeMonitor
+        $samples = $wpdb->get_results($wpdb->prepare(
+            "SELECT metric_name,
+                    FLOOR(TIMESTAMPDIFF(SECOND, %s, timestamp) / %d) AS bucket,
+                    AVG(CAST(metric_value AS DECIMAL(20,4))) AS average
+             FROM {$wpdb->prefix}ai_news_monitoring_metrics
+             WHERE metric_name IN ('response_time', 'memory_percentage', 'query_count', 'disk_percentage', 'api_requests')
+             AND timestamp >= %s
+             AND timestamp < %s
+             GROUP BY metric_name, bucket",
+            $start_date,
+            $bucket,
+            $start_date,
+            $end_date
+        ));
+        
+        foreach ($samples ?: [] as $row) {
+            $index = (int) $row->bucket;
+            if ($index < 0 || $index >= $count) {
+                continue;
+            }
+            
+            $keys = [
+                'response_time' => 'response_time',
+                'memory_percentage' => 'memory_usage',
+                'query_count' => 'query_count',
+                'disk_percentage' => 'disk_usage',
+                'api_requests' => 'api_requests'
+            ];
+            $series[$keys[$row->metric_name]][$index] = round((float) $row->average, 2);
+        }
+        
+        for ($i = 0; $i < $count; $i++) {
+            $series['performance_score'][$i] = $this->calculate_history_performance_score(
+                $series['response_time'][$i],
+                $series['memory_usage'][$i]
+            );
+        }
+        
+        return [
+            'labels' => $labels,
+            'series' => $series,
+            'totals' => [
+                'articles_published' => array_sum($series['articles_published']),
+                'total_views' => array_sum($series['total_views']),
+                'performance_score' => $this->average_non_null($series['performance_score']),
+                'response_time' => $this->average_non_null($series['response_time']),
+                'memory_usage' => $this->average_non_null($series['memory_usage'])
+            ]
+        ];
+    }
+    
+    /**
+     * Count posts by status touched within a window
+     */
+    private function get_activity_breakdown($start, $end) {
+        global $wpdb;
+        
+        $rows = $wpdb->get_results($wpdb->prepare(
+            "SELECT post_status, COUNT(*) AS total
+             FROM {$wpdb->posts}
+             WHERE post_type = 'post'
+             AND post_status IN ('publish', 'future', 'draft')
+             AND post_modified_gmt >= %s
+             AND post_modified_gmt < %s
+             GROUP BY post_status",
+            gmdate('Y-m-d H:i:s', $start),
+            gmdate('Y-m-d H:i:s', $end)
+        ));
+        
+        $breakdown = ['published' => 0, 'scheduled' => 0, 'draft' => 0];
+        $map = ['publish' => 'published', 'future' => 'scheduled', 'draft' => 'draft'];
+        
+        foreach ($rows ?: [] as $row) {
+            $breakdown[$map[$row->post_status]] = (int) $row->total;
+        }
+        
+        return $breakdown;
+    }
+    
+    /**
+     * Min/avg/p95/max for a recorded monitoring metric within a window
+     */
+    private function get_metric_statistics($metric_name, $start, $end) {
+        global $wpdb;
+        
+        $table_name = $wpdb->prefix . 'ai_news_monitoring_metrics';
+        $start_date = gmdate('Y-m-d H:i:s', $start);
+        $end_date = gmdate('Y-m-d H:i:s', $end);
+        
+        $summary = $wpdb->get_row($wpdb->prepare(
+            "SELECT COUNT(*) AS samples,
+                    MIN(CAST(metric_value AS DECIMAL(20,4))) AS min_value,
+                    AVG(CAST(metric_value AS DECIMAL(20,4))) AS avg_value,
+                    MAX(CAST(metric_value AS DECIMAL(20,4))) AS max_value
+             FROM {$table_name}
+             WHERE metric_name = %s
+             AND timestamp >= %s
+             AND timestamp < %s",
+            $metric_name,
+            $start_date,
+            $end_date
+        ));
+        
+        $samples = $summary ? (int) $summary->samples : 0;
+        
+        if ($samples === 0) {
+            return ['samples' => 0, 'min' => null, 'avg' => null, 'p95' => null, 'max' => null];
+        }
+        
+        // Nearest-rank 95th percentile, read directly from the sorted samples
+        $p95 = $wpdb->get_var($wpdb->prepare(
+            "SELECT CAST(metric_value AS DECIMAL(20,4)) AS value
+             FROM {$table_name}
+             WHERE metric_name = %s
+             AND timestamp >= %s
+             AND timestamp < %s
+             ORDER BY value ASC
+             LIMIT 1 OFFSET %d",
+            $metric_name,
+            $start_date,
+            $end_date,
+            max(0, (int) ceil(0.95 * $samples) - 1)
+        ));
+        
+        return [
+            'samples' => $samples,
+            'min' => round((float) $summary->min_value, 2),
+            'avg' => round((float) $summary->avg_value, 2),
+            'p95' => round((float) $p95, 2),
+            'max' => round((float) $summary->max_value, 2)
+        ];
+    }
+    
+    /**
+     * Count monitoring alerts raised within a window
+     */
+    private function get_alert_counts($start, $end) {
+        global $wpdb;
+        
+        $rows = $wpdb->get_results($wpdb->prepare(
+            "SELECT alert_level, metric_name, resolved, COUNT(*) AS total
+             FROM {$wpdb->prefix}ai_news_monitoring_alerts
+             WHERE timestamp >= %s
+             AND timestamp < %s
+             GROUP BY alert_level, metric_name, resolved",
+            gmdate('Y-m-d H:i:s', $start),
+            gmdate('Y-m-d H:i:s', $end)
+        ));
+        
+        $counts = [
+            'total' => 0,
+            'resolved' => 0,
+            'by_level' => [],
+            'by_metric' => []
+        ];
+        
+        foreach ($rows ?: [] as $row) {
+            $total = (int) $row->total;
+            
+            $counts['total'] += $total;
+            $counts['resolved'] += $row->resolved ? $total : 0;
+            $counts['by_level'][$row->alert_level] = ($counts['by_level'][$row->alert_level] ?? 0) + $total;
+            $counts['by_metric'][$row->metric_name] = ($counts['by_metric'][$row->metric_name] ?? 0) + $total;
+        }
+        
+        arsort($counts['by_metric']);
+        
+        return $counts;
+    }
+    
+    /**
+     * SEO scores for posts published within a window
+     */
+    private function get_seo_report($start, $end) {
+        global $wpdb;
+        
+        $rows = $wpdb->get_results($wpdb->prepare(
+            "SELECT p.ID, p.post_title,
+                    COALESCE(NULLIF(seo.meta_value, ''), legacy.meta_value) AS score
+             FROM {$wpdb->posts} p
+             LEFT JOIN {$wpdb->postmeta} seo ON seo.post_id = p.ID AND seo.meta_key = '_ai_news_seo_score'
+             LEFT JOIN {$wpdb->postmeta} legacy ON legacy.post_id = p.ID AND legacy.meta_key = '_aanp_seo_score'
+             WHERE p.post_type = 'post'
+             AND p.post_status = 'publish'
+             AND p.post_date_gmt >= %s
+             AND p.post_date_gmt < %s",
+            gmdate('Y-m-d H:i:s', $start),
+            gmdate('Y-m-d H:i:s', $end)
+        ));
+        
+        $scores = [];
+        $posts = [];
+        
+        foreach ($rows ?: [] as $row) {
+            if ($row->score === null || $row->score === '') {
+                continue;
+            }
+            
+            $score = (float) $row->score;
+            $scores[] = $score;
+            $posts[] = [
+                'id' => (int) $row->ID,
+                'title' => $row->post_title,
+                'score' => round($score, 1)
+            ];
+        }
+        
+        usort($posts, function($a, $b) {
+            return $a['score'] <=> $b['score'];
+        });
+        
+        $distribution = ['good' => 0, 'fair' => 0, 'poor' => 0];
+        foreach ($scores as $score) {
+            $distribution[$score >= 80 ? 'good' : ($score >= 60 ? 'fair' : 'poor')]++;
+        }
+        
+        return [
+            'scored_posts' => count($scores),
+            'unscored_posts' => count($rows ?: []) - count($scores),
+            'average' => $this->average_non_null($scores),
+            'min' => $scores ? round(min($scores), 1) : null,
+            'max' => $scores ? round(max($scores), 1) : null,
+            'distribution' => $distribution,
+            'lowest' => array_slice($posts, 0, 10)
+        ];
+    }
+    
+    /**
+     * Score a history bucket from response time and memory pressure
+     */
+    private function calculate_history_performance_score($response_time, $memory_percentage) {
+        if ($response_time === null && $memory_percentage === null) {
+            return null;
+        }
+        
+        $score = 100;
+        
+        // Deduct for slow responses
+        if ($response_time !== null && $response_time > 500) {
+            $score -= min(60, ($response_time - 500) / 25);
+        }
+        
+        // Deduct for high memory usage
+        if ($memory_percentage !== null && $memory_percentage > 80) {
+            $score -= min(20, ($memory_percentage - 80) / 2);
+        }
+        
+        return max(0, min(100, intval($score)));
+    }
+    
+    private function average_non_null($values) {
+        $values = array_filter($values, function($value) {
+            return $value !== null;
+        });
+        
+        return !empty($values) ? round(array_sum($values) / count($values), 2) : null;
+    }
+    
     /**
      * Track content publication
      */
@@ -961,8 +1635,28 @@ class MetricsCollector {
     // - And more utility methods
     
     private function get_recent_activities() {
-        // Get recent activities from various sources
-        return [];
+        // Deploys, feed changes and notes share the chart annotation timeline
+        if (!class_exists('AnnotationsManager')) {
+            return [];
+        }
+
+        $icons = [
+            'deploy' => ['info', 'fa-rocket'],
+            'feeds' => ['success', 'fa-rss'],
+            'note' => ['info', 'fa-sticky-note']
+        ];
+
+        return array_map(function ($annotation) use ($icons) {
+            list($type, $icon) = $icons[$annotation['category']] ?? $icons['note'];
+
+            return [
+                'type' => $type,
+                'icon' => $icon,
+                'title' => $annotation['title'],
+                'description' => $annotation['note'] ?: ($annotation['author'] ? sprintf('By %s', $annotation['author']) : ''),
+                'timestamp' => $annotation['time'] * 1000
+            ];
+        }, AnnotationsManager::get_instance()->get_recent(10));
     }
     
     private function get_performance_summary() {
@@ -1027,6 +1721,10 @@ class MetricsCollector {
             wp_send_json_error('Security check failed');
         }
         
+        if (!CP_Capabilities::user_can('manage-settings')) {
+            wp_send_json_error('Insufficient permissions');
+        }
+        
         $this->collect_all_metrics();
         
         wp_send_json_success([
@@ -0,0 +1,628 @@
+<?php
+/**
+ * Notification Center
+ *
+ * Stores dashboard notifications per user, grouped by category, with
+ * read state, snoozing and per-user mute rules. Plugin events (generated
+ * posts, performance alerts, SERP changes, feed fetches) are turned into
+ * notifications here; other code can add its own through the
+ * ai_news_notify action.
+ *
+ * @package ContentPilot
+ * @subpackage Includes/Monitoring
+ * @since 2.0.0
+ */
+
+if (!defined('ABSPATH')) {
+    exit; // Exit if accessed directly
+}
+
+class NotificationCenter {
+
+    /**
+     * Database schema version
+     */
+    const DB_VERSION = '1.0';
+
+    /**
+     * Notification categories
+     */
+    const CATEGORIES = [
+        'generation' => 'Generation',
+        'alerts' => 'Alerts',
+        'seo' => 'SEO',
+        'feeds' => 'Feeds',
+        'system' => 'System'
+    ];
+
+    /**
+     * Notification types
+     */
+    const TYPES = ['info', 'success', 'warning', 'error'];
+
+    /**
+     * Allowed snooze durations in seconds
+     */
+    const SNOOZE_DURATIONS = [3600, 14400, 86400, 604800];
+
+    /**
+     * Notifications returned per page
+     */
+    const PAGE_SIZE = 50;
+
+    /**
+     * Days notifications are kept
+     */
+    const RETENTION_DAYS = 30;
+
+    /**
+     * Notification center instance (singleton)
+     */
+    private static $instance = null;
+
+    /**
+     * Get singleton instance
+     */
+    public static function get_instance() {
+        if (self::$instance === null) {
+            self::$instance = new self();
+        }
+        return self::$instance;
+    }
+
+    /**
+     * Constructor
+     */
+    private function __construct() {
+        $this->init();
+    }
+
+    /**
+     * Initialize notification center
+     */
+    private function init() {
+        if (get_option('ai_news_notifications_db_version') !== self::DB_VERSION) {
+            self::create_database_tables();
+        }
+
+        $this->setup_hooks();
+    }
+
+    /**
+     * Set up WordPress hooks
+     */
+    private function setup_hooks() {
+        // AJAX endpoints
+        add_action('wp_ajax_ai_news_get_notifications', [$this, 'ajax_get_notifications']);
+        add_action('wp_ajax_ai_news_create_notification', [$this, 'ajax_create_notification']);
+        add_action('wp_ajax_ai_news_read_notifications', [$this, 'ajax_read_notifications']);
+        add_action('wp_ajax_ai_news_dismiss_notification', [$this, 'ajax_dismiss_notification']);
+        add_action('wp_ajax_ai_news_snooze_notification', [$this, 'ajax_snooze_notification']);
+        add_action('wp_ajax_ai_news_mute_notifications', [$this, 'ajax_mute_notifications']);
+        add_action('wp_ajax_ai_news_unmute_notifications', [$this, 'ajax_unmute_notifications']);
+
+        // Event sources
+        add_action('ai_news_notify', [$this, 'notify'], 10, 3);
+        add_action('aanp_post_created', [$this, 'notify_post_created']);
+        add_action('aanp_featured_image_generation_failed', [$this, 'notify_image_generation_failed'], 10, 2);
+        add_action('ai_news_performance_alert', [$this, 'notify_performance_alert']);
+        add_action('aanp_serp_alert', [$this, 'notify_serp_alert'], 10, 4);
+        add_action('aanp_news_fetched', [$this, 'notify_news_fetched']);
+
+        // Cleanup
+        add_action('wp_scheduled_delete', [$this, 'cleanup_old_notifications']);
+    }
+
+    /**
+     * Create a notification for each recipient that has not muted it
+     *
+     * Args: type, title, source (groups similar notifications for muting),
+     * link, user_ids (defaults to every administrator) and realtime (whether
+     * to push the notification to open dashboards).
+     *
+     * Returns the number of notifications stored.
+     */
+    public function notify($category, $message, $args = []) {
+        global $wpdb;
+
+        $category = isset(self::CATEGORIES[$category]) ? $category : 'system';
+        $type = in_array($args['type'] ?? 'info', self::TYPES, true) ? ($args['type'] ?? 'info') : 'info';
+        $source = substr(sanitize_text_field($args['source'] ?? $category . ':' . $type), 0, 100);
+        $user_ids = $args['user_ids'] ?? get_users(['capability' => 'manage_options', 'fields' => 'ID']);
+
+        $stored = 0;
+
+        foreach (array_map('absint', (array) $user_ids) as $user_id) {
+            if (!$user_id || $this->is_muted($user_id, $category, $source)) {
+                continue;
+            }
+
+            $result = $wpdb->insert(
+                $this->get_table_name(),
+                [
+                    'user_id' => $user_id,
+                    'category' => $category,
+                    'type' => $type,
+                    'title' => substr(sanitize_text_field($args['title'] ?? ''), 0, 200),
+                    'message' => wp_strip_all_tags($message),
+                    'source' => $source,
+                    'link' => esc_url_raw($args['link'] ?? ''),
+                    'created_at' => current_time('mysql', true)
+                ],
+                ['%d', '%s', '%s', '%s', '%s', '%s', '%s', '%s']
+            );
+
+            if ($result !== false) {
+                $stored++;
+            }
+        }
+
+        if ($stored > 0 && ($args['realtime'] ?? true)) {
+            do_action('ai_news_realtime_publish', 'notification', [
+                'category' => $category,
+                'type' => $type,
+                'title' => $args['title'] ?? '',
+                'message' => wp_strip_all_tags($message)
+            ]);
+        }
+
+        return $stored;
+    }
+
+    public function notify_post_created($post_id) {
+        $this->notify('generation', sprintf('Published "%s"', get_the_title($post_id)), [
+            'type' => 'success',
+            'title' => 'Article generated',
+            'source' => 'generation:post_created',
+            'link' => get_edit_post_link($post_id, 'raw')
+        ]);
+    }
+
+    public function notify_image_generation_failed($post_id, $result) {
+        $error = is_wp_error($result) ? $result->get_error_message() : ($result['error'] ?? 'Unknown error');
+
+        $this->notify('generation', sprintf('Featured image failed for "%s": %s', get_the_title($post_id), $error), [
+            'type' => 'warning',
+            'title' => 'Image generation failed',
+            'source' => 'generation:image_failed',
+            'link' => get_edit_post_link($post_id, 'raw')
+        ]);
+    }
+
+    public function notify_performance_alert($alert_data) {
+        $metric = $alert_data['metric'] ?? 'performance';
+
+        // Open dashboards already receive the alert itself over the event stream
+        $this->notify('alerts', $alert_data['message'] ?? '', [
+            'type' => ($alert_data['level'] ?? '') === 'critical' ? 'error' : 'warning',
+            'title' => ucwords(str_replace('_', ' ', $metric)),
+            'source' => 'alert:' . $metric,
+            'realtime' => false
+        ]);
+    }
+
+    public function notify_serp_alert($keyword, $current_position, $position_change, $message) {
+        $this->notify('seo', $message, [
+            'type' => $position_change < 0 ? 'warning' : 'info',
+            'title' => sprintf('Ranking change for "%s"', $keyword),
+            'source' => 'serp:' . $keyword
+        ]);
+    }
+
+    public function notify_news_fetched($result) {
+        $count = (int) ($result['total_found'] ?? 0);
+
+        $this->notify('feeds', sprintf('Fetched %d news %s', $count, $count === 1 ? 'item' : 'items'), [
+            'title' => 'Feeds updated',
+            'source' => 'feeds:fetched'
+        ]);
+    }
+
+    /**
+     * Get visible notifications for a user, newest first
+     *
+     * Snoozed notifications reappear, ordered by when they resurfaced.
+     */
+    public function get_notifications($user_id, $category = '', $offset = 0, $limit = self::PAGE_SIZE) {
+        global $wpdb;
+
+        $table_name = $this->get_table_name();
+        $where = $this->get_visible_where($user_id, $category);
+
+        $rows = $wpdb->get_results($wpdb->prepare(
+            "SELECT * FROM {$table_name}
+             WHERE {$where}
+             ORDER BY COALESCE(snoozed_until, created_at) DESC, id DESC
+             LIMIT %d OFFSET %d",
+            $limit,
+            $offset
+        ));
+
+        return array_map([$this, 'format_notification'], $rows ?: []);
+    }
+
+    /**
+     * Count unread notifications per category
+     */
+    public function get_unread_counts($user_id) {
+        global $wpdb;
+
+        $table_name = $this->get_table_name();
+        $where = $this->get_visible_where($user_id);
+
+        $rows = $wpdb->get_results(
+            "SELECT category, COUNT(*) AS unread FROM {$table_name}
+             WHERE {$where} AND is_read = 0
+             GROUP BY category"
+        );
+
+        $counts = array_fill_keys(array_keys(self::CATEGORIES), 0);
+        foreach ($rows ?: [] as $row) {
+            $counts[$row->category] = (int) $row->unread;
+        }
+
+        return $counts;
+    }
+
+    /**
+     * Mark notifications read; an empty id list marks every visible one
+     */
+    public function mark_read($user_id, $ids = [], $category = '') {
+        global $wpdb;
+
+        $table_name = $this->get_table_name();
+        $where = $this->get_visible_where($user_id, $category);
+
+        $ids = array_filter(array_map('absint', (array) $ids));
+        if (!empty($ids)) {
+            $where .= ' AND id IN (' . implode(',', $ids) . ')';
+        }
+
+        return (int) $wpdb->query("UPDATE {$table_name} SET is_read = 1 WHERE {$where} AND is_read = 0");
+    }
+
+    /**
+     * Delete a notification
+     */
+    public function dismiss($user_id, $notification_id) {
+        global $wpdb;
+
+        return (bool) $wpdb->delete(
+            $this->get_table_name(),
+            ['id' => $notification_id, 'user_id' => $user_id],
+            ['%d', '%d']
+        );
+    }
+
+    /**
+     * Hide a notification until later; it comes back unread
+     */
+    public function snooze($user_id, $notification_id, $duration) {
+        global $wpdb;
+
+        if (!in_array($duration, self::SNOOZE_DURATIONS, true)) {
+            return new WP_Error('invalid_snooze_duration', 'Invalid snooze duration');
+        }
+
+        $result = $wpdb->update(
+            $this->get_table_name(),
+            [
+                'snoozed_until' => gmdate('Y-m-d H:i:s', time() + $duration),
+                'is_read' => 0
+            ],
+            ['id' => $notification_id, 'user_id' => $user_id],
+            ['%s', '%d'],
+            ['%d', '%d']
+        );
+
+        return $result > 0 ? true : new WP_Error('notification_not_found', 'Notification not found');
+    }
+
+    /**
+     * Get a user's mute rules
+     */
+    public function get_mutes($user_id) {
+        $mutes = get_user_meta($user_id, 'ai_news_notification_mutes', true);
+
+        return is_array($mutes) ? array_values($mutes) : [];
+    }
+
+    /**
+     * Mute notifications similar to one, or a whole category
+     *
+     * Existing matching notifications are marked read.
+     */
+    public function mute($user_id, $category, $source = '') {
+        if (!isset(self::CATEGORIES[$category])) {
+            return new WP_Error('invalid_category', 'Invalid notification category');
+        }
+
+        $mutes = $this->get_mutes($user_id);
+
+        foreach ($mutes as $mute) {
+            if ($mute['category'] === $category && $mute['source'] === $source) {
+                return $mute;
+            }
+        }
+
+        $rule = [
+            'id' => wp_generate_password(12, false),
+            'category' => $category,
+            'source' => $source,
+            'created_at' => time()
+        ];
+
+        $mutes[] = $rule;
+        update_user_meta($user_id, 'ai_news_notification_mutes', $mutes);
+
+        global $wpdb;
+        $table_name = $this->get_table_name();
+        $wpdb->query($wpdb->prepare(
+            "UPDATE {$table_name} SET is_read = 1
+             WHERE user_id = %d AND category = %s AND (%s = '' OR source = %s)",
+            $user_id,
+            $category,
+            $source,
+            $source
+        ));
+
+        return $rule;
+    }
+
+    /**
+     * Remove a mute rule
+     */
+    public function unmute($user_id, $rule_id) {
+        $mutes = $this->get_mutes($user_id);
+        $remaining = array_values(array_filter($mutes, function($mute) use ($rule_id) {
+            return $mute['id'] !== $rule_id;
+        }));
+
+        if (count($remaining) === count($mutes)) {
+            return false;
+        }
+
+        update_user_meta($user_id, 'ai_news_notification_mutes', $remaining);
+        return true;
+    }
+
+    /**
+     * Whether a user muted a category or source
+     */
+    public function is_muted($user_id, $category, $source) {
+        foreach ($this->get_mutes($user_id) as $mute) {
+            if ($mute['category'] === $category && ($mute['source'] === '' || $mute['source'] === $source)) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    // AJAX handlers
+
+    public function ajax_get_notifications() {
+        $this->verify_ajax_request();
+
+        $user_id = get_current_user_id();
+        $category = sanitize_key($_POST['category'] ?? '');
+        $offset = absint($_POST['offset'] ?? 0);
+
+        // Fetch one extra row to know whether another page exists
+        $notifications = $this->get_notifications($user_id, $category, $offset, self::PAGE_SIZE + 1);
+        $unread = $this->get_unread_counts($user_id);
+
+        wp_send_json_success([
+            'notifications' => array_slice($notifications, 0, self::PAGE_SIZE),
+            'has_more' => count($notifications) > self::PAGE_SIZE,
+            'unread_count' => array_sum($unread),
+            'unread_by_category' => $unread,
+            'categories' => self::CATEGORIES,
+            'mutes' => $this->get_mutes($user_id)
+        ]);
+    }
+
+    public function ajax_create_notification() {
+        $this->verify_ajax_request();
+
+        $message = sanitize_text_field(wp_unslash($_POST['message'] ?? ''));
+        if ($message === '') {
+            wp_send_json_error('Message is required');
+        }
+
+        $type = sanitize_key($_POST['type'] ?? 'info');
+
+        // Dashboard messages are the user's own; no need to push them back
+        $this->notify(sanitize_key($_POST['category'] ?? 'system'), substr($message, 0, 500), [
+            'type' => $type,
+            'source' => 'dashboard:' . $type,
+            'user_ids' => [get_current_user_id()],
+            'realtime' => false
+        ]);
+
+        wp_send_json_success(['message' => 'Notification stored']);
+    }
+
+    public function ajax_read_notifications() {
+        $this->verify_ajax_request();
+
+        $ids = array_map('absint', (array) ($_POST['ids'] ?? []));
+        $updated = $this->mark_read(get_current_user_id(), $ids, sanitize_key($_POST['category'] ?? ''));
+
+        wp_send_json_success(['updated' => $updated]);
+    }
+
+    public function ajax_dismiss_notification() {
+        $this->verify_ajax_request();
+
+        if (!$this->dismiss(get_current_user_id(), absint($_POST['notification_id'] ?? 0))) {
+            wp_send_json_error('Notification not found');
+        }
+
+        wp_send_json_success(['message' => 'Notification dismissed']);
+    }
+
+    public function ajax_snooze_notification() {
+        $this->verify_ajax_request();
+
+        $result = $this->snooze(
+            get_current_user_id(),
+            absint($_POST['notification_id'] ?? 0),
+            absint($_POST['duration'] ?? 0)
+        );
+
+        if (is_wp_error($result)) {
+            wp_send_json_error($result->get_error_message());
+        }
+
+        wp_send_json_success(['message' => 'Notification snoozed']);
+    }
+
+    public function ajax_mute_notifications() {
+        $this->verify_ajax_request();
+
+        $user_id = get_current_user_id();
+        $category = sanitize_key($_POST['category'] ?? '');
+        $source = '';
+
+        // Muting from a notification mutes everything from the same source
+        $notification_id = absint($_POST['notification_id'] ?? 0);
+        if ($notification_id) {
+            $notification = $this->get_notification($user_id, $notification_id);
+            if (!$notification) {
+                wp_send_json_error('Notification not found');
+            }
+
+            $category = $notification->category;
+            $source = $notification->source;
+        }
+
+        $rule = $this->mute($user_id, $category, $source);
+
+        if (is_wp_error($rule)) {
+            wp_send_json_error($rule->get_error_message());
+        }
+
+        wp_send_json_success(['rule' => $rule]);
+    }
+
+    public function ajax_unmute_notifications() {
+        $this->verify_ajax_request();
+
+        if (!$this->unmute(get_current_user_id(), sanitize_text_field($_POST['rule_id'] ?? ''))) {
+            wp_send_json_error('Mute rule not found');
+        }
+
+        wp_send_json_success(['message' => 'Notifications unmuted']);
+    }
+
+    // Utility methods
+
+    private function verify_ajax_request() {
+        if (!wp_verify_nonce($_POST['nonce'] ?? '', 'ai_news_dashboard_nonce')) {
+            wp_send_json_error('Security check failed');
+        }
+
+        if (!CP_Capabilities::user_can('view-metrics')) {
+            wp_send_json_error('Insufficient permissions');
+        }
+    }
+
+    private function get_notification($user_id, $notification_id) {
+        global $wpdb;
+
+        $table_name = $this->get_table_name();
+        return $wpdb->get_row($wpdb->prepare(
+            "SELECT * FROM {$table_name} WHERE id = %d AND user_id = %d",
+            $notification_id,
+            $user_id
+        ));
+    }
+
+    /**
+     * SQL condition for a user's notifications that are not snoozed
+     */
+    private function get_visible_where($user_id, $category = '') {
+        global $wpdb;
+
+        $where = $wpdb->prepare(
+            'user_id = %d AND (snoozed_until IS NULL OR snoozed_until <= %s)',
+            $user_id,
+            current_time('mysql', true)
+        );
+
+        if (isset(self::CATEGORIES[$category])) {
+            $where .= $wpdb->prepare(' AND category = %s', $category);
+        }
+
+        return $where;
+    }
+
+    private function format_notification($row) {
+        return [
+            'id' => (int) $row->id,
+            'category' => $row->category,
+            'type' => $row->type,
+            'title' => $row->title,
+            'message' => $row->message,
+            'source' => $row->source,
+            'link' => $row->link,
+            'read' => (bool) $row->is_read,
+            'created_at' => strtotime(($row->snoozed_until ?: $row->created_at) . ' UTC')
+        ];
+    }
+
+    /**
+     * Delete notifications older than the retention period
+     */
+    public function cleanup_old_notifications() {
+        global $wpdb;
+
+        $table_name = $this->get_table_name();
+        $wpdb->query($wpdb->prepare(
+            "DELETE FROM {$table_name} WHERE created_at < %s",
+            gmdate('Y-m-d H:i:s', time() - self::RETENTION_DAYS * DAY_IN_SECONDS)
+        ));
+    }
+
+    private function get_table_name() {
+        global $wpdb;
+        return $wpdb->prefix . 'ai_news_notifications';
+    }
+
+    /**
+     * Create database tables
+     */
+    public static function create_database_tables() {
+        global $wpdb;
+
+        $charset_collate = $wpdb->get_charset_collate();
+        $table_name = $wpdb->prefix . 'ai_news_notifications';
+
+        $sql = "CREATE TABLE {$table_name} (
+            id bigint(20) NOT NULL AUTO_INCREMENT,
+            user_id bigint(20) NOT NULL,
+            category varchar(20) NOT NULL,
+            type varchar(20) NOT NULL DEFAULT 'info',
+            title varchar(200) NOT NULL DEFAULT '',
+            message text NOT NULL,
+            source varchar(100) NOT NULL DEFAULT '',
+            link varchar(500) NOT NULL DEFAULT '',
+            is_read tinyint(1) NOT NULL DEFAULT 0,
+            snoozed_until datetime DEFAULT NULL,
+            created_at datetime NOT NULL,
+            PRIMARY KEY  (id),
+            KEY user_category (user_id, category),
+            KEY user_read (user_id, is_read),
+            KEY created_at (created_at)
+        ) {$charset_collate};";
+
+        require_once(ABSPATH . 'wp-admin/includes/upgrade.php');
+        dbDelta($sql);
+
+        update_option('ai_news_notifications_db_version', self::DB_VERSION);
+    }
+}
+
+// Initialize the notification center
+NotificationCenter::get_instance();
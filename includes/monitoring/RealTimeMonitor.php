@@ -382,6 +382,9 @@ class RealTimeMonitor {
             ];
         }
         
+        // Disk usage of the uploads volume
+        $metrics['disk'] = $this->get_disk_usage();
+        
         // Database performance
         global $wpdb;
         $metrics['database'] = [
@@ -517,6 +520,10 @@ class RealTimeMonitor {
             wp_die('Security check failed');
         }
         
+        if (!CP_Capabilities::user_can('view-metrics')) {
+            wp_die('Insufficient permissions');
+        }
+        
         // Get session ID
         $session_id = $_POST['session_id'] ?? $this->get_current_session_id();
         
@@ -544,6 +551,10 @@ class RealTimeMonitor {
             wp_die('Security check failed');
         }
         
+        if (!CP_Capabilities::user_can('manage-settings')) {
+            wp_die('Insufficient permissions');
+        }
+        
         $this->monitoring_enabled = true;
         $session_id = $this->start_monitoring_session();
         
@@ -562,6 +573,10 @@ class RealTimeMonitor {
             wp_die('Security check failed');
         }
         
+        if (!CP_Capabilities::user_can('manage-settings')) {
+            wp_die('Insufficient permissions');
+        }
+        
         $this->monitoring_enabled = false;
         $this->finalize_monitoring_sessions();
         
@@ -1030,6 +1045,22 @@ class RealTimeMonitor {
         return $size / 1024 / 1024; // Convert to MB
     }
     
+    private function get_disk_usage() {
+        $upload_dir = wp_upload_dir();
+        $total_space = @disk_total_space($upload_dir['basedir']);
+        $free_space = @disk_free_space($upload_dir['basedir']);
+        
+        if (!$total_space || $free_space === false) {
+            return null;
+        }
+        
+        return [
+            'total' => $total_space,
+            'free' => $free_space,
+            'percentage' => (($total_space - $free_space) / $total_space) * 100
+        ];
+    }
+    
     private function get_queue_size() {
         // Get queue size from WordPress options or custom table
         return get_option('ai_news_queue_size', 0);
@@ -0,0 +1,391 @@
+<?php
+/**
+ * Real-Time Event Stream
+ *
+ * Stores dashboard events (metric updates, alerts, notifications, chart and
+ * SEO updates) in a short-lived, sequentially numbered log and delivers them
+ * over Server-Sent Events or long-polling. A WebSocket endpoint can be
+ * advertised through the ai_news_realtime_websocket_url filter when the host
+ * runs a socket server.
+ *
+ * @package ContentPilot
+ * @subpackage Includes/Monitoring
+ * @since 2.0.0
+ */
+
+if (!defined('ABSPATH')) {
+    exit; // Exit if accessed directly
+}
+
+class RealtimeEventStream {
+
+    /**
+     * Database schema version
+     */
+    const DB_VERSION = '1.0';
+
+    /**
+     * Event types understood by the dashboard
+     */
+    const EVENT_TYPES = ['metric_update', 'alert', 'notification', 'chart_data', 'seo_update'];
+
+    /**
+     * Seconds events are kept for resuming clients
+     */
+    const EVENT_RETENTION = 3600;
+
+    /**
+     * Seconds between heartbeats
+     */
+    const HEARTBEAT_INTERVAL = 15;
+
+    /**
+     * Minimum seconds between published metric snapshots
+     */
+    const METRICS_INTERVAL = 5;
+
+    /**
+     * Seconds an SSE response stays open before the client reconnects
+     */
+    const STREAM_DURATION = 25;
+
+    /**
+     * Maximum seconds a long-poll request waits for events
+     */
+    const POLL_TIMEOUT = 20;
+
+    /**
+     * Maximum events delivered per read
+     */
+    const BATCH_SIZE = 100;
+
+    /**
+     * Event stream instance (singleton)
+     */
+    private static $instance = null;
+
+    /**
+     * Get singleton instance
+     */
+    public static function get_instance() {
+        if (self::$instance === null) {
+            self::$instance = new self();
+        }
+        return self::$instance;
+    }
+
+    /**
+     * Constructor
+     */
+    private function __construct() {
+        $this->init();
+    }
+
+    /**
+     * Initialize event stream
+     */
+    private function init() {
+        if (get_option('ai_news_realtime_events_db_version') !== self::DB_VERSION) {
+            self::create_database_tables();
+        }
+
+        $this->setup_hooks();
+    }
+
+    /**
+     * Set up WordPress hooks
+     */
+    private function setup_hooks() {
+        // Transport endpoints
+        add_action('wp_ajax_ai_news_realtime_negotiate', [$this, 'ajax_negotiate']);
+        add_action('wp_ajax_ai_news_realtime_stream', [$this, 'ajax_stream']);
+        add_action('wp_ajax_ai_news_realtime_poll', [$this, 'ajax_poll']);
+
+        // Event sources
+        add_action('ai_news_performance_alert', [$this, 'publish_performance_alert']);
+        add_action('ai_news_realtime_publish', [$this, 'publish'], 10, 2);
+
+        // Cleanup
+        add_action('wp_scheduled_delete', [$this, 'cleanup_old_events']);
+    }
+
+    /**
+     * Append an event to the log
+     *
+     * Returns the event id, or false for unknown types.
+     */
+    public function publish($type, $payload) {
+        global $wpdb;
+
+        if (!in_array($type, self::EVENT_TYPES, true)) {
+            return false;
+        }
+
+        $result = $wpdb->insert(
+            $this->get_table_name(),
+            [
+                'type' => $type,
+                'payload' => wp_json_encode($payload),
+                'created_at' => current_time('mysql', true)
+            ],
+            ['%s', '%s', '%s']
+        );
+
+        if ($result === false) {
+            return false;
+        }
+
+        $event_id = (int) $wpdb->insert_id;
+
+        // Prune occasionally so the log stays small between scheduled cleanups
+        if ($event_id % 100 === 0) {
+            $this->cleanup_old_events();
+        }
+
+        return $event_id;
+    }
+
+    /**
+     * Publish a RealTimeMonitor alert in the dashboard's alert shape
+     */
+    public function publish_performance_alert($alert_data) {
+        $level = $alert_data['level'] ?? 'warning';
+
+        $this->publish('alert', [
+            'id' => 'rt_' . ($alert_data['metric'] ?? 'metric') . '_' . ($alert_data['timestamp'] ?? time()),
+            'severity' => $level === 'critical' ? 'error' : 'warning',
+            'level' => $level,
+            'title' => ucwords(str_replace('_', ' ', $alert_data['metric'] ?? 'Performance')),
+            'message' => $alert_data['message'] ?? '',
+            'metric' => $alert_data['metric'] ?? '',
+            'value' => $alert_data['value'] ?? null,
+            'threshold' => $alert_data['threshold'] ?? null,
+            'timestamp' => ($alert_data['timestamp'] ?? time()) * 1000
+        ]);
+    }
+
+    /**
+     * Get events after an id, oldest first
+     */
+    public function get_events_since($last_event_id, $limit = self::BATCH_SIZE) {
+        global $wpdb;
+
+        $table_name = $this->get_table_name();
+        $rows = $wpdb->get_results($wpdb->prepare(
+            "SELECT id, type, payload, created_at FROM {$table_name}
+             WHERE id > %d
+             ORDER BY id ASC
+             LIMIT %d",
+            $last_event_id,
+            $limit
+        ));
+
+        return array_map(function($row) {
+            return [
+                'id' => (int) $row->id,
+                'type' => $row->type,
+                'payload' => json_decode($row->payload, true),
+                'timestamp' => strtotime($row->created_at . ' UTC')
+            ];
+        }, $rows ?: []);
+    }
+
+    /**
+     * Get the newest event id
+     */
+    public function get_last_event_id() {
+        global $wpdb;
+
+        $table_name = $this->get_table_name();
+        return (int) $wpdb->get_var("SELECT MAX(id) FROM {$table_name}");
+    }
+
+    /**
+     * Publish a metric snapshot unless a recent one exists
+     *
+     * Every connected dashboard shares the same snapshot, so the metrics are
+     * collected once per interval regardless of how many clients listen.
+     */
+    private function maybe_publish_metrics() {
+        global $wpdb;
+
+        if (!class_exists('RealTimeMonitor')) {
+            return;
+        }
+
+        $table_name = $this->get_table_name();
+        $latest = $wpdb->get_var($wpdb->prepare(
+            "SELECT MAX(created_at) FROM {$table_name} WHERE type = %s",
+            'metric_update'
+        ));
+
+        if ($latest && time() - strtotime($latest . ' UTC') < self::METRICS_INTERVAL) {
+            return;
+        }
+
+        $this->publish('metric_update', RealTimeMonitor::get_instance()->get_realtime_metrics());
+    }
+
+    // AJAX handlers
+
+    public function ajax_negotiate() {
+        $this->verify_request($_POST['nonce'] ?? '');
+
+        $websocket_url = apply_filters('ai_news_realtime_websocket_url', '');
+        $transports = [];
+
+        if ($websocket_url) {
+            $transports[] = 'websocket';
+        }
+
+        // Some proxies buffer streamed responses; hosts can opt out of SSE
+        if (apply_filters('ai_news_realtime_sse_enabled', true)) {
+            $transports[] = 'sse';
+        }
+
+        $transports[] = 'longpoll';
+
+        wp_send_json_success([
+            'transports' => $transports,
+            'websocket_url' => $websocket_url,
+            'stream_url' => add_query_arg('action', 'ai_news_realtime_stream', admin_url('admin-ajax.php')),
+            'heartbeat_interval' => self::HEARTBEAT_INTERVAL,
+            'poll_timeout' => self::POLL_TIMEOUT,
+            'last_event_id' => $this->get_last_event_id()
+        ]);
+    }
+
+    public function ajax_stream() {
+        $this->verify_request($_GET['nonce'] ?? '');
+
+        // EventSource sends Last-Event-ID on reconnect; the query arg covers the first connection
+        $last_event_id = absint($_SERVER['HTTP_LAST_EVENT_ID'] ?? ($_GET['last_event_id'] ?? 0));
+
+        @set_time_limit(self::STREAM_DURATION + 10);
+
+        while (ob_get_level() > 0) {
+            ob_end_clean();
+        }
+
+        header('Content-Type: text/event-stream');
+        header('Cache-Control: no-cache');
+        header('X-Accel-Buffering: no');
+
+        echo "retry: 3000\n\n";
+
+        $started = time();
+        $last_heartbeat = 0;
+
+        while (time() - $started < self::STREAM_DURATION) {
+            $this->maybe_publish_metrics();
+
+            foreach ($this->get_events_since($last_event_id) as $event) {
+                echo 'id: ' . $event['id'] . "\n";
+                echo 'data: ' . wp_json_encode(['type' => $event['type'], 'payload' => $event['payload']]) . "\n\n";
+                $last_event_id = $event['id'];
+            }
+
+            if (time() - $last_heartbeat >= self::HEARTBEAT_INTERVAL) {
+                echo "event: ping\n";
+                echo 'data: ' . time() . "\n\n";
+                $last_heartbeat = time();
+            }
+
+            flush();
+
+            if (connection_aborted()) {
+                break;
+            }
+
+            sleep(1);
+        }
+
+        exit;
+    }
+
+    public function ajax_poll() {
+        $this->verify_request($_POST['nonce'] ?? '');
+
+        $last_event_id = absint($_POST['last_event_id'] ?? 0);
+        $timeout = min(self::POLL_TIMEOUT, absint($_POST['timeout'] ?? self::POLL_TIMEOUT));
+
+        @set_time_limit($timeout + 10);
+
+        $started = time();
+
+        do {
+            $this->maybe_publish_metrics();
+            $events = $this->get_events_since($last_event_id);
+
+            if (!empty($events) || time() - $started >= $timeout) {
+                break;
+            }
+
+            sleep(1);
+        } while (!connection_aborted());
+
+        wp_send_json_success([
+            'events' => $events,
+            'last_event_id' => empty($events) ? $last_event_id : end($events)['id'],
+            'heartbeat' => time()
+        ]);
+    }
+
+    // Utility methods
+
+    private function verify_request($nonce) {
+        if (!wp_verify_nonce($nonce, 'ai_news_dashboard_nonce')) {
+            wp_send_json_error('Security check failed', 403);
+        }
+
+        if (!CP_Capabilities::user_can('view-metrics')) {
+            wp_send_json_error('Insufficient permissions', 403);
+        }
+    }
+
+    /**
+     * Delete events older than the retention window
+     */
+    public function cleanup_old_events() {
+        global $wpdb;
+
+        $table_name = $this->get_table_name();
+        $wpdb->query($wpdb->prepare(
+            "DELETE FROM {$table_name} WHERE created_at < %s",
+            gmdate('Y-m-d H:i:s', time() - self::EVENT_RETENTION)
+        ));
+    }
+
+    private function get_table_name() {
+        global $wpdb;
+        return $wpdb->prefix . 'ai_news_realtime_events';
+    }
+
+    /**
+     * Create database tables
+     */
+    public static function create_database_tables() {
+        global $wpdb;
+
+        $charset_collate = $wpdb->get_charset_collate();
+        $table_name = $wpdb->prefix . 'ai_news_realtime_events';
+
+        $sql = "CREATE TABLE {$table_name} (
+            id bigint(20) NOT NULL AUTO_INCREMENT,
+            type varchar(50) NOT NULL,
+            payload longtext,
+            created_at datetime NOT NULL,
+            PRIMARY KEY  (id),
+            KEY type (type),
+            KEY created_at (created_at)
+        ) {$charset_collate};";
+
+        require_once(ABSPATH . 'wp-admin/includes/upgrade.php');
+        dbDelta($sql);
+
+        update_option('ai_news_realtime_events_db_version', self::DB_VERSION);
+    }
+}
+
+// Initialize the event stream
+RealtimeEventStream::get_instance();
@@ -0,0 +1,538 @@
+<?php
+/**
+ * Content Pipeline
+ *
+ * Runs post generation as queue tasks so every batch can be followed
+ * stage by stage: one task fetches the RSS feeds, then one task per
+ * article filters, generates, humanizes, publishes and illustrates it.
+ * Each task records its stages in the queue's task progress, which the
+ * pipeline view reads through aanp_queue_status. A failed item keeps the
+ * stages it finished, so a retry resumes at the stage that failed.
+ * Existing posts can be queued to be generated again; their items skip
+ * the fetch and filters and rewrite the post in place.
+ *
+ * @package AI_Auto_News_Poster\Performance
+ * @since 2.0.0
+ */
+
+// Prevent direct access
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Content Pipeline Class
+ */
+class AANP_ContentPipeline {
+
+    /**
+     * Queue the pipeline runs on
+     */
+    const QUEUE = 'content_pipeline';
+
+    /**
+     * Stages in the order they run
+     * @var array
+     */
+    const STAGES = array(
+        'fetch' => 'RSS fetch',
+        'filter' => 'Content filtering',
+        'generate' => 'AI generation',
+        'humanize' => 'Humanizer',
+        'publish' => 'Post creation',
+        'image' => 'Image generation'
+    );
+
+    /**
+     * Most articles taken from one fetch
+     */
+    const MAX_BATCH_SIZE = 30;
+
+    /**
+     * Pipeline instance (singleton)
+     * @var AANP_ContentPipeline
+     */
+    private static $instance = null;
+
+    /**
+     * Queue manager
+     * @var AANP_QueueManager
+     */
+    private $queue_manager;
+
+    /**
+     * Logger instance
+     * @var AANP_Logger
+     */
+    private $logger;
+
+    /**
+     * Get singleton instance
+     *
+     * @return AANP_ContentPipeline
+     */
+    public static function get_instance() {
+        if (self::$instance === null) {
+            self::$instance = new self();
+        }
+        return self::$instance;
+    }
+
+    /**
+     * Constructor
+     */
+    private function __construct() {
+        $this->logger = AANP_Logger::getInstance();
+
+        // Built here rather than on first use so the queue's cron and AJAX
+        // hooks are registered on every request
+        $this->queue_manager = new AANP_QueueManager();
+
+        add_action('wp_ajax_aanp_generate_posts', array($this, 'ajax_start_batch'));
+    }
+
+    /**
+     * Queue task entry point
+     *
+     * @param array $data Task data
+     * @param array $task Task object
+     * @return array Task result
+     */
+    public static function run_task($data, $task) {
+        $pipeline = self::get_instance();
+
+        if (($data['type'] ?? '') === 'fetch') {
+            return $pipeline->run_fetch($data, $task);
+        }
+
+        return $pipeline->run_item($data, $task);
+    }
+
+    /**
+     * Start a batch by queueing its fetch task
+     *
+     * @return array|false Batch ID and fetch task ID, or false on failure
+     */
+    public function start_batch() {
+        $batch_id = uniqid('batch_');
+        $task_id = $this->queue_manager->add_task(self::QUEUE, 'AANP_ContentPipeline::run_task', array(
+            'type' => 'fetch',
+            'batch_id' => $batch_id,
+            'user_id' => get_current_user_id()
+        ));
+
+        if (!$task_id) {
+            return false;
+        }
+
+        $this->queue_manager->process_soon(self::QUEUE);
+
+        $this->logger->info('Content pipeline batch queued', array(
+            'batch_id' => $batch_id,
+            'task_id' => $task_id
+        ));
+
+        return array(
+            'batch_id' => $batch_id,
+            'task_id' => $task_id
+        );
+    }
+
+    /**
+     * Queue existing posts to be generated again from their source articles
+     *
+     * Each post gets one item task in a shared batch. There is nothing to
+     * fetch, the content filters are not applied again, and the publish
+     * stage rewrites the post in place instead of creating one.
+     *
+     * @param array $post_ids Post IDs
+     * @return array Batch ID and task IDs keyed by post ID; posts that
+     *               could not be queued are left out
+     */
+    public function queue_regeneration($post_ids) {
+        $batch_id = uniqid('batch_');
+        $task_ids = array();
+
+        foreach ($post_ids as $post_id) {
+            $task_id = $this->queue_manager->add_task(self::QUEUE, 'AANP_ContentPipeline::run_task', array(
+                'type' => 'item',
+                'batch_id' => $batch_id,
+                'user_id' => get_current_user_id(),
+                'post_id' => (int) $post_id,
+                'article' => $this->get_source_article($post_id)
+            ));
+
+            if (!$task_id) {
+                continue;
+            }
+
+            $this->queue_manager->update_task_progress(self::QUEUE, $task_id, array(
+                'fetch' => array('status' => 'skipped', 'detail' => 'Existing post')
+            ));
+            $task_ids[(int) $post_id] = $task_id;
+        }
+
+        if ($task_ids) {
+            $this->queue_manager->process_soon(self::QUEUE);
+
+            $this->logger->info('Content pipeline regeneration queued', array(
+                'batch_id' => $batch_id,
+                'posts' => array_keys($task_ids)
+            ));
+        }
+
+        return array(
+            'batch_id' => $batch_id,
+            'tasks' => $task_ids
+        );
+    }
+
+    /**
+     * Rebuild the source article a generated post was written from
+     *
+     * @param int $post_id Post ID
+     * @return array Article data in the shape the feeds return
+     */
+    private function get_source_article($post_id) {
+        $post = get_post($post_id);
+        $article = array(
+            'title' => $post ? $post->post_title : '',
+            'description' => $post ? ($post->post_excerpt ?: wp_trim_words(wp_strip_all_tags($post->post_content), 55)) : '',
+            'source_domain' => get_post_meta($post_id, '_cp_source_domain', true) ?: 'unknown'
+        );
+
+        $link = get_post_meta($post_id, '_cp_source_url', true);
+        if ($link) {
+            $article['link'] = $link;
+        }
+
+        return $article;
+    }
+
+    /**
+     * Fetch articles and queue one item task per article
+     *
+     * @param array $data Task data
+     * @param array $task Task object
+     * @return array Task result
+     */
+    private function run_fetch($data, $task) {
+        $articles = array();
+
+        $this->run_stage($task, 'fetch', function() use (&$articles) {
+            $news_fetch = new CP_News_Fetch();
+            $articles = array_slice((array) $news_fetch->fetch_latest_news(), 0, $this->get_batch_size());
+
+            return array('detail' => sprintf(_n('%d article', '%d articles', count($articles), 'contentpilot'), count($articles)));
+        });
+
+        $fetched = $this->queue_manager->get_task_status($task['id']);
+        $fetch_progress = $fetched['progress']['fetch'] ?? array();
+        $queued = 0;
+
+        foreach ($articles as $article) {
+            $task_id = $this->queue_manager->add_task(self::QUEUE, 'AANP_ContentPipeline::run_task', array(
+                'type' => 'item',
+                'batch_id' => $data['batch_id'],
+                'user_id' => $data['user_id'] ?? 0,
+                'article' => $article
+            ));
+
+            if ($task_id) {
+                $this->queue_manager->update_task_progress(self::QUEUE, $task_id, array('fetch' => $fetch_progress));
+                $queued++;
+            }
+        }
+
+        if ($queued) {
+            $this->queue_manager->process_soon(self::QUEUE);
+        }
+
+        return array('articles' => $queued);
+    }
+
+    /**
+     * Take one article through the stages after the fetch
+     *
+     * @param array $data Task data
+     * @param array $task Task object
+     * @return array Task result
+     */
+    private function run_item($data, $task) {
+        $article = $data['article'];
+        $content_key = 'aanp_pipeline_content_' . md5($task['id']);
+        $content = get_transient($content_key) ?: array();
+        $current = $this->queue_manager->get_task_status($task['id']);
+        $progress = $current['progress'] ?? array();
+
+        // Generated text is only kept in a transient between attempts. Once
+        // the post exists its ID is enough; before that, a retry after the
+        // transient expired generates the text again instead of failing.
+        if (($progress['publish']['status'] ?? '') === 'completed') {
+            $content['post_id'] = (int) ($progress['publish']['post_id'] ?? 0);
+        } elseif (empty($content['content']) && isset($progress['generate'])) {
+            $this->reset_stages($task, array('generate', 'humanize'));
+        }
+
+        // Tasks run without a logged-in user; act as whoever started the batch
+        if (!empty($data['user_id']) && !get_current_user_id()) {
+            wp_set_current_user($data['user_id']);
+        }
+
+        $status = $this->run_stage($task, 'filter', function() use ($article, $data) {
+            if (!empty($data['post_id'])) {
+                return array('status' => 'skipped', 'detail' => 'Existing post');
+            }
+
+            if (!class_exists('AANP_ContentFilterManager')) {
+                return array('status' => 'skipped', 'detail' => 'Content filters are not available');
+            }
+
+            $filter_manager = new AANP_ContentFilterManager();
+            $result = $filter_manager->filter_article($article);
+
+            if (empty($result['passed'])) {
+                return array(
+                    'status' => 'rejected',
+                    'detail' => implode('; ', (array) ($result['rejection_reasons'] ?? array('Rejected by content filters')))
+                );
+            }
+
+            return array('detail' => !empty($result['matched_keywords']) ? 'Matched: ' . implode(', ', $result['matched_keywords']) : '');
+        });
+
+        if ($status === 'rejected') {
+            $this->skip_remaining($task, 'filter', 'Filtered out');
+            return array('filtered' => true);
+        }
+
+        $this->run_stage($task, 'generate', function() use ($article, &$content, $content_key) {
+            $generator = new CP_AI_Generator();
+            $generated = $generator->generate_content($article);
+
+            if (empty($generated['content'])) {
+                throw new Exception('The AI provider returned no content');
+            }
+
+            $content = $generated;
+            set_transient($content_key, $content, DAY_IN_SECONDS);
+
+            return array('detail' => $generated['title'] ?? '');
+        });
+
+        $this->run_stage($task, 'humanize', function() use (&$content, $content_key) {
+            if (!class_exists('AANP_HumanizerManager')) {
+                return array('status' => 'skipped', 'detail' => 'Humanizer is not installed');
+            }
+
+            $humanizer = new AANP_HumanizerManager();
+            if (!$humanizer->is_enabled()) {
+                return array('status' => 'skipped', 'detail' => 'Humanizer is disabled');
+            }
+
+            $result = $humanizer->humanize_content($content['content']);
+            if (empty($result['success'])) {
+                throw new Exception($result['error'] ?? 'Humanization failed');
+            }
+
+            $content['content'] = $result['humanized_content'];
+            set_transient($content_key, $content, DAY_IN_SECONDS);
+
+            return array();
+        });
+
+        $this->run_stage($task, 'publish', function() use ($article, $data, &$content, $content_key) {
+            $post_creator = new CP_Post_Creator();
+
+            if (!empty($data['post_id'])) {
+                $post_id = (int) $data['post_id'];
+                $updated = $post_creator->update_post($post_id, array(
+                    'title' => $content['title'] ?? '',
+                    'content' => $content['content']
+                ), wp_create_nonce('cp_update_post'));
+
+                if (!$updated) {
+                    throw new Exception('Post update failed');
+                }
+
+                update_post_meta($post_id, '_cp_generated_at', current_time('mysql'));
+            } else {
+                $post_id = $post_creator->create_post($content, $article, wp_create_nonce('cp_create_post'));
+
+                if (!is_numeric($post_id)) {
+                    throw new Exception($post_id['error'] ?? 'Post creation failed');
+                }
+            }
+
+            $content['post_id'] = (int) $post_id;
+            set_transient($content_key, $content, DAY_IN_SECONDS);
+
+            return array(
+                'post_id' => (int) $post_id,
+                'title' => get_the_title($post_id),
+                'edit_link' => get_edit_post_link($post_id, 'raw')
+            );
+        });
+
+        $this->run_stage($task, 'image', function() use ($article, $content) {
+            if (!class_exists('AANP_Image_Generator')) {
+                return array('status' => 'skipped', 'detail' => 'Image generation is not available');
+            }
+
+            if (has_post_thumbnail($content['post_id'])) {
+                return array('status' => 'skipped', 'detail' => 'The post already has a featured image');
+            }
+
+            $image_generator = new AANP_Image_Generator();
+            $result = $image_generator->generate_featured_image($content['post_id'], $article);
+
+            if (empty($result['success'])) {
+                throw new Exception($result['error'] ?? 'Image generation failed');
+            }
+
+            return array();
+        });
+
+        delete_transient($content_key);
+
+        return array('post_id' => $content['post_id'] ?? 0);
+    }
+
+    /**
+     * Run one stage unless an earlier attempt already finished it
+     *
+     * The callback returns extra progress fields; a "status" field
+     * replaces the default "completed". Exceptions mark the stage failed
+     * and fail the task.
+     *
+     * @param array $task Task object
+     * @param string $stage Stage key
+     * @param callable $callback Stage work
+     * @return string Stage status
+     */
+    private function run_stage($task, $stage, $callback) {
+        $current = $this->queue_manager->get_task_status($task['id']);
+        $previous = $current['progress'][$stage]['status'] ?? '';
+
+        if (in_array($previous, array('completed', 'skipped'), true)) {
+            return $previous;
+        }
+
+        $started_at = microtime(true);
+        $this->report($task, $stage, array('status' => 'running', 'started_at' => time()));
+
+        try {
+            $entry = (array) call_user_func($callback);
+        } catch (Exception $e) {
+            $this->report($task, $stage, array(
+                'status' => 'failed',
+                'started_at' => (int) $started_at,
+                'duration_ms' => round((microtime(true) - $started_at) * 1000),
+                'error' => $e->getMessage()
+            ));
+
+            $this->logger->warning('Content pipeline stage failed', array(
+                'task_id' => $task['id'],
+                'stage' => $stage,
+                'error' => $e->getMessage()
+            ));
+
+            throw $e;
+        }
+
+        $entry = array_merge(array(
+            'status' => 'completed',
+            'started_at' => (int) $started_at,
+            'duration_ms' => round((microtime(true) - $started_at) * 1000)
+        ), $entry);
+
+        $this->report($task, $stage, $entry);
+
+        return $entry['status'];
+    }
+
+    /**
+     * Mark the stages after a stage as skipped
+     *
+     * @param array $task Task object
+     * @param string $after Last stage that ran
+     * @param string $detail Reason shown for the skipped stages
+     */
+    private function skip_remaining($task, $after, $detail) {
+        $stages = array_keys(self::STAGES);
+        $progress = array();
+
+        foreach (array_slice($stages, array_search($after, $stages, true) + 1) as $stage) {
+            $progress[$stage] = array('status' => 'skipped', 'detail' => $detail);
+        }
+
+        $this->queue_manager->update_task_progress(self::QUEUE, $task['id'], $progress);
+    }
+
+    /**
+     * Mark stages as pending so the next attempt runs them again
+     *
+     * @param array $task Task object
+     * @param array $stages Stage keys
+     */
+    private function reset_stages($task, $stages) {
+        $progress = array();
+
+        foreach ($stages as $stage) {
+            $progress[$stage] = array('status' => 'pending');
+        }
+
+        $this->queue_manager->update_task_progress(self::QUEUE, $task['id'], $progress);
+    }
+
+    /**
+     * Store a stage's progress on its task
+     *
+     * @param array $task Task object
+     * @param string $stage Stage key
+     * @param array $entry Progress entry
+     */
+    private function report($task, $stage, $entry) {
+        $this->queue_manager->update_task_progress(self::QUEUE, $task['id'], array($stage => $entry));
+    }
+
+    /**
+     * Articles taken from one fetch
+     *
+     * @return int Batch size
+     */
+    private function get_batch_size() {
+        $options = get_option('aanp_settings', array());
+
+        return max(1, min(self::MAX_BATCH_SIZE, intval($options['batch_size'] ?? 5)));
+    }
+
+    /**
+     * Handle AJAX request to start a batch
+     */
+    public function ajax_start_batch() {
+        // Verify nonce
+        if (!wp_verify_nonce($_POST['nonce'] ?? '', 'aanp_queue_nonce')) {
+            wp_send_json_error('Invalid nonce');
+        }
+
+        // Check permissions
+        if (!CP_Capabilities::user_can('generate-content')) {
+            wp_send_json_error('Insufficient permissions');
+        }
+
+        $batch = $this->start_batch();
+
+        if (!$batch) {
+            wp_send_json_error('Failed to queue the batch');
+        }
+
+        wp_send_json_success(array_merge($batch, array(
+            'queue' => self::QUEUE,
+            'stages' => self::STAGES
+        )));
+    }
+}
+
+// Initialize the content pipeline
+AANP_ContentPipeline::get_instance();
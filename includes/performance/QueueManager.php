@@ -143,6 +143,8 @@ class AANP_QueueManager {
         add_action('wp_ajax_aanp_queue_status', array($this, 'ajax_get_queue_status'));
         add_action('wp_ajax_aanp_retry_task', array($this, 'ajax_retry_task'));
         add_action('wp_ajax_aanp_clear_queue', array($this, 'ajax_clear_queue'));
+        add_action('wp_ajax_aanp_cancel_task', array($this, 'ajax_cancel_task'));
+        add_action('wp_ajax_aanp_set_task_priority', array($this, 'ajax_set_task_priority'));
     }
     
     /**
@@ -196,6 +198,14 @@ class AANP_QueueManager {
                 'max_workers' => 1,
                 'batch_size' => 50,
                 'timeout' => 900
+            ),
+            // Failed pipeline items wait for a manual retry from the pipeline view
+            'content_pipeline' => array(
+                'priority' => $this->priorities['high'],
+                'max_workers' => 1,
+                'batch_size' => 5,
+                'timeout' => 600,
+                'max_retries' => 0
             )
         );
         
@@ -406,7 +416,49 @@ class AANP_QueueManager {
         // Use cache with appropriate TTL based on task priority
         $ttl = $this->calculate_task_ttl($task);
         
-        return $this->cache_manager->set($cache_key, $task, $ttl);
+        $stored = $this->cache_manager->set($cache_key, $task, $ttl);
+        
+        if ($stored) {
+            $this->index_task($queue_name, $task['id']);
+        }
+        
+        return $stored;
+    }
+    
+    /**
+     * Add a task ID to the queue's index
+     *
+     * The cache cannot be scanned by key prefix, so each queue keeps the
+     * IDs of its most recent tasks.
+     *
+     * @param string $queue_name Queue name
+     * @param string $task_id Task ID
+     */
+    private function index_task($queue_name, $task_id) {
+        $index_key = "queue_index_{$queue_name}";
+        $index = $this->cache_manager->get($index_key) ?: array();
+        
+        if (in_array($task_id, $index, true)) {
+            return;
+        }
+        
+        $index[] = $task_id;
+        
+        // Older tasks have expired from the cache by the time the index is full
+        $this->cache_manager->set($index_key, array_slice($index, -500), 604800);
+    }
+    
+    /**
+     * Remove task IDs from the queue's index
+     *
+     * @param string $queue_name Queue name
+     * @param array $task_ids Task IDs
+     */
+    private function unindex_tasks($queue_name, $task_ids) {
+        $index_key = "queue_index_{$queue_name}";
+        $index = $this->cache_manager->get($index_key) ?: array();
+        
+        $this->cache_manager->set($index_key, array_values(array_diff($index, $task_ids)), 604800);
     }
     
     /**
@@ -599,7 +651,7 @@ class AANP_QueueManager {
         $all_task_keys = $this->get_all_task_keys($queue_name);
         
         foreach ($all_task_keys as $task_key) {
-            $task = $this->cache_manager->get(str_replace($prefix, '', $task_key));
+            $task = $this->get_task($queue_name, str_replace($prefix, '', $task_key));
             if (!$task) continue;
             
             // Check if task is ready to process
@@ -623,19 +675,12 @@ class AANP_QueueManager {
      * @return array Task keys
      */
     private function get_all_task_keys($queue_name) {
-        // This would ideally use a more efficient method
-        // For now, we'll use a simple pattern-based lookup
-        
-        $keys = array();
         $prefix = "queue_task_{$queue_name}_";
+        $index = $this->cache_manager->get("queue_index_{$queue_name}") ?: array();
         
-        // In a real implementation, you might maintain an index of task IDs
-        // or use a database with proper querying capabilities
-        
-        // For demonstration, we'll return a placeholder
-        // In practice, this would be implemented with proper indexing
-        
-        return $keys;
+        return array_map(function($task_id) use ($prefix) {
+            return $prefix . $task_id;
+        }, $index);
     }
     
     /**
@@ -664,6 +709,9 @@ class AANP_QueueManager {
             // Execute task function
             $result = $this->execute_task_function($task);
             
+            // Pick up progress the task reported while it ran
+            $task = $this->get_task($queue_name, $task['id']) ?: $task;
+            
             $execution_time = time() - $start_time;
             
             if ($execution_time > $timeout) {
@@ -689,11 +737,15 @@ class AANP_QueueManager {
             );
             
         } catch (Exception $e) {
-            // Mark task as failed
+            // Mark task as failed, keeping progress the task reported
+            $task = $this->get_task($queue_name, $task['id']) ?: $task;
             $task['status'] = 'failed';
             $task['completed_at'] = current_time('Y-m-d H:i:s');
             $task['error_message'] = $e->getMessage();
             
+            // Keep the failed task in its queue so it can be retried
+            $this->store_task($queue_name, $task);
+            
             // Store failed task in dead letter queue if enabled
             if ($this->queues[$queue_name]['dead_letter_queue']) {
                 $this->store_dead_letter_task($queue_name, $task);
@@ -758,7 +810,7 @@ class AANP_QueueManager {
         $task['scheduled_at'] = date('Y-m-d H:i:s', time() + $delay);
         
         // Add retry metadata
-        if (!isset $task['options']['retry_history']) {
+        if (!isset($task['options']['retry_history'])) {
             $task['options']['retry_history'] = array();
         }
         
@@ -923,6 +975,11 @@ class AANP_QueueManager {
      * @return array Queue status information
      */
     public function get_queue_status($queue_name = null) {
+        // Statistics only live for one request; count stored tasks instead
+        foreach (array_keys($this->queues) as $q_name) {
+            $this->stats[$q_name] = array_merge($this->stats[$q_name], $this->count_tasks($q_name));
+        }
+        
         if ($queue_name) {
             return isset($this->stats[$queue_name]) ? $this->stats[$queue_name] : array();
         }
@@ -938,6 +995,49 @@ class AANP_QueueManager {
         );
     }
     
+    /**
+     * Count a queue's stored tasks by status
+     *
+     * @param string $queue_name Queue name
+     * @return array Task counts
+     */
+    private function count_tasks($queue_name) {
+        $counts = array(
+            'total_tasks' => 0,
+            'pending_tasks' => 0,
+            'processing_tasks' => 0,
+            'completed_tasks' => 0,
+            'failed_tasks' => 0,
+            'cancelled_tasks' => 0
+        );
+        
+        $index = $this->cache_manager->get("queue_index_{$queue_name}") ?: array();
+        
+        foreach ($index as $task_id) {
+            $task = $this->find_task($queue_name, $task_id);
+            $key = $task ? $task['status'] . '_tasks' : null;
+            
+            if ($key && isset($counts[$key])) {
+                $counts[$key]++;
+                $counts['total_tasks']++;
+            }
+        }
+        
+        return $counts;
+    }
+    
+    /**
+     * Find a task in a queue, including its completed copy
+     *
+     * @param string $queue_name Queue name
+     * @param string $task_id Task ID
+     * @return array|null Task object or null
+     */
+    private function find_task($queue_name, $task_id) {
+        return $this->get_task($queue_name, $task_id)
+            ?: ($this->cache_manager->get("queue_completed_{$queue_name}_{$task_id}") ?: null);
+    }
+    
     /**
      * Get task status
      *
@@ -965,6 +1065,174 @@ class AANP_QueueManager {
         return null;
     }
     
+    /**
+     * Record progress for a task while it runs
+     *
+     * Progress is merged into the stored task, so views polling the queue
+     * see it before the task finishes.
+     *
+     * @param string $queue_name Queue name
+     * @param string $task_id Task ID
+     * @param array $progress Progress entries keyed by step
+     * @return bool Success status
+     */
+    public function update_task_progress($queue_name, $task_id, $progress) {
+        $task = $this->get_task($queue_name, $task_id);
+        
+        if (!$task) {
+            return false;
+        }
+        
+        $task['progress'] = array_merge($task['progress'] ?? array(), $progress);
+        
+        return $this->store_task($queue_name, $task);
+    }
+    
+    /**
+     * Get the most recent tasks of a queue, newest first
+     *
+     * Completed tasks are included while their reference copy is kept.
+     *
+     * @param string $queue_name Queue name
+     * @param int $limit Maximum number of tasks
+     * @return array Tasks without their callables
+     */
+    public function get_recent_tasks($queue_name, $limit = 50) {
+        $tasks = array();
+        $index = $this->cache_manager->get("queue_index_{$queue_name}") ?: array();
+        
+        foreach (array_reverse($index) as $task_id) {
+            $task = $this->find_task($queue_name, $task_id);
+            
+            if (!$task) {
+                continue;
+            }
+            
+            $retry_history = $task['options']['retry_history'] ?? array();
+            $last_retry = end($retry_history);
+            
+            unset($task['function']);
+            $task['summary'] = $this->summarize_payload($task['data']);
+            $task['priority_name'] = $this->get_priority_name($task['options']['priority']);
+            $task['last_error'] = $task['error_message'] ?: ($last_retry['error'] ?? null);
+            $task['created_ts'] = $this->to_timestamp($task['created_at']);
+            $task['started_ts'] = $this->to_timestamp($task['processing_started_at']);
+            $task['completed_ts'] = $this->to_timestamp($task['completed_at']);
+            $tasks[] = $task;
+            
+            if (count($tasks) >= $limit) {
+                break;
+            }
+        }
+        
+        return $tasks;
+    }
+    
+    /**
+     * One-line summary of a task payload
+     *
+     * @param mixed $data Task data
+     * @return string Summary
+     */
+    private function summarize_payload($data) {
+        if (!is_array($data)) {
+            return is_scalar($data) ? wp_trim_words((string) $data, 12) : '';
+        }
+        
+        // Articles and posts are best told apart by their titles
+        foreach (array('title', 'name') as $field) {
+            if (isset($data[$field]) && is_string($data[$field])) {
+                return wp_trim_words($data[$field], 12);
+            }
+        }
+        
+        if (isset($data['article']['title'])) {
+            return wp_trim_words($data['article']['title'], 12);
+        }
+        
+        $parts = array();
+        foreach ($data as $key => $value) {
+            if (is_scalar($value) && $value !== '') {
+                $parts[] = $key . ': ' . wp_trim_words((string) $value, 6);
+            }
+            if (count($parts) === 3) {
+                break;
+            }
+        }
+        
+        return implode(', ', $parts);
+    }
+    
+    /**
+     * Unix timestamp of a task date stored in site time
+     *
+     * @param string|null $date Date string
+     * @return int|null Timestamp
+     */
+    private function to_timestamp($date) {
+        return $date ? (int) get_gmt_from_date($date, 'U') : null;
+    }
+    
+    /**
+     * Cancel a pending or failed task
+     *
+     * Cancelled tasks stay listed until cleared but are never processed.
+     *
+     * @param string $task_id Task ID
+     * @param string $queue_name Queue name
+     * @return bool Success status
+     */
+    public function cancel_task($task_id, $queue_name) {
+        $task = $this->get_task($queue_name, $task_id);
+        
+        if (!$task || !in_array($task['status'], array('pending', 'failed'), true)) {
+            return false;
+        }
+        
+        $task['status'] = 'cancelled';
+        $task['completed_at'] = current_time('Y-m-d H:i:s');
+        
+        $this->logger->info("Task '{$task_id}' cancelled", array(
+            'queue' => $queue_name,
+            'user_id' => get_current_user_id()
+        ));
+        
+        return $this->store_task($queue_name, $task);
+    }
+    
+    /**
+     * Change the priority of a pending task
+     *
+     * @param string $task_id Task ID
+     * @param string $queue_name Queue name
+     * @param string $priority Priority name
+     * @return bool Success status
+     */
+    public function set_task_priority($task_id, $queue_name, $priority) {
+        $task = $this->get_task($queue_name, $task_id);
+        
+        if (!$task || $task['status'] !== 'pending' || !isset($this->priorities[$priority])) {
+            return false;
+        }
+        
+        $task['options']['priority'] = $this->priorities[$priority];
+        
+        return $this->store_task($queue_name, $task);
+    }
+    
+    /**
+     * Process a queue on the next cron spawn instead of waiting for the schedule
+     *
+     * @param string $queue_name Queue name
+     */
+    public function process_soon($queue_name) {
+        if (!wp_next_scheduled('aanp_process_queue', array($queue_name))) {
+            wp_schedule_single_event(time(), 'aanp_process_queue', array($queue_name));
+        }
+        
+        spawn_cron();
+    }
+    
     /**
      * Retry a failed task
      *
@@ -997,8 +1265,8 @@ class AANP_QueueManager {
                 throw new Exception("Task '{$task_id}' not found");
             }
             
-            if ($task['status'] !== 'failed') {
-                throw new Exception("Task '{$task_id}' is not in failed status");
+            if (!in_array($task['status'], array('failed', 'cancelled'), true)) {
+                throw new Exception("Task '{$task_id}' is not failed or cancelled");
             }
             
             // Reset task for retry
@@ -1050,12 +1318,16 @@ class AANP_QueueManager {
             $cleared_count = 0;
             $all_task_keys = $this->get_all_task_keys($queue_name);
             
+            $cleared_ids = array();
+            
             foreach ($all_task_keys as $task_key) {
-                $task = $this->get_task($queue_name, str_replace("queue_task_{$queue_name}_", '', $task_key));
+                $task = $this->find_task($queue_name, str_replace("queue_task_{$queue_name}_", '', $task_key));
                 
-                if ($task && ($status === null || $task['status'] === $status)) {
-                    $cache_key = "queue_task_{$queue_name}_{$task['id']}";
-                    $this->cache_manager->delete($cache_key);
+                // Running tasks would be stored again when they finish
+                if ($task && $task['status'] !== 'processing' && ($status === null || $task['status'] === $status)) {
+                    $this->cache_manager->delete("queue_task_{$queue_name}_{$task['id']}");
+                    $this->cache_manager->delete("queue_completed_{$queue_name}_{$task['id']}");
+                    $cleared_ids[] = $task['id'];
                     $cleared_count++;
                     
                     // Update statistics
@@ -1078,6 +1350,10 @@ class AANP_QueueManager {
                 }
             }
             
+            if ($cleared_ids) {
+                $this->unindex_tasks($queue_name, $cleared_ids);
+            }
+            
             $this->logger->info("Cleared {$cleared_count} tasks from queue '{$queue_name}'", array(
                 'status_filter' => $status
             ));
@@ -1103,12 +1379,18 @@ class AANP_QueueManager {
         }
         
         // Check permissions
-        if (!current_user_can('manage_options')) {
+        if (!CP_Capabilities::user_can('view-metrics')) {
             wp_send_json_error('Insufficient permissions');
         }
         
         $queue_name = sanitize_text_field($_POST['queue_name'] ?? '');
         $status = $this->get_queue_status($queue_name);
+        $status['priorities'] = array_keys($this->priorities);
+        
+        // A single queue's view also lists its tasks
+        if ($queue_name && isset($this->queues[$queue_name])) {
+            $status['tasks'] = $this->get_recent_tasks($queue_name, min(200, absint($_POST['limit'] ?? 50) ?: 50));
+        }
         
         wp_send_json_success($status);
     }
@@ -1122,17 +1404,24 @@ class AANP_QueueManager {
             wp_send_json_error('Invalid nonce');
         }
         
-        // Check permissions
-        if (!current_user_can('manage_options')) {
-            wp_send_json_error('Insufficient permissions');
-        }
-        
         $task_id = sanitize_text_field($_POST['task_id']);
         $queue_name = sanitize_text_field($_POST['queue_name'] ?? '');
         
+        // Check permissions; whoever may generate content may retry its pipeline
+        $can_retry = CP_Capabilities::user_can('manage-queue')
+            || ($queue_name === 'content_pipeline' && CP_Capabilities::user_can('generate-content'));
+        
+        if (!$can_retry) {
+            wp_send_json_error('Insufficient permissions');
+        }
+        
         $success = $this->retry_task($task_id, $queue_name);
         
         if ($success) {
+            if ($queue_name) {
+                $this->process_soon($queue_name);
+            }
+            
             wp_send_json_success('Task queued for retry');
         } else {
             wp_send_json_error('Failed to retry task');
@@ -1149,7 +1438,7 @@ class AANP_QueueManager {
         }
         
         // Check permissions
-        if (!current_user_can('manage_options')) {
+        if (!CP_Capabilities::user_can('manage-queue')) {
             wp_send_json_error('Insufficient permissions');
         }
         
@@ -1164,6 +1453,55 @@ class AANP_QueueManager {
         ));
     }
     
+    /**
+     * Handle AJAX request for task cancellation
+     */
+    public function ajax_cancel_task() {
+        // Verify nonce
+        if (!wp_verify_nonce($_POST['nonce'] ?? '', 'aanp_queue_nonce')) {
+            wp_send_json_error('Invalid nonce');
+        }
+        
+        // Check permissions
+        if (!CP_Capabilities::user_can('manage-queue')) {
+            wp_send_json_error('Insufficient permissions');
+        }
+        
+        $task_id = sanitize_text_field($_POST['task_id'] ?? '');
+        $queue_name = sanitize_text_field($_POST['queue_name'] ?? '');
+        
+        if ($this->cancel_task($task_id, $queue_name)) {
+            wp_send_json_success('Task cancelled');
+        } else {
+            wp_send_json_error('Only pending or failed tasks can be cancelled');
+        }
+    }
+    
+    /**
+     * Handle AJAX request for a task priority change
+     */
+    public function ajax_set_task_priority() {
+        // Verify nonce
+        if (!wp_verify_nonce($_POST['nonce'] ?? '', 'aanp_queue_nonce')) {
+            wp_send_json_error('Invalid nonce');
+        }
+        
+        // Check permissions
+        if (!CP_Capabilities::user_can('manage-queue')) {
+            wp_send_json_error('Insufficient permissions');
+        }
+        
+        $task_id = sanitize_text_field($_POST['task_id'] ?? '');
+        $queue_name = sanitize_text_field($_POST['queue_name'] ?? '');
+        $priority = sanitize_key($_POST['priority'] ?? '');
+        
+        if ($this->set_task_priority($task_id, $queue_name, $priority)) {
+            wp_send_json_success('Task priority changed');
+        } else {
+            wp_send_json_error('Only pending tasks can change priority');
+        }
+    }
+    
     /**
      * Get service metrics
      *
@@ -1396,6 +1396,8 @@ class AANP_ContentFilterManager {
                 'feeds_enabled' => count($filters['enabled_feeds'])
             ));
 
+            do_action('aanp_content_bundle_changed', 'applied', $bundle->name, $bundle->id);
+
             return array(
                 'success' => true,
                 'bundle' => $bundle->name,
@@ -2042,6 +2044,8 @@ class AANP_ContentFilterManager {
                 'user_id' => get_current_user_id()
             ));
 
+            do_action('aanp_content_bundle_changed', 'created', $bundle_data['name'], $bundle_id);
+
             return array(
                 'success' => true,
                 'bundle_id' => $bundle_id,
@@ -2125,6 +2129,8 @@ class AANP_ContentFilterManager {
                 'user_id' => get_current_user_id()
             ));
 
+            do_action('aanp_content_bundle_changed', 'updated', $updates['name'], $bundle_id);
+
             return array(
                 'success' => true,
                 'bundle_id' => $bundle_id,
@@ -2197,6 +2203,8 @@ class AANP_ContentFilterManager {
                 'user_id' => get_current_user_id()
             ));
 
+            do_action('aanp_content_bundle_changed', 'deleted', $bundle->name, $bundle_id);
+
             return array(
                 'success' => true,
                 'bundle_id' => $bundle_id,
@@ -172,6 +172,122 @@ class QueueManagerTest extends MicroservicesTestBase
         $this->assertArrayHasKey('error', $result, 'Timeout should produce error information');
         $this->assertStringContainsString('timeout', strtolower($result['error']), 'Error should indicate timeout');
     }
+
+    /**
+     * Test task progress updates
+     */
+    public function testTaskProgressUpdate()
+    {
+        $this->logInfo('Testing Task progress updates');
+
+        $task_id = $this->queueManager->add_task('content_pipeline', 'AANP_ContentPipeline::run_task', array('type' => 'item'));
+
+        $this->assertTrue($this->queueManager->update_task_progress('content_pipeline', $task_id, array('fetch' => array('status' => 'completed'))));
+        $this->assertTrue($this->queueManager->update_task_progress('content_pipeline', $task_id, array('filter' => array('status' => 'running'))));
+        $this->queueManager->update_task_progress('content_pipeline', $task_id, array('filter' => array('status' => 'completed')));
+
+        $task = $this->queueManager->get_task_status($task_id);
+        $this->assertEquals('completed', $task['progress']['fetch']['status'], 'Earlier progress should be kept');
+        $this->assertEquals('completed', $task['progress']['filter']['status'], 'A newer entry should replace the step\'s old one');
+
+        $this->assertFalse($this->queueManager->update_task_progress('content_pipeline', 'missing_task', array()), 'Unknown tasks should not be updated');
+    }
+
+    /**
+     * Test that a retried pipeline item resumes at the stage that failed
+     */
+    public function testPipelineRetryResumesAtFailedStage()
+    {
+        $this->logInfo('Testing Pipeline retry resume');
+
+        $pipeline = $this->getPipeline();
+        $task_id = $this->queueManager->add_task('content_pipeline', 'AANP_ContentPipeline::run_task', array('type' => 'item'));
+        $task = $this->queueManager->get_task_status($task_id);
+
+        $runs = array('filter' => 0, 'generate' => 0);
+        $filter = function() use (&$runs) {
+            $runs['filter']++;
+            return array();
+        };
+        $generate = function() use (&$runs) {
+            if (++$runs['generate'] === 1) {
+                throw new Exception('Provider unavailable');
+            }
+            return array('detail' => 'Generated');
+        };
+
+        $this->callPipeline($pipeline, 'run_stage', $task, 'filter', $filter);
+
+        try {
+            $this->callPipeline($pipeline, 'run_stage', $task, 'generate', $generate);
+            $this->fail('A failing stage should rethrow its exception');
+        } catch (Exception $e) {
+            $this->assertEquals('Provider unavailable', $e->getMessage());
+        }
+
+        $progress = $this->queueManager->get_task_status($task_id)['progress'];
+        $this->assertEquals('failed', $progress['generate']['status'], 'The failed stage should be recorded');
+        $this->assertEquals('Provider unavailable', $progress['generate']['error']);
+
+        // Second attempt
+        $this->callPipeline($pipeline, 'run_stage', $task, 'filter', $filter);
+        $status = $this->callPipeline($pipeline, 'run_stage', $task, 'generate', $generate);
+
+        $this->assertEquals(1, $runs['filter'], 'Finished stages should not run again');
+        $this->assertEquals(2, $runs['generate'], 'The failed stage should run again');
+        $this->assertEquals('completed', $status);
+    }
+
+    /**
+     * Test that stages after a rejection are marked skipped
+     */
+    public function testPipelineSkipRemaining()
+    {
+        $this->logInfo('Testing Pipeline skip remaining');
+
+        $pipeline = $this->getPipeline();
+        $task_id = $this->queueManager->add_task('content_pipeline', 'AANP_ContentPipeline::run_task', array('type' => 'item'));
+        $task = $this->queueManager->get_task_status($task_id);
+
+        $this->queueManager->update_task_progress('content_pipeline', $task_id, array('filter' => array('status' => 'rejected')));
+        $this->callPipeline($pipeline, 'skip_remaining', $task, 'filter', 'Filtered out');
+
+        $progress = $this->queueManager->get_task_status($task_id)['progress'];
+        $this->assertEquals('rejected', $progress['filter']['status'], 'The stage skipped after should keep its status');
+        $this->assertArrayNotHasKey('fetch', $progress, 'Earlier stages should be left alone');
+
+        foreach (array('generate', 'humanize', 'publish', 'image') as $stage) {
+            $this->assertEquals('skipped', $progress[$stage]['status'], "Stage '{$stage}' should be skipped");
+            $this->assertEquals('Filtered out', $progress[$stage]['detail']);
+        }
+    }
+
+    /**
+     * Content pipeline using this test's queue manager
+     *
+     * @return AANP_ContentPipeline
+     */
+    private function getPipeline()
+    {
+        $pipeline = AANP_ContentPipeline::get_instance();
+
+        $property = new ReflectionProperty($pipeline, 'queue_manager');
+        $property->setAccessible(true);
+        $property->setValue($pipeline, $this->queueManager);
+
+        return $pipeline;
+    }
+
+    /**
+     * Call a private pipeline method
+     */
+    private function callPipeline($pipeline, $method, ...$args)
+    {
+        $reflection = new ReflectionMethod($pipeline, $method);
+        $reflection->setAccessible(true);
+
+        return $reflection->invoke($pipeline, ...$args);
+    }
 }
 
 // Mock failing task for testing